@@ -6,9 +6,21 @@ var EventEmitter = require('events').EventEmitter;
 var upsert = require('./deps/upsert');
 var Changes = require('./changes');
 var bulkGetShim = require('./deps/bulkGetShim');
+var crypto = require('./crypto');
+var validateDocUpdate = require('./validateDocUpdate');
+var resolveConflicts = require('./replicate/resolveConflicts');
+var dump = require('./dump');
+var lazyAttachments = require('./lazyAttachments');
+var expiry = require('./expiry');
+var quota = require('./quota');
+var purge = require('./purge');
+var allDbs = require('./allDbs');
+var revsLimit = require('./deps/revsLimit');
 var Promise = utils.Promise;
 var isDeleted = require('./deps/docs/isDeleted');
 var isLocalId = require('./deps/docs/isLocalId');
+var isExpired = require('./deps/docs/isExpired');
+var allOrNothing = require('./deps/docs/allOrNothing');
 var traverseRevTree = require('./deps/merge/traverseRevTree');
 var collectLeaves = require('./deps/merge/collectLeaves');
 var rootToLeaf = require('./deps/merge/rootToLeaf');
@@ -57,6 +69,21 @@ function cleanDocs(docs) {
   }
 }
 
+// reads an attachment of the doc, fetching its data from the source first
+// if it was replicated lazily
+function readAttachment(db, doc, attName, opts, callback) {
+  var att = doc._attachments[attName];
+  db._getAttachment(att, opts, function (err, data) {
+    if (!err || err.name !== 'missing_stub' ||
+        typeof db._storeAttachmentData !== 'function') {
+      return callback(err, data);
+    }
+    lazyAttachments.fetch(db, doc, attName).then(function () {
+      db._getAttachment(att, opts, callback);
+    }, callback);
+  });
+}
+
 // compare two docs, first by _id then by _rev
 function compareByIdThenRev(a, b) {
   var idCompare = utils.compare(a._id, b._id);
@@ -108,7 +135,7 @@ function allDocsKeysQuery(api, opts, callback) {
   var finalResults = {
     offset: opts.skip
   };
-  return Promise.all(keys.map(function (key) {
+  Promise.all(keys.map(function (key) {
     var subOpts = utils.extend({key: key, deleted: 'ok'}, opts);
     ['limit', 'skip', 'keys'].forEach(function (optKey) {
       delete subOpts[optKey];
@@ -125,8 +152,8 @@ function allDocsKeysQuery(api, opts, callback) {
     });
   })).then(function (results) {
     finalResults.rows = results;
-    return finalResults;
-  });
+    callback(null, finalResults);
+  }, callback);
 }
 
 // all compaction is done in a queue, to avoid attaching
@@ -409,6 +436,13 @@ AbstractPouchDB.prototype.bulkGet =
   bulkGetShim(this, opts, callback);
 });
 
+function getRevsLimit(db, callback) {
+  if (typeof db._getRevsLimit !== 'function') {
+    return callback(null, revsLimit.DEFAULT_REVS_LIMIT);
+  }
+  db._getRevsLimit(callback);
+}
+
 // compact one document and fire callback
 // by compacting we mean removing all revisions which
 // are further from the leaf in revision tree than max_height
@@ -435,7 +469,22 @@ AbstractPouchDB.prototype.compactDocument =
         revs.push(rev);
       }
     });
-    self._doCompaction(docId, revs, callback);
+    getRevsLimit(self, function (err, limit) {
+      /* istanbul ignore if */
+      if (err) {
+        return callback(err);
+      }
+      if (revsLimit.exceeds(revTree, limit)) {
+        // the tree was written with a higher revs_limit, so the revisions
+        // beyond the limit have to go as well, even if they're compacted
+        revsLimit.stem(revTree, limit).stemmedRevs.forEach(function (rev) {
+          if (revs.indexOf(rev) === -1) {
+            revs.push(rev);
+          }
+        });
+      }
+      self._doCompaction(docId, revs, callback);
+    });
   });
 });
 
@@ -459,6 +508,16 @@ AbstractPouchDB.prototype.compact =
 });
 AbstractPouchDB.prototype._compact = function (opts, callback) {
   var self = this;
+  // expired docs are purged first, so there's less left to compact
+  expiry.sweep(self).then(function () {
+    if (opts.expired_only) {
+      return callback(null, {ok: true});
+    }
+    compactDocs(self, opts, callback);
+  }, callback);
+};
+
+function compactDocs(self, opts, callback) {
   var changesOpts = {
     returnDocs: false,
     last_seq: opts.last_seq || 0
@@ -486,7 +545,7 @@ AbstractPouchDB.prototype._compact = function (opts, callback) {
     .on('change', onChange)
     .on('complete', onComplete)
     .on('error', callback);
-};
+}
 /* Begin api wrappers. Specific functionality to storage belongs in the
    _[method] */
 AbstractPouchDB.prototype.get =
@@ -569,6 +628,11 @@ AbstractPouchDB.prototype.get =
     var metadata = result.metadata;
     var ctx = result.ctx;
 
+    if (isExpired(metadata)) {
+      return callback(errors.error(errors.MISSING_DOC, 'expired'));
+    }
+    quota.touch(self, id);
+
     if (opts.conflicts) {
       var conflicts = collectConflicts(metadata);
       if (conflicts.length) {
@@ -616,14 +680,23 @@ AbstractPouchDB.prototype.get =
     if (opts.attachments && doc._attachments) {
       var attachments = doc._attachments;
       var count = Object.keys(attachments).length;
+      var failed = false;
       if (count === 0) {
         return callback(null, doc);
       }
       Object.keys(attachments).forEach(function (key) {
-        this._getAttachment(attachments[key], {
+        readAttachment(self, doc, key, {
           binary: opts.binary,
           ctx: ctx
         }, function (err, data) {
+          if (failed) {
+            return;
+          }
+          // e.g. lazy attachments whose data can't be fetched
+          if (err) {
+            failed = true;
+            return callback(err);
+          }
           var att = doc._attachments[key];
           att.data = data;
           delete att.stub;
@@ -632,7 +705,7 @@ AbstractPouchDB.prototype.get =
             callback(null, doc);
           }
         });
-      }, self);
+      });
     } else {
       if (doc._attachments) {
         for (var key in doc._attachments) {
@@ -659,10 +732,14 @@ AbstractPouchDB.prototype.getAttachment =
     if (err) {
       return callback(err);
     }
+    if (isExpired(res.metadata)) {
+      return callback(errors.error(errors.MISSING_DOC, 'expired'));
+    }
+    quota.touch(self, docId);
     if (res.doc._attachments && res.doc._attachments[attachmentId]) {
       opts.ctx = res.ctx;
       opts.binary = true;
-      self._getAttachment(res.doc._attachments[attachmentId], opts, callback);
+      readAttachment(self, res.doc, attachmentId, opts, callback);
     } else {
       return callback(errors.error(errors.MISSING_DOC));
     }
@@ -697,12 +774,29 @@ AbstractPouchDB.prototype.allDocs =
       ));
       return;
     }
-    if (this.type() !== 'http') {
-      return allDocsKeysQuery(this, opts, callback);
-    }
   }
 
-  return this._allDocs(opts, callback);
+  var self = this;
+  // docs that are read count as used, including the ones that query()
+  // fetches for include_docs
+  function onAllDocs(err, res) {
+    if (!err && opts.include_docs) {
+      res.rows.forEach(function (row) {
+        if (row.doc) {
+          quota.touch(self, row.id);
+        }
+      });
+    }
+    callback(err, res);
+  }
+  // total_rows doesn't count the docs that have expired
+  expiry.sweepDue(self).then(function () {
+    if ('keys' in opts && self.type() !== 'http') {
+      allDocsKeysQuery(self, opts, onAllDocs);
+    } else {
+      self._allDocs(opts, onAllDocs);
+    }
+  }, callback);
 });
 
 AbstractPouchDB.prototype.changes = function (opts, callback) {
@@ -716,27 +810,70 @@ AbstractPouchDB.prototype.changes = function (opts, callback) {
 AbstractPouchDB.prototype.close =
   utils.adapterFun('close', function (callback) {
   this._closed = true;
+  expiry.stop(this);
   return this._close(callback);
 });
 
 AbstractPouchDB.prototype.info = utils.adapterFun('info', function (callback) {
   var self = this;
-  this._info(function (err, info) {
-    if (err) {
-      return callback(err);
-    }
-    // assume we know better than the adapter, unless it informs us
-    info.db_name = info.db_name || self._db_name;
-    info.auto_compaction = !!(self.auto_compaction && self.type() !== 'http');
-    info.adapter = self.type();
-    callback(null, info);
-  });
+  // the doc_count doesn't count the docs that have expired
+  expiry.sweepDue(self).then(function () {
+    self._info(function (err, info) {
+      if (err) {
+        return callback(err);
+      }
+      // assume we know better than the adapter, unless it informs us
+      info.db_name = info.db_name || self._db_name;
+      info.auto_compaction = !!(self.auto_compaction &&
+        self.type() !== 'http');
+      info.adapter = self.type();
+      callback(null, info);
+    });
+  }, callback);
 });
 
 AbstractPouchDB.prototype.id = utils.adapterFun('id', function (callback) {
   return this._id(callback);
 });
 
+// the number of revisions that are kept in each document's revision tree
+AbstractPouchDB.prototype.getRevsLimit =
+  utils.adapterFun('getRevsLimit', function (callback) {
+  getRevsLimit(this, callback);
+});
+
+// lowering the limit only stems the revision trees as documents are
+// written to, or when the database is compacted
+AbstractPouchDB.prototype.setRevsLimit =
+  utils.adapterFun('setRevsLimit', function (limit, callback) {
+  var err = revsLimit.validate(limit);
+  if (err) {
+    return callback(err);
+  }
+  if (typeof this._setRevsLimit !== 'function') {
+    return callback(errors.error(errors.BAD_REQUEST,
+      'revs_limit is not supported by the ' + this.type() + ' adapter'));
+  }
+  this._setRevsLimit(limit, callback);
+});
+
+// removes leaf revisions, without leaving tombstones behind. purges aren't
+// replicated
+AbstractPouchDB.prototype.purge =
+  utils.adapterFun('purge', function (docsRevs, callback) {
+  var err = purge.validate(docsRevs);
+  if (err) {
+    return callback(err);
+  }
+  if (typeof this._purge !== 'function') {
+    return callback(errors.error(errors.BAD_REQUEST,
+      'purge is not supported by the ' + this.type() + ' adapter'));
+  }
+  purge.purgeDocs(this, docsRevs).then(function (res) {
+    callback(null, res);
+  }, callback);
+});
+
 AbstractPouchDB.prototype.type = function () {
   /* istanbul ignore next */
   return (typeof this._type === 'function') ? this._type() : this.adapter;
@@ -796,10 +933,13 @@ AbstractPouchDB.prototype.bulkDocs =
 
   cleanDocs(req.docs);
 
-  return this._bulkDocs(req, opts, function (err, res) {
+  var self = this;
+
+  function onResults(err, res) {
     if (err) {
       return callback(err);
     }
+    quota.afterWrite(self, req.docs, res);
     if (!opts.new_edits) {
       // this is what couch does when new_edits is false
       res = res.filter(function (x) {
@@ -807,13 +947,54 @@ AbstractPouchDB.prototype.bulkDocs =
       });
     }
     callback(null, res);
-  });
+  }
+
+  if (self.type() === 'http') {
+    // the server runs its own validate_doc_update functions
+    return self._bulkDocs(req, opts, onResults);
+  }
+
+  expiry.prepare(self, req.docs).then(function () {
+    return validateDocUpdate(self, req.docs, opts);
+  }).then(function (validationErrors) {
+    var validDocs = req.docs.filter(function (doc, i) {
+      return !validationErrors[i];
+    });
+    if (validDocs.length === req.docs.length) {
+      return self._bulkDocs(req, opts, onResults);
+    }
+    if (opts.all_or_nothing) {
+      return callback(allOrNothing(req.docs, validationErrors));
+    }
+    // put the errors back in between the results of the valid docs
+    function mergeResults(err, res) {
+      if (err) {
+        return onResults(err);
+      }
+      var j = 0;
+      onResults(null, req.docs.map(function (doc, i) {
+        return validationErrors[i] || res[j++];
+      }));
+    }
+    if (!validDocs.length) {
+      return mergeResults(null, []);
+    }
+    self._bulkDocs({docs: validDocs}, opts, mergeResults);
+  }, callback);
 });
 
+// opens a db that depends on this one, like the ones of map/reduce views
+// and search indexes. They're marked as such, so that they aren't listed
+// by allDbs() and dbUpdates()
+AbstractPouchDB.prototype._dependentDb = function (name) {
+  return new this.constructor(name,
+    utils.extend({}, this.__opts, {dependent: true}));
+};
+
 AbstractPouchDB.prototype.registerDependentDatabase =
   utils.adapterFun('registerDependentDatabase', function (dependentDb,
                                                           callback) {
-  var depDB = new this.constructor(dependentDb, this.__opts);
+  var depDB = this._dependentDb(dependentDb);
 
   function diffFun(doc) {
     doc.dependentDbs = doc.dependentDbs || {};
@@ -829,6 +1010,66 @@ AbstractPouchDB.prototype.registerDependentDatabase =
     }).catch(callback);
 });
 
+AbstractPouchDB.prototype.rotateKey =
+  utils.adapterFun('rotateKey', function (password, callback) {
+  if (typeof password === 'function') {
+    callback = password;
+    password = null;
+  }
+  if (!this._crypto) {
+    return callback(errors.error(errors.BAD_REQUEST,
+      'Encryption is not enabled for this database'));
+  }
+  crypto.rotateKey(this, password).then(function (res) {
+    callback(null, res);
+  }, callback);
+});
+
+// not an adapterFun, because the resolver may be a function as well
+AbstractPouchDB.prototype.resolveConflicts =
+  function (docId, resolver, callback) {
+  var self = this;
+  return utils.promisedCallback(Promise.resolve().then(function () {
+    if (typeof docId !== 'string') {
+      throw errors.error(errors.INVALID_ID);
+    }
+    return resolveConflicts(self, docId, resolver);
+  }), callback);
+};
+
+// dump() and load() aren't adapterFuns either, since streams mustn't be
+// cloned
+AbstractPouchDB.prototype.dump = function (stream, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  }
+  var self = this;
+  return utils.promisedCallback(Promise.resolve().then(function () {
+    if (!stream || typeof stream.write !== 'function') {
+      throw errors.error(errors.BAD_REQUEST,
+        'dump() needs a writable stream');
+    }
+    return dump.dump(self, stream, opts || {});
+  }), callback);
+};
+
+AbstractPouchDB.prototype.load = function (input, opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  }
+  var self = this;
+  return utils.promisedCallback(Promise.resolve().then(function () {
+    if (typeof input !== 'string' &&
+        (!input || typeof input.on !== 'function')) {
+      throw errors.error(errors.BAD_REQUEST,
+        'load() needs a readable stream or a string');
+    }
+    return dump.load(self, input, opts || {});
+  }), callback);
+};
+
 AbstractPouchDB.prototype.destroy =
   utils.adapterFun('destroy', function (opts, callback) {
 
@@ -846,8 +1087,11 @@ AbstractPouchDB.prototype.destroy =
       if (err) {
         return callback(err);
       }
+      validateDocUpdate.invalidate(self);
       self.emit('destroyed');
-      callback(null, resp || { 'ok': true });
+      allDbs.onDestroyed(self, function () {
+        callback(null, resp || { 'ok': true });
+      });
     });
   }
 
@@ -870,7 +1114,7 @@ AbstractPouchDB.prototype.destroy =
     var deletedMap = Object.keys(dependentDbs).map(function (name) {
       var trueName = usePrefix ?
         name.replace(new RegExp('^' + PouchDB.prefix), '') : name;
-      return new PouchDB(trueName, self.__opts).destroy();
+      return self._dependentDb(trueName).destroy();
     });
     Promise.all(deletedMap).then(destroyDb, function (error) {
       /* istanbul ignore next */
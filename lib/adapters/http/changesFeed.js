@@ -0,0 +1,106 @@
+'use strict';
+
+// Incremental parsers for the streaming _changes feeds. Chunks of the
+// response are pushed in as they arrive, and onRow is called with every
+// complete JSON row, i.e. a change or a {last_seq: ...} row. If the
+// response doesn't look like the requested feed (e.g. because the server
+// ignored the feed parameter), onInvalid is called instead.
+
+function parseJson(str) {
+  try {
+    return JSON.parse(str);
+  } catch (e) {
+    return null;
+  }
+}
+
+function isRow(json) {
+  return json && typeof json === 'object' && !Array.isArray(json) &&
+    !('results' in json) && ('seq' in json || 'last_seq' in json);
+}
+
+function LineSplitter(onLine) {
+  this.buffer = '';
+  this.onLine = onLine;
+}
+
+LineSplitter.prototype.push = function (chunk) {
+  var lines = (this.buffer + chunk).split('\n');
+  this.buffer = lines.pop();
+  for (var i = 0; i < lines.length; i++) {
+    if (this.onLine(lines[i].replace(/\r$/, '')) === false) {
+      return;
+    }
+  }
+};
+
+LineSplitter.prototype.end = function () {
+  var line = this.buffer;
+  this.buffer = '';
+  if (line) {
+    this.onLine(line.replace(/\r$/, ''));
+  }
+};
+
+// feed=continuous sends a JSON row per line, and empty lines as heartbeats
+function continuousParser(onRow, onInvalid) {
+  return new LineSplitter(function (line) {
+    if (!line.trim()) {
+      return;
+    }
+    var json = parseJson(line);
+    if (!isRow(json)) {
+      onInvalid();
+      return false;
+    }
+    onRow(json);
+  });
+}
+
+// feed=eventsource sends server-sent events, with the row in the data field
+function eventSourceParser(onRow, onInvalid) {
+  var data = [];
+  var eventType = 'message';
+  return new LineSplitter(function (line) {
+    if (!line) { // a blank line dispatches the event
+      var event = data.join('\n');
+      var type = eventType;
+      data = [];
+      eventType = 'message';
+      if (type === 'heartbeat' || !event) {
+        return;
+      }
+      var json = parseJson(event);
+      if (!isRow(json)) {
+        onInvalid();
+        return false;
+      }
+      onRow(json);
+      return;
+    }
+    if (line[0] === ':') { // comment
+      return;
+    }
+    var colon = line.indexOf(':');
+    var field = colon === -1 ? line : line.substring(0, colon);
+    var value = colon === -1 ? '' : line.substring(colon + 1);
+    if (value[0] === ' ') {
+      value = value.substring(1);
+    }
+    if (field === 'data') {
+      data.push(value);
+    } else if (field === 'event') {
+      eventType = value;
+    } else if (field !== 'id' && field !== 'retry') {
+      onInvalid(); // probably plain JSON, not an event stream
+      return false;
+    }
+  });
+}
+
+module.exports = function createParser(feed, onRow, onInvalid) {
+  if (feed === 'eventsource') {
+    return eventSourceParser(onRow, onInvalid);
+  }
+  return continuousParser(onRow, onInvalid);
+};
@@ -1,7 +1,20 @@
 "use strict";
 
 var CHANGES_BATCH_SIZE = 25;
+// a streaming changes request reconnects after receiving this many
+// characters, so that the response doesn't pile up in memory
+var MAX_CHANGES_STREAM_LENGTH = 1024 * 1024;
+// statuses that servers without support for a changes feed respond with
+var UNSUPPORTED_FEED_STATUSES = [400, 404, 405, 406, 501];
 var MAX_SIMULTANEOUS_REVS = 50;
+// requests that the server turns down with these statuses because it's
+// busy are retried, after the delay given by its Retry-After header or
+// after a growing one
+var RETRY_STATUSES = [429, 503];
+var MAX_RETRIES = 5;
+var RETRY_DELAY = 1000;
+// requests that the server wants retried later than this fail instead
+var MAX_RETRY_DELAY = 60 * 1000;
 
 var supportsBulkGetMap = {};
 
@@ -29,6 +42,11 @@ var blufferToBase64 = require('../../deps/binary/blobOrBufferToBase64');
 var parseDoc = require('../../deps/docs/parseDoc');
 var bulkGetShim = require('../../deps/bulkGetShim');
 var flatten = require('../../deps/flatten');
+var defaultBackOff = require('../../deps/defaultBackOff');
+var createChangesFeedParser = require('./changesFeed');
+var intercept = require('./intercept');
+var RequestQueue = require('./requestQueue');
+var purge = require('../../purge');
 
 function readAttachmentsAsBlobOrBuffer(row) {
   var atts = row.doc && row.doc._attachments;
@@ -128,23 +146,174 @@ function HttpPouch(opts, callback) {
   var dbUrl = genDBUrl(host, '');
 
   opts = clone(opts);
-  var ajaxOpts = opts.ajax || {};
+  // connections are kept open in Node, to reuse them for the next requests
+  var ajaxOpts = utils.extend({forever: true}, opts.ajax || {});
+  var interceptors = opts.interceptors || [];
+  var maxRequests = opts.max_concurrent_requests;
+  var requestQueue = maxRequests ? RequestQueue.forHost(host) : null;
+  if (requestQueue) {
+    requestQueue.addLimit(maxRequests);
+  }
+  // large _bulk_docs bodies are only gzipped when asked for, as not every
+  // server takes them
+  var gzipRequests = opts.gzip_requests;
 
   api.getUrl = function () { return dbUrl; };
   api.getHeaders = function () { return ajaxOpts.headers || {}; };
 
-  if (opts.auth || host.auth) {
-    var nAuth = opts.auth || host.auth;
-    var token = btoa(nAuth.username + ':' + nAuth.password);
+  var nAuth = opts.auth || host.auth;
+  var bearer = nAuth && nAuth.type === 'bearer' ? nAuth : null;
+  if (nAuth && !bearer) {
+    var basicToken = btoa(nAuth.username + ':' + nAuth.password);
     ajaxOpts.headers = ajaxOpts.headers || {};
-    ajaxOpts.headers.Authorization = 'Basic ' + token;
+    ajaxOpts.headers.Authorization = 'Basic ' + basicToken;
+  }
+
+  // The AuthSession cookie of the session started by logIn(). Browsers
+  // keep the cookie themselves, so this is only set in Node.
+  var sessionCookie = null;
+
+  function getSessionCookie(res) {
+    var cookies = (res && res.headers && res.headers['set-cookie']) || [];
+    for (var i = 0; i < cookies.length; i++) {
+      if (/^AuthSession=/.test(cookies[i])) {
+        return cookies[i].split(';')[0];
+      }
+    }
+    return null;
   }
 
+  // Bearer tokens come from auth.getToken(), which can return a promise.
+  // A token that the server rejects is fetched again, once for all the
+  // requests that were using it.
+  var bearerToken = null;
+  var tokenPromise = null;
+
+  function getToken(rejected) {
+    if (!tokenPromise || (rejected && rejected === bearerToken)) {
+      bearerToken = null;
+      tokenPromise = Promise.resolve().then(function () {
+        return bearer.getToken();
+      }).then(function (token) {
+        bearerToken = token;
+        return token;
+      });
+      tokenPromise.catch(function () {
+        tokenPromise = null;
+      });
+    }
+    return tokenPromise;
+  }
+
+  // how long to wait before retrying a request that the server turned
+  // down because it's busy, or null if it's not worth retrying
+  function retryDelay(res) {
+    if (RETRY_STATUSES.indexOf(res.status) === -1 ||
+        res.attempt > MAX_RETRIES) {
+      return null;
+    }
+    var retryAfter = res.headers['retry-after'];
+    var delay = RETRY_DELAY * Math.pow(2, res.attempt - 1);
+    if (retryAfter) {
+      // either a number of seconds or a date
+      delay = /^\d+$/.test(retryAfter) ? retryAfter * 1000 :
+        Date.parse(retryAfter) - Date.now();
+      if (isNaN(delay) || delay > MAX_RETRY_DELAY) {
+        return null;
+      }
+      delay = Math.max(delay, 0);
+    }
+    log('retrying ' + res.request.url + ' in ' + delay + 'ms');
+    return delay;
+  }
+
+  function send(reqOpts, token, callback) {
+    var authHeaders = {};
+    if (sessionCookie) {
+      authHeaders.Cookie = sessionCookie;
+    }
+    if (token) {
+      authHeaders.Authorization = 'Bearer ' + token;
+    }
+    // headers given for a single request replace the default ones, but not
+    // the credentials
+    reqOpts.headers = utils.extend(authHeaders, reqOpts.headers);
+
+    // requests that stay open, like live changes, would hold up the queue
+    var queued = requestQueue && reqOpts.queue !== false;
+    delete reqOpts.queue;
+
+    function run(done) {
+      log(reqOpts.method + ' ' + reqOpts.url);
+      return utils.ajax(reqOpts, function (err, res, xhr) {
+        done();
+        // CouchDB renews the cookie of a session that's about to expire
+        if (sessionCookie) {
+          sessionCookie = getSessionCookie(xhr) || sessionCookie;
+        }
+        callback(err, res, xhr);
+      });
+    }
+
+    return queued ? requestQueue.push(run) : run(function () {});
+  }
+
+  function sendWithToken(reqOpts, callback) {
+    // the request has to wait for a token, so return something that can
+    // abort it in the meantime
+    var req = {
+      aborted: false,
+      xhr: null,
+      abort: function () {
+        req.aborted = true;
+        if (req.xhr) {
+          req.xhr.abort();
+        }
+      }
+    };
+    function attempt(rejected, retry) {
+      getToken(rejected).then(function (token) {
+        if (req.aborted) {
+          return;
+        }
+        req.xhr = send(clone(reqOpts), token, function (err, res, xhr) {
+          if (err && err.status === 401 && !retry && !req.aborted) {
+            return attempt(token, true);
+          }
+          callback(err, res, xhr);
+        });
+      }).catch(function (err) {
+        if (!req.aborted) {
+          callback(err);
+        }
+      });
+    }
+    attempt();
+    return req;
+  }
+
+  function sendRequest(reqOpts, callback) {
+    if (bearer) {
+      return sendWithToken(reqOpts, callback);
+    }
+    return send(reqOpts, null, callback);
+  }
+
+  // every request goes through here, setup() included. Busy responses are
+  // retried above the interceptors, so that they see every attempt.
+  // userOpts.transfer(field, bytes), e.g. the one of a replication, counts
+  // the bytes that the request sends and receives. Only counted in Node.
   function ajax(userOpts, options, callback) {
     var reqAjax = userOpts.ajax || {};
     var reqOpts = utils.extend(clone(ajaxOpts), reqAjax, options);
-    log(reqOpts.method + ' ' + reqOpts.url);
-    return utils.ajax(reqOpts, callback);
+    function sendCounted(request, callback) {
+      if (userOpts.transfer) {
+        request.transfer = userOpts.transfer;
+      }
+      return sendRequest(request, callback);
+    }
+    return intercept(interceptors, reqOpts, sendCounted, retryDelay,
+      callback);
   }
 
   function ajaxPromise(userOpts, opts) {
@@ -236,6 +405,90 @@ function HttpPouch(opts, callback) {
     ajax({}, options, callback);
   });
 
+  // Starts a cookie session with CouchDB's _session endpoint. This doesn't
+  // go through setup(), because the user may not be allowed to see the
+  // database before logging in.
+  api.logIn = utils.adapterFun('logIn',
+      function (username, password, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = {};
+    }
+    if (!username || !password) {
+      return callback(errors.error(errors.BAD_REQUEST,
+        'You must provide a username and password'));
+    }
+    ajax(opts, {
+      method: 'POST',
+      url: genUrl(host, '_session'),
+      body: {name: username, password: password}
+    }, function (err, res, xhr) {
+      if (err) {
+        return callback(err);
+      }
+      sessionCookie = getSessionCookie(xhr) || sessionCookie;
+      // the database may have been out of reach before
+      setupPromise = null;
+      callback(null, res);
+    });
+  });
+
+  api.logOut = utils.adapterFun('logOut', function (opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = {};
+    }
+    ajax(opts, {
+      method: 'DELETE',
+      url: genUrl(host, '_session')
+    }, function (err, res) {
+      if (err) {
+        return callback(err);
+      }
+      sessionCookie = null;
+      callback(null, res);
+    });
+  });
+
+  api.getSession = utils.adapterFun('getSession', function (opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = {};
+    }
+    ajax(opts, {
+      method: 'GET',
+      url: genUrl(host, '_session')
+    }, callback);
+  });
+
+  // Creates a user in the _users database. opts.roles are the roles of the
+  // new user, and opts.metadata holds any other fields of the user doc.
+  api.signUp = utils.adapterFun('signUp',
+      function (username, password, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts;
+      opts = {};
+    }
+    if (!username || !password) {
+      return callback(errors.error(errors.BAD_REQUEST,
+        'You must provide a username and password'));
+    }
+    var userId = 'org.couchdb.user:' + username;
+    var user = utils.extend({}, opts.metadata || {});
+    utils.extend(user, {
+      _id: userId,
+      name: username,
+      password: password,
+      roles: opts.roles || [],
+      type: 'user'
+    });
+    ajax(opts, {
+      method: 'PUT',
+      url: genUrl(host, '_users/' + encodeURIComponent(userId)),
+      body: user
+    }, callback);
+  });
+
   // Sends a POST request to the host calling the couchdb _compact function
   //    version: The version of CouchDB it is running
   api.compact = adapterFun('compact', function (opts, callback) {
@@ -262,6 +515,19 @@ function HttpPouch(opts, callback) {
     });
   });
 
+  // Sends a POST request to the host calling the couchdb _purge function
+  api.purge = adapterFun('purge', function (docsRevs, callback) {
+    var err = purge.validate(docsRevs);
+    if (err) {
+      return callback(err);
+    }
+    ajax({}, {
+      method: 'POST',
+      url: genDBUrl(host, '_purge'),
+      body: docsRevs
+    }, callback);
+  });
+
   api.bulkGet = utils.adapterFun('bulkGet', function (opts, callback) {
     var self = this;
 
@@ -278,7 +544,7 @@ function HttpPouch(opts, callback) {
         params = '?' + params;
       }
 
-      ajax({}, {
+      ajax(opts, {
         headers: host.headers,
         url: genDBUrl(host, '_bulk_get' + params),
         method: 'POST',
@@ -308,7 +574,7 @@ function HttpPouch(opts, callback) {
       }
 
       for (var i = 0; i < numBatches; i++) {
-        var subOpts = utils.pick(opts, ['revs', 'attachments']);
+        var subOpts = utils.pick(opts, ['revs', 'attachments', 'transfer']);
         subOpts.docs = opts.docs.slice(i * batchSize,
           Math.min(opts.docs.length, (i + 1) * batchSize));
         bulkGetShim(self, subOpts, onResult(i));
@@ -365,6 +631,21 @@ function HttpPouch(opts, callback) {
     }).catch(callback);
   };
 
+  api._getRevsLimit = function (callback) {
+    ajax({}, {
+      method: 'GET',
+      url: genDBUrl(host, '_revs_limit')
+    }, callback);
+  };
+
+  api._setRevsLimit = function (limit, callback) {
+    ajax({}, {
+      method: 'PUT',
+      url: genDBUrl(host, '_revs_limit'),
+      body: limit
+    }, callback);
+  };
+
   // Get the document with the given id from the database given by host.
   // The id could be solely the _id in the database, or it may be a
   // _design/ID or _local/ID path
@@ -709,6 +990,9 @@ function HttpPouch(opts, callback) {
     // new revision numbers for the documents. Instead it just uses
     // the old ones. This is used in database replication.
     req.new_edits = opts.new_edits;
+    if (opts.all_or_nothing) {
+      req.all_or_nothing = true;
+    }
 
     setup().then(function () {
       return Promise.all(req.docs.map(preprocessAttachments));
@@ -717,7 +1001,8 @@ function HttpPouch(opts, callback) {
       ajax(opts, {
         method: 'POST',
         url: genDBUrl(host, '_bulk_docs'),
-        body: req
+        body: req,
+        compressBody: !!gzipRequests
       }, function (err, results) {
         if (err) {
           return callback(err);
@@ -881,6 +1166,10 @@ function HttpPouch(opts, callback) {
       params.attachments = true;
     }
 
+    // live changes are fetched with repeated longpoll requests, or streamed
+    // over a single request with the continuous and eventsource feeds
+    var feed = opts.continuous && (opts.feed === 'continuous' ||
+      opts.feed === 'eventsource') ? opts.feed : null;
     if (opts.continuous) {
       params.feed = 'longpoll';
     }
@@ -939,18 +1228,28 @@ function HttpPouch(opts, callback) {
     var xhr;
     var lastFetchedSeq;
 
+    function encodeSince(since) {
+      // "since" can be any kind of json object in Coudant/CouchDB 2.x
+      /* istanbul ignore next */
+      if (typeof since === "object") {
+        return JSON.stringify(since);
+      }
+      return since;
+    }
+
+    function encodeParams(params) {
+      return '?' + Object.keys(params).map(function (k) {
+        return k + '=' + encodeURIComponent(params[k]);
+      }).join('&');
+    }
+
     // Get all the changes starting wtih the one immediately after the
     // sequence number given by since.
     var fetch = function (since, callback) {
       if (opts.aborted) {
         return;
       }
-      params.since = since;
-      // "since" can be any kind of json object in Coudant/CouchDB 2.x
-      /* istanbul ignore next */
-      if (typeof params.since === "object") {
-        params.since = JSON.stringify(params.since);
-      }
+      params.since = encodeSince(since);
 
       if (opts.descending) {
         if (limit) {
@@ -961,9 +1260,7 @@ function HttpPouch(opts, callback) {
           batchSize : leftToFetch;
       }
 
-      var paramStr = '?' + Object.keys(params).map(function (k) {
-        return k + '=' + encodeURIComponent(params[k]);
-      }).join('&');
+      var paramStr = encodeParams(params);
 
       // Set the options for the ajax call
       var xhrOpts = {
@@ -971,7 +1268,9 @@ function HttpPouch(opts, callback) {
         url: genDBUrl(host, '_changes' + paramStr),
         // _changes can take a long time to generate, especially when filtered
         timeout: opts.timeout,
-        body: body
+        body: body,
+        // longpolls wait for changes, so don't keep other requests waiting
+        queue: !opts.continuous
       };
       lastFetchedSeq = since;
 
@@ -991,6 +1290,22 @@ function HttpPouch(opts, callback) {
     // from the sequence number 0.
     var results = {results: []};
 
+    // filters the change and passes it on, returns true if it passed
+    function processChange(c) {
+      leftToFetch--;
+      var ret = utils.filterChange(opts)(c);
+      if (ret) {
+        if (opts.include_docs && opts.attachments && opts.binary) {
+          readAttachmentsAsBlobOrBuffer(c);
+        }
+        if (returnDocs) {
+          results.results.push(c);
+        }
+        opts.onChange(c);
+      }
+      return ret;
+    }
+
     var fetched = function (err, res) {
       if (opts.aborted) {
         return;
@@ -1000,23 +1315,12 @@ function HttpPouch(opts, callback) {
       if (res && res.results) {
         raw_results_length = res.results.length;
         results.last_seq = res.last_seq;
+        // CouchDB 2.x tells us how many changes are left after this batch
+        if ('pending' in res) {
+          results.pending = res.pending;
+        }
         // For each change
-        var req = {};
-        req.query = opts.query_params;
-        res.results = res.results.filter(function (c) {
-          leftToFetch--;
-          var ret = utils.filterChange(opts)(c);
-          if (ret) {
-            if (opts.include_docs && opts.attachments && opts.binary) {
-              readAttachmentsAsBlobOrBuffer(c);
-            }
-            if (returnDocs) {
-              results.results.push(c);
-            }
-            opts.onChange(c);
-          }
-          return ret;
-        });
+        res.results = res.results.filter(processChange);
       } else if (err) {
         // In case of an error, stop listening for changes and call
         // opts.complete
@@ -1044,7 +1348,144 @@ function HttpPouch(opts, callback) {
       }
     };
 
-    fetch(opts.since || 0, fetched);
+    // Streams the changes over a single request. If the connection drops
+    // after it's been established, or the server closes it, we reconnect
+    // from the last seq we've seen, backing off like the replicator does
+    // for as long as the connections don't bring in any changes. If the
+    // server doesn't support the feed, we fall back to longpoll.
+    var reconnectDelay = 0;
+    var stream = function (since) {
+      if (opts.aborted) {
+        return;
+      }
+      var streamParams = clone(params);
+      streamParams.feed = feed;
+      streamParams.since = encodeSince(since);
+      delete streamParams.limit; // the limit is enforced as we go
+
+      var request = {};
+      var current = request;
+      var rowsReceived = 0;
+      var changesReceived = false;
+      var length = 0;
+      var lastSeq = since;
+
+      function isCurrent() {
+        return !opts.aborted && current === request;
+      }
+
+      function abortRequest() {
+        current = null;
+        if (request.xhr) {
+          request.xhr.abort();
+        }
+      }
+
+      function reconnect() {
+        abortRequest();
+        reconnectDelay = changesReceived ? 0 : defaultBackOff(reconnectDelay);
+        setTimeout(function () { stream(lastSeq); }, reconnectDelay);
+      }
+
+      function fallBack() {
+        abortRequest();
+        feed = null;
+        fetch(lastSeq, fetched);
+      }
+
+      function onRow(row) {
+        if (!isCurrent()) {
+          return;
+        }
+        rowsReceived++;
+        if ('last_seq' in row) { // the server is closing the feed
+          lastSeq = row.last_seq;
+          results.last_seq = lastSeq;
+          return;
+        }
+        lastSeq = row.seq;
+        results.last_seq = lastSeq;
+        changesReceived = true;
+        processChange(row);
+        if (limit && leftToFetch <= 0) {
+          abortRequest();
+          opts.complete(null, results);
+        }
+      }
+
+      function onInvalid() {
+        if (rowsReceived) {
+          abortRequest();
+          opts.aborted = true;
+          opts.complete(errors.error(errors.BAD_REQUEST,
+            'Invalid row in the ' + feed + ' changes feed'));
+        } else {
+          fallBack();
+        }
+      }
+
+      var parser = createChangesFeedParser(feed, onRow, onInvalid);
+
+      var xhrOpts = {
+        method: method,
+        url: genDBUrl(host, '_changes' + encodeParams(streamParams)),
+        timeout: opts.timeout,
+        json: false,
+        queue: false,
+        onData: function (chunk) {
+          if (!isCurrent()) {
+            return;
+          }
+          length += chunk.length;
+          parser.push(chunk);
+          if (isCurrent() && length > MAX_CHANGES_STREAM_LENGTH) {
+            reconnect();
+          }
+        }
+      };
+      if (body) {
+        xhrOpts.body = JSON.stringify(body);
+        xhrOpts.headers = {'Content-Type': 'application/json'};
+      }
+
+      var onEnd = function (err) {
+        if (!isCurrent()) {
+          return;
+        }
+        if (err) {
+          if (length) {
+            reconnect();
+          } else if (UNSUPPORTED_FEED_STATUSES.indexOf(err.status) !== -1) {
+            fallBack();
+          } else {
+            opts.aborted = true;
+            opts.complete(err);
+          }
+          return;
+        }
+        parser.end();
+        if (!isCurrent()) {
+          return;
+        }
+        if (length) {
+          reconnect();
+        } else { // the server closed the feed right away, so it can't stream
+          fallBack();
+        }
+      };
+
+      setup().then(function () {
+        if (current === request) {
+          xhr = request.xhr = ajax(opts, xhrOpts, onEnd);
+        }
+      }).catch(onEnd);
+    };
+
+    if (feed) {
+      stream(opts.since || 0);
+    } else {
+      fetch(opts.since || 0, fetched);
+    }
 
     // Return a method to cancel this method from processing any more
     return {
@@ -1075,7 +1516,17 @@ function HttpPouch(opts, callback) {
     }, callback);
   });
 
+  // the other databases on the host no longer have to wait for this one's
+  // limit
+  function leaveQueue() {
+    if (requestQueue) {
+      requestQueue.removeLimit(maxRequests);
+      requestQueue = null;
+    }
+  }
+
   api._close = function (callback) {
+    leaveQueue();
     callback();
   };
 
@@ -1090,6 +1541,7 @@ function HttpPouch(opts, callback) {
           api.emit('error', err);
           return callback(err);
         }
+        leaveQueue();
         api.emit('destroyed');
         api.constructor.emit('destroyed', opts.name);
         callback(null, resp);
@@ -0,0 +1,138 @@
+'use strict';
+
+var utils = require('../../utils');
+var Promise = utils.Promise;
+
+// Runs a request through the interceptors of a remote database, in order,
+// then sends it, then runs their afterResponse() hooks in reverse order.
+// Both hooks may be async.
+//
+// beforeRequest(request) can change the request options, or return new
+// ones. It can also short-circuit the request by returning {response: res},
+// in which case the request isn't sent, and only the interceptors that came
+// before it see the response.
+//
+// afterResponse(res) gets {request, attempt, status, headers, body, error}.
+// It can change it or return a new one, or return {retry: true} to start
+// the request over, beforeRequest() hooks included.
+//
+// send(request, callback) sends the request and returns something with an
+// abort(). retryDelay(res) gets the response that the interceptors are done
+// with, and returns how long to wait before starting the request over, or
+// null to give it to the callback. Returns something with an abort() as
+// well.
+module.exports = function intercept(interceptors, reqOpts, send, retryDelay,
+                                    callback) {
+  var req = {
+    aborted: false,
+    xhr: null,
+    timer: null,
+    abort: function () {
+      req.aborted = true;
+      clearTimeout(req.timer);
+      if (req.xhr) {
+        req.xhr.abort();
+      }
+    }
+  };
+
+  function toResponse(request, attempt, err, body, status, headers) {
+    return {
+      request: request,
+      attempt: attempt,
+      status: (err && err.status) || status || 200,
+      headers: headers || {},
+      body: err ? undefined : body,
+      error: err || null
+    };
+  }
+
+  function fetch(request, attempt) {
+    return new Promise(function (resolve) {
+      if (req.aborted) {
+        return;
+      }
+      req.xhr = send(request, function (err, body, xhr) {
+        resolve(toResponse(request, attempt, err, body,
+          xhr && xhr.statusCode, xhr && xhr.headers));
+      });
+    });
+  }
+
+  function runBefore(request, attempt) {
+    var ran = [];
+    var promise = Promise.resolve();
+    interceptors.forEach(function (interceptor) {
+      promise = promise.then(function (res) {
+        if (res || !interceptor.beforeRequest) {
+          if (!res) {
+            ran.push(interceptor);
+          }
+          return res;
+        }
+        return Promise.resolve(interceptor.beforeRequest(request))
+        .then(function (result) {
+          var res = result && result.response;
+          if (res) {
+            return toResponse(request, attempt, res.error, res.body,
+              res.status, res.headers);
+          }
+          ran.push(interceptor);
+          request = result || request;
+        });
+      });
+    });
+    return promise.then(function (res) {
+      return {ran: ran, request: request, res: res};
+    });
+  }
+
+  function runAfter(ran, res) {
+    var promise = Promise.resolve(res);
+    ran.slice().reverse().forEach(function (interceptor) {
+      promise = promise.then(function (res) {
+        if (res.retry || !interceptor.afterResponse) {
+          return res;
+        }
+        return Promise.resolve(interceptor.afterResponse(res))
+        .then(function (result) {
+          return result || res;
+        });
+      });
+    });
+    return promise;
+  }
+
+  function attempt(number) {
+    var request = utils.extend({headers: {}}, reqOpts);
+    runBefore(request, number).then(function (before) {
+      var res = before.res || fetch(before.request, number);
+      return Promise.resolve(res).then(function (res) {
+        return runAfter(before.ran, res);
+      });
+    }).then(function (res) {
+      if (req.aborted) {
+        return;
+      }
+      if (res.retry) {
+        return attempt(number + 1);
+      }
+      var delay = res.error ? retryDelay(res) : null;
+      if (typeof delay === 'number') {
+        req.timer = setTimeout(function () {
+          attempt(number + 1);
+        }, delay);
+        return;
+      }
+      var xhr = {statusCode: res.status, headers: res.headers};
+      callback(res.error || null, res.error ? undefined : res.body, xhr);
+    }, function (err) {
+      if (!req.aborted) {
+        callback(err);
+      }
+    });
+  }
+
+  attempt(1);
+  return req;
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+// The requests to a host, so that no more than `limit` of them run at the
+// same time. All the remote databases on a host that have a
+// max_concurrent_requests share its queue, and its limit is the lowest of
+// theirs.
+function RequestQueue() {
+  this.limits = [];
+  this.running = 0;
+  this.waiting = [];
+}
+
+// the queues of the hosts, by protocol, host and port
+var queues = {};
+
+RequestQueue.forHost = function (host) {
+  var key = host.protocol + '://' + host.host + ':' + host.port;
+  if (!queues[key]) {
+    queues[key] = new RequestQueue();
+  }
+  return queues[key];
+};
+
+// a database with this limit starts using the queue
+RequestQueue.prototype.addLimit = function (limit) {
+  this.limits.push(limit);
+};
+
+// a database with this limit is done with the queue, e.g. it's been closed,
+// so the others may run more requests at the same time
+RequestQueue.prototype.removeLimit = function (limit) {
+  var index = this.limits.indexOf(limit);
+  if (index !== -1) {
+    this.limits.splice(index, 1);
+    this._next();
+  }
+};
+
+RequestQueue.prototype.limit = function () {
+  return this.limits.length ? Math.min.apply(null, this.limits) : Infinity;
+};
+
+// run(done) starts a request, calls done() once it's over and returns
+// something with an abort(). Returns something with an abort() as well,
+// which also frees up the request's place in the queue.
+RequestQueue.prototype.push = function (run) {
+  var self = this;
+  var task = {
+    run: run,
+    xhr: null,
+    started: false,
+    finished: false,
+    abort: function () {
+      if (task.started) {
+        task.done();
+        if (task.xhr) {
+          task.xhr.abort();
+        }
+      } else {
+        var index = self.waiting.indexOf(task);
+        if (index !== -1) {
+          self.waiting.splice(index, 1);
+        }
+      }
+    },
+    done: function () {
+      if (!task.finished) {
+        task.finished = true;
+        self.running--;
+        self._next();
+      }
+    }
+  };
+  self.waiting.push(task);
+  self._next();
+  return task;
+};
+
+RequestQueue.prototype._next = function () {
+  while (this.running < this.limit() && this.waiting.length) {
+    var task = this.waiting.shift();
+    this.running++;
+    task.started = true;
+    task.xhr = task.run(task.done);
+  }
+};
+
+module.exports = RequestQueue;
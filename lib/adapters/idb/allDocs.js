@@ -4,6 +4,7 @@ var errors = require('../../deps/errors');
 var idbUtils = require('./utils');
 var idbConstants = require('./constants');
 var collectConflicts = require('../../deps/merge/collectConflicts');
+var isExpired = require('../../deps/docs/isExpired');
 
 var ATTACH_STORE = idbConstants.ATTACH_STORE;
 var BY_SEQ_STORE = idbConstants.BY_SEQ_STORE;
@@ -142,6 +143,9 @@ function idbAllDocs(opts, api, idb, callback) {
       }
       var metadata = decodeMetadata(cursor.value);
       var winningRev = metadata.winningRev;
+      if (isExpired(metadata)) {
+        return cursor.continue();
+      }
 
       allDocsInner(cursor, winningRev, metadata);
     }
@@ -5,7 +5,9 @@ var errors = require('../../deps/errors');
 var preprocessAttachments =
   require('../../deps/docs/preprocessAttachments');
 var processDocs = require('../../deps/docs/processDocs');
+var allOrNothing = require('../../deps/docs/allOrNothing');
 var isLocalId = require('../../deps/docs/isLocalId');
+var docSize = require('../../deps/docs/docSize');
 var idbUtils = require('./utils');
 var idbConstants = require('./constants');
 
@@ -21,6 +23,7 @@ var decodeMetadata = idbUtils.decodeMetadata;
 var encodeMetadata = idbUtils.encodeMetadata;
 var idbError = idbUtils.idbError;
 var openTransactionSafely = idbUtils.openTransactionSafely;
+var updateDataSize = idbUtils.updateDataSize;
 
 function idbBulkDocs(req, opts, api, idb, Changes, callback) {
   var docInfos = req.docs;
@@ -31,6 +34,7 @@ function idbBulkDocs(req, opts, api, idb, Changes, callback) {
   var attachAndSeqStore;
   var docInfoError;
   var docCountDelta = 0;
+  var dataSizeDelta = 0;
 
   for (var i = 0, len = docInfos.length; i < len; i++) {
     var doc = docInfos[i];
@@ -50,6 +54,7 @@ function idbBulkDocs(req, opts, api, idb, Changes, callback) {
   var results = new Array(docInfos.length);
   var fetchedDocs = new utils.Map();
   var preconditionErrored = false;
+  var allOrNothingError;
   var blobType = api._meta.blobSupport ? 'blob' : 'base64';
 
   preprocessAttachments(docInfos, blobType, function (err) {
@@ -71,7 +76,12 @@ function idbBulkDocs(req, opts, api, idb, Changes, callback) {
       return callback(txnResult.error);
     }
     txn = txnResult.txn;
-    txn.onabort = idbError(callback);
+    txn.onabort = function (e) {
+      if (allOrNothingError) {
+        return callback(allOrNothingError);
+      }
+      idbError(callback)(e);
+    };
     txn.ontimeout = idbError(callback);
     txn.oncomplete = complete;
     docStore = txn.objectStore(DOC_STORE);
@@ -90,7 +100,24 @@ function idbBulkDocs(req, opts, api, idb, Changes, callback) {
 
   function idbProcessDocs() {
 
-    processDocs(docInfos, api, fetchedDocs, txn, results, writeDoc, opts);
+    processDocs(api._meta.revsLimit, docInfos, api, fetchedDocs, txn, results,
+      writeDoc, opts, docsProcessed);
+  }
+
+  function docsProcessed() {
+    if (opts.all_or_nothing && checkAllOrNothing()) {
+      return;
+    }
+    updateDataSize(txn, dataSizeDelta);
+  }
+
+  // roll back all of the writes if some of the docs couldn't be written
+  function checkAllOrNothing() {
+    allOrNothingError = allOrNothing(docInfos, results);
+    if (allOrNothingError) {
+      txn.abort();
+    }
+    return allOrNothingError;
   }
 
   function fetchExistingDocs() {
@@ -134,6 +161,7 @@ function idbBulkDocs(req, opts, api, idb, Changes, callback) {
 
     Changes.notify(api._meta.name);
     api._meta.docCount += docCountDelta;
+    api._meta.dataSize += dataSizeDelta;
     callback(null, results);
   }
 
@@ -227,6 +255,10 @@ function idbBulkDocs(req, opts, api, idb, Changes, callback) {
     var doc = docInfo.data;
     var metadata = docInfo.metadata;
 
+    var prev = fetchedDocs.get(metadata.id);
+    metadata.size = docSize(doc);
+    dataSizeDelta += metadata.size - (prev && prev.size || 0);
+
     doc._doc_id_rev = metadata.id + '::' + metadata.rev;
     delete doc._id;
     delete doc._rev;
@@ -2,7 +2,7 @@
 
 // IndexedDB requires a versioned database structure, so we use the
 // version here to manage migrations.
-exports.ADAPTER_VERSION = 5;
+exports.ADAPTER_VERSION = 6;
 
 // The object stores created for each database
 // DOC_STORE stores the document meta data, its revision history and state
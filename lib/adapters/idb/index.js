@@ -3,6 +3,7 @@
 var utils = require('../../utils');
 var isDeleted = require('../../deps/docs/isDeleted');
 var isLocalId = require('../../deps/docs/isLocalId');
+var isExpired = require('../../deps/docs/isExpired');
 var errors = require('../../deps/errors');
 var idbUtils = require('./utils');
 var idbConstants = require('./constants');
@@ -12,6 +13,9 @@ var checkBlobSupport = require('./blobSupport');
 var hasLocalStorage = require('../../deps/env/hasLocalStorage');
 var calculateWinningRev = require('../../deps/merge/winningRev');
 var traverseRevTree = require('../../deps/merge/traverseRevTree');
+var removeLeaves = require('../../deps/merge/removeLeaves');
+var revsLimit = require('../../deps/revsLimit');
+var docSize = require('../../deps/docs/docSize');
 
 var ADAPTER_VERSION = idbConstants.ADAPTER_VERSION;
 var ATTACH_AND_SEQ_STORE = idbConstants.ATTACH_AND_SEQ_STORE;
@@ -33,6 +37,7 @@ var postProcessAttachments = idbUtils.postProcessAttachments;
 var readBlobData = idbUtils.readBlobData;
 var taskQueue = idbUtils.taskQueue;
 var openTransactionSafely = idbUtils.openTransactionSafely;
+var updateDataSize = idbUtils.updateDataSize;
 
 var cachedDBs = {};
 var blobSupportPromise;
@@ -202,13 +207,58 @@ function init(api, opts, callback) {
     };
   }
 
+  // migration to version 6
+  // The docs that were written before their sizes were tracked get one,
+  // and the data_size in the meta store adds them up
+  function migrateDataSizes(txn, callback) {
+    var bySeqStore = txn.objectStore(BY_SEQ_STORE);
+    var docStore = txn.objectStore(DOC_STORE);
+    var metaStore = txn.objectStore(META_STORE);
+    var dataSize = 0;
+
+    function saveDataSize() {
+      metaStore.get(META_STORE).onsuccess = function (e) {
+        var meta = e.target.result || {id: META_STORE};
+        meta.data_size = dataSize;
+        metaStore.put(meta).onsuccess = function () {
+          callback();
+        };
+      };
+    }
+
+    docStore.openCursor().onsuccess = function (e) {
+      var cursor = e.target.result;
+      if (!cursor) {
+        return saveDataSize(); // done
+      }
+      var metadata = decodeMetadata(cursor.value);
+      bySeqStore.get(metadata.seq).onsuccess = function (e) {
+        var doc = e.target.result;
+        metadata.size = 0;
+        if (doc) {
+          // the size of the doc as it was written, with its _id and _rev
+          doc._id = metadata.id;
+          doc._rev = doc._doc_id_rev.substring(metadata.id.length + 2);
+          delete doc._doc_id_rev;
+          metadata.size = docSize(doc);
+        }
+        dataSize += metadata.size;
+        var metadataToStore = encodeMetadata(metadata,
+          metadata.winningRev, metadata.deleted);
+        docStore.put(metadataToStore).onsuccess = function () {
+          cursor.continue();
+        };
+      };
+    };
+  }
+
   // migration to version 5
   // Instead of relying on on-the-fly migration of metadata,
   // this brings the doc-store to its modern form:
   // - metadata.winningrev
   // - metadata.seq
   // - stringify the metadata when storing it
-  function migrateMetadata(txn) {
+  function migrateMetadata(txn, callback) {
 
     function decodeMetadataCompat(storedObject) {
       if (!storedObject.data) {
@@ -227,7 +277,7 @@ function init(api, opts, callback) {
     cursor.onsuccess = function (e) {
       var cursor = e.target.result;
       if (!cursor) {
-        return; // done
+        return callback(); // done
       }
       var metadata = decodeMetadataCompat(cursor.value);
 
@@ -365,6 +415,32 @@ function init(api, opts, callback) {
     };
   };
 
+  // calls back with the digests that aren't in the attachment store, so
+  // that the replicator only fetches attachments we don't have yet
+  api._getMissingAttachments = function (digests, callback) {
+    var missing = [];
+    if (!digests.length) {
+      return callback(null, missing);
+    }
+    var txnResult = openTransactionSafely(idb, [ATTACH_STORE], 'readonly');
+    if (txnResult.error) {
+      return callback(txnResult.error);
+    }
+    var txn = txnResult.txn;
+    var attStore = txn.objectStore(ATTACH_STORE);
+    digests.forEach(function (digest) {
+      attStore.count(digest).onsuccess = function (e) {
+        if (!e.target.result) {
+          missing.push(digest);
+        }
+      };
+    });
+    txn.onabort = idbError(callback);
+    txn.oncomplete = function () {
+      callback(null, missing);
+    };
+  };
+
   api._info = function idb_info(callback) {
 
     if (idb === null || !cachedDBs[dbName]) {
@@ -374,6 +450,7 @@ function init(api, opts, callback) {
     }
     var updateSeq;
     var docCount;
+    var dataSize;
 
     var txnResult = openTransactionSafely(idb, [BY_SEQ_STORE], 'readonly');
     if (txnResult.error) {
@@ -386,18 +463,44 @@ function init(api, opts, callback) {
       updateSeq = cursor ? cursor.key : 0;
       // count within the same txn for consistency
       docCount = api._meta.docCount;
+      dataSize = api._meta.dataSize;
     };
 
     txn.oncomplete = function () {
       callback(null, {
         doc_count: docCount,
         update_seq: updateSeq,
+        data_size: dataSize,
+        revs_limit: api._meta.revsLimit,
         // for debugging
         idb_attachment_format: (api._meta.blobSupport ? 'binary' : 'base64')
       });
     };
   };
 
+  api._getRevsLimit = function (callback) {
+    callback(null, api._meta.revsLimit);
+  };
+
+  api._setRevsLimit = function (limit, callback) {
+    var txnResult = openTransactionSafely(idb, [META_STORE], 'readwrite');
+    if (txnResult.error) {
+      return callback(txnResult.error);
+    }
+    var txn = txnResult.txn;
+    var metaStore = txn.objectStore(META_STORE);
+    metaStore.get(META_STORE).onsuccess = function (e) {
+      var meta = e.target.result || {id: META_STORE};
+      meta.revs_limit = limit;
+      metaStore.put(meta);
+    };
+    txn.onabort = idbError(callback);
+    txn.oncomplete = function () {
+      api._meta.revsLimit = limit;
+      callback(null, {ok: true});
+    };
+  };
+
   api._allDocs = function idb_allDocs(opts, callback) {
     idbAllDocs(opts, api, idb, callback);
   };
@@ -408,7 +511,7 @@ function init(api, opts, callback) {
     if (opts.continuous) {
       var id = dbName + ':' + utils.uuid();
       IdbPouch.Changes.addListener(dbName, id, api, opts);
-      IdbPouch.Changes.notify(dbName);
+      IdbPouch.Changes.emit(dbName);
       return {
         cancel: function () {
           IdbPouch.Changes.removeListener(dbName, id);
@@ -461,6 +564,10 @@ function init(api, opts, callback) {
 
         lastSeq = seq;
 
+        if (isExpired(metadata)) {
+          return cursor.continue();
+        }
+
         if (metadata.winningRev === doc._rev) {
           return onGetWinningDoc(doc);
         }
@@ -635,6 +742,14 @@ function init(api, opts, callback) {
           opts.status = 'missing';
         }
       });
+      if (revsLimit.exceeds(metadata.rev_tree, api._meta.revsLimit)) {
+        // drop the revisions beyond revs_limit, along with their bodies
+        var stemmed = revsLimit.stem(metadata.rev_tree, api._meta.revsLimit);
+        metadata.rev_tree = stemmed.tree;
+        revs = revs.concat(stemmed.stemmedRevs.filter(function (rev) {
+          return revs.indexOf(rev) === -1;
+        }));
+      }
       compactRevs(revs, docId, txn);
       var winningRev = metadata.winningRev;
       var deleted = metadata.deleted;
@@ -647,6 +762,123 @@ function init(api, opts, callback) {
     };
   };
 
+  // finds the docs that have expired, and the time the next one expires
+  api._getExpired = function (now, callback) {
+    var txnResult = openTransactionSafely(idb, [DOC_STORE], 'readonly');
+    if (txnResult.error) {
+      return callback(txnResult.error);
+    }
+    var txn = txnResult.txn;
+    var ids = [];
+    var next;
+    txn.objectStore(DOC_STORE).openCursor().onsuccess = function (e) {
+      var cursor = e.target.result;
+      if (!cursor) {
+        return;
+      }
+      var metadata = decodeMetadata(cursor.value);
+      var expiresAt = metadata.expires_at;
+      if (typeof expiresAt === 'number') {
+        if (isExpired(metadata, now)) {
+          ids.push(metadata.id);
+        } else if (typeof next === 'undefined' || expiresAt < next) {
+          next = expiresAt;
+        }
+      }
+      cursor.continue();
+    };
+    txn.onabort = idbError(callback);
+    txn.oncomplete = function () {
+      callback(null, {ids: ids, next: next});
+    };
+  };
+
+  // lists the docs with their sizes and the seqs they were last written at
+  api._getSizes = function (callback) {
+    var txnResult = openTransactionSafely(idb, [DOC_STORE], 'readonly');
+    if (txnResult.error) {
+      return callback(txnResult.error);
+    }
+    var txn = txnResult.txn;
+    var sizes = [];
+    txn.objectStore(DOC_STORE).openCursor().onsuccess = function (e) {
+      var cursor = e.target.result;
+      if (!cursor) {
+        return;
+      }
+      var metadata = decodeMetadata(cursor.value);
+      sizes.push({
+        id: metadata.id,
+        size: metadata.size || 0,
+        seq: metadata.seq
+      });
+      cursor.continue();
+    };
+    txn.onabort = idbError(callback);
+    txn.oncomplete = function () {
+      callback(null, sizes);
+    };
+  };
+
+  // removes leaf revisions from a doc, along with their bodies and
+  // attachments, without leaving tombstones behind
+  api._purge = function (docId, revs, callback) {
+    var stores = [
+      DOC_STORE,
+      BY_SEQ_STORE,
+      ATTACH_STORE,
+      ATTACH_AND_SEQ_STORE,
+      META_STORE
+    ];
+    var txnResult = openTransactionSafely(idb, stores, 'readwrite');
+    if (txnResult.error) {
+      return callback(txnResult.error);
+    }
+    var txn = txnResult.txn;
+    var docStore = txn.objectStore(DOC_STORE);
+    var purged = [];
+    var docCountDelta = 0;
+    var dataSizeDelta = 0;
+    var missing = false;
+
+    docStore.get(docId).onsuccess = function (event) {
+      var metadata = decodeMetadata(event.target.result);
+      if (!metadata) {
+        missing = true;
+        return;
+      }
+      var wasDeleted = metadata.deleted;
+      var removed = removeLeaves(metadata.rev_tree, revs);
+      purged = revs.filter(function (rev) {
+        return removed.removedRevs.indexOf(rev) !== -1;
+      });
+      if (removed.removedRevs.length) {
+        compactRevs(removed.removedRevs, docId, txn);
+      }
+      if (!removed.tree.length) {
+        docStore.delete(docId);
+        docCountDelta = wasDeleted ? 0 : -1;
+        dataSizeDelta = -(metadata.size || 0);
+        updateDataSize(txn, dataSizeDelta);
+        return;
+      }
+      metadata.rev_tree = removed.tree;
+      var winningRev = calculateWinningRev(metadata);
+      var deleted = isDeleted(metadata, winningRev);
+      docCountDelta = wasDeleted === deleted ? 0 : deleted ? -1 : 1;
+      docStore.put(encodeMetadata(metadata, winningRev, deleted));
+    };
+    txn.onabort = idbError(callback);
+    txn.oncomplete = function () {
+      if (missing) {
+        return callback(errors.error(errors.MISSING_DOC));
+      }
+      api._meta.docCount += docCountDelta;
+      api._meta.dataSize += dataSizeDelta;
+      callback(null, {purged: purged});
+    };
+  };
+
 
   api._getLocal = function (id, callback) {
     var txnResult = openTransactionSafely(idb, [LOCAL_STORE], 'readonly');
@@ -843,7 +1075,8 @@ function init(api, opts, callback) {
       addDeletedOrLocalIndex, // v1 -> v2
       migrateLocalStore,      // v2 -> v3
       migrateAttsAndSeqs,     // v3 -> v4
-      migrateMetadata         // v4 -> v5
+      migrateMetadata,        // v4 -> v5
+      migrateDataSizes        // v5 -> v6
     ];
 
     var i = e.oldVersion;
@@ -897,7 +1130,9 @@ function init(api, opts, callback) {
             name: dbName,
             instanceId: instanceId,
             blobSupport: blobSupport,
-            docCount: docCount
+            docCount: docCount,
+            dataSize: meta.data_size || 0,
+            revsLimit: meta.revs_limit || revsLimit.DEFAULT_REVS_LIMIT
           };
 
           cachedDBs[dbName] = {
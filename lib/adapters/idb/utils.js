@@ -75,6 +75,20 @@ exports.decodeMetadata = function (storedObject) {
   return metadata;
 };
 
+// adds delta to the data size that's kept in the meta store, as part of
+// the given transaction
+exports.updateDataSize = function (txn, delta) {
+  if (!delta) {
+    return;
+  }
+  var metaStore = txn.objectStore(constants.META_STORE);
+  metaStore.get(constants.META_STORE).onsuccess = function (e) {
+    var meta = e.target.result || {id: constants.META_STORE};
+    meta.data_size = (meta.data_size || 0) + delta;
+    metaStore.put(meta);
+  };
+};
+
 // read the doc back out from the database. we don't store the
 // _id or _rev because we already have _doc_id_rev.
 exports.decodeDoc = function (doc) {
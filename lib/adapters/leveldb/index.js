@@ -18,10 +18,15 @@ var errors = require('../../deps/errors');
 var utils = require('../../utils');
 var calculateWinningRev = require('../../deps/merge/winningRev');
 var traverseRevTree = require('../../deps/merge/traverseRevTree');
+var removeLeaves = require('../../deps/merge/removeLeaves');
 var collectConflicts = require('../../deps/merge/collectConflicts');
 var isDeleted = require('../../deps/docs/isDeleted');
 var isLocalId = require('../../deps/docs/isLocalId');
+var isExpired = require('../../deps/docs/isExpired');
+var docSize = require('../../deps/docs/docSize');
 var processDocs = require('../../deps/docs/processDocs');
+var allOrNothing = require('../../deps/docs/allOrNothing');
+var revsLimit = require('../../deps/revsLimit');
 var md5 = require('../../deps/md5');
 var migrate = require('../../deps/migrate');
 var Deque = require("double-ended-queue");
@@ -42,6 +47,12 @@ var ATTACHMENT_STORE = 'attach-store';
 var BINARY_STORE = 'attach-binary-store';
 var LOCAL_STORE = 'local-store';
 var META_STORE = 'meta-store';
+// indexes the docs that expire by when they do, so that finding the
+// expired ones doesn't mean reading every doc
+var EXPIRY_STORE = 'expiry-store';
+// lists the size of each doc by the seq it was last written at, for
+// evicting docs without reading them all
+var SIZE_STORE = 'size-store';
 
 // leveldb barks if we try to open a db multiple times
 // so we cache opened connections here for initstore()
@@ -51,7 +62,9 @@ var dbStores = new utils.Map();
 // never conflict, since the keys in the by-sequence store are integers
 var UPDATE_SEQ_KEY = '_local_last_update_seq';
 var DOC_COUNT_KEY = '_local_doc_count';
+var DATA_SIZE_KEY = '_local_data_size';
 var UUID_KEY = '_local_uuid';
+var REVS_LIMIT_KEY = '_local_revs_limit';
 
 var MD5_PREFIX = 'md5-';
 
@@ -83,6 +96,10 @@ function fetchAttachment(att, stores, opts) {
         /* istanbul ignore if */
         if (err.name !== 'NotFoundError') {
           return reject(err);
+        } else if (att.length) {
+          // a lazy attachment that hasn't been fetched yet
+          return reject(errors.error(errors.MISSING_STUB,
+            'missing data for attachment with digest ' + att.digest));
         } else {
           // empty
           if (!opts.binary) {
@@ -187,6 +204,8 @@ function LevelPouch(opts, callback) {
     stores.binaryStore = db.sublevel(BINARY_STORE, {valueEncoding: 'binary'});
     stores.localStore = db.sublevel(LOCAL_STORE, {valueEncoding: 'json'});
     stores.metaStore = db.sublevel(META_STORE, {valueEncoding: 'json'});
+    stores.expiryStore = db.sublevel(EXPIRY_STORE, {valueEncoding: 'json'});
+    stores.sizeStore = db.sublevel(SIZE_STORE, {valueEncoding: 'json'});
     migrate.localAndMetaStores(db, stores, function () {
       stores.metaStore.get(UPDATE_SEQ_KEY, function (err, value) {
         if (typeof db._updateSeq === 'undefined') {
@@ -194,11 +213,17 @@ function LevelPouch(opts, callback) {
         }
         stores.metaStore.get(DOC_COUNT_KEY, function (err, value) {
           db._docCount = !err ? value : 0;
-          stores.metaStore.get(UUID_KEY, function (err, value) {
-            instanceId = !err ? value : utils.uuid();
-            stores.metaStore.put(UUID_KEY, instanceId, function (err, value) {
-              process.nextTick(function () {
-                callback(null, api);
+          migrate.dataSize(db, stores, function (err, value) {
+            db._dataSize = !err ? value : 0;
+            stores.metaStore.get(REVS_LIMIT_KEY, function (err, value) {
+              db._revsLimit = !err ? value : revsLimit.DEFAULT_REVS_LIMIT;
+              stores.metaStore.get(UUID_KEY, function (err, value) {
+                instanceId = !err ? value : utils.uuid();
+                stores.metaStore.put(UUID_KEY, instanceId, function (err) {
+                  process.nextTick(function () {
+                    callback(null, api);
+                  });
+                });
               });
             });
           });
@@ -227,6 +252,8 @@ function LevelPouch(opts, callback) {
     var res = {
       doc_count: db._docCount,
       update_seq: db._updateSeq,
+      data_size: db._dataSize,
+      revs_limit: db._revsLimit,
       backend_adapter: functionName(leveldown)
     };
     return process.nextTick(function () {
@@ -343,6 +370,56 @@ function LevelPouch(opts, callback) {
     return parseInt(s, 10);
   }
 
+  // expiry times are rounded up to the millisecond in the keys of the
+  // expiry store, and capped so that they fit in 16 digits
+  function formatExpiry(expiresAt) {
+    return formatSeq(Math.min(Math.max(Math.ceil(expiresAt), 0), 1e15));
+  }
+
+  // moves a doc in the expiry store from the time it expired at before a
+  // write (if any) to the time it expires at after it (if any)
+  function updateExpiry(txn, prev, metadata) {
+    var batch = [];
+    if (prev && typeof prev.expires_at === 'number') {
+      batch.push({
+        key: formatExpiry(prev.expires_at) + prev.id,
+        type: 'del',
+        prefix: stores.expiryStore
+      });
+    }
+    if (metadata && typeof metadata.expires_at === 'number') {
+      batch.push({
+        key: formatExpiry(metadata.expires_at) + metadata.id,
+        value: {id: metadata.id, expires_at: metadata.expires_at},
+        type: 'put',
+        prefix: stores.expiryStore
+      });
+    }
+    txn.batch(batch);
+  }
+
+  // moves a doc in the size store from the seq it was last written at
+  // before a write (if any) to the one after it (if any)
+  function updateSize(txn, prev, metadata) {
+    var batch = [];
+    if (prev) {
+      batch.push({
+        key: formatSeq(prev.seq),
+        type: 'del',
+        prefix: stores.sizeStore
+      });
+    }
+    if (metadata) {
+      batch.push({
+        key: formatSeq(metadata.seq),
+        value: {id: metadata.id, size: metadata.size || 0},
+        type: 'put',
+        prefix: stores.sizeStore
+      });
+    }
+    txn.batch(batch);
+  }
+
   api._get = readLock(function (id, opts, callback) {
     opts = utils.clone(opts);
 
@@ -399,6 +476,10 @@ function LevelPouch(opts, callback) {
         if (err.name !== 'NotFoundError') {
           return callback(err);
         }
+        if (attachment.length) { // lazy attachment
+          return callback(errors.error(errors.MISSING_STUB,
+            'missing data for attachment with digest ' + digest));
+        }
         // Empty attachment
         return callback(null, opts.binary ? createEmptyBluffer(type) : '');
       }
@@ -411,12 +492,91 @@ function LevelPouch(opts, callback) {
     });
   };
 
+  api._getRevsLimit = function (callback) {
+    process.nextTick(function () {
+      callback(null, db._revsLimit);
+    });
+  };
+
+  api._setRevsLimit = writeLock(function (limit, callback) {
+    stores.metaStore.put(REVS_LIMIT_KEY, limit, function (err) {
+      /* istanbul ignore if */
+      if (err) {
+        return callback(err);
+      }
+      db._revsLimit = limit;
+      callback(null, {ok: true});
+    });
+  });
+
+  // calls back with the digests that aren't in the attachment store, so
+  // that the replicator only fetches attachments we don't have yet
+  api._getMissingAttachments = function (digests, callback) {
+    var missing = [];
+    var numDone = 0;
+    var error;
+    if (!digests.length) {
+      return callback(null, missing);
+    }
+    digests.forEach(function (digest) {
+      stores.attachmentStore.get(digest, function (err) {
+        if (err) {
+          /* istanbul ignore if */
+          if (err.name !== 'NotFoundError') {
+            error = error || err;
+          } else {
+            missing.push(digest);
+          }
+        }
+        if (++numDone === digests.length) {
+          callback(error, missing);
+        }
+      });
+    });
+  };
+
+  // adds the digests of lazy attachments to the attachment store, so that
+  // docs with stubs for them can be written before their data is fetched
+  api._reserveAttachments = writeLock(function (digests, callback) {
+    api._getMissingAttachments(digests, function (err, missing) {
+      /* istanbul ignore if */
+      if (err) {
+        return callback(err);
+      }
+      var txn = new LevelTransaction();
+      txn.batch(missing.map(function (digest) {
+        return {
+          type: 'put',
+          prefix: stores.attachmentStore,
+          key: digest,
+          value: {refs: {}, lazy: true}
+        };
+      }));
+      txn.execute(db, callback);
+    });
+  });
+
+  // stores the data of a lazy attachment once it's been fetched
+  api._storeAttachmentData = writeLock(function (digest, data, callback) {
+    prepareAttachmentForStorage(data, function (data) {
+      var txn = new LevelTransaction();
+      txn.batch([{
+        type: 'put',
+        prefix: stores.binaryStore,
+        key: digest,
+        value: new Buffer(data, 'binary')
+      }]);
+      txn.execute(db, callback);
+    });
+  });
+
   api._bulkDocs = writeLock(function (req, opts, callback) {
     var newEdits = opts.new_edits;
     var results = new Array(req.docs.length);
     var fetchedDocs = new utils.Map();
     var txn = new LevelTransaction();
     var docCountDelta = 0;
+    var dataSizeDelta = 0;
     var newUpdateSeq = db._updateSeq;
 
     // parse the docs and give each a sequence number
@@ -542,6 +702,13 @@ function LevelPouch(opts, callback) {
     }
 
     function finish() {
+      var abortErr = opts.all_or_nothing && allOrNothing(docInfos, results);
+      if (abortErr) {
+        // nothing has been written yet, so just drop the transaction
+        return process.nextTick(function () {
+          callback(abortErr);
+        });
+      }
       if (api.auto_compaction) {
         return autoCompact(complete);
       }
@@ -634,6 +801,9 @@ function LevelPouch(opts, callback) {
         seq = ++newUpdateSeq;
         docInfo.metadata.rev_map[docInfo.metadata.rev] =
           docInfo.metadata.seq = seq;
+        var prev = fetchedDocs.get(docInfo.metadata.id);
+        docInfo.metadata.size = docSize(docInfo.data);
+        dataSizeDelta += docInfo.metadata.size - (prev && prev.size || 0);
         var seqKey = formatSeq(seq);
         var batch = [{
           key: seqKey,
@@ -647,6 +817,8 @@ function LevelPouch(opts, callback) {
           type: 'put'
         }];
         txn.batch(batch);
+        updateExpiry(txn, prev, docInfo.metadata);
+        updateSize(txn, prev, docInfo.metadata);
         results[resultsIdx] = {
           ok: true,
           id: docInfo.metadata.id,
@@ -684,6 +856,9 @@ function LevelPouch(opts, callback) {
         var newAtt = {};
 
         if (oldAtt) {
+          if (oldAtt.lazy) {
+            newAtt.lazy = true;
+          }
           if (oldAtt.refs) {
             // only update references if this attachment already has them
             // since we cannot migrate old style attachments here without
@@ -703,7 +878,8 @@ function LevelPouch(opts, callback) {
             key: digest,
             value: newAtt
           }]);
-          resolve(!oldAtt);
+          // write the data of lazy attachments if we've got it
+          resolve(!oldAtt || !!oldAtt.lazy);
         });
       }
 
@@ -767,6 +943,12 @@ function LevelPouch(opts, callback) {
           type: 'put',
           key: DOC_COUNT_KEY,
           value: db._docCount + docCountDelta
+        },
+        {
+          prefix: stores.metaStore,
+          type: 'put',
+          key: DATA_SIZE_KEY,
+          value: db._dataSize + dataSizeDelta
         }
       ]);
       txn.execute(db, function (err) {
@@ -775,6 +957,7 @@ function LevelPouch(opts, callback) {
           return callback(err);
         }
         db._docCount += docCountDelta;
+        db._dataSize += dataSizeDelta;
         db._updateSeq = newUpdateSeq;
         LevelPouch.Changes.notify(name);
         process.nextTick(function () {
@@ -796,8 +979,8 @@ function LevelPouch(opts, callback) {
         if (err) {
           return callback(err);
         }
-        processDocs(docInfos, api, fetchedDocs, txn, results, writeDoc,
-          opts, finish);
+        processDocs(db._revsLimit, docInfos, api, fetchedDocs, txn, results,
+          writeDoc, opts, finish);
       });
     });
   });
@@ -851,6 +1034,9 @@ function LevelPouch(opts, callback) {
         // in newer versions of PouchDB, they are cached on the metadata
         var winningRev = getWinningRev(metadata);
         var deleted = getIsDeleted(metadata, winningRev);
+        if (isExpired(metadata)) {
+          return next();
+        }
         if (!deleted) {
           if (skip-- > 0) {
             next();
@@ -937,7 +1123,7 @@ function LevelPouch(opts, callback) {
     if (opts.continuous) {
       var id = name + ':' + utils.uuid();
       LevelPouch.Changes.addListener(name, id, api, opts);
-      LevelPouch.Changes.notify(name);
+      LevelPouch.Changes.emit(name);
       return {
         cancel: function () {
           LevelPouch.Changes.removeListener(name, id);
@@ -985,7 +1171,7 @@ function LevelPouch(opts, callback) {
         if (opts.include_docs && opts.attachments) {
           fetchAttachments(results, stores, opts).then(function () {
             opts.complete(null, {results: results, last_seq: lastSeq});
-          });
+          }, opts.complete);
         } else {
           opts.complete(null, {results: results, last_seq: lastSeq});
         }
@@ -1036,6 +1222,11 @@ function LevelPouch(opts, callback) {
               // of live listeners
               fetchAttachments([change], stores, opts).then(function () {
                 opts.onChange(change);
+              }, function (err) {
+                // the feed reports it when it completes, unless it's live
+                if (opts.continuous) {
+                  opts.complete(err);
+                }
               });
             } else {
               opts.onChange(change);
@@ -1055,6 +1246,10 @@ function LevelPouch(opts, callback) {
 
         lastSeq = seq;
 
+        if (isExpired(metadata)) {
+          return next();
+        }
+
         if (winningRev === doc._rev) {
           return onGetWinningDoc(doc);
         }
@@ -1064,6 +1259,10 @@ function LevelPouch(opts, callback) {
         var winningSeq = metadata.rev_map[winningRev];
 
         stores.bySeqStore.get(formatSeq(winningSeq), function (err, doc) {
+          if (err) {
+            // the winner got purged since the metadata was read
+            return next();
+          }
           onGetWinningDoc(doc);
         });
       }
@@ -1074,8 +1273,10 @@ function LevelPouch(opts, callback) {
       }
       // metadata not cached, have to go fetch it
       stores.docStore.get(doc._id, function (err, metadata) {
+        // a doc that is purged while the feed is read is gone from the doc
+        // store, although the seq stream still has its revisions
         /* istanbul ignore if */
-        if (opts.cancelled || opts.done || db.isClosed() ||
+        if (err || opts.cancelled || opts.done || db.isClosed() ||
           isLocalId(metadata.id)) {
           return next();
         }
@@ -1155,6 +1356,7 @@ function LevelPouch(opts, callback) {
         return callback(err);
       }
       var seqs = metadata.rev_map; // map from rev to seq
+      var needsStemming = revsLimit.exceeds(metadata.rev_tree, db._revsLimit);
       traverseRevTree(metadata.rev_tree, function (isLeaf, pos,
                                                          revHash, ctx, opts) {
         var rev = pos + '-' + revHash;
@@ -1162,6 +1364,18 @@ function LevelPouch(opts, callback) {
           opts.status = 'missing';
         }
       });
+      var stemmedRevs = [];
+      if (needsStemming) {
+        // drop the revisions beyond revs_limit, along with their bodies
+        var stemmed = revsLimit.stem(metadata.rev_tree, db._revsLimit);
+        metadata.rev_tree = stemmed.tree;
+        stemmedRevs = stemmed.stemmedRevs.filter(function (rev) {
+          return rev in seqs; // some revs may never have been stored
+        });
+        revs = revs.concat(stemmedRevs.filter(function (rev) {
+          return revs.indexOf(rev) === -1;
+        }));
+      }
       var batch = [];
       batch.push({
         key: metadata.id,
@@ -1260,8 +1474,17 @@ function LevelPouch(opts, callback) {
         });
       }
 
+      if (!revs.length) {
+        return finish();
+      }
       revs.forEach(function (rev) {
+        if (!(rev in seqs)) { // e.g. stemmed revs that were never stored
+          return checkDone();
+        }
         var seq = seqs[rev];
+        if (stemmedRevs.indexOf(rev) !== -1) {
+          delete seqs[rev];
+        }
         batch.push({
           key: formatSeq(seq),
           type: 'del',
@@ -1287,6 +1510,116 @@ function LevelPouch(opts, callback) {
     });
   };
 
+  // finds the docs that have expired, and the time the next one expires
+  api._getExpired = readLock(function (now, callback) {
+    var ids = [];
+    var next;
+    function readExpiryStore(opts, done) {
+      stores.expiryStore.readStream(opts).on('data', function (entry) {
+        var expiresAt = entry.value.expires_at;
+        if (isExpired(entry.value, now)) {
+          ids.push(entry.value.id);
+        } else if (typeof next === 'undefined' || expiresAt < next) {
+          next = expiresAt;
+        }
+      }).on('error', callback).on('end', done);
+    }
+    // reads the docs that expire by the end of the current millisecond,
+    // then the first one that expires after that
+    var bound = formatExpiry(now + 1);
+    readExpiryStore({lt: bound}, function () {
+      readExpiryStore({gte: bound, limit: 1}, function () {
+        callback(null, {ids: ids, next: next});
+      });
+    });
+  });
+
+  // lists the docs with their sizes and the seqs they were last written at
+  api._getSizes = readLock(function (callback) {
+    var sizes = [];
+    stores.sizeStore.readStream().on('data', function (entry) {
+      sizes.push({
+        id: entry.value.id,
+        size: entry.value.size,
+        seq: parseSeq(entry.key)
+      });
+    }).on('error', callback).on('end', function () {
+      callback(null, sizes);
+    });
+  });
+
+  // removes leaf revisions from a doc, along with their bodies and
+  // attachments, without leaving tombstones behind
+  api._purge = writeLock(function (docId, revs, callback) {
+    var txn = new LevelTransaction();
+    txn.get(stores.docStore, docId, function (err, metadata) {
+      if (err) {
+        return callback(errors.error(errors.MISSING_DOC));
+      }
+      var wasDeleted = getIsDeleted(metadata, getWinningRev(metadata));
+      var removed = removeLeaves(metadata.rev_tree, revs);
+      var purged = revs.filter(function (rev) {
+        return removed.removedRevs.indexOf(rev) !== -1;
+      });
+      // deletes the bodies and attachment refs of the removed revisions
+      api._doCompactionNoLock(docId, removed.removedRevs, {ctx: txn},
+          function (err) {
+        /* istanbul ignore if */
+        if (err) {
+          return callback(err);
+        }
+        var docCountDelta = 0;
+        var dataSizeDelta = 0;
+        if (!removed.tree.length) {
+          txn.batch([{
+            key: docId,
+            type: 'del',
+            prefix: stores.docStore
+          }]);
+          updateExpiry(txn, metadata);
+          updateSize(txn, metadata);
+          docCountDelta = wasDeleted ? 0 : -1;
+          dataSizeDelta = -(metadata.size || 0);
+        } else {
+          metadata.rev_tree = removed.tree;
+          removed.removedRevs.forEach(function (rev) {
+            delete metadata.rev_map[rev];
+          });
+          metadata.winningRev = calculateWinningRev(metadata);
+          metadata.deleted = isDeleted(metadata, metadata.winningRev);
+          docCountDelta = wasDeleted === metadata.deleted ? 0 :
+            metadata.deleted ? -1 : 1;
+          txn.batch([{
+            key: docId,
+            value: metadata,
+            type: 'put',
+            prefix: stores.docStore
+          }]);
+        }
+        txn.batch([{
+          key: DOC_COUNT_KEY,
+          value: db._docCount + docCountDelta,
+          type: 'put',
+          prefix: stores.metaStore
+        }, {
+          key: DATA_SIZE_KEY,
+          value: db._dataSize + dataSizeDelta,
+          type: 'put',
+          prefix: stores.metaStore
+        }]);
+        txn.execute(db, function (err) {
+          /* istanbul ignore if */
+          if (err) {
+            return callback(err);
+          }
+          db._docCount += docCountDelta;
+          db._dataSize += dataSizeDelta;
+          callback(null, {purged: purged});
+        });
+      });
+    });
+  });
+
   api._getLocal = function (id, callback) {
     stores.localStore.get(id, function (err, doc) {
       if (err) {
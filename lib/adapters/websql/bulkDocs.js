@@ -6,6 +6,8 @@ var preprocessAttachments =
   require('../../deps/docs/preprocessAttachments');
 var isLocalId = require('../../deps/docs/isLocalId');
 var processDocs = require('../../deps/docs/processDocs');
+var allOrNothing = require('../../deps/docs/allOrNothing');
+var docSize = require('../../deps/docs/docSize');
 
 var websqlUtils = require('./utils');
 var websqlConstants = require('./constants');
@@ -14,6 +16,7 @@ var DOC_STORE = websqlConstants.DOC_STORE;
 var BY_SEQ_STORE = websqlConstants.BY_SEQ_STORE;
 var ATTACH_STORE = websqlConstants.ATTACH_STORE;
 var ATTACH_AND_SEQ_STORE = websqlConstants.ATTACH_AND_SEQ_STORE;
+var META_STORE = websqlConstants.META_STORE;
 
 var select = websqlUtils.select;
 var stringifyDoc = websqlUtils.stringifyDoc;
@@ -43,8 +46,10 @@ function websqlBulkDocs(req, opts, api, db, Changes, callback) {
   var tx;
   var results = new Array(docInfos.length);
   var fetchedDocs = new utils.Map();
+  var dataSizeDelta = 0;
 
   var preconditionErrored;
+  var allOrNothingError;
   function complete() {
     if (preconditionErrored) {
       return callback(preconditionErrored);
@@ -111,6 +116,9 @@ function websqlBulkDocs(req, opts, api, db, Changes, callback) {
 
       var id = data._id;
       var rev = data._rev;
+      var prev = fetchedDocs.get(id);
+      docInfo.metadata.size = docSize(data);
+      dataSizeDelta += docInfo.metadata.size - (prev && prev.size || 0);
       var json = stringifyDoc(data);
       var sql = 'INSERT INTO ' + BY_SEQ_STORE +
         ' (doc_id, rev, json, deleted) VALUES (?, ?, ?, ?);';
@@ -230,16 +238,18 @@ function websqlBulkDocs(req, opts, api, db, Changes, callback) {
 
       var sql = isUpdate ?
       'UPDATE ' + DOC_STORE +
-      ' SET json=?, max_seq=?, winningseq=' +
+      ' SET json=?, max_seq=?, expires_at=?, winningseq=' +
       '(SELECT seq FROM ' + BY_SEQ_STORE +
       ' WHERE doc_id=' + DOC_STORE + '.id AND rev=?) WHERE id=?'
         : 'INSERT INTO ' + DOC_STORE +
-      ' (id, winningseq, max_seq, json) VALUES (?,?,?,?);';
+      ' (id, winningseq, max_seq, expires_at, json) VALUES (?,?,?,?,?);';
       var metadataStr = utils.safeJsonStringify(docInfo.metadata);
       var id = docInfo.metadata.id;
+      var expiresAt = typeof docInfo.metadata.expires_at === 'number' ?
+        docInfo.metadata.expires_at : null;
       var params = isUpdate ?
-        [metadataStr, seq, winningRev, id] :
-        [id, seq, seq, metadataStr];
+        [metadataStr, seq, expiresAt, winningRev, id] :
+        [id, seq, seq, expiresAt, metadataStr];
       tx.executeSql(sql, params, function () {
         results[resultsIdx] = {
           ok: true,
@@ -253,7 +263,30 @@ function websqlBulkDocs(req, opts, api, db, Changes, callback) {
   }
 
   function websqlProcessDocs() {
-    processDocs(docInfos, api, fetchedDocs, tx, results, writeDoc, opts);
+    processDocs(api._revsLimit, docInfos, api, fetchedDocs, tx, results,
+      writeDoc, opts, docsProcessed);
+  }
+
+  function docsProcessed() {
+    if (dataSizeDelta) {
+      tx.executeSql('UPDATE ' + META_STORE +
+        ' SET data_size = COALESCE(data_size, 0) + ?', [dataSizeDelta]);
+    }
+    if (opts.all_or_nothing) {
+      checkAllOrNothing();
+    }
+  }
+
+  // roll back all of the writes if some of the docs couldn't be written
+  function checkAllOrNothing() {
+    allOrNothingError = allOrNothing(docInfos, results);
+    if (allOrNothingError) {
+      // WebSQL has no ROLLBACK, but it rolls back the transaction when
+      // the error callback of a statement returns true
+      tx.executeSql('SELECT all_or_nothing_rollback()', [], null, function () {
+        return true;
+      });
+    }
   }
 
   function fetchExistingDocs(callback) {
@@ -319,7 +352,12 @@ function websqlBulkDocs(req, opts, api, db, Changes, callback) {
           fetchExistingDocs(websqlProcessDocs);
         }
       });
-    }, unknownError(callback), complete);
+    }, function (err) {
+      if (allOrNothingError) {
+        return callback(allOrNothingError);
+      }
+      unknownError(callback)(err);
+    }, complete);
   });
 }
 
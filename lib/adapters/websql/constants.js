@@ -4,7 +4,7 @@ function quote(str) {
   return "'" + str + "'";
 }
 
-exports.ADAPTER_VERSION = 7; // used to manage migrations
+exports.ADAPTER_VERSION = 10; // used to manage migrations
 
 // The object stores created for each database
 // DOC_STORE stores the document meta data, its revision history and state
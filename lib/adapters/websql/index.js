@@ -9,6 +9,10 @@ var binStringToBlob = require('../../deps/binary/binaryStringToBlobOrBuffer');
 var hasLocalStorage = require('../../deps/env/hasLocalStorage');
 var collectConflicts = require('../../deps/merge/collectConflicts');
 var traverseRevTree = require('../../deps/merge/traverseRevTree');
+var calculateWinningRev = require('../../deps/merge/winningRev');
+var removeLeaves = require('../../deps/merge/removeLeaves');
+var revsLimit = require('../../deps/revsLimit');
+var docSize = require('../../deps/docs/docSize');
 
 var websqlConstants = require('./constants');
 var websqlUtils = require('./utils');
@@ -94,6 +98,10 @@ var SELECT_DOCS = BY_SEQ_STORE + '.seq AS seq, ' +
   BY_SEQ_STORE + '.rev AS rev, ' +
   DOC_STORE + '.json AS metadata';
 
+// docs whose expires_at is not in the past
+var NOT_EXPIRED_SQL = '(' + DOC_STORE + '.expires_at IS NULL OR ' +
+  DOC_STORE + '.expires_at > ?)';
+
 function WebSqlPouch(opts, callback) {
   var api = this;
   var instanceId = null;
@@ -369,6 +377,49 @@ function WebSqlPouch(opts, callback) {
     });
   }
 
+  // in this migration, we store the revs_limit of the database
+  function runMigration8(tx, callback) {
+    var sql = 'ALTER TABLE ' + META_STORE +
+      ' ADD COLUMN revs_limit INTEGER';
+    tx.executeSql(sql, [], callback);
+  }
+
+  // in this migration, we store when each doc expires, so that expired
+  // docs can be filtered out in SQL
+  function runMigration9(tx, callback) {
+    var sql = 'ALTER TABLE ' + DOC_STORE +
+      ' ADD COLUMN expires_at INTEGER';
+    tx.executeSql(sql, [], callback);
+  }
+
+  // in this migration, we keep track of the size of the docs, starting
+  // with the size of the revision that was last written of each doc
+  function runMigration10(tx, callback) {
+    var sql = 'ALTER TABLE ' + META_STORE +
+      ' ADD COLUMN data_size INTEGER';
+    tx.executeSql(sql, [], function (tx) {
+      var sql = 'SELECT ' + DOC_STORE + '.id, ' +
+        DOC_STORE + '.json AS metadata, ' +
+        BY_SEQ_STORE + '.json AS data, ' + BY_SEQ_STORE + '.rev FROM ' +
+        DOC_STORE + ' JOIN ' + BY_SEQ_STORE + ' ON ' +
+        BY_SEQ_STORE + '.seq = ' + DOC_STORE + '.max_seq';
+      tx.executeSql(sql, [], function (tx, result) {
+        var dataSize = 0;
+        var sql = 'UPDATE ' + DOC_STORE + ' SET json = ? WHERE id = ?';
+        for (var i = 0; i < result.rows.length; i++) {
+          var item = result.rows.item(i);
+          var metadata = utils.safeJsonParse(item.metadata);
+          metadata.size = docSize(unstringifyDoc(item.data, item.id,
+            item.rev));
+          dataSize += metadata.size;
+          tx.executeSql(sql, [utils.safeJsonStringify(metadata), item.id]);
+        }
+        tx.executeSql('UPDATE ' + META_STORE + ' SET data_size = ?',
+          [dataSize], callback);
+      });
+    });
+  }
+
   function checkEncoding(tx, cb) {
     // UTF-8 on chrome/android, UTF-16 on safari < 7.1
     tx.executeSql('SELECT HEX("a") AS hex', [], function (tx, res) {
@@ -391,14 +442,16 @@ function WebSqlPouch(opts, callback) {
       // initial schema
 
       var meta = 'CREATE TABLE IF NOT EXISTS ' + META_STORE +
-        ' (dbid, db_version INTEGER)';
+        ' (dbid, db_version INTEGER, revs_limit INTEGER, ' +
+        'data_size INTEGER)';
       var attach = 'CREATE TABLE IF NOT EXISTS ' + ATTACH_STORE +
         ' (digest UNIQUE, escaped TINYINT(1), body BLOB)';
       var attachAndRev = 'CREATE TABLE IF NOT EXISTS ' +
         ATTACH_AND_SEQ_STORE + ' (digest, seq INTEGER)';
       // TODO: migrate winningseq to INTEGER
       var doc = 'CREATE TABLE IF NOT EXISTS ' + DOC_STORE +
-        ' (id unique, json, winningseq, max_seq INTEGER UNIQUE)';
+        ' (id unique, json, winningseq, max_seq INTEGER UNIQUE, ' +
+        'expires_at INTEGER)';
       var seq = 'CREATE TABLE IF NOT EXISTS ' + BY_SEQ_STORE +
         ' (seq INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT, ' +
         'json, deleted TINYINT(1), doc_id, rev)';
@@ -422,6 +475,7 @@ function WebSqlPouch(opts, callback) {
             var initSeq = 'INSERT INTO ' + META_STORE +
               ' (db_version, dbid) VALUES (?,?)';
             instanceId = utils.uuid();
+            api._revsLimit = revsLimit.DEFAULT_REVS_LIMIT;
             var initSeqArgs = [ADAPTER_VERSION, instanceId];
             tx.executeSql(initSeq, initSeqArgs, function () {
               onGetInstanceId();
@@ -439,9 +493,11 @@ function WebSqlPouch(opts, callback) {
             ADAPTER_VERSION);
         }
         // notify db.id() callers
-        var sql = 'SELECT dbid FROM ' + META_STORE;
+        var sql = 'SELECT dbid, revs_limit FROM ' + META_STORE;
         tx.executeSql(sql, [], function (tx, result) {
           instanceId = result.rows.item(0).dbid;
+          api._revsLimit = result.rows.item(0).revs_limit ||
+            revsLimit.DEFAULT_REVS_LIMIT;
           onGetInstanceId();
         });
       };
@@ -455,6 +511,9 @@ function WebSqlPouch(opts, callback) {
         runMigration5,
         runMigration6,
         runMigration7,
+        runMigration8,
+        runMigration9,
+        runMigration10,
         setupDone
       ];
 
@@ -526,12 +585,17 @@ function WebSqlPouch(opts, callback) {
         var sql = 'SELECT MAX(seq) AS seq FROM ' + BY_SEQ_STORE;
         tx.executeSql(sql, [], function (tx, res) {
           var updateSeq = res.rows.item(0).seq || 0;
-          callback(null, {
-            doc_count: docCount,
-            update_seq: updateSeq,
-            // for debugging
-            sqlite_plugin: db._sqlitePlugin,
-            websql_encoding: encoding
+          sql = 'SELECT data_size FROM ' + META_STORE;
+          tx.executeSql(sql, [], function (tx, res) {
+            callback(null, {
+              doc_count: docCount,
+              update_seq: updateSeq,
+              data_size: res.rows.item(0).data_size || 0,
+              revs_limit: api._revsLimit,
+              // for debugging
+              sqlite_plugin: db._sqlitePlugin,
+              websql_encoding: encoding
+            });
           });
         });
       });
@@ -651,6 +715,9 @@ function WebSqlPouch(opts, callback) {
       criteria.push(BY_SEQ_STORE + '.deleted = 0');
     }
 
+    criteria.push(NOT_EXPIRED_SQL);
+    sqlArgs.push(Date.now());
+
     db.readTransaction(function (tx) {
 
       // first count up the total rows
@@ -718,7 +785,7 @@ function WebSqlPouch(opts, callback) {
     if (opts.continuous) {
       var id = api._name + ':' + utils.uuid();
       WebSqlPouch.Changes.addListener(api._name, id, api, opts);
-      WebSqlPouch.Changes.notify(api._name);
+      WebSqlPouch.Changes.emit(api._name);
       return {
         cancel: function () {
           WebSqlPouch.Changes.removeListener(api._name, id);
@@ -766,6 +833,9 @@ function WebSqlPouch(opts, callback) {
         sqlArgs = sqlArgs.concat(opts.doc_ids);
       }
 
+      criteria.push(NOT_EXPIRED_SQL);
+      sqlArgs.push(Date.now());
+
       var orderBy = 'maxSeq ' + (descending ? 'DESC' : 'ASC');
 
       var sql = select(selectStmt, from, joiner, criteria, orderBy);
@@ -839,6 +909,12 @@ function WebSqlPouch(opts, callback) {
   api._getAttachment = function (attachment, opts, callback) {
     var res;
     var tx = opts.ctx;
+    if (!tx) {
+      return db.readTransaction(function (txn) {
+        api._getAttachment(attachment, utils.extend({ctx: txn}, opts),
+          callback);
+      });
+    }
     var digest = attachment.digest;
     var type = attachment.content_type;
     var sql = 'SELECT escaped, ' +
@@ -861,6 +937,31 @@ function WebSqlPouch(opts, callback) {
     });
   };
 
+  // calls back with the digests that aren't in the attachment store, so
+  // that the replicator only fetches attachments we don't have yet
+  api._getMissingAttachments = function (digests, callback) {
+    var found = {};
+    if (!digests.length) {
+      return callback(null, []);
+    }
+    db.readTransaction(function (tx) {
+      // one query per digest, since there's a limit on the number of
+      // variables in a statement
+      var sql = 'SELECT digest FROM ' + ATTACH_STORE + ' WHERE digest=?';
+      digests.forEach(function (digest) {
+        tx.executeSql(sql, [digest], function (tx, result) {
+          if (result.rows.length) {
+            found[digest] = true;
+          }
+        });
+      });
+    }, websqlError(callback), function () {
+      callback(null, digests.filter(function (digest) {
+        return !found[digest];
+      }));
+    });
+  };
+
   api._getRevisionTree = function (docId, callback) {
     db.readTransaction(function (tx) {
       var sql = 'SELECT json AS metadata FROM ' + DOC_STORE + ' WHERE id = ?';
@@ -875,6 +976,20 @@ function WebSqlPouch(opts, callback) {
     });
   };
 
+  api._getRevsLimit = function (callback) {
+    callback(null, api._revsLimit);
+  };
+
+  api._setRevsLimit = function (limit, callback) {
+    db.transaction(function (tx) {
+      var sql = 'UPDATE ' + META_STORE + ' SET revs_limit = ?';
+      tx.executeSql(sql, [limit]);
+    }, websqlError(callback), function () {
+      api._revsLimit = limit;
+      callback(null, {ok: true});
+    });
+  };
+
   api._doCompaction = function (docId, revs, callback) {
     if (!revs.length) {
       return callback();
@@ -892,17 +1007,114 @@ function WebSqlPouch(opts, callback) {
             opts.status = 'missing';
           }
         });
+        if (revsLimit.exceeds(metadata.rev_tree, api._revsLimit)) {
+          // drop the revisions beyond revs_limit, along with their bodies
+          var stemmed = revsLimit.stem(metadata.rev_tree, api._revsLimit);
+          metadata.rev_tree = stemmed.tree;
+          revs = revs.concat(stemmed.stemmedRevs.filter(function (rev) {
+            return revs.indexOf(rev) === -1;
+          }));
+        }
 
         var sql = 'UPDATE ' + DOC_STORE + ' SET json = ? WHERE id = ?';
         tx.executeSql(sql, [utils.safeJsonStringify(metadata), docId]);
-      });
 
-      compactRevs(revs, docId, tx);
+        compactRevs(revs, docId, tx);
+      });
     }, websqlError(callback), function () {
       callback();
     });
   };
 
+  // finds the docs that have expired, and the time the next one expires
+  api._getExpired = function (now, callback) {
+    var ids = [];
+    var next;
+    db.readTransaction(function (tx) {
+      var sql = 'SELECT id FROM ' + DOC_STORE + ' WHERE expires_at <= ?';
+      tx.executeSql(sql, [now], function (tx, result) {
+        for (var i = 0; i < result.rows.length; i++) {
+          ids.push(result.rows.item(i).id);
+        }
+      });
+      sql = 'SELECT MIN(expires_at) AS next FROM ' + DOC_STORE +
+        ' WHERE expires_at > ?';
+      tx.executeSql(sql, [now], function (tx, result) {
+        var item = result.rows.item(0);
+        if (typeof item.next === 'number') {
+          next = item.next;
+        }
+      });
+    }, websqlError(callback), function () {
+      callback(null, {ids: ids, next: next});
+    });
+  };
+
+  // lists the docs with their sizes and the seqs they were last written at
+  api._getSizes = function (callback) {
+    var sizes = [];
+    db.readTransaction(function (tx) {
+      var sql = 'SELECT id, max_seq, json FROM ' + DOC_STORE;
+      tx.executeSql(sql, [], function (tx, result) {
+        for (var i = 0; i < result.rows.length; i++) {
+          var item = result.rows.item(i);
+          var metadata = utils.safeJsonParse(item.json);
+          sizes.push({
+            id: item.id,
+            size: metadata.size || 0,
+            seq: item.max_seq
+          });
+        }
+      });
+    }, websqlError(callback), function () {
+      callback(null, sizes);
+    });
+  };
+
+  // removes leaf revisions from a doc, along with their bodies and
+  // attachments, without leaving tombstones behind
+  api._purge = function (docId, revs, callback) {
+    var purged = [];
+    var missing = false;
+    db.transaction(function (tx) {
+      var sql = 'SELECT json AS metadata FROM ' + DOC_STORE + ' WHERE id = ?';
+      tx.executeSql(sql, [docId], function (tx, result) {
+        if (!result.rows.length) {
+          missing = true;
+          return;
+        }
+        var metadata = utils.safeJsonParse(result.rows.item(0).metadata);
+        var removed = removeLeaves(metadata.rev_tree, revs);
+        purged = revs.filter(function (rev) {
+          return removed.removedRevs.indexOf(rev) !== -1;
+        });
+        compactRevs(removed.removedRevs, docId, tx);
+        if (!removed.tree.length) {
+          sql = 'DELETE FROM ' + DOC_STORE + ' WHERE id = ?';
+          tx.executeSql(sql, [docId]);
+          if (metadata.size) {
+            sql = 'UPDATE ' + META_STORE +
+              ' SET data_size = COALESCE(data_size, 0) - ?';
+            tx.executeSql(sql, [metadata.size]);
+          }
+          return;
+        }
+        metadata.rev_tree = removed.tree;
+        sql = 'UPDATE ' + DOC_STORE + ' SET json = ?, winningseq = ' +
+          '(SELECT seq FROM ' + BY_SEQ_STORE +
+          ' WHERE doc_id = ' + DOC_STORE + '.id AND rev = ?) WHERE id = ?';
+        tx.executeSql(sql, [utils.safeJsonStringify(metadata),
+          calculateWinningRev(metadata), docId]);
+      });
+    }, websqlError(callback), function () {
+      if (missing) {
+        return callback(errors.error(errors.MISSING_DOC));
+      }
+      api._docCount = -1; // invalidate
+      callback(null, {purged: purged});
+    });
+  };
+
   api._getLocal = function (id, callback) {
     db.readTransaction(function (tx) {
       var sql = 'SELECT json, rev FROM ' + LOCAL_STORE + ' WHERE id=?';
@@ -0,0 +1,139 @@
+'use strict';
+
+var utils = require('./utils');
+var upsert = require('./deps/upsert');
+var Promise = utils.Promise;
+
+// The names of the local databases are kept in a database of their own,
+// one per adapter, so that they can still be listed after a restart.
+// Databases are added to it when they're opened and removed when they're
+// destroyed, and both are reported as db updates on the PouchDB
+// constructor, along with the writes that the adapters' Changes notifiers
+// see.
+var ALL_DBS_NAME = 'pouch__all_dbs__';
+var DOC_PREFIX = 'db_';
+
+function isLocalAdapter(adapter) {
+  return adapter !== 'http' && adapter !== 'https';
+}
+
+// dependent dbs, like the ones of map/reduce views and search indexes, are
+// left out
+function isListed(name, opts) {
+  return name !== ALL_DBS_NAME && !opts.dependent;
+}
+
+function emitUpdate(PouchDB, name, adapter, type) {
+  PouchDB.emit('db_update', {db_name: name, type: type, adapter: adapter});
+}
+
+// runs fun on the registry of the adapter, after anything that was queued
+// before, so that opening and destroying a db don't race each other
+function withRegistry(PouchDB, adapter, fun) {
+  var state = PouchDB._allDbs;
+  if (!state.registries[adapter]) {
+    state.registries[adapter] = {
+      db: new PouchDB(ALL_DBS_NAME, {adapter: adapter}),
+      queue: Promise.resolve()
+    };
+  }
+  var registry = state.registries[adapter];
+  var result = registry.queue.then(function () {
+    return fun(registry.db);
+  });
+  registry.queue = result.catch(function () {
+    // keep the queue going
+  });
+  return result;
+}
+
+function listenForUpdates(PouchDB, adapter) {
+  var state = PouchDB._allDbs;
+  var Changes = PouchDB.adapters[adapter].Changes;
+  if (state.listening[adapter] || !Changes) {
+    return;
+  }
+  state.listening[adapter] = true;
+  Changes.addUpdateListener(function (internalName) {
+    var name = state.names[adapter + ':' + internalName];
+    if (name) {
+      emitUpdate(PouchDB, name, adapter, 'updated');
+    }
+  });
+}
+
+function getDefaultAdapter(PouchDB) {
+  return PouchDB.preferredAdapters.filter(function (adapter) {
+    return adapter in PouchDB.adapters;
+  })[0];
+}
+
+// adds a db that was just opened to the registry. the callback never gets
+// an error, as the registry is only a convenience
+exports.onOpen = function (db, opts, callback) {
+  var PouchDB = db.constructor;
+  var name = opts.originalName;
+  var adapter = opts.adapter;
+  if (!isLocalAdapter(adapter) || !isListed(name, opts)) {
+    return callback();
+  }
+  PouchDB._allDbs.names[adapter + ':' + opts.name] = name;
+  listenForUpdates(PouchDB, adapter);
+  withRegistry(PouchDB, adapter, function (registry) {
+    return upsert(registry, DOC_PREFIX + name, function (doc) {
+      if (doc.name) {
+        return false; // already listed
+      }
+      doc.name = name;
+      return doc;
+    });
+  }).then(function (res) {
+    if (res.updated) {
+      emitUpdate(PouchDB, name, adapter, 'created');
+    }
+  }).catch(function () {
+    // the registry couldn't be written to
+  }).then(function () {
+    callback();
+  });
+};
+
+// removes a db that was just destroyed from the registry
+exports.onDestroyed = function (db, callback) {
+  var PouchDB = db.constructor;
+  var name = db._db_name;
+  var adapter = db._adapter;
+  if (!isLocalAdapter(adapter) || !isListed(name, db.__opts)) {
+    return callback();
+  }
+  withRegistry(PouchDB, adapter, function (registry) {
+    return registry.get(DOC_PREFIX + name).then(function (doc) {
+      return registry.remove(doc);
+    });
+  }).then(function () {
+    emitUpdate(PouchDB, name, adapter, 'deleted');
+  }).catch(function () {
+    // it wasn't listed
+  }).then(function () {
+    callback();
+  });
+};
+
+// lists the names of the local databases of an adapter, which defaults to
+// the adapter that new databases get
+exports.allDbs = function (PouchDB, opts) {
+  var adapter = opts.adapter || getDefaultAdapter(PouchDB);
+  if (!adapter || !isLocalAdapter(adapter)) {
+    return Promise.resolve([]);
+  }
+  return withRegistry(PouchDB, adapter, function (registry) {
+    return registry.allDocs({
+      startkey: DOC_PREFIX,
+      endkey: DOC_PREFIX + '\uffff'
+    });
+  }).then(function (res) {
+    return res.rows.map(function (row) {
+      return row.id.substring(DOC_PREFIX.length);
+    });
+  });
+};
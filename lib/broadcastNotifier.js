@@ -0,0 +1,30 @@
+'use strict';
+
+// A changes notifier that tells the other tabs and workers about writes
+// through a BroadcastChannel. Unlike storage events, BroadcastChannel
+// messages also reach workers, and don't write anything to disk.
+function BroadcastNotifier(Channel) {
+  var self = this;
+  self._watchers = {};
+  self._channel = new Channel('pouchdb-changes');
+  self._channel.onmessage = function (e) {
+    var dbName = e.data && e.data.dbName;
+    if (dbName && self._watchers[dbName]) {
+      self._watchers[dbName]();
+    }
+  };
+}
+
+BroadcastNotifier.prototype.notify = function (dbName) {
+  this._channel.postMessage({dbName: dbName});
+};
+
+BroadcastNotifier.prototype.watch = function (dbName, onChange) {
+  this._watchers[dbName] = onChange;
+};
+
+BroadcastNotifier.prototype.unwatch = function (dbName) {
+  delete this._watchers[dbName];
+};
+
+module.exports = BroadcastNotifier;
@@ -5,6 +5,7 @@ var errors = require('./deps/errors');
 var EE = require('events').EventEmitter;
 var evalFilter = require('./evalFilter');
 var evalView = require('./evalView');
+var ddocRequire = require('./ddocRequire');
 var parseDdocFunctionName = require('./deps/docs/parseDdocFunctionName');
 var normalizeDdocFunctionName =
   require('./deps/docs/normalizeDdocFunctionName');
@@ -209,7 +210,7 @@ Changes.prototype.filterChanges = function (opts) {
           (ddoc.views ? 'missing json key: ' + viewName[1] :
             'missing json key: views')));
       }
-      opts.filter = evalView(mapFun);
+      opts.filter = evalView(mapFun, ddocRequire.forViews(ddoc));
       self.doChanges(opts);
     });
   } else {
@@ -233,7 +234,7 @@ Changes.prototype.filterChanges = function (opts) {
           ((ddoc && ddoc.filters) ? 'missing json key: ' + filterName[1]
             : 'missing json key: filters')));
       }
-      opts.filter = evalFilter(filterFun);
+      opts.filter = evalFilter(filterFun, ddocRequire.forDdoc(ddoc));
       self.doChanges(opts);
     });
   }
@@ -2,41 +2,55 @@
 
 var EventEmitter = require('events').EventEmitter;
 var inherits = require('inherits');
-var isChromeApp = require('./deps/env/isChromeApp');
-var hasLocalStorage = require('./deps/env/hasLocalStorage');
 var pick = require('./deps/pick');
+var ChangesNotifier = require('./changesNotifier');
 
 inherits(Changes, EventEmitter);
 
-/* istanbul ignore next */
-function attachBrowserEvents(self) {
-  if (isChromeApp()) {
-    chrome.storage.onChanged.addListener(function (e) {
-      // make sure it's event addressed to us
-      if (e.db_name != null) {
-        //object only has oldValue, newValue members
-        self.emit(e.dbName.newValue);
-      }
-    });
-  } else if (hasLocalStorage()) {
-    if (typeof addEventListener !== 'undefined') {
-      addEventListener("storage", function (e) {
-        self.emit(e.key);
-      });
-    } else { // old IE
-      window.attachEvent("storage", function (e) {
-        self.emit(e.key);
-      });
-    }
-  }
-}
-
 function Changes() {
   EventEmitter.call(this);
   this._listeners = {};
-
-  attachBrowserEvents(this);
+  this._updateListeners = [];
+  this.setNotifier(new ChangesNotifier());
 }
+
+// The notifier tells other windows or processes about the writes made here,
+// and tells us about theirs. It has to implement:
+// - notify(dbName), called after every write to the db
+// - watch(dbName, onChange), to call onChange on the writes made elsewhere,
+//   for as long as anyone listens to the changes of the db here
+// - unwatch(dbName)
+Changes.prototype.setNotifier = function (notifier) {
+  var self = this;
+  var watched = Object.keys(self._watched || {});
+  watched.forEach(function (dbName) {
+    self._notifier.unwatch(dbName);
+  });
+  self._notifier = notifier;
+  self._watched = {};
+  watched.forEach(function (dbName) {
+    self._watch(dbName);
+  });
+};
+
+Changes.prototype._watch = function (dbName) {
+  var self = this;
+  if (self._watched[dbName]) {
+    return;
+  }
+  self._watched[dbName] = true;
+  self._notifier.watch(dbName, function () {
+    self.emit(dbName);
+  });
+};
+
+Changes.prototype._unwatch = function (dbName) {
+  if (this._watched[dbName]) {
+    delete this._watched[dbName];
+    this._notifier.unwatch(dbName);
+  }
+};
+
 Changes.prototype.addListener = function (dbName, id, db, opts) {
   if (this._listeners[id]) {
     return;
@@ -75,6 +89,7 @@ Changes.prototype.addListener = function (dbName, id, db, opts) {
   }
   this._listeners[id] = eventFunction;
   this.on(dbName, eventFunction);
+  this._watch(dbName);
 };
 
 Changes.prototype.removeListener = function (dbName, id) {
@@ -83,23 +98,40 @@ Changes.prototype.removeListener = function (dbName, id) {
   }
   EventEmitter.prototype.removeListener.call(this, dbName,
     this._listeners[id]);
+  if (!this.listeners(dbName).length) {
+    this._unwatch(dbName);
+  }
+};
+
+Changes.prototype.removeAllListeners = function (dbName) {
+  EventEmitter.prototype.removeAllListeners.apply(this, arguments);
+  if (typeof dbName === 'undefined') {
+    Object.keys(this._watched).forEach(this._unwatch, this);
+  } else {
+    this._unwatch(dbName);
+  }
+  return this;
 };
 
+// update listeners are told about every write to a db of the adapter,
+// unlike the changes listeners above, which only listen to one db
+Changes.prototype.addUpdateListener = function (fun) {
+  this._updateListeners.push(fun);
+};
 
-/* istanbul ignore next */
-Changes.prototype.notifyLocalWindows = function (dbName) {
-  //do a useless change on a storage thing
-  //in order to get other windows's listeners to activate
-  if (isChromeApp()) {
-    chrome.storage.local.set({dbName: dbName});
-  } else if (hasLocalStorage()) {
-    localStorage[dbName] = (localStorage[dbName] === "a") ? "b" : "a";
+Changes.prototype.removeUpdateListener = function (fun) {
+  var i = this._updateListeners.indexOf(fun);
+  if (i !== -1) {
+    this._updateListeners.splice(i, 1);
   }
 };
 
 Changes.prototype.notify = function (dbName) {
   this.emit(dbName);
-  this.notifyLocalWindows(dbName);
+  this._notifier.notify(dbName);
+  this._updateListeners.forEach(function (fun) {
+    fun(dbName);
+  });
 };
 
 module.exports = Changes;
@@ -0,0 +1,72 @@
+'use strict';
+
+var isChromeApp = require('./deps/env/isChromeApp');
+var hasLocalStorage = require('./deps/env/hasLocalStorage');
+var BroadcastNotifier = require('./broadcastNotifier');
+
+// Tells the other windows about writes through a BroadcastChannel where
+// there is one, or else through chrome.storage or localStorage, whose
+// change events only fire in the windows that didn't make the change.
+function ChangesNotifier() {
+  /* global BroadcastChannel */
+  if (typeof BroadcastChannel !== 'undefined') {
+    return new BroadcastNotifier(BroadcastChannel);
+  }
+  this._watchers = {};
+  this._attached = false;
+}
+
+/* istanbul ignore next */
+ChangesNotifier.prototype._attach = function () {
+  var self = this;
+  if (self._attached) {
+    return;
+  }
+  self._attached = true;
+  function onChange(dbName) {
+    if (self._watchers[dbName]) {
+      self._watchers[dbName]();
+    }
+  }
+  if (isChromeApp()) {
+    chrome.storage.onChanged.addListener(function (e) {
+      // make sure it's event addressed to us
+      if (e.dbName != null) {
+        //object only has oldValue, newValue members
+        onChange(e.dbName.newValue);
+      }
+    });
+  } else if (hasLocalStorage()) {
+    if (typeof addEventListener !== 'undefined') {
+      addEventListener("storage", function (e) {
+        onChange(e.key);
+      });
+    } else { // old IE
+      window.attachEvent("storage", function (e) {
+        onChange(e.key);
+      });
+    }
+  }
+};
+
+/* istanbul ignore next */
+ChangesNotifier.prototype.notify = function (dbName) {
+  //do a useless change on a storage thing
+  //in order to get other windows's listeners to activate
+  if (isChromeApp()) {
+    chrome.storage.local.set({dbName: dbName});
+  } else if (hasLocalStorage()) {
+    localStorage[dbName] = (localStorage[dbName] === "a") ? "b" : "a";
+  }
+};
+
+ChangesNotifier.prototype.watch = function (dbName, onChange) {
+  this._watchers[dbName] = onChange;
+  this._attach();
+};
+
+ChangesNotifier.prototype.unwatch = function (dbName) {
+  delete this._watchers[dbName];
+};
+
+module.exports = ChangesNotifier;
@@ -0,0 +1,232 @@
+'use strict';
+
+var crypto = require('crypto');
+var fs = require('fs');
+var net = require('net');
+var os = require('os');
+var path = require('path');
+
+// how many times a channel tries to connect to, or become, the hub of a db
+// before it gives up, and how long it waits in between
+var MAX_ATTEMPTS = 5;
+var RETRY_DELAY = 50;
+
+// In Node, the processes that use the same database tell each other about
+// their writes over a Unix socket (a named pipe on Windows) of its own. The
+// first process that watches the database listens on the socket and becomes
+// its hub; the others connect to it. Each write is a newline, which the hub
+// passes on to every other process, so a process never hears about its own
+// writes. Processes that only write to a database don't become its hub, so
+// their writes are dropped while no other process is watching.
+//
+// The default LevelDB backend locks its directory, so only one process can
+// have a database open at a time. This only matters for backends that
+// several processes can share.
+function ChangesNotifier() {
+  this._channels = {};
+}
+
+function getSocketPath(dbName) {
+  var hash = crypto.createHash('sha1').update(path.resolve(dbName))
+    .digest('hex').substring(0, 20);
+  if (process.platform === 'win32') {
+    return '\\\\.\\pipe\\pouchdb-' + hash;
+  }
+  return path.join(os.tmpdir(), 'pouchdb-' + hash + '.sock');
+}
+
+// the hubs of this process, which are closed on exit so that their socket
+// files are removed
+var hubs = [];
+var closingHubsOnExit = false;
+
+function closeHubs() {
+  hubs.forEach(function (hub) {
+    hub.close();
+  });
+}
+
+// the connection of this process to the other ones that use a db
+function Channel(socketPath, onClosed) {
+  this.path = socketPath;
+  this.onChange = null; // set while the db is watched
+  this.onClosed = onClosed;
+  this.socket = null;   // to the hub
+  this.hub = null;      // the server, if this is the hub
+  this.clients = [];    // the sockets of the other processes, if it is
+  this.pending = false; // a write that wasn't sent yet
+  this.closed = false;
+  this._connect(1);
+}
+
+Channel.prototype._connect = function (attempt) {
+  var self = this;
+  var connected = false;
+  var socket = net.connect(self.path);
+  socket.on('connect', function () {
+    connected = true;
+    if (self.closed) {
+      return socket.destroy();
+    }
+    socket.unref();
+    self.socket = socket;
+    self._flush();
+  });
+  socket.on('data', function (data) {
+    self._received(data, socket);
+  });
+  socket.on('error', function (err) {
+    if (connected || self.closed) {
+      return; // 'close' follows
+    }
+    if (!self.onChange || attempt >= MAX_ATTEMPTS) {
+      // nobody to tell, or nobody to become the hub
+      return self.close();
+    }
+    self._listen(err.code === 'ECONNREFUSED', attempt);
+  });
+  socket.on('close', function () {
+    if (self.socket === socket) {
+      // the hub went away, so another process has to take over
+      self.socket = null;
+      if (!self.closed) {
+        self._connect(1);
+      }
+    }
+  });
+};
+
+// stale: there's a socket file that nobody listens on, left behind by a
+// process that didn't exit cleanly
+Channel.prototype._listen = function (stale, attempt) {
+  var self = this;
+  if (stale && process.platform !== 'win32') {
+    try {
+      fs.unlinkSync(self.path);
+    } catch (err) {
+      // another process got to it first
+    }
+  }
+  var server = net.createServer(function (client) {
+    client.unref();
+    self.clients.push(client);
+    client.on('data', function (data) {
+      self._received(data, client);
+    });
+    client.on('error', function () {
+      // 'close' follows
+    });
+    client.on('close', function () {
+      self.clients.splice(self.clients.indexOf(client), 1);
+    });
+  });
+  server.on('error', function () {
+    // another process became the hub first
+    setTimeout(function () {
+      if (!self.closed) {
+        self._connect(attempt + 1);
+      }
+    }, RETRY_DELAY);
+  });
+  server.listen(self.path, function () {
+    server.unref();
+    if (self.closed) {
+      return server.close();
+    }
+    self.hub = server;
+    hubs.push(server);
+    if (!closingHubsOnExit) {
+      closingHubsOnExit = true;
+      process.on('exit', closeHubs);
+    }
+    self._flush();
+  });
+};
+
+Channel.prototype._received = function (data, from) {
+  if (this.hub) {
+    this.clients.forEach(function (client) {
+      if (client !== from) {
+        client.write(data);
+      }
+    });
+  }
+  if (this.onChange) {
+    this.onChange();
+  }
+};
+
+Channel.prototype.send = function () {
+  this.pending = true;
+  this._flush();
+};
+
+Channel.prototype._flush = function () {
+  if (!this.pending || (!this.socket && !this.hub)) {
+    return;
+  }
+  this.pending = false;
+  if (this.hub) {
+    this.clients.forEach(function (client) {
+      client.write('\n');
+    });
+    return;
+  }
+  var socket = this.socket;
+  // the process is kept alive until the write is out, as it may be about
+  // to exit
+  socket.ref();
+  socket.write('\n', function () {
+    socket.unref();
+  });
+};
+
+Channel.prototype.close = function () {
+  if (this.closed) {
+    return;
+  }
+  this.closed = true;
+  if (this.socket) {
+    this.socket.destroy();
+  }
+  if (this.hub) {
+    hubs.splice(hubs.indexOf(this.hub), 1);
+    this.hub.close();
+    this.clients.forEach(function (client) {
+      client.destroy();
+    });
+  }
+  this.onClosed();
+};
+
+ChangesNotifier.prototype._channel = function (dbName) {
+  var self = this;
+  var channel = self._channels[dbName];
+  if (!channel) {
+    channel = self._channels[dbName] = new Channel(getSocketPath(dbName),
+      function () {
+        if (self._channels[dbName] === channel) {
+          delete self._channels[dbName];
+        }
+      });
+  }
+  return channel;
+};
+
+ChangesNotifier.prototype.notify = function (dbName) {
+  this._channel(dbName).send();
+};
+
+// a channel that's watched becomes the hub if there isn't one yet
+ChangesNotifier.prototype.watch = function (dbName, onChange) {
+  this._channel(dbName).onChange = onChange;
+};
+
+ChangesNotifier.prototype.unwatch = function (dbName) {
+  var channel = this._channels[dbName];
+  if (channel) {
+    channel.close();
+  }
+};
+
+module.exports = ChangesNotifier;
@@ -6,8 +6,32 @@ var debug = require('debug');
 var Adapter = require('./adapter');
 var utils = require('./utils');
 var TaskQueue = require('./taskqueue');
+var crypto = require('./crypto');
+var revsLimit = require('./deps/revsLimit');
+var expiry = require('./expiry');
+var quota = require('./quota');
+var allDbs = require('./allDbs');
 var Promise = utils.Promise;
 
+// persists the revs_limit option, unless the db already has that limit
+function setUpRevsLimit(db, limit, callback) {
+  var err = revsLimit.validate(limit);
+  if (err) {
+    return callback(err);
+  }
+  if (typeof db._setRevsLimit !== 'function') {
+    return callback();
+  }
+  db._getRevsLimit(function (err, current) {
+    if (err || current === limit) {
+      return callback(err);
+    }
+    db._setRevsLimit(limit, function (err) {
+      callback(err);
+    });
+  });
+}
+
 function defaultCallback(err) {
   /* istanbul ignore next */
   if (err && global.debug) {
@@ -152,19 +176,50 @@ function PouchDB(name, opts, callback) {
 
     self.replicate.sync = self.sync;
 
-    PouchDB.adapters[opts.adapter].call(self, opts, function (err) {
-      /* istanbul ignore if */
+    function onReady(err) {
       if (err) {
         self.taskqueue.fail(err);
         callback(err);
         return;
       }
       prepareForDestruction(self, opts);
+      expiry.init(self);
+      quota.init(self);
+
+      allDbs.onOpen(self, opts, function () {
+        self.emit('created', self);
+        PouchDB.emit('created', opts.originalName);
+        self.taskqueue.ready(self);
+        callback(null, self);
+      });
+    }
 
-      self.emit('created', self);
-      PouchDB.emit('created', opts.originalName);
-      self.taskqueue.ready(self);
-      callback(null, self);
+    PouchDB.adapters[opts.adapter].call(self, opts, function (err) {
+      /* istanbul ignore if */
+      if (err) {
+        return onReady(err);
+      }
+      function setUpCrypto(err) {
+        if (err || !opts.crypto) {
+          return onReady(err);
+        }
+        // encrypt docs and attachments before the db can be used
+        crypto.setup(self, opts.crypto, onReady);
+      }
+      if ('ttl' in opts) {
+        err = expiry.validateTtl(opts.ttl);
+        if (err) {
+          return onReady(err);
+        }
+      }
+      err = quota.validate(opts);
+      if (err) {
+        return onReady(err);
+      }
+      if ('revs_limit' in opts) {
+        return setUpRevsLimit(self, opts.revs_limit, setUpCrypto);
+      }
+      setUpCrypto();
     });
 
     /* istanbul ignore next */
@@ -0,0 +1,143 @@
+'use strict';
+
+var utils = require('./utils');
+var EE = require('events').EventEmitter;
+var LeaderElection = require('./leaderElection');
+
+// the sync events that the leader passes on to the other tabs
+var EVENTS = ['change', 'paused', 'active', 'denied', 'resolved', 'progress'];
+
+utils.inherits(CoordinatedSync, EE);
+module.exports = CoordinatedSync;
+
+function dbName(db) {
+  return db._db_name || db.name;
+}
+
+// A live sync that only runs in one of the tabs that start it, the leader,
+// which passes its events on to the others through a BroadcastChannel. When
+// the leader goes away, another tab takes over. The other tabs still write
+// to the database themselves, and the leader's sync picks their writes up
+// like any other.
+function CoordinatedSync(src, target, opts, callback, createSync) {
+  EE.call(this);
+  var self = this;
+  this.canceled = false;
+  this.isLeader = false;
+
+  var syncOpts = utils.extend({}, opts);
+  delete syncOpts.leader_election;
+  delete syncOpts.BroadcastChannel;
+
+  var name = 'pouchdb-sync-' + dbName(src) + '-' + dbName(target);
+  var channel = this._channel = new opts.BroadcastChannel(name);
+  var election = this._election = new LeaderElection(channel);
+
+  channel.onmessage = function (e) {
+    var msg = e.data;
+    if (msg && msg.type === 'event') {
+      if (!self.isLeader && !self.canceled) {
+        self.emit(msg.name, msg.data);
+      }
+    } else {
+      election.handle(msg);
+    }
+  };
+
+  function forward(name) {
+    return function (data) {
+      self.emit(name, data);
+      channel.postMessage({type: 'event', name: name, data: data});
+    };
+  }
+
+  function startSync() {
+    self.isLeader = true;
+    var sync = self._sync = createSync(syncOpts);
+    EVENTS.forEach(function (name) {
+      sync.on(name, forward(name));
+    });
+    sync.then(null, function (err) {
+      if (self._sync === sync) {
+        finish(err);
+      }
+    });
+    self.emit('leader');
+  }
+
+  function stopSync() {
+    self.isLeader = false;
+    if (self._sync) {
+      var sync = self._sync;
+      self._sync = null;
+      sync.cancel();
+      return sync.then(null, function () {
+        // it's being cancelled anyway
+      });
+    }
+    return utils.Promise.resolve();
+  }
+
+  election.on('leader', startSync);
+  election.on('resign', stopSync);
+
+  var promise = new utils.Promise(function (fulfill, reject) {
+    self._finish = function (err) {
+      if (err) {
+        reject(err);
+      } else {
+        fulfill({status: 'cancelled'});
+      }
+    };
+  });
+
+  function finish(err) {
+    if (self.canceled) {
+      return;
+    }
+    self.canceled = true;
+    src.removeListener('destroyed', onDestroy);
+    stopSync().then(function () {
+      election.close();
+      channel.close();
+      self._finish(err);
+    });
+  }
+  this._cancel = function () {
+    finish();
+  };
+
+  function onDestroy() {
+    self.cancel();
+  }
+  src.once('destroyed', onDestroy);
+
+  promise.then(function (resp) {
+    self.emit('complete', resp);
+    if (callback) {
+      callback(null, resp);
+    }
+    self.removeAllListeners();
+  }, function (err) {
+    if (callback) {
+      callback(err);
+    } else {
+      self.emit('error', err);
+    }
+    self.removeAllListeners();
+  });
+
+  this.then = function (success, err) {
+    return promise.then(success, err);
+  };
+
+  this.catch = function (err) {
+    return promise.catch(err);
+  };
+
+  election.apply();
+}
+
+CoordinatedSync.prototype.cancel = function () {
+  this._cancel();
+};
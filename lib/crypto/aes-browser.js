@@ -0,0 +1,81 @@
+'use strict';
+
+var Promise = require('../deps/promise');
+var base64 = require('../deps/binary/base64');
+var arrayBufferToBinaryString =
+  require('../deps/binary/arrayBufferToBinaryString');
+var binaryStringToArrayBuffer =
+  require('../deps/binary/binaryStringToArrayBuffer');
+
+// Same as aes.js, but using the WebCrypto API
+
+var KEY_LENGTH = 32;
+var IV_LENGTH = 12;
+
+function getSubtle() {
+  var crypto = global.crypto || global.msCrypto;
+  /* istanbul ignore if */
+  if (!crypto || !crypto.subtle) {
+    throw new Error('The WebCrypto API is required for encryption');
+  }
+  return crypto.subtle;
+}
+
+function toArrayBuffer(data) {
+  return binaryStringToArrayBuffer(base64.atob(data));
+}
+
+function toBase64(buffer) {
+  return base64.btoa(arrayBufferToBinaryString(buffer));
+}
+
+function randomBytes(length) {
+  var bytes = new Uint8Array(length);
+  (global.crypto || global.msCrypto).getRandomValues(bytes);
+  return bytes;
+}
+
+exports.randomBase64 = function (length) {
+  return toBase64(randomBytes(length).buffer);
+};
+
+exports.deriveKey = function (password, salt, iterations) {
+  /* global unescape */
+  var subtle = getSubtle();
+  var passwordBuffer = binaryStringToArrayBuffer(
+    unescape(encodeURIComponent(password)));
+  return Promise.resolve(subtle.importKey('raw', passwordBuffer,
+    {name: 'PBKDF2'}, false, ['deriveKey'])).then(function (baseKey) {
+    return subtle.deriveKey({
+      name: 'PBKDF2',
+      salt: toArrayBuffer(salt),
+      iterations: iterations,
+      hash: 'SHA-256'
+    }, baseKey, {name: 'AES-GCM', length: KEY_LENGTH * 8}, false,
+      ['encrypt', 'decrypt']);
+  });
+};
+
+exports.importKey = function (raw) {
+  return Promise.resolve(getSubtle().importKey('raw', toArrayBuffer(raw),
+    {name: 'AES-GCM'}, false, ['encrypt', 'decrypt']));
+};
+
+// returns the iv, followed by the ciphertext and the auth tag
+exports.encrypt = function (key, data) {
+  var iv = randomBytes(IV_LENGTH);
+  return Promise.resolve(getSubtle().encrypt({name: 'AES-GCM', iv: iv}, key,
+    toArrayBuffer(data))).then(function (encrypted) {
+    return base64.btoa(arrayBufferToBinaryString(iv.buffer) +
+      arrayBufferToBinaryString(encrypted));
+  });
+};
+
+// rejects if the data was tampered with or encrypted with another key
+exports.decrypt = function (key, data) {
+  var buffer = toArrayBuffer(data);
+  return Promise.resolve(getSubtle().decrypt({
+    name: 'AES-GCM',
+    iv: new Uint8Array(buffer, 0, IV_LENGTH)
+  }, key, new Uint8Array(buffer, IV_LENGTH))).then(toBase64);
+};
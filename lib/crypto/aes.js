@@ -0,0 +1,64 @@
+'use strict';
+
+var crypto = require('crypto');
+var Promise = require('../deps/promise');
+
+// AES-256-GCM with PBKDF2-SHA256 key derivation. All binary data is passed
+// around as base64 strings, so that callers don't have to care whether
+// they're dealing with Buffers or ArrayBuffers.
+
+var KEY_LENGTH = 32;
+var IV_LENGTH = 12;
+var TAG_LENGTH = 16;
+
+exports.randomBase64 = function (length) {
+  return crypto.randomBytes(length).toString('base64');
+};
+
+exports.deriveKey = function (password, salt, iterations) {
+  return new Promise(function (resolve, reject) {
+    crypto.pbkdf2(password, new Buffer(salt, 'base64'), iterations,
+      KEY_LENGTH, 'sha256', function (err, key) {
+      /* istanbul ignore if */
+      if (err) {
+        return reject(err);
+      }
+      resolve(key);
+    });
+  });
+};
+
+exports.importKey = function (raw) {
+  return Promise.resolve(new Buffer(raw, 'base64'));
+};
+
+// returns the iv, followed by the ciphertext and the auth tag
+exports.encrypt = function (key, data) {
+  return new Promise(function (resolve) {
+    var iv = crypto.randomBytes(IV_LENGTH);
+    var cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    var encrypted = Buffer.concat([
+      iv,
+      cipher.update(new Buffer(data, 'base64')),
+      cipher.final(),
+      cipher.getAuthTag()
+    ]);
+    resolve(encrypted.toString('base64'));
+  });
+};
+
+// rejects if the data was tampered with or encrypted with another key
+exports.decrypt = function (key, data) {
+  return new Promise(function (resolve) {
+    var buffer = new Buffer(data, 'base64');
+    var iv = buffer.slice(0, IV_LENGTH);
+    var tag = buffer.slice(buffer.length - TAG_LENGTH);
+    var decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    var decrypted = Buffer.concat([
+      decipher.update(buffer.slice(IV_LENGTH, buffer.length - TAG_LENGTH)),
+      decipher.final()
+    ]);
+    resolve(decrypted.toString('base64'));
+  });
+};
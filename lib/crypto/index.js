@@ -0,0 +1,507 @@
+'use strict';
+
+var utils = require('../utils');
+var Promise = require('../deps/promise');
+var errors = require('../deps/errors');
+var isLocalId = require('../deps/docs/isLocalId');
+var base64 = require('../deps/binary/base64');
+var isBinaryObject = require('../deps/binary/isBinaryObject');
+var blobOrBufferToBase64 = require('../deps/binary/blobOrBufferToBase64');
+var base64StringToBlobOrBuffer =
+  require('../deps/binary/base64StringToBlobOrBuffer');
+var aes = require('./aes');
+
+// Transparent encryption of document bodies and attachments for the local
+// adapters. Every database gets its own random data keys, which are stored
+// in the _local/crypto doc, wrapped with a key derived from the passphrase.
+// _id, _rev, the other special fields and the revision tree aren't
+// encrypted, so the database can still be replicated and compacted as usual.
+// The rest of the body is stored in the reserved _encrypted field, which
+// user data can't contain.
+
+var KEYRING_ID = '_local/crypto';
+var DEFAULT_ITERATIONS = 100000;
+var KEY_LENGTH = 32;
+var SALT_LENGTH = 16;
+// the key the dependent databases' passphrase is derived from; it's never
+// rotated, so the dependent databases don't have to be re-keyed
+var ROOT_KEY_ID = '1';
+
+// UTF-8 encodes the string, so it can be base64 encoded
+function toBinaryString(str) {
+  /* global unescape */
+  return unescape(encodeURIComponent(str));
+}
+
+function fromBinaryString(str) {
+  /* global escape */
+  return decodeURIComponent(escape(str));
+}
+
+function getLocal(db, id) {
+  return new Promise(function (resolve, reject) {
+    db._getLocal(id, function (err, doc) {
+      if (err) {
+        /* istanbul ignore else */
+        if (err.status === 404) {
+          return resolve(null);
+        }
+        return reject(err);
+      }
+      resolve(doc);
+    });
+  });
+}
+
+function putLocal(db, doc) {
+  return new Promise(function (resolve, reject) {
+    db._putLocal(doc, function (err, res) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(res);
+    });
+  });
+}
+
+function getUpdateSeq(db) {
+  return new Promise(function (resolve, reject) {
+    db._info(function (err, info) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(info.update_seq);
+    });
+  });
+}
+
+// the encrypted data is prefixed with the id of the key that was used,
+// so that data written before a key rotation can still be decrypted
+function encrypt(keyring, data) {
+  var keyId = keyring.current;
+  return aes.encrypt(keyring.keys[keyId], data).then(function (encrypted) {
+    return base64.btoa(keyId + ':' + base64.atob(encrypted));
+  });
+}
+
+function decrypt(keyring, data) {
+  return Promise.resolve().then(function () {
+    var binary = base64.atob(data);
+    var separator = binary.indexOf(':');
+    var key = separator !== -1 && keyring.keys[binary.substring(0, separator)];
+    if (!key) {
+      throw errors.error(errors.BAD_REQUEST,
+        'Data was encrypted with an unknown key');
+    }
+    return aes.decrypt(key, base64.btoa(binary.substring(separator + 1)));
+  });
+}
+
+function attachmentToBase64(att) {
+  if (isBinaryObject(att.data)) {
+    return blobOrBufferToBase64(att.data);
+  }
+  return Promise.resolve().then(function () {
+    try {
+      base64.atob(att.data);
+    } catch (e) {
+      throw errors.error(errors.BAD_ARG,
+        'Attachments need to be base64 encoded');
+    }
+    return att.data;
+  });
+}
+
+function encryptAttachments(keyring, attachments) {
+  var encrypted = {};
+  return Promise.all(Object.keys(attachments).map(function (name) {
+    var att = attachments[name];
+    if (att.stub) {
+      encrypted[name] = att;
+      return;
+    }
+    return attachmentToBase64(att).then(function (data) {
+      return encrypt(keyring, data);
+    }).then(function (data) {
+      // the adapter calculates the digest and length of the encrypted data
+      var encryptedAtt = utils.extend({}, att);
+      delete encryptedAtt.digest;
+      delete encryptedAtt.length;
+      encryptedAtt.data = data;
+      encrypted[name] = encryptedAtt;
+    });
+  })).then(function () {
+    return encrypted;
+  });
+}
+
+function encryptDoc(keyring, doc) {
+  if (isLocalId(doc._id)) {
+    return Promise.resolve(doc);
+  }
+  if ('_encrypted' in doc) {
+    var error = errors.error(errors.DOC_VALIDATION, '_encrypted');
+    error.message = errors.DOC_VALIDATION.message + ': _encrypted';
+    return Promise.reject(error);
+  }
+  var encrypted = {};
+  var body = {};
+  Object.keys(doc).forEach(function (key) {
+    if (key[0] === '_') {
+      encrypted[key] = doc[key];
+    } else {
+      body[key] = doc[key];
+    }
+  });
+  var json = base64.btoa(toBinaryString(JSON.stringify(body)));
+  return encrypt(keyring, json).then(function (data) {
+    encrypted._encrypted = data;
+    if (!doc._attachments) {
+      return encrypted;
+    }
+    return encryptAttachments(keyring, doc._attachments).then(function (atts) {
+      encrypted._attachments = atts;
+      return encrypted;
+    });
+  });
+}
+
+function fetchAttachment(db, att, binary) {
+  return new Promise(function (resolve, reject) {
+    db._getAttachment(att, {binary: binary}, function (err, data) {
+      /* istanbul ignore if */
+      if (err) {
+        return reject(err);
+      }
+      delete att.stub;
+      delete att.length;
+      att.data = data;
+      resolve();
+    });
+  });
+}
+
+// Decrypting is a no-op for docs that have already been decrypted, since
+// some adapters feed the results of their own changes() calls back into
+// _changes(). The attachments are fetched here rather than by the adapter,
+// so that they're decrypted by our _getAttachment().
+function decryptDoc(db, doc, opts) {
+  var promise = Promise.resolve(doc);
+  if (doc && typeof doc._encrypted === 'string') {
+    promise = decrypt(db._crypto, doc._encrypted).then(function (json) {
+      var body = JSON.parse(fromBinaryString(base64.atob(json)));
+      var decrypted = {};
+      Object.keys(doc).forEach(function (key) {
+        if (key !== '_encrypted') {
+          decrypted[key] = doc[key];
+        }
+      });
+      Object.keys(body).forEach(function (key) {
+        decrypted[key] = body[key];
+      });
+      return decrypted;
+    });
+  }
+  if (!opts.attachments) {
+    return promise;
+  }
+  return promise.then(function (doc) {
+    var atts = doc._attachments || {};
+    return Promise.all(Object.keys(atts).filter(function (name) {
+      return !('data' in atts[name]);
+    }).map(function (name) {
+      return fetchAttachment(db, atts[name], opts.binary);
+    })).then(function () {
+      return doc;
+    });
+  });
+}
+
+function wrapBulkDocs(db) {
+  var bulkDocs = db._bulkDocs;
+  db._bulkDocs = function (req, opts, callback) {
+    Promise.all(req.docs.map(function (doc) {
+      return encryptDoc(db._crypto, doc);
+    })).then(function (docs) {
+      bulkDocs.call(db, {docs: docs}, opts, callback);
+    }, callback);
+  };
+}
+
+function wrapGet(db) {
+  var get = db._get;
+  db._get = function (id, opts, callback) {
+    get.call(db, id, opts, function (err, res) {
+      if (err) {
+        return callback(err);
+      }
+      decryptDoc(db, res.doc, {}).then(function (doc) {
+        // don't pass on the ctx, since the adapter's transaction
+        // has finished by the time the doc is decrypted
+        callback(null, {doc: doc, metadata: res.metadata});
+      }, callback);
+    });
+  };
+}
+
+function wrapGetAttachment(db) {
+  var getAttachment = db._getAttachment;
+  db._getAttachment = function (attachment, opts, callback) {
+    var innerOpts = {binary: false, ctx: opts.ctx};
+    getAttachment.call(db, attachment, innerOpts, function (err, data) {
+      if (err) {
+        return callback(err);
+      }
+      decrypt(db._crypto, data).then(function (data) {
+        if (opts.binary) {
+          data = base64StringToBlobOrBuffer(data, attachment.content_type);
+        }
+        callback(null, data);
+      }, callback);
+    });
+  };
+}
+
+function wrapAllDocs(db) {
+  var allDocs = db._allDocs;
+  db._allDocs = function (opts, callback) {
+    var innerOpts = utils.extend({}, opts);
+    innerOpts.attachments = false;
+    allDocs.call(db, innerOpts, function (err, res) {
+      if (err) {
+        return callback(err);
+      }
+      Promise.all(res.rows.map(function (row) {
+        if (!row.doc) {
+          return;
+        }
+        return decryptDoc(db, row.doc, opts).then(function (doc) {
+          row.doc = doc;
+        });
+      })).then(function () {
+        callback(null, res);
+      }, callback);
+    });
+  };
+}
+
+// The adapters filter the changes before we get to decrypt them, so the
+// filter (and therefore the limit) is applied here instead.
+function wrapChanges(db) {
+  var changes = db._changes;
+  db._changes = function (opts) {
+    var filter = utils.filterChange(opts);
+    var limit = opts.filter && opts.limit > 0 ? opts.limit : 0;
+    var returnDocs = 'returnDocs' in opts ? opts.returnDocs : true;
+    var results = [];
+    var lastSeq = opts.since || 0;
+    var numResults = 0;
+    var cancelled = false;
+    var done = false;
+    var queue = Promise.resolve();
+    var handle;
+
+    function complete(err, res) {
+      if (!done) {
+        done = true;
+        opts.complete(err, res);
+      }
+    }
+
+    function processChange(change) {
+      if (cancelled || done) {
+        return;
+      }
+      return decryptDoc(db, change.doc, {
+        attachments: opts.include_docs && opts.attachments,
+        binary: opts.binary
+      }).then(function (doc) {
+        change.doc = doc;
+        var filtered = filter(change);
+        if (typeof filtered === 'object') {
+          return complete(filtered);
+        }
+        if (!filtered || cancelled || done) {
+          return;
+        }
+        lastSeq = change.seq;
+        opts.onChange(change);
+        if (returnDocs) {
+          results.push(change);
+        }
+        if (limit && ++numResults >= limit) {
+          if (handle && handle.cancel) {
+            handle.cancel();
+          }
+          complete(null, {results: results, last_seq: lastSeq});
+        }
+      });
+    }
+
+    var innerOpts = utils.extend({}, opts);
+    innerOpts.include_docs = true;
+    innerOpts.attachments = false;
+    innerOpts.returnDocs = false;
+    delete innerOpts.filter;
+    if (limit) {
+      delete innerOpts.limit;
+    }
+    innerOpts.onChange = function (change) {
+      queue = queue.then(function () {
+        return processChange(change);
+      }).catch(complete);
+    };
+    innerOpts.complete = function (err, res) {
+      queue.then(function () {
+        if (err) {
+          return complete(err);
+        }
+        complete(null, {results: results, last_seq: res.last_seq});
+      });
+    };
+
+    handle = changes.call(db, innerOpts);
+    return {
+      cancel: function () {
+        cancelled = true;
+        if (handle && handle.cancel) {
+          handle.cancel();
+        }
+      }
+    };
+  };
+}
+
+function wrapKey(kek, raw) {
+  return aes.encrypt(kek, raw);
+}
+
+function createKeyring(db, password, iterations) {
+  return getUpdateSeq(db).then(function (updateSeq) {
+    if (updateSeq) {
+      throw errors.error(errors.BAD_REQUEST,
+        'Encryption can only be enabled for a new database');
+    }
+    var salt = aes.randomBase64(SALT_LENGTH);
+    var raw = aes.randomBase64(KEY_LENGTH);
+    return aes.deriveKey(password, salt, iterations).then(function (kek) {
+      return wrapKey(kek, raw).then(function (wrapped) {
+        var keys = {};
+        keys[ROOT_KEY_ID] = wrapped;
+        return putLocal(db, {
+          _id: KEYRING_ID,
+          salt: salt,
+          iterations: iterations,
+          current: ROOT_KEY_ID,
+          keys: keys
+        });
+      }).then(function () {
+        return getLocal(db, KEYRING_ID);
+      });
+    });
+  });
+}
+
+function unlockKeyring(keyringDoc, password) {
+  return aes.deriveKey(password, keyringDoc.salt, keyringDoc.iterations)
+  .then(function (kek) {
+    var keyring = {kek: kek, current: keyringDoc.current, keys: {}};
+    var rootKey;
+    return Promise.all(Object.keys(keyringDoc.keys).map(function (keyId) {
+      return aes.decrypt(kek, keyringDoc.keys[keyId]).then(function (raw) {
+        if (keyId === ROOT_KEY_ID) {
+          rootKey = raw;
+        }
+        return aes.importKey(raw);
+      }).then(function (key) {
+        keyring.keys[keyId] = key;
+      });
+    })).then(function () {
+      return {keyring: keyring, rootKey: rootKey};
+    }, function () {
+      throw errors.error(errors.UNAUTHORIZED, 'Invalid crypto password');
+    });
+  });
+}
+
+// Unlocks (or creates) the keys for the given database and makes the adapter
+// encrypt and decrypt everything it stores.
+exports.setup = function (db, opts, callback) {
+  Promise.resolve().then(function () {
+    if (db.type() === 'http') {
+      throw errors.error(errors.BAD_REQUEST,
+        'The crypto option is only supported for local databases');
+    }
+    if (typeof opts.password !== 'string' || !opts.password) {
+      throw errors.error(errors.BAD_REQUEST,
+        'The crypto option needs a password');
+    }
+    return getLocal(db, KEYRING_ID);
+  }).then(function (keyringDoc) {
+    if (keyringDoc) {
+      return keyringDoc;
+    }
+    return createKeyring(db, opts.password,
+      opts.iterations || DEFAULT_ITERATIONS);
+  }).then(function (keyringDoc) {
+    return unlockKeyring(keyringDoc, opts.password);
+  }).then(function (res) {
+    db._crypto = res.keyring;
+    // dependent databases are encrypted too, with a random passphrase that
+    // doesn't need to be stretched. Views and search indexes aren't
+    // supported, though, as they're keyed by the ids of their docs.
+    db.__opts = utils.extend({}, db.__opts);
+    db.__opts.crypto = {password: res.rootKey, iterations: 1};
+    wrapBulkDocs(db);
+    wrapGet(db);
+    wrapGetAttachment(db);
+    wrapAllDocs(db);
+    wrapChanges(db);
+    // the data of lazy attachments would be stored as is, and the digests
+    // of encrypted attachments never match the ones of the source anyway
+    db._getMissingAttachments = null;
+    db._reserveAttachments = null;
+    db._storeAttachmentData = null;
+    callback();
+  }).catch(callback);
+};
+
+// Adds a new data key that's used for everything written from now on, and
+// optionally wraps all keys with a new password. Nothing that's stored
+// already is encrypted again: the old keys stay in the keyring, so the docs,
+// revisions and attachments written with them can still be read.
+exports.rotateKey = function (db, password) {
+  var keyring = db._crypto;
+  return getLocal(db, KEYRING_ID).then(function (keyringDoc) {
+    var keyId = String(parseInt(keyringDoc.current, 10) + 1);
+    var raw = aes.randomBase64(KEY_LENGTH);
+    var kekPromise = Promise.resolve(keyring.kek);
+    if (password) {
+      keyringDoc.salt = aes.randomBase64(SALT_LENGTH);
+      kekPromise = aes.deriveKey(password, keyringDoc.salt,
+        keyringDoc.iterations);
+    }
+    return kekPromise.then(function (kek) {
+      keyringDoc.keys[keyId] = raw;
+      return Promise.all(Object.keys(keyringDoc.keys).map(function (id) {
+        var rawPromise = id === keyId ? Promise.resolve(raw) :
+          aes.decrypt(keyring.kek, keyringDoc.keys[id]);
+        return rawPromise.then(function (raw) {
+          return wrapKey(kek, raw);
+        }).then(function (wrapped) {
+          keyringDoc.keys[id] = wrapped;
+        });
+      })).then(function () {
+        keyringDoc.current = keyId;
+        return putLocal(db, keyringDoc);
+      }).then(function () {
+        return aes.importKey(raw);
+      }).then(function (key) {
+        keyring.keys[keyId] = key;
+        keyring.current = keyId;
+        keyring.kek = kek;
+        return {ok: true};
+      });
+    });
+  });
+};
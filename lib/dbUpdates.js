@@ -0,0 +1,54 @@
+'use strict';
+var utils = require('./utils');
+var EE = require('events').EventEmitter;
+module.exports = DbUpdates;
+utils.inherits(DbUpdates, EE);
+
+// A feed of the db updates of the constructor, like CouchDB's _db_updates.
+// Live feeds emit a 'change' for each update until they're cancelled,
+// others complete with the first update that comes in.
+function DbUpdates(PouchDB, opts, callback) {
+  EE.call(this);
+  var self = this;
+  opts = opts || {};
+  var results = [];
+
+  var promise = new utils.Promise(function (fulfill) {
+    self.once('cancel', function () {
+      fulfill({status: 'cancelled'});
+    });
+    self.once('done', function () {
+      fulfill({results: results});
+    });
+  });
+  this.then = promise.then.bind(promise);
+  this['catch'] = promise['catch'].bind(promise);
+
+  function onUpdate(update) {
+    if (self.isCancelled ||
+        (opts.adapter && update.adapter !== opts.adapter)) {
+      return;
+    }
+    self.emit('change', update);
+    if (!opts.live) {
+      results.push(update);
+      self.emit('done');
+    }
+  }
+  PouchDB.on('db_update', onUpdate);
+
+  this.then(function (resp) {
+    PouchDB.removeListener('db_update', onUpdate);
+    self.isCancelled = true;
+    self.emit('complete', resp);
+    self.removeAllListeners();
+    if (callback) {
+      callback(null, resp);
+    }
+  });
+}
+
+DbUpdates.prototype.cancel = function () {
+  this.isCancelled = true;
+  this.emit('cancel');
+};
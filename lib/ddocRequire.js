@@ -0,0 +1,94 @@
+'use strict';
+
+var errors = require('./deps/errors');
+
+// Design doc functions can require() the modules that the design doc
+// holds as strings, like in CouchDB. Module ids are paths into the design
+// doc, e.g. 'lib/foo' for ddoc.lib.foo, or are relative to the module that
+// requires them. Map functions can only require modules from views.lib.
+//
+// Modules are evaluated once per design doc rev. Only the modules of the
+// latest rev seen of each design doc are cached.
+var cache = {};
+
+// modules only see their own module, exports and require, and globals
+function compileModule(source) {
+  /*jshint evil:true */
+  return new Function('module', 'exports', 'require', source);
+}
+
+function resolvePath(id, parentPath) {
+  var parts = id.split('/');
+  var relative = parts[0] === '.' || parts[0] === '..';
+  var path = relative ? parentPath.slice(0, -1) : [];
+  for (var i = 0; i < parts.length; i++) {
+    if (parts[i] === '..') {
+      if (!path.length) {
+        return null; // outside of the design doc
+      }
+      path.pop();
+    } else if (parts[i] !== '.' && parts[i] !== '') {
+      path.push(parts[i]);
+    }
+  }
+  return path;
+}
+
+function getSource(root, path) {
+  var value = root;
+  for (var i = 0; i < path.length; i++) {
+    if (!value || typeof value !== 'object' ||
+        !Object.prototype.hasOwnProperty.call(value, path[i])) {
+      return;
+    }
+    value = value[path[i]];
+  }
+  return value;
+}
+
+function createRequire(root, modules, parentPath) {
+  return function require(id) {
+    var path = typeof id === 'string' && resolvePath(id, parentPath);
+    var source = path && getSource(root, path);
+    if (typeof source !== 'string') {
+      throw errors.error(errors.INVALID_REQUIRE_PATH,
+        'No module at require path: ' + id);
+    }
+    var key = path.join('/');
+    if (modules[key]) {
+      // also breaks require cycles
+      return modules[key].exports;
+    }
+    var module = modules[key] = {id: key, current: source, exports: {}};
+    try {
+      compileModule(source)(module, module.exports,
+        createRequire(root, modules, path));
+    } catch (err) {
+      delete modules[key];
+      throw err;
+    }
+    return module.exports;
+  };
+}
+
+function getModules(key, rev) {
+  var entry = cache[key];
+  if (!rev) {
+    return {}; // not saved yet, so can't be cached
+  }
+  if (!entry || entry.rev !== rev) {
+    entry = cache[key] = {rev: rev, modules: {}};
+  }
+  return entry.modules;
+}
+
+// returns the require() of the functions of a design doc
+exports.forDdoc = function (ddoc) {
+  return createRequire(ddoc, getModules(ddoc._id, ddoc._rev), []);
+};
+
+// returns the require() of the map functions of a design doc
+exports.forViews = function (ddoc) {
+  var root = {views: {lib: ddoc.views && ddoc.views.lib}};
+  return createRequire(root, getModules(ddoc._id + '/views', ddoc._rev), []);
+};
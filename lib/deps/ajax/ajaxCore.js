@@ -18,7 +18,9 @@ function ajax(options, callback) {
     json: true,
     processData: true,
     timeout: 10000,
-    cache: false
+    cache: false,
+    // ask for compressed responses (browsers do this themselves)
+    gzip: true
   };
 
   options = utils.extend(defaultOptions, options);
@@ -123,7 +125,8 @@ function ajax(options, callback) {
     } else {
       error = errors.generateErrorFromResponse(data);
       error.status = response.statusCode;
-      callback(error);
+      // the response is for looking at its headers, e.g. Retry-After
+      callback(error, undefined, response);
     }
   });
 }
@@ -12,5 +12,17 @@ module.exports = function(opts, callback) {
     opts.url += (hasArgs ? '&' : '?') + '_nonce=' + Date.now();
   }
 
+  // browsers decompress responses themselves, without telling how large
+  // they were, so there's nothing to count, and bodies are sent as they are
+  if (opts.transfer || opts.compressBody) {
+    var reqOpts = {};
+    Object.keys(opts).forEach(function (key) {
+      if (key !== 'transfer' && key !== 'compressBody') {
+        reqOpts[key] = opts[key];
+      }
+    });
+    opts = reqOpts;
+  }
+
   return ajax(opts, callback);
 };
@@ -1,8 +1,99 @@
 'use strict';
 
+var zlib = require('zlib');
 var ajax = require('./ajaxCore');
 
+// request bodies smaller than this aren't worth compressing
+var MIN_COMPRESSED_SIZE = 1024;
+
+function byteLength(data) {
+  return typeof data === 'string' ? Buffer.byteLength(data) : data.length;
+}
+
+// opts.compressBody gzips the (JSON) body, if it's large enough
+function compressBody(opts) {
+  var body = opts.body;
+  if (typeof body === 'object' && !Buffer.isBuffer(body)) {
+    body = JSON.stringify(body);
+  }
+  if (byteLength(body) < MIN_COMPRESSED_SIZE) {
+    return;
+  }
+  var headers = {};
+  Object.keys(opts.headers || {}).forEach(function (name) {
+    headers[name] = opts.headers[name];
+  });
+  headers['Content-Encoding'] = 'gzip';
+  headers['Content-Type'] = 'application/json';
+  opts.headers = headers;
+  opts.body = zlib.gzipSync(body);
+  // the body is ready to send as is
+  opts.processData = false;
+}
+
+function bodyLength(opts) {
+  var body = opts.body;
+  if (body === undefined || body === null) {
+    return 0;
+  }
+  if (typeof body === 'object' && !Buffer.isBuffer(body)) {
+    return Buffer.byteLength(JSON.stringify(body));
+  }
+  return byteLength(body);
+}
+
+// opts.transfer(field, bytes) counts the bytes that are sent and received,
+// both as they go over the wire and uncompressed
+function countTransfer(req, transfer, sent, sentUncompressed) {
+  transfer('bytes_sent', sent);
+  transfer('bytes_sent_uncompressed', sentUncompressed);
+  req.on('response', function (res) {
+    res.on('data', function (chunk) {
+      transfer('bytes_received', chunk.length);
+    });
+  });
+  req.on('data', function (chunk) {
+    transfer('bytes_received_uncompressed', byteLength(chunk));
+  });
+}
+
 module.exports = function(opts, callback) {
+  var transfer = opts.transfer;
+  var uncompressedLength = transfer && bodyLength(opts);
+  if (transfer || opts.compressBody) {
+    var reqOpts = {};
+    Object.keys(opts).forEach(function (key) {
+      if (key !== 'transfer' && key !== 'compressBody') {
+        reqOpts[key] = opts[key];
+      }
+    });
+    if (opts.compressBody && opts.body) {
+      compressBody(reqOpts);
+    }
+    opts = reqOpts;
+  }
+
+  var req;
   // do nothing; all the action is in prerequest-browser.js
-  return ajax(opts, callback);
+  if (!opts.onData) {
+    req = ajax(opts, callback);
+  } else {
+    // except for streaming requests, which get the body in chunks as it
+    // arrives, decoded by request so that characters aren't split up
+    opts.encoding = 'utf8';
+    var ok = false;
+    req = ajax(opts, callback);
+    req.on('response', function (res) {
+      ok = res.statusCode >= 200 && res.statusCode < 300;
+    });
+    req.on('data', function (chunk) {
+      if (ok) { // error bodies are handled by the callback
+        opts.onData(String(chunk));
+      }
+    });
+  }
+  if (transfer) {
+    countTransfer(req, transfer, bodyLength(opts), uncompressedLength);
+  }
+  return req;
 };
@@ -95,6 +95,10 @@ function fetchRequest(options, callback) {
     return fetchResponse.json();
   }).then(function(result) {
     if (response.statusCode >= 200 && response.statusCode < 300) {
+      // fetch() responses aren't streamed, so the data arrives all at once
+      if (options.onData && !options.binary) {
+        options.onData(result);
+      }
       callback(null, response, result);
     } else {
       callback(result, response);
@@ -109,6 +113,7 @@ function fetchRequest(options, callback) {
 function xhRequest(options, callback) {
 
   var xhr, timer, hasUpload;
+  var dataLength = 0;
 
   var abortReq = function () {
     xhr.abort();
@@ -140,6 +145,20 @@ function xhRequest(options, callback) {
     xhr.responseType = 'arraybuffer';
   }
 
+  // for streaming requests, pass on the part of the body that's new
+  function onData() {
+    if (!options.onData || options.binary ||
+        xhr.status < 200 || xhr.status >= 300) {
+      return;
+    }
+    var text = xhr.responseText || '';
+    if (text.length > dataLength) {
+      var chunk = text.substring(dataLength);
+      dataLength = text.length;
+      options.onData(chunk);
+    }
+  }
+
   if (!('body' in options)) {
     options.body = null;
   }
@@ -155,6 +174,7 @@ function xhRequest(options, callback) {
     xhr.onprogress = function () {
       clearTimeout(timer);
       timer = setTimeout(abortReq, options.timeout);
+      onData();
     };
     if (typeof hasUpload === 'undefined') {
       // IE throws an error if you try to access it directly
@@ -166,6 +186,10 @@ function xhRequest(options, callback) {
     }
   }
 
+  if (!xhr.onprogress && options.onData) {
+    xhr.onprogress = onData;
+  }
+
   xhr.onreadystatechange = function () {
     if (xhr.readyState !== 4) {
       return;
@@ -183,6 +207,7 @@ function xhRequest(options, callback) {
         });
       } else {
         data = xhr.responseText;
+        onData();
       }
       callback(null, response, data);
     } else {
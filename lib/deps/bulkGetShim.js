@@ -63,7 +63,7 @@ function bulkGet(db, opts, callback) {
       return request.rev;
     });
     // globally-supplied options
-    ['revs', 'attachments', 'binary'].forEach(function (param) {
+    ['revs', 'attachments', 'binary', 'transfer'].forEach(function (param) {
       if (param in opts) {
         docOpts[param] = opts[param];
       }
@@ -0,0 +1,25 @@
+'use strict';
+
+function randomNumber(min, max) {
+  min = parseInt(min, 10) || 0;
+  max = parseInt(max, 10);
+  if (max !== max || max <= min) {
+    max = (min || 1) << 1; //doubling
+  } else {
+    max = max + 1;
+  }
+  var ratio = Math.random();
+  var range = max - min;
+
+  return ~~(range * ratio + min); // ~~ coerces to an int, but fast.
+}
+
+// the next delay (in ms) before retrying, given the previous one: a random
+// delay of up to 2 seconds at first, then roughly doubling each time
+module.exports = function defaultBackOff(min) {
+  var max = 0;
+  if (!min) {
+    max = 2000;
+  }
+  return randomNumber(min, max);
+};
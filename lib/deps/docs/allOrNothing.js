@@ -0,0 +1,27 @@
+'use strict';
+
+var errors = require('../errors');
+
+// With the all_or_nothing option, none of the docs in a bulkDocs batch are
+// written if one of them can't be. Given the docs (or their docInfos) and
+// their results, this returns the error the whole batch fails with, if
+// any. Like CouchDB's response, it lists the errors of the docs that failed.
+function allOrNothing(docs, results) {
+  var docErrors = [];
+  results.forEach(function (res, i) {
+    if (res && res.error) {
+      var doc = docs[i];
+      var docError = errors.error(res, res.reason || res.message);
+      docError.id = doc.metadata ? doc.metadata.id : doc._id;
+      docErrors.push(docError);
+    }
+  });
+  if (!docErrors.length) {
+    return;
+  }
+  var err = errors.error(errors.EXPECTATION_FAILED);
+  err.errors = docErrors;
+  return err;
+}
+
+module.exports = allOrNothing;
@@ -0,0 +1,28 @@
+'use strict';
+
+// the number of bytes a string takes up as UTF-8
+function utf8Length(str) {
+  var length = 0;
+  for (var i = 0; i < str.length; i++) {
+    var code = str.charCodeAt(i);
+    // each half of a surrogate pair counts for 2, making 4 in all
+    length += code < 0x80 ? 1 : code < 0x800 ? 2 :
+      (code >= 0xD800 && code <= 0xDFFF) ? 2 : 3;
+  }
+  return length;
+}
+
+// estimate the number of bytes a revision of a doc takes up, i.e. the
+// length of its JSON plus the length of its attachments
+//  - doc: the revision, as it's written. the data of its attachments
+//    should have been stored already, leaving their lengths behind
+function docSize(doc) {
+  var size = utf8Length(JSON.stringify(doc));
+  var attachments = doc._attachments || {};
+  Object.keys(attachments).forEach(function (name) {
+    size += attachments[name].length || 0;
+  });
+  return size;
+}
+
+module.exports = docSize;
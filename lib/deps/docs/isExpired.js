@@ -0,0 +1,12 @@
+'use strict';
+
+// check if a doc has expired, i.e. its _expires_at (in ms since the epoch)
+// is not in the future
+//  - metadata: the metadata object from the doc store
+//  - now: (optional) the time to check against. defaults to Date.now()
+function isExpired(metadata, now) {
+  var expiresAt = metadata.expires_at;
+  return typeof expiresAt === 'number' && expiresAt <= (now || Date.now());
+}
+
+module.exports = isExpired;
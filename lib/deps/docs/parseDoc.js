@@ -21,6 +21,10 @@ var reservedWords = toObject([
   '_deleted_conflicts',
   '_local_seq',
   '_rev_tree',
+  // expiry, which is kept in the metadata so that it's never replicated
+  '_expires_at',
+  // the body of docs in encrypted databases
+  '_encrypted',
   //replication documents
   '_replication_id',
   '_replication_state',
@@ -34,6 +38,7 @@ var reservedWords = toObject([
 // List of reserved words that should end up the document
 var dataWords = toObject([
   '_attachments',
+  '_encrypted',
   //replication documents
   '_replication_id',
   '_replication_state',
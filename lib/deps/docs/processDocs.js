@@ -9,8 +9,8 @@ var merge = require('../../deps/merge');
 var collections = require('pouchdb-collections');
 var Map = collections.Map;
 
-function processDocs(docInfos, api, fetchedDocs, tx, results, writeDoc, opts,
-                     overallCallback) {
+function processDocs(revsLimit, docInfos, api, fetchedDocs, tx, results,
+                     writeDoc, opts, overallCallback) {
 
   function insertDoc(docInfo, resultsIdx, callback) {
     // Cant insert new deleted documents
@@ -81,11 +81,11 @@ function processDocs(docInfos, api, fetchedDocs, tx, results, writeDoc, opts,
       var resultsIdx = value[1];
 
       if (fetchedDocs.has(id)) {
-        updateDoc(fetchedDocs.get(id), currentDoc, results,
+        updateDoc(revsLimit, fetchedDocs.get(id), currentDoc, results,
           resultsIdx, docWritten, writeDoc, newEdits);
       } else {
         // Ensure stemming applies to new writes as well
-        var merged = merge([], currentDoc.metadata.rev_tree[0], 1000);
+        var merged = merge([], currentDoc.metadata.rev_tree[0], revsLimit);
         currentDoc.metadata.rev_tree = merged.tree;
         insertDoc(currentDoc, resultsIdx, docWritten);
       }
@@ -7,7 +7,8 @@ var calculateWinningRev = require('../../deps/merge/winningRev');
 var merge = require('../../deps/merge');
 var revExists = require('../../deps/merge/revExists');
 
-function updateDoc(prev, docInfo, results, i, cb, writeDoc, newEdits) {
+function updateDoc(revsLimit, prev, docInfo, results, i, cb, writeDoc,
+                   newEdits) {
 
   if (revExists(prev.rev_tree, docInfo.metadata.rev)) {
     results[i] = docInfo;
@@ -29,7 +30,7 @@ function updateDoc(prev, docInfo, results, i, cb, writeDoc, newEdits) {
     docInfo = parseDoc(newDoc, newEdits);
   }
 
-  var merged = merge(prev.rev_tree, docInfo.metadata.rev_tree[0], 1000);
+  var merged = merge(prev.rev_tree, docInfo.metadata.rev_tree[0], revsLimit);
 
   var inConflict = newEdits && (((previouslyDeleted && deleted) ||
     (!previouslyDeleted && merged.conflicts !== 'new_leaf') ||
@@ -152,11 +152,23 @@ exports.FILE_EXISTS = new PouchError({
   reason: 'The database could not be created, the file already exists.'
 });
 
+exports.EXPECTATION_FAILED = new PouchError({
+  status: 417,
+  error: 'expectation_failed',
+  reason: 'Some of the documents could not be written, so none were'
+});
+
 exports.MISSING_STUB = new PouchError({
   status: 412,
   error: 'missing_stub'
 });
 
+exports.INVALID_REQUIRE_PATH = new PouchError({
+  status: 500,
+  error: 'invalid_require_path',
+  reason: 'The design doc has no module at this path'
+});
+
 exports.error = function (error, reason, name) {
   function CustomPouchError(reason) {
     // inherit error properties from our parent error manually
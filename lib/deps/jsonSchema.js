@@ -0,0 +1,243 @@
+'use strict';
+
+// A small JSON Schema (draft 4) validator, covering the keywords that are
+// useful for describing documents. Returns the first error found as
+// a string like "/address/zip: should be a string", or null if the value
+// is valid. Unknown keywords (including "format") are ignored.
+
+function fail(path, message) {
+  return (path || '/') + ': ' + message;
+}
+
+function getType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function hasType(value, type) {
+  var actual = getType(value);
+  if (type === 'integer') {
+    return actual === 'number' && Math.floor(value) === value;
+  }
+  return actual === type;
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function resolveRef(rootSchema, ref) {
+  if (ref === '#') {
+    return rootSchema;
+  }
+  if (ref.indexOf('#/') !== 0) {
+    throw new Error('Only local $refs are supported: ' + ref);
+  }
+  return ref.substring(2).split('/').reduce(function (schema, part) {
+    part = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!schema || !(part in schema)) {
+      throw new Error('Unresolvable $ref: ' + ref);
+    }
+    return schema[part];
+  }, rootSchema);
+}
+
+function validateNumber(schema, value) {
+  if ('minimum' in schema && (schema.exclusiveMinimum ?
+      value <= schema.minimum : value < schema.minimum)) {
+    return 'should be ' + (schema.exclusiveMinimum ? '>' : '>=') + ' ' +
+      schema.minimum;
+  }
+  if ('maximum' in schema && (schema.exclusiveMaximum ?
+      value >= schema.maximum : value > schema.maximum)) {
+    return 'should be ' + (schema.exclusiveMaximum ? '<' : '<=') + ' ' +
+      schema.maximum;
+  }
+  if ('multipleOf' in schema) {
+    var quotient = value / schema.multipleOf;
+    if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+      return 'should be a multiple of ' + schema.multipleOf;
+    }
+  }
+  return null;
+}
+
+function validateString(schema, value) {
+  if ('minLength' in schema && value.length < schema.minLength) {
+    return 'should have at least ' + schema.minLength + ' characters';
+  }
+  if ('maxLength' in schema && value.length > schema.maxLength) {
+    return 'should have at most ' + schema.maxLength + ' characters';
+  }
+  if ('pattern' in schema && !new RegExp(schema.pattern).test(value)) {
+    return 'should match pattern ' + schema.pattern;
+  }
+  return null;
+}
+
+function validateArray(rootSchema, schema, value, path) {
+  if ('minItems' in schema && value.length < schema.minItems) {
+    return fail(path, 'should have at least ' + schema.minItems + ' items');
+  }
+  if ('maxItems' in schema && value.length > schema.maxItems) {
+    return fail(path, 'should have at most ' + schema.maxItems + ' items');
+  }
+  if (schema.uniqueItems) {
+    var seen = {};
+    for (var i = 0; i < value.length; i++) {
+      var json = '$' + JSON.stringify(value[i]);
+      if (seen[json]) {
+        return fail(path, 'should not have duplicate items');
+      }
+      seen[json] = true;
+    }
+  }
+  var items = schema.items;
+  if (!items) {
+    return null;
+  }
+  for (var j = 0; j < value.length; j++) {
+    var itemSchema = items;
+    if (Array.isArray(items)) {
+      if (j < items.length) {
+        itemSchema = items[j];
+      } else if (schema.additionalItems === false) {
+        return fail(path, 'should have at most ' + items.length + ' items');
+      } else if (typeof schema.additionalItems === 'object') {
+        itemSchema = schema.additionalItems;
+      } else {
+        continue;
+      }
+    }
+    var error = validate(rootSchema, itemSchema, value[j], path + '/' + j);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
+
+function validateObject(rootSchema, schema, value, path) {
+  var keys = Object.keys(value);
+  var i, key, error;
+  if ('minProperties' in schema && keys.length < schema.minProperties) {
+    return fail(path, 'should have at least ' + schema.minProperties +
+      ' properties');
+  }
+  if ('maxProperties' in schema && keys.length > schema.maxProperties) {
+    return fail(path, 'should have at most ' + schema.maxProperties +
+      ' properties');
+  }
+  var required = schema.required || [];
+  for (i = 0; i < required.length; i++) {
+    if (!(required[i] in value)) {
+      return fail(path, 'should have required property ' + required[i]);
+    }
+  }
+  var properties = schema.properties || {};
+  var patternProperties = schema.patternProperties || {};
+  var patterns = Object.keys(patternProperties);
+  for (i = 0; i < keys.length; i++) {
+    key = keys[i];
+    var propertyPath = path + '/' + key;
+    var matched = false;
+    if (properties.hasOwnProperty(key)) {
+      matched = true;
+      error = validate(rootSchema, properties[key], value[key], propertyPath);
+      if (error) {
+        return error;
+      }
+    }
+    for (var j = 0; j < patterns.length; j++) {
+      if (new RegExp(patterns[j]).test(key)) {
+        matched = true;
+        error = validate(rootSchema, patternProperties[patterns[j]],
+          value[key], propertyPath);
+        if (error) {
+          return error;
+        }
+      }
+    }
+    if (!matched) {
+      if (schema.additionalProperties === false) {
+        return fail(path, 'should not have additional property ' + key);
+      }
+      if (typeof schema.additionalProperties === 'object') {
+        error = validate(rootSchema, schema.additionalProperties, value[key],
+          propertyPath);
+        if (error) {
+          return error;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+function validate(rootSchema, schema, value, path) {
+  var i, error;
+  if (schema.$ref) {
+    return validate(rootSchema, resolveRef(rootSchema, schema.$ref), value,
+      path);
+  }
+  if (schema.type) {
+    var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(function (type) { return hasType(value, type); })) {
+      return fail(path, 'should be ' + types.join(' or '));
+    }
+  }
+  if (schema.enum && !schema.enum.some(function (item) {
+        return isEqual(item, value);
+      })) {
+    return fail(path, 'should be one of ' + JSON.stringify(schema.enum));
+  }
+  var type = getType(value);
+  var message = null;
+  if (type === 'number') {
+    message = validateNumber(schema, value);
+  } else if (type === 'string') {
+    message = validateString(schema, value);
+  }
+  if (message) {
+    return fail(path, message);
+  }
+  if (type === 'array') {
+    error = validateArray(rootSchema, schema, value, path);
+  } else if (type === 'object') {
+    error = validateObject(rootSchema, schema, value, path);
+  }
+  if (error) {
+    return error;
+  }
+  if (schema.allOf) {
+    for (i = 0; i < schema.allOf.length; i++) {
+      error = validate(rootSchema, schema.allOf[i], value, path);
+      if (error) {
+        return error;
+      }
+    }
+  }
+  if (schema.anyOf && !schema.anyOf.some(function (subSchema) {
+        return !validate(rootSchema, subSchema, value, path);
+      })) {
+    return fail(path, 'should match at least one schema in anyOf');
+  }
+  if (schema.oneOf && schema.oneOf.filter(function (subSchema) {
+        return !validate(rootSchema, subSchema, value, path);
+      }).length !== 1) {
+    return fail(path, 'should match exactly one schema in oneOf');
+  }
+  if (schema.not && !validate(rootSchema, schema.not, value, path)) {
+    return fail(path, 'should not match the schema in not');
+  }
+  return null;
+}
+
+module.exports = function validateJsonSchema(schema, value) {
+  return validate(schema, schema, value, '');
+};
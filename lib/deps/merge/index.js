@@ -215,4 +215,7 @@ module.exports = function merge(tree, path, depth) {
     tree: stem(newTree.tree, depth),
     conflicts: newTree.conflicts
   };
-};
\ No newline at end of file
+};
+
+// used by compaction, to stem trees that were written with a higher limit
+module.exports.stem = stem;
\ No newline at end of file
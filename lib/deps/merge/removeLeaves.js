@@ -0,0 +1,46 @@
+'use strict';
+
+var merge = require('./index');
+var rootToLeaf = require('./rootToLeaf');
+var traverseRevTree = require('./traverseRevTree');
+
+// turns a path from rootToLeaf() back into a tree with a single branch
+function pathToTree(path) {
+  var ids = path.ids;
+  var last = ids[ids.length - 1];
+  var tree = [last.id, last.opts, []];
+  for (var i = ids.length - 2; i >= 0; i--) {
+    tree = [ids[i].id, ids[i].opts, [tree]];
+  }
+  return {pos: path.pos, ids: tree};
+}
+
+function collectRevs(revTree) {
+  var revs = [];
+  traverseRevTree(revTree, function (isLeaf, pos, revHash) {
+    revs.push(pos + '-' + revHash);
+  });
+  return revs;
+}
+
+// Removes the given leaf revisions from the tree, along with the revisions
+// that none of the remaining leaves descend from. Returns the new tree,
+// which is empty if all of the leaves were removed, and the revisions that
+// were removed from it.
+module.exports = function removeLeaves(revTree, leafRevs) {
+  var tree = [];
+  rootToLeaf(revTree).forEach(function (path) {
+    var leafRev = (path.pos + path.ids.length - 1) + '-' +
+      path.ids[path.ids.length - 1].id;
+    if (leafRevs.indexOf(leafRev) === -1) {
+      tree = merge(tree, pathToTree(path), Infinity).tree;
+    }
+  });
+  var remaining = collectRevs(tree);
+  return {
+    tree: tree,
+    removedRevs: collectRevs(revTree).filter(function (rev) {
+      return remaining.indexOf(rev) === -1;
+    })
+  };
+};
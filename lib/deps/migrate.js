@@ -3,6 +3,7 @@
 var fs = require('fs');
 var path = require('path');
 var isLocalId = require('./docs/isLocalId');
+var docSize = require('./docs/docSize');
 var winningRev = require('../deps/merge/winningRev');
 var levelup = require('levelup');
 var through = require('through2').obj;
@@ -20,6 +21,7 @@ function formatSeq(n) {
 var UPDATE_SEQ_KEY = '_local_last_update_seq';
 var DOC_COUNT_KEY = '_local_doc_count';
 var UUID_KEY = '_local_uuid';
+var DATA_SIZE_KEY = '_local_data_size';
 
 exports.toSublevel = function (name, db, callback) {
   // local require to prevent crashing if leveldown isn't installed.
@@ -190,3 +192,48 @@ exports.localAndMetaStores = function (db, stores, callback) {
   });
 
 };
+
+// in this migration, the docs that were written before their sizes were
+// tracked get one, along with an entry in the size store, and the
+// data_size of the db adds them up. calls back with the data_size
+exports.dataSize = function (db, stores, callback) {
+  stores.metaStore.get(DATA_SIZE_KEY, function (err, value) {
+    if (!err) {
+      // the sizes are tracked already
+      return callback(null, value);
+    }
+    var batches = [];
+    var dataSize = 0;
+    stores.docStore.createReadStream().pipe(through(function (ch, _, next) {
+      var metadata = ch.value;
+      var seqKey = formatSeq(metadata.seq);
+      stores.bySeqStore.get(seqKey, function (err, doc) {
+        metadata.size = err ? 0 : docSize(doc);
+        dataSize += metadata.size;
+        batches.push({
+          key: ch.key,
+          value: metadata,
+          prefix: stores.docStore,
+          type: 'put'
+        });
+        batches.push({
+          key: seqKey,
+          value: {id: metadata.id, size: metadata.size},
+          prefix: stores.sizeStore,
+          type: 'put'
+        });
+        next();
+      });
+    }, function () {
+      batches.push({
+        key: DATA_SIZE_KEY,
+        value: dataSize,
+        prefix: stores.metaStore,
+        type: 'put'
+      });
+      db.batch(batches, function (err) {
+        callback(err, dataSize);
+      });
+    }));
+  });
+};
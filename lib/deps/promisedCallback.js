@@ -0,0 +1,18 @@
+'use strict';
+
+// calls the node-style callback (if any) once the promise settles, outside
+// of the promise chain so that errors thrown by the callback aren't swallowed
+module.exports = function promisedCallback(promise, callback) {
+  if (callback) {
+    promise.then(function (res) {
+      process.nextTick(function () {
+        callback(null, res);
+      });
+    }, function (reason) {
+      process.nextTick(function () {
+        callback(reason);
+      });
+    });
+  }
+  return promise;
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+var errors = require('./errors');
+var rootToLeaf = require('./merge/rootToLeaf');
+var traverseRevTree = require('./merge/traverseRevTree');
+var stem = require('./merge').stem;
+
+// like CouchDB, revision trees are stemmed to 1000 revisions by default
+exports.DEFAULT_REVS_LIMIT = 1000;
+
+exports.validate = function (limit) {
+  if (typeof limit !== 'number' || limit < 1 || limit % 1 !== 0) {
+    return errors.error(errors.BAD_REQUEST,
+      'revs_limit must be a positive integer');
+  }
+};
+
+// true if the tree has paths that are longer than the limit, so it needs
+// to be stemmed
+exports.exceeds = function (revTree, limit) {
+  return rootToLeaf(revTree).some(function (path) {
+    return path.ids.length > limit;
+  });
+};
+
+function revsOf(revTree) {
+  var revs = [];
+  traverseRevTree(revTree, function (isLeaf, pos, revHash) {
+    revs.push(pos + '-' + revHash);
+  });
+  return revs;
+}
+
+// stems the tree to the limit, and returns the new tree along with the
+// revisions that were cut off, so that their bodies can be compacted away
+exports.stem = function (revTree, limit) {
+  var newTree = stem(revTree, limit);
+  var remaining = revsOf(newTree);
+  return {
+    tree: newTree,
+    stemmedRevs: revsOf(revTree).filter(function (rev) {
+      return remaining.indexOf(rev) === -1;
+    })
+  };
+};
@@ -0,0 +1,275 @@
+'use strict';
+
+var utils = require('./utils');
+var errors = require('./deps/errors');
+var replication = require('./replicate');
+var Checkpointer = require('./replicate/checkpointer');
+var generateReplicationId = require('./replicate/generateReplicationId');
+var Promise = utils.Promise;
+
+// A dump is newline-delimited JSON: a header with the db info, followed by
+// {"docs": [...]} lines with all leaf revisions of a batch of docs (with
+// their revision history and base64 attachments), each followed by a
+// {"seq": ...} line with the last source seq that's been dumped.
+var DUMP_VERSION = 1;
+var DEFAULT_BATCH_SIZE = 50;
+
+// Waits for the stream to drain if its buffer is full, and fails if it
+// errors or gets closed before that.
+function writeLine(stream, json) {
+  return new Promise(function (resolve, reject) {
+    if (stream.write(JSON.stringify(json) + '\n') !== false) {
+      return resolve();
+    }
+    function cleanup() {
+      stream.removeListener('drain', onDrain);
+      stream.removeListener('error', onError);
+      stream.removeListener('close', onClose);
+    }
+    function onDrain() {
+      cleanup();
+      resolve();
+    }
+    function onError(err) {
+      cleanup();
+      reject(err);
+    }
+    function onClose() {
+      cleanup();
+      reject(errors.error(errors.UNKNOWN_ERROR,
+        'The stream was closed before the dump was written'));
+    }
+    stream.on('drain', onDrain);
+    stream.on('error', onError);
+    stream.on('close', onClose);
+  });
+}
+
+// fetches all leaf revisions of the changed docs
+function getLeaves(db, changes) {
+  var requests = [];
+  changes.forEach(function (change) {
+    change.changes.forEach(function (leaf) {
+      requests.push({id: change.id, rev: leaf.rev});
+    });
+  });
+  return db.bulkGet({
+    docs: requests,
+    revs: true,
+    attachments: true
+  }).then(function (res) {
+    var docs = [];
+    res.results.forEach(function (result) {
+      result.docs.forEach(function (info) {
+        if (info.ok) {
+          docs.push(info.ok);
+        }
+      });
+    });
+    return docs;
+  });
+}
+
+exports.dump = function (db, stream, opts) {
+  var batchSize = opts.batch_size || DEFAULT_BATCH_SIZE;
+  var result = {ok: true, docs_written: 0, last_seq: 0};
+  var streamError;
+
+  function onError(err) {
+    streamError = err;
+  }
+
+  function checkStream() {
+    if (streamError) {
+      throw streamError;
+    }
+  }
+
+  function dumpChanges(since) {
+    return db.changes({
+      since: since,
+      limit: batchSize,
+      style: 'all_docs'
+    }).then(function (changes) {
+      if (!changes.results.length) {
+        return;
+      }
+      return getLeaves(db, changes.results).then(function (docs) {
+        checkStream();
+        result.docs_written += docs.length;
+        return writeLine(stream, {docs: docs});
+      }).then(function () {
+        result.last_seq = changes.last_seq;
+        return writeLine(stream, {seq: changes.last_seq});
+      }).then(function () {
+        checkStream();
+        return dumpChanges(changes.last_seq);
+      });
+    });
+  }
+
+  function removeListener() {
+    if (typeof stream.removeListener === 'function') {
+      stream.removeListener('error', onError);
+    }
+  }
+
+  if (typeof stream.on === 'function') {
+    stream.on('error', onError);
+  }
+  return db.info().then(function (info) {
+    return writeLine(stream, {
+      version: DUMP_VERSION,
+      db_type: db.type(),
+      start_time: new Date().toJSON(),
+      db_info: info
+    });
+  }).then(function () {
+    return dumpChanges(0);
+  }).then(function () {
+    checkStream();
+    if (opts.end !== false) {
+      stream.end();
+    }
+    removeListener();
+    return result;
+  }, function (err) {
+    removeListener();
+    throw err;
+  });
+};
+
+// Calls onLine for each line of the input, which is either a string or
+// a readable stream. The stream is paused while a line is being processed.
+function readLines(input, onLine) {
+  function processLines(lines) {
+    return lines.reduce(function (promise, line) {
+      return promise.then(function () {
+        if (line.trim()) {
+          return onLine(line);
+        }
+      });
+    }, Promise.resolve());
+  }
+
+  if (typeof input === 'string') {
+    return processLines(input.split('\n'));
+  }
+  return new Promise(function (resolve, reject) {
+    var buffer = '';
+    var queue = Promise.resolve();
+    var failed = false;
+
+    function fail(err) {
+      if (!failed) {
+        failed = true;
+        input.pause();
+        reject(err);
+      }
+    }
+
+    if (typeof input.setEncoding === 'function') {
+      input.setEncoding('utf8');
+    }
+    input.on('data', function (chunk) {
+      var lines = (buffer + chunk).split('\n');
+      buffer = lines.pop();
+      if (!lines.length || failed) {
+        return;
+      }
+      input.pause();
+      queue = queue.then(function () {
+        return processLines(lines);
+      }).then(function () {
+        if (!failed) {
+          input.resume();
+        }
+      }).catch(fail);
+    });
+    input.on('end', function () {
+      queue.then(function () {
+        return processLines([buffer]);
+      }).then(resolve).catch(fail);
+    });
+    input.on('error', fail);
+  });
+}
+
+function invalidDump(reason) {
+  return errors.error(errors.BAD_REQUEST, 'Invalid dump: ' + reason);
+}
+
+// Like the replicator, write a checkpoint on both sides, so that replicating
+// from the source later on picks up where the dump left off.
+function writeCheckpoint(db, opts, lastSeq) {
+  var src = replication.toPouch(opts.proxy, {
+    PouchConstructor: db.constructor
+  });
+  var state = {cancelled: false};
+  return generateReplicationId(src, db, opts).then(function (repId) {
+    var checkpointer = new Checkpointer(src, db, repId, state);
+    return checkpointer.writeCheckpoint(lastSeq, utils.uuid());
+  });
+}
+
+exports.load = function (db, input, opts) {
+  var header;
+  var lastSeq;
+  var result = {
+    ok: true,
+    docs_written: 0,
+    doc_write_failures: 0,
+    errors: []
+  };
+
+  function loadDocs(docs) {
+    return db.bulkDocs({
+      docs: docs,
+      new_edits: false
+    }).then(function (res) {
+      var failures = res.filter(function (row) {
+        return row.error;
+      });
+      failures.forEach(function (error) {
+        if (error.name !== 'unauthorized' && error.name !== 'forbidden') {
+          throw error;
+        }
+      });
+      result.docs_written += docs.length - failures.length;
+      result.doc_write_failures += failures.length;
+      result.errors = result.errors.concat(failures);
+    });
+  }
+
+  return readLines(input, function (line) {
+    var json;
+    try {
+      json = JSON.parse(line);
+    } catch (e) {
+      throw invalidDump('unable to parse ' + line.substring(0, 50));
+    }
+    if (!header) {
+      if (typeof json.version !== 'number') {
+        throw invalidDump('missing header');
+      }
+      if (json.version > DUMP_VERSION) {
+        throw invalidDump('unsupported version ' + json.version);
+      }
+      header = json;
+    } else if (json.docs) {
+      return loadDocs(json.docs);
+    } else if ('seq' in json) {
+      lastSeq = json.seq;
+    }
+  }).then(function () {
+    if (!header) {
+      throw invalidDump('missing header');
+    }
+    if (opts.proxy && typeof lastSeq !== 'undefined') {
+      return writeCheckpoint(db, opts, lastSeq);
+    }
+  }).then(function () {
+    result.last_seq = lastSeq || 0;
+    return result;
+  });
+};
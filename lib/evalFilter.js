@@ -1,8 +1,9 @@
 'use strict';
 
 module.exports = evalFilter;
-function evalFilter(input) {
-  /*jshint evil: true */
+// require is the design doc's, see ddocRequire.js
+function evalFilter(input, require) {
+  /*jshint evil: true, unused: false */
   return eval([
     '(function () { return ',
     input,
@@ -1,8 +1,9 @@
 'use strict';
 
 module.exports = evalView;
-function evalView(input) {
-  /*jshint evil: true */
+// require is the design doc's, see ddocRequire.js
+function evalView(input, require) {
+  /*jshint evil: true, unused: false */
   return eval([
     '(function () {',
     '  return function (doc) {',
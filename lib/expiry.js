@@ -0,0 +1,280 @@
+'use strict';
+
+var utils = require('./utils');
+var errors = require('./deps/errors');
+var upsert = require('./deps/upsert');
+var isLocalId = require('./deps/docs/isLocalId');
+var collectLeaves = require('./deps/merge/collectLeaves');
+var purge = require('./purge');
+var Promise = utils.Promise;
+
+// Docs can be given a time to live (_ttl, in milliseconds) or an expiry
+// date (_expires_at), or they get the ttl option of the database. The
+// expiry is kept in the doc's metadata, so it's local to the database and
+// never replicated. Expired docs are hidden straight away, and purged by a
+// sweep that runs on the compaction queue once the next doc expires. The
+// time of that next expiry is kept in a local doc, so that the sweep is
+// rescheduled after a restart. Reads that count docs, and view updates,
+// sweep the docs that are due first.
+var EXPIRY_ID = '_local/expiry';
+
+// setTimeout() overflows past this
+var MAX_TIMEOUT = Math.pow(2, 31) - 1;
+
+function isValidTtl(ttl) {
+  return typeof ttl === 'number' && ttl > 0 && isFinite(ttl);
+}
+
+function badExpiry(doc, reason) {
+  return errors.error(errors.BAD_REQUEST,
+    'invalid expiry for doc ' + doc._id + ': ' + reason);
+}
+
+// validates the ttl option of a database
+exports.validateTtl = function (ttl) {
+  if (!isValidTtl(ttl)) {
+    return errors.error(errors.BAD_REQUEST,
+      'ttl should be a positive number of milliseconds');
+  }
+};
+
+// turns the _ttl of a doc, or the ttl of the database, into an
+// _expires_at timestamp. returns the doc to write
+function addExpiry(db, doc, now) {
+  var ttl = db.__opts.ttl;
+  var hasExpiry = '_ttl' in doc || '_expires_at' in doc;
+  if (!hasExpiry && (!ttl || doc._deleted || isLocalId(doc._id) ||
+      /^_design\//.test(doc._id))) {
+    return doc;
+  }
+  if (hasExpiry && isLocalId(doc._id)) {
+    throw badExpiry(doc, 'local docs can\'t expire');
+  }
+  doc = utils.extend({}, doc);
+  if ('_ttl' in doc) {
+    if (!isValidTtl(doc._ttl)) {
+      throw badExpiry(doc, '_ttl should be a positive number');
+    }
+    doc._expires_at = now + doc._ttl;
+    delete doc._ttl;
+  } else if ('_expires_at' in doc) {
+    var expiresAt = typeof doc._expires_at === 'string' ?
+      Date.parse(doc._expires_at) : doc._expires_at;
+    if (typeof expiresAt !== 'number' || !isFinite(expiresAt)) {
+      throw badExpiry(doc, '_expires_at should be a date or a timestamp');
+    }
+    doc._expires_at = expiresAt;
+  } else {
+    doc._expires_at = now + ttl;
+  }
+  return doc;
+}
+
+function schedule(db) {
+  var state = db._expiry;
+  clearTimeout(state.timer);
+  state.timer = null;
+  if (typeof state.next !== 'number' || db._closed) {
+    return;
+  }
+  // if the delay was capped, the sweep finds nothing and reschedules
+  var delay = Math.min(Math.max(state.next - Date.now(), 0), MAX_TIMEOUT);
+  state.timer = setTimeout(function () {
+    state.timer = null;
+    db.compact({expired_only: true}).catch(function () {
+      // the db might have been closed or destroyed in the meantime
+    });
+  }, delay);
+  /* istanbul ignore else */
+  if (typeof state.timer.unref === 'function') {
+    state.timer.unref(); // don't keep node running just for this
+  }
+}
+
+// stores the time the next doc expires, and schedules a sweep for then
+function setNext(db, next) {
+  var state = db._expiry;
+  state.mayExpire = true;
+  state.next = next;
+  schedule(db);
+  return upsert(db, EXPIRY_ID, function (doc) {
+    if (doc.next === next) {
+      return false;
+    }
+    doc.next = next;
+    return doc;
+  });
+}
+
+function getLeaves(db, docId) {
+  return new Promise(function (resolve, reject) {
+    db._getRevisionTree(docId, function (err, revTree) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(collectLeaves(revTree));
+    });
+  });
+}
+
+// deletes the leaves of an expired doc, so that the deletion gets
+// replicated. used instead of purging with the ttl_tombstones option
+function deleteLeaves(db, docId, leaves) {
+  var deletions = leaves.filter(function (leaf) {
+    return !leaf.opts.deleted;
+  }).map(function (leaf) {
+    return {_id: docId, _rev: leaf.rev, _deleted: true};
+  });
+  if (!deletions.length) {
+    return Promise.resolve();
+  }
+  return new Promise(function (resolve, reject) {
+    db._bulkDocs({docs: deletions}, {new_edits: true}, function (err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+}
+
+// purges the expired docs, or deletes them if the ttl_tombstones option
+// is set
+function expireDocs(db, docIds) {
+  var docsRevs = {};
+  var chain = Promise.resolve();
+  // one at a time, so that we don't hog the db
+  docIds.forEach(function (docId) {
+    chain = chain.then(function () {
+      return getLeaves(db, docId);
+    }).then(function (leaves) {
+      if (db.__opts.ttl_tombstones) {
+        return deleteLeaves(db, docId, leaves);
+      }
+      docsRevs[docId] = leaves.map(function (leaf) {
+        return leaf.rev;
+      });
+    }).catch(function (err) {
+      // it might have been purged by someone else already
+      if (err.status !== 404) {
+        throw err;
+      }
+    });
+  });
+  return chain.then(function () {
+    if (Object.keys(docsRevs).length) {
+      return purge.purgeDocs(db, docsRevs);
+    }
+  });
+}
+
+function getExpired(db, now) {
+  return new Promise(function (resolve, reject) {
+    db._getExpired(now, function (err, res) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(res);
+    });
+  });
+}
+
+// removes the docs that have expired. only one sweep runs at a time
+var sweep = exports.sweep = function (db) {
+  var state = db._expiry;
+  if (!state || !state.mayExpire) {
+    return Promise.resolve();
+  }
+  if (state.sweeping) {
+    return state.sweeping;
+  }
+  var now = Date.now();
+  state.sweeping = getExpired(db, now).then(function (res) {
+    return expireDocs(db, res.ids).then(function () {
+      return setNext(db, res.next);
+    });
+  });
+  function done() {
+    state.sweeping = null;
+  }
+  state.sweeping.then(done, done);
+  return state.sweeping;
+};
+
+// reads the time the next doc expires, and schedules a sweep for then
+exports.init = function (db) {
+  if (db.type() === 'http' || typeof db._getExpired !== 'function') {
+    return;
+  }
+  var state = db._expiry = {
+    next: undefined,
+    timer: null,
+    mayExpire: false,
+    sweeping: null
+  };
+  state.ready = db.get(EXPIRY_ID).then(function (doc) {
+    state.mayExpire = true;
+    state.next = typeof doc.next === 'number' ? doc.next : undefined;
+    schedule(db);
+  }, function () {
+    // no doc has ever expired here
+  });
+  db.once('destroyed', function () {
+    exports.stop(db);
+  });
+};
+
+exports.stop = function (db) {
+  if (db._expiry) {
+    clearTimeout(db._expiry.timer);
+    db._expiry.timer = null;
+  }
+};
+
+// sweeps the docs that have expired but haven't been swept yet, so that
+// they aren't counted or indexed anymore
+var sweepDue = exports.sweepDue = function (db) {
+  var state = db._expiry;
+  if (!state) {
+    return Promise.resolve();
+  }
+  return state.ready.then(function () {
+    if (typeof state.next === 'number' && state.next <= Date.now()) {
+      return sweep(db);
+    }
+  });
+};
+
+// Adds expiry dates to the docs that are about to be written. Docs that
+// have expired but haven't been swept yet are swept first, so that new
+// docs with the same ids don't conflict with them.
+exports.prepare = function (db, docs) {
+  var now = Date.now();
+  var next;
+  try {
+    for (var i = 0; i < docs.length; i++) {
+      docs[i] = addExpiry(db, docs[i], now);
+      var expiresAt = docs[i]._expires_at;
+      if (typeof expiresAt === 'number' &&
+          (typeof next === 'undefined' || expiresAt < next)) {
+        next = expiresAt;
+      }
+    }
+  } catch (err) {
+    return Promise.reject(err);
+  }
+  var state = db._expiry;
+  var onlyLocal = docs.every(function (doc) {
+    return isLocalId(doc._id);
+  });
+  if (!state || onlyLocal) {
+    return Promise.resolve();
+  }
+  return sweepDue(db).then(function () {
+    if (typeof next === 'number' &&
+        (typeof state.next !== 'number' || next < state.next)) {
+      return setNext(db, next);
+    }
+  });
+};
+
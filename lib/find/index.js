@@ -0,0 +1,321 @@
+'use strict';
+
+var collate = require('pouchdb-collate').collate;
+var Promise = require('../deps/promise');
+var toPromise = require('../deps/toPromise');
+var upsert = require('../deps/upsert');
+var errors = require('../deps/errors');
+var md5 = require('../mapreduce/md5');
+var selectorUtils = require('./selector');
+var planner = require('./planner');
+
+var parseField = selectorUtils.parseField;
+var getFieldFromDoc = selectorUtils.getFieldFromDoc;
+
+var ALL_DOCS_INDEX = {
+  ddoc: null,
+  name: '_all_docs',
+  type: 'special',
+  def: {fields: [{_id: 'asc'}]}
+};
+
+function badRequest(reason) {
+  return errors.error(errors.BAD_REQUEST, reason);
+}
+
+// fields can be given as 'foo' or {foo: 'asc'}
+function normalizeFields(fields) {
+  return fields.map(function (field) {
+    if (typeof field === 'string') {
+      var obj = {};
+      obj[field] = 'asc';
+      return obj;
+    }
+    return field;
+  });
+}
+
+function getFieldName(field) {
+  return Object.keys(field)[0];
+}
+
+function stripDesignPrefix(ddoc) {
+  return ddoc.replace(/^_design\//, '');
+}
+
+function validateIndex(requestDef) {
+  var index = requestDef && requestDef.index;
+  if (!index || !Array.isArray(index.fields) || !index.fields.length) {
+    throw badRequest('index.fields must be a non-empty array');
+  }
+}
+
+function validateFind(requestDef) {
+  if (!requestDef || typeof requestDef.selector !== 'object' ||
+      requestDef.selector === null) {
+    throw badRequest('selector must be a JSON object');
+  }
+  ['limit', 'skip'].forEach(function (key) {
+    if (key in requestDef && typeof requestDef[key] !== 'number') {
+      throw badRequest(key + ' must be a number');
+    }
+  });
+  if ('sort' in requestDef && !Array.isArray(requestDef.sort)) {
+    throw badRequest('sort must be an array');
+  }
+  if ('fields' in requestDef && !Array.isArray(requestDef.fields)) {
+    throw badRequest('fields must be an array');
+  }
+}
+
+function compareDocs(sort) {
+  var parsedSort = normalizeFields(sort).map(function (field) {
+    var fieldName = getFieldName(field);
+    return {
+      field: parseField(fieldName),
+      direction: field[fieldName] === 'desc' ? -1 : 1
+    };
+  });
+  return function (a, b) {
+    for (var i = 0, len = parsedSort.length; i < len; i++) {
+      var sortField = parsedSort[i];
+      var aVal = getFieldFromDoc(a, sortField.field);
+      var bVal = getFieldFromDoc(b, sortField.field);
+      var res = collate(typeof aVal === 'undefined' ? null : aVal,
+        typeof bVal === 'undefined' ? null : bVal);
+      if (res !== 0) {
+        return res * sortField.direction;
+      }
+    }
+    return 0;
+  };
+}
+
+// only return the requested fields, e.g. ['_id', 'name.first']
+function pickFields(doc, fields) {
+  var res = {};
+  fields.forEach(function (fieldName) {
+    var parsedField = parseField(fieldName);
+    var value = getFieldFromDoc(doc, parsedField);
+    if (typeof value === 'undefined') {
+      return;
+    }
+    var current = res;
+    for (var i = 0, len = parsedField.length - 1; i < len; i++) {
+      var part = parsedField[i];
+      current = current[part] = current[part] || {};
+    }
+    current[parsedField[parsedField.length - 1]] = value;
+  });
+  return res;
+}
+
+function localCreateIndex(db, requestDef) {
+  validateIndex(requestDef);
+  var fields = normalizeFields(requestDef.index.fields);
+  var hash = md5(JSON.stringify(fields));
+  var ddocName = stripDesignPrefix(requestDef.ddoc || 'idx-' + hash);
+  var viewName = requestDef.name || 'idx-' + hash;
+  var ddocId = '_design/' + ddocName;
+  var mapFields = {};
+  fields.forEach(function (field) {
+    var fieldName = getFieldName(field);
+    mapFields[fieldName] = field[fieldName];
+  });
+
+  function diffFun(doc) {
+    var existing = doc.views && doc.views[viewName];
+    if (doc.language === 'query' && existing &&
+        JSON.stringify(existing.options.def.fields) ===
+        JSON.stringify(fields)) {
+      return false; // no update necessary
+    }
+    doc.language = 'query';
+    doc.views = doc.views || {};
+    doc.views[viewName] = {
+      map: {fields: mapFields},
+      options: {def: {fields: fields}}
+    };
+    return doc;
+  }
+
+  return upsert(db, ddocId, diffFun).then(function (res) {
+    // build the index right away, so that the first find() is fast
+    return db.query(ddocName + '/' + viewName, {
+      limit: 0,
+      reduce: false
+    }).then(function () {
+      return {
+        result: res.updated ? 'created' : 'exists',
+        id: ddocId,
+        name: viewName
+      };
+    });
+  });
+}
+
+function localGetIndexes(db) {
+  return db.allDocs({
+    startkey: '_design/',
+    endkey: '_design/\uffff',
+    include_docs: true
+  }).then(function (res) {
+    var indexes = [ALL_DOCS_INDEX];
+    res.rows.forEach(function (row) {
+      var ddoc = row.doc;
+      if (ddoc.language !== 'query' || !ddoc.views) {
+        return;
+      }
+      Object.keys(ddoc.views).forEach(function (viewName) {
+        var view = ddoc.views[viewName];
+        indexes.push({
+          ddoc: ddoc._id,
+          name: viewName,
+          type: 'json',
+          def: {fields: normalizeFields(view.options.def.fields)}
+        });
+      });
+    });
+    return {indexes: indexes};
+  });
+}
+
+function localDeleteIndex(db, index) {
+  if (!index || !index.ddoc || !index.name) {
+    throw badRequest('you must supply an index with a ddoc and a name');
+  }
+  var ddocId = '_design/' + stripDesignPrefix(index.ddoc);
+  return db.get(ddocId).then(function (ddoc) {
+    if (ddoc.language !== 'query' || !ddoc.views ||
+        !ddoc.views[index.name]) {
+      throw errors.error(errors.MISSING_DOC, 'Index not found');
+    }
+    delete ddoc.views[index.name];
+    if (!Object.keys(ddoc.views).length) {
+      ddoc._deleted = true;
+    }
+    return db.put(ddoc);
+  }).then(function () {
+    // remove the index's view data right away
+    return db.viewCleanup();
+  }).then(function () {
+    return {ok: true};
+  });
+}
+
+function findWithIndex(db, plan) {
+  var viewName = stripDesignPrefix(plan.index.ddoc) + '/' + plan.index.name;
+  return Promise.all(plan.queryOpts.map(function (queryOpts) {
+    return db.query(viewName, {
+      startkey: queryOpts.startkey,
+      endkey: queryOpts.endkey,
+      include_docs: true,
+      reduce: false
+    });
+  })).then(function (results) {
+    var seen = {};
+    var docs = [];
+    results.forEach(function (res) {
+      res.rows.forEach(function (row) {
+        if (!seen['$' + row.id]) {
+          seen['$' + row.id] = true;
+          docs.push(row.doc);
+        }
+      });
+    });
+    return docs;
+  });
+}
+
+function findInMemory(db) {
+  return db.allDocs({include_docs: true}).then(function (res) {
+    return res.rows.filter(function (row) {
+      return row.id.substring(0, 8) !== '_design/';
+    }).map(function (row) {
+      return row.doc;
+    });
+  });
+}
+
+function localFind(db, requestDef) {
+  validateFind(requestDef);
+  var selector = selectorUtils.normalizeSelector(requestDef.selector);
+
+  return localGetIndexes(db).then(function (res) {
+    var plan = planner.planQuery(res.indexes.slice(1), selector);
+    var docsPromise = plan ? findWithIndex(db, plan) : findInMemory(db);
+    return docsPromise.then(function (docs) {
+      docs = docs.filter(function (doc) {
+        return selectorUtils.matchesSelector(doc, selector);
+      });
+      if (requestDef.sort) {
+        docs.sort(compareDocs(requestDef.sort));
+      }
+      var skip = requestDef.skip || 0;
+      var limit = typeof requestDef.limit === 'number' ?
+        requestDef.limit : docs.length;
+      docs = docs.slice(skip, skip + limit);
+      if (requestDef.fields) {
+        docs = docs.map(function (doc) {
+          return pickFields(doc, requestDef.fields);
+        });
+      }
+      var result = {docs: docs};
+      if (!plan) {
+        result.warning = 'no matching index found, create an index to ' +
+          'optimize query time';
+      }
+      return result;
+    });
+  });
+}
+
+exports.createIndex = toPromise(function (requestDef) {
+  var db = this;
+  if (db.type() === 'http') {
+    return db.request({
+      method: 'POST',
+      url: '_index',
+      body: requestDef
+    });
+  }
+  return localCreateIndex(db, requestDef);
+});
+
+exports.getIndexes = toPromise(function () {
+  var db = this;
+  if (db.type() === 'http') {
+    return db.request({
+      method: 'GET',
+      url: '_index'
+    });
+  }
+  return localGetIndexes(db);
+});
+
+exports.deleteIndex = toPromise(function (index) {
+  var db = this;
+  if (db.type() === 'http') {
+    if (!index || !index.ddoc || !index.name) {
+      throw badRequest('you must supply an index with a ddoc and a name');
+    }
+    return db.request({
+      method: 'DELETE',
+      url: '_index/' + encodeURIComponent(stripDesignPrefix(index.ddoc)) +
+        '/json/' + encodeURIComponent(index.name)
+    });
+  }
+  return localDeleteIndex(db, index);
+});
+
+exports.find = toPromise(function (requestDef) {
+  var db = this;
+  if (db.type() === 'http') {
+    return db.request({
+      method: 'POST',
+      url: '_find',
+      body: requestDef
+    });
+  }
+  return localFind(db, requestDef);
+});
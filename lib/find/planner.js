@@ -0,0 +1,148 @@
+'use strict';
+
+var collate = require('pouchdb-collate').collate;
+
+var RANGE_OPERATORS = ['$eq', '$in', '$gt', '$gte', '$lt', '$lte'];
+
+function getIndexFields(index) {
+  return index.def.fields.map(function (field) {
+    return Object.keys(field)[0];
+  });
+}
+
+function isIndexable(conditions) {
+  return conditions && conditions.$exists !== false;
+}
+
+function hasRange(conditions) {
+  return Object.keys(conditions).some(function (operator) {
+    return RANGE_OPERATORS.indexOf(operator) !== -1;
+  });
+}
+
+// returns how many of the index's leading fields can be used to narrow down
+// the key range, or -1 if the index can't be used for this selector at all
+function scoreIndex(index, selector) {
+  var fields = getIndexFields(index);
+  // docs missing one of the indexed fields aren't in the index, so it
+  // can only be used if the selector requires all of them to exist
+  if (!fields.every(function (field) {
+    return isIndexable(selector[field]);
+  })) {
+    return -1;
+  }
+  var score = 0;
+  for (var i = 0, len = fields.length; i < len; i++) {
+    var conditions = selector[fields[i]];
+    if (!hasRange(conditions)) {
+      break;
+    }
+    score++;
+    if (!('$eq' in conditions) && !('$in' in conditions)) {
+      break;
+    }
+  }
+  return score;
+}
+
+function max(a, b) {
+  if (typeof a === 'undefined') {
+    return b;
+  }
+  return (typeof b === 'undefined' || collate(a, b) >= 0) ? a : b;
+}
+
+function min(a, b) {
+  if (typeof a === 'undefined') {
+    return b;
+  }
+  return (typeof b === 'undefined' || collate(a, b) <= 0) ? a : b;
+}
+
+function append(key, value) {
+  return typeof value === 'undefined' ? key : key.concat([value]);
+}
+
+function extendRange(range, lower, upper, open) {
+  return {
+    startkey: append(range.startkey, lower),
+    endkey: append(range.endkey, upper),
+    open: open
+  };
+}
+
+// an $in is looked up one value at a time. An array field matches if any of
+// its elements is in the list, and the index only knows the whole array, so
+// all array values are read as well (arrays sort between strings and objects)
+function getInRanges(range, values) {
+  var sorted = values.filter(function (value) {
+    return !Array.isArray(value);
+  }).sort(collate).filter(function (value, i, arr) {
+    return !i || collate(value, arr[i - 1]) !== 0;
+  });
+  var ranges = sorted.map(function (value) {
+    return extendRange(range, value, value, true);
+  });
+  ranges.push(extendRange(range, [], {}, false));
+  return ranges.sort(function (a, b) {
+    return collate(a.startkey, b.startkey);
+  });
+}
+
+function getFieldRanges(range, conditions) {
+  if ('$eq' in conditions) {
+    return [extendRange(range, conditions.$eq, conditions.$eq, true)];
+  }
+  if ('$in' in conditions) {
+    return getInRanges(range, conditions.$in);
+  }
+  var lower = max(conditions.$gt, conditions.$gte);
+  var upper = min(conditions.$lt, conditions.$lte);
+  return [extendRange(range, lower, upper, false)];
+}
+
+// builds the startkey/endkey pairs for querying the index, in index order.
+// The bounds are always inclusive, the docs are checked against the full
+// selector afterwards.
+function getQueryOpts(index, selector) {
+  var fields = getIndexFields(index);
+  var ranges = [{startkey: [], endkey: [], open: true}];
+  fields.forEach(function (field) {
+    var conditions = selector[field];
+    ranges = ranges.reduce(function (acc, range) {
+      if (!range.open || !hasRange(conditions)) {
+        range.open = false;
+        return acc.concat([range]);
+      }
+      return acc.concat(getFieldRanges(range, conditions));
+    }, []);
+  });
+  return ranges.map(function (range) {
+    return {startkey: range.startkey, endkey: range.endkey.concat([{}])};
+  }).filter(function (range) {
+    // e.g. {$gt: 5, $lt: 3}, nothing can match
+    return collate(range.startkey, range.endkey) <= 0;
+  });
+}
+
+// Picks the index that narrows down the query the most, based on the fields
+// of the normalized selector. Returns undefined if no index is usable, in
+// which case the caller falls back to scanning all docs in memory.
+exports.planQuery = function (indexes, selector) {
+  var best;
+  var bestScore = 0;
+  indexes.forEach(function (index) {
+    var score = scoreIndex(index, selector);
+    if (score > bestScore) {
+      best = index;
+      bestScore = score;
+    }
+  });
+  if (!best) {
+    return;
+  }
+  return {
+    index: best,
+    queryOpts: getQueryOpts(best, selector)
+  };
+};
@@ -0,0 +1,279 @@
+'use strict';
+
+var collate = require('pouchdb-collate').collate;
+var errors = require('../deps/errors');
+
+var COMBINATION_OPERATORS = ['$and', '$or', '$nor', '$not'];
+var CONDITION_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte',
+  '$in', '$nin', '$all', '$exists', '$type', '$size', '$mod', '$regex',
+  '$elemMatch'];
+var TYPES = ['null', 'boolean', 'number', 'string', 'array', 'object'];
+
+function badRequest(reason) {
+  return errors.error(errors.BAD_REQUEST, reason);
+}
+
+function isPlainObject(obj) {
+  return obj !== null && typeof obj === 'object' && !Array.isArray(obj);
+}
+
+function parseField(fieldName) {
+  return fieldName.split('.');
+}
+
+function getFieldFromDoc(doc, parsedField) {
+  var value = doc;
+  for (var i = 0, len = parsedField.length; i < len; i++) {
+    if (!isPlainObject(value) && !Array.isArray(value)) {
+      return;
+    }
+    value = value[parsedField[i]];
+  }
+  return value;
+}
+
+function getType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function isConditions(obj) {
+  var keys = Object.keys(obj);
+  return keys.length > 0 && keys.every(function (key) {
+    return CONDITION_OPERATORS.indexOf(key) !== -1;
+  });
+}
+
+function validateCondition(operator, arg) {
+  switch (operator) {
+    case '$in':
+    case '$nin':
+    case '$all':
+      if (!Array.isArray(arg)) {
+        throw badRequest('Query operator ' + operator +
+          ' must be an array');
+      }
+      break;
+    case '$exists':
+      if (typeof arg !== 'boolean') {
+        throw badRequest('Query operator $exists must be a boolean');
+      }
+      break;
+    case '$type':
+      if (TYPES.indexOf(arg) === -1) {
+        throw badRequest('Query operator $type must be one of ' +
+          TYPES.join(', '));
+      }
+      break;
+    case '$size':
+      if (typeof arg !== 'number' || arg % 1 !== 0) {
+        throw badRequest('Query operator $size must be an integer');
+      }
+      break;
+    case '$mod':
+      if (!Array.isArray(arg) || arg.length !== 2 || arg[0] === 0 ||
+          arg[0] % 1 !== 0 || arg[1] % 1 !== 0) {
+        throw badRequest('Query operator $mod must be an array of ' +
+          'two integers [divisor, remainder], divisor not 0');
+      }
+      break;
+    case '$regex':
+      if (typeof arg !== 'string') {
+        throw badRequest('Query operator $regex must be a string');
+      }
+      break;
+  }
+}
+
+// adds the conditions for a field to a normalized selector, moving them
+// into an $and if the selector already has one of the same operators
+function addConditions(selector, field, conditions) {
+  var existing = selector[field];
+  if (!existing) {
+    selector[field] = conditions;
+    return;
+  }
+  Object.keys(conditions).forEach(function (operator) {
+    if (operator in existing) {
+      var extra = {};
+      extra[field] = {};
+      extra[field][operator] = conditions[operator];
+      selector.$and = (selector.$and || []).concat([extra]);
+    } else {
+      existing[operator] = conditions[operator];
+    }
+  });
+}
+
+function normalizeConditions(selector, field, value) {
+  if (!isPlainObject(value) || !Object.keys(value).length) {
+    // implicit $eq
+    addConditions(selector, field, {$eq: value});
+    return;
+  }
+  Object.keys(value).forEach(function (key) {
+    var arg = value[key];
+    if (key[0] !== '$') {
+      // sub-field, e.g. {name: {first: 'Bob'}}
+      normalizeConditions(selector, field + '.' + key, arg);
+      return;
+    }
+    if (CONDITION_OPERATORS.indexOf(key) === -1) {
+      throw badRequest('Invalid operator: ' + key);
+    }
+    validateCondition(key, arg);
+    var conditions = {};
+    if (key === '$elemMatch') {
+      if (!isPlainObject(arg)) {
+        throw badRequest('Query operator $elemMatch must be an object');
+      }
+      // either conditions on the element itself, or a sub-selector
+      conditions.$elemMatch = isConditions(arg) ?
+        normalizeSelector({_: arg})._ : normalizeSelector(arg);
+    } else {
+      conditions[key] = arg;
+    }
+    addConditions(selector, field, conditions);
+  });
+}
+
+// Normalizes a Mango selector into a canonical form: every field maps to an
+// object of conditions (implicit $eq made explicit, sub-objects flattened to
+// dotted field names), and top-level $and clauses are merged in where
+// possible so the query planner can see them.
+function normalizeSelector(selector) {
+  if (!isPlainObject(selector)) {
+    throw badRequest('selector must be a JSON object');
+  }
+  var normalized = {};
+  Object.keys(selector).forEach(function (key) {
+    var arg = selector[key];
+    if (key[0] !== '$') {
+      normalizeConditions(normalized, key, arg);
+      return;
+    }
+    if (COMBINATION_OPERATORS.indexOf(key) === -1) {
+      throw badRequest('Invalid operator: ' + key);
+    }
+    if (key === '$not') {
+      normalized.$not = normalizeSelector(arg);
+      return;
+    }
+    if (!Array.isArray(arg)) {
+      throw badRequest('Query operator ' + key + ' must be an array');
+    }
+    var subSelectors = arg.map(normalizeSelector);
+    if (key !== '$and') {
+      normalized[key] = subSelectors;
+      return;
+    }
+    subSelectors.forEach(function (subSelector) {
+      Object.keys(subSelector).forEach(function (subKey) {
+        if (subKey === '$and') {
+          normalized.$and = (normalized.$and || []).concat(subSelector.$and);
+        } else if (subKey[0] === '$') {
+          var extra = {};
+          extra[subKey] = subSelector[subKey];
+          normalized.$and = (normalized.$and || []).concat([extra]);
+        } else {
+          addConditions(normalized, subKey, subSelector[subKey]);
+        }
+      });
+    });
+  });
+  return normalized;
+}
+
+function inArray(value, arr) {
+  return arr.some(function (item) {
+    return collate(value, item) === 0;
+  });
+}
+
+function matchesCondition(value, operator, arg) {
+  if (operator === '$exists') {
+    return (typeof value !== 'undefined') === arg;
+  }
+  if (typeof value === 'undefined') {
+    // every other operator requires the field to exist
+    return false;
+  }
+  switch (operator) {
+    case '$eq':
+      return collate(value, arg) === 0;
+    case '$ne':
+      return collate(value, arg) !== 0;
+    case '$gt':
+      return collate(value, arg) > 0;
+    case '$gte':
+      return collate(value, arg) >= 0;
+    case '$lt':
+      return collate(value, arg) < 0;
+    case '$lte':
+      return collate(value, arg) <= 0;
+    case '$in':
+      if (Array.isArray(value)) {
+        return value.some(function (item) {
+          return inArray(item, arg);
+        });
+      }
+      return inArray(value, arg);
+    case '$nin':
+      return !matchesCondition(value, '$in', arg);
+    case '$all':
+      return Array.isArray(value) && arg.every(function (item) {
+        return inArray(item, value);
+      });
+    case '$type':
+      return getType(value) === arg;
+    case '$size':
+      return Array.isArray(value) && value.length === arg;
+    case '$mod':
+      return typeof value === 'number' && value % 1 === 0 &&
+        value % arg[0] === arg[1];
+    case '$regex':
+      return typeof value === 'string' && new RegExp(arg).test(value);
+    case '$elemMatch':
+      return Array.isArray(value) && value.some(function (item) {
+        return isConditions(arg) ?
+          matchesConditions(item, arg) : matchesSelector(item, arg);
+      });
+  }
+}
+
+function matchesConditions(value, conditions) {
+  return Object.keys(conditions).every(function (operator) {
+    return matchesCondition(value, operator, conditions[operator]);
+  });
+}
+
+// checks a doc against a selector normalized with normalizeSelector()
+function matchesSelector(doc, selector) {
+  return Object.keys(selector).every(function (key) {
+    var arg = selector[key];
+    switch (key) {
+      case '$and':
+        return arg.every(function (subSelector) {
+          return matchesSelector(doc, subSelector);
+        });
+      case '$or':
+        return arg.some(function (subSelector) {
+          return matchesSelector(doc, subSelector);
+        });
+      case '$nor':
+        return !arg.some(function (subSelector) {
+          return matchesSelector(doc, subSelector);
+        });
+      case '$not':
+        return !matchesSelector(doc, arg);
+    }
+    return matchesConditions(getFieldFromDoc(doc, parseField(key)), arg);
+  });
+}
+
+exports.parseField = parseField;
+exports.getFieldFromDoc = getFieldFromDoc;
+exports.normalizeSelector = normalizeSelector;
+exports.matchesSelector = matchesSelector;
@@ -15,6 +15,8 @@ PouchDB.adapter('http', httpAdapter);
 PouchDB.adapter('https', httpAdapter);
 
 PouchDB.plugin(require('./mapreduce'));
+PouchDB.plugin(require('./find'));
+PouchDB.plugin(require('./search'));
 
 var adapters = require('./adapters');
 
@@ -0,0 +1,114 @@
+'use strict';
+
+var utils = require('./utils');
+var errors = require('./deps/errors');
+var upsert = require('./deps/upsert');
+var Promise = utils.Promise;
+
+// Attachments that are replicated with the lazy_attachments option are
+// written as stubs, and their data is fetched from the source the first
+// time they're read. The sources are kept in a local doc, so that this
+// still works after a restart: remote ones by their URL without the
+// credentials, local ones by their name. Sources that have been replicated
+// from since then are reused as is, to keep their ajax options etc. Others
+// are opened with the lazy_attachment_source(id) option of the db, if it
+// has got one, so that the caller can pass their credentials again.
+var SOURCES_ID = '_local/lazy_attachments';
+
+function getSourceIds(db) {
+  return db.get(SOURCES_ID).then(function (doc) {
+    return doc.sources;
+  }, function (err) {
+    if (err.status !== 404) {
+      throw err;
+    }
+    return [];
+  });
+}
+
+function getSourceId(src) {
+  return typeof src.getUrl === 'function' ? src.getUrl() : src._db_name;
+}
+
+function useSource(db, id, src) {
+  db._lazyAttachmentSources = db._lazyAttachmentSources || {};
+  db._lazyAttachmentSources[id] = src;
+  src.once('destroyed', function () {
+    if (db._lazyAttachmentSources[id] === src) {
+      delete db._lazyAttachmentSources[id];
+    }
+  });
+}
+
+exports.supported = function (db) {
+  return typeof db._reserveAttachments === 'function';
+};
+
+exports.addSource = function (db, src) {
+  var id = getSourceId(src);
+  var sources = db._lazyAttachmentSources || {};
+  if (sources[id] === src) {
+    return Promise.resolve();
+  }
+  useSource(db, id, src);
+  return upsert(db, SOURCES_ID, function (doc) {
+    doc.sources = doc.sources || [];
+    if (doc.sources.indexOf(id) !== -1) {
+      return false;
+    }
+    doc.sources.push(id);
+    return doc;
+  });
+};
+
+function openSource(db, id) {
+  var open = db.__opts.lazy_attachment_source;
+  var src = typeof open === 'function' && open(id);
+  if (!src) {
+    src = new db.constructor(id, {skip_setup: true});
+  }
+  useSource(db, id, src);
+  return src;
+}
+
+function getSources(db) {
+  return getSourceIds(db).then(function (ids) {
+    var sources = db._lazyAttachmentSources || {};
+    var known = Object.keys(sources).map(function (id) {
+      return sources[id];
+    });
+    return known.concat(ids.filter(function (id) {
+      return !sources[id];
+    }).map(function (id) {
+      return openSource(db, id);
+    }));
+  });
+}
+
+// fetches the data of a lazy attachment from the first source that has it,
+// and stores it in db
+exports.fetch = function (db, doc, attName) {
+  var digest = doc._attachments[attName].digest;
+  return getSources(db).then(function (sources) {
+    function tryNext() {
+      var src = sources.shift();
+      if (!src) {
+        throw errors.error(errors.MISSING_STUB,
+          'no source has the data for attachment ' + attName);
+      }
+      return src.getAttachment(doc._id, attName, {
+        rev: doc._rev
+      }).catch(tryNext);
+    }
+    return tryNext();
+  }).then(function (data) {
+    return new Promise(function (resolve, reject) {
+      db._storeAttachmentData(digest, data, function (err) {
+        if (err) {
+          return reject(err);
+        }
+        resolve();
+      });
+    });
+  });
+};
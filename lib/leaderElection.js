@@ -0,0 +1,128 @@
+'use strict';
+
+var utils = require('./utils');
+var EE = require('events').EventEmitter;
+
+// Elects one leader among the tabs (or workers) that share a
+// BroadcastChannel. A tab applies by announcing itself, and becomes the
+// leader if no one objects in time: applicants give way to the ones with
+// a greater token, and to a leader that's already there. Before leading, a
+// tab announces itself once more and waits again, so that the tabs that
+// applied around the same time hear from it while they're still applying.
+// The leader keeps sending heartbeats, and resigns when it's closed. If it
+// goes away without resigning, e.g. because the tab crashed, the others
+// apply again once its heartbeats stop.
+var APPLY_TIME = 100;
+var HEARTBEAT_INTERVAL = 1000;
+var LEADER_TIMEOUT = 3 * HEARTBEAT_INTERVAL;
+
+utils.inherits(LeaderElection, EE);
+
+// Messages that come in on the channel have to be passed to handle().
+// Emits 'leader' when this tab becomes the leader, and 'resign' when it
+// has to give way to another leader.
+function LeaderElection(channel) {
+  EE.call(this);
+  this.channel = channel;
+  this.token = utils.uuid();
+  this.isLeader = false;
+  this.closed = false;
+  this._applying = false;
+  this._timer = null;
+  this._heartbeat = null;
+}
+
+LeaderElection.prototype._post = function (type) {
+  this.channel.postMessage({type: type, token: this.token});
+};
+
+LeaderElection.prototype._setTimer = function (fun, delay) {
+  clearTimeout(this._timer);
+  this._timer = setTimeout(fun.bind(this), delay);
+};
+
+LeaderElection.prototype.apply = function () {
+  if (this.closed || this.isLeader) {
+    return;
+  }
+  this._applying = true;
+  this._post('apply');
+  this._setTimer(this._confirm, APPLY_TIME);
+};
+
+// no one objected, so announce ourselves again before leading
+LeaderElection.prototype._confirm = function () {
+  this._post('apply');
+  this._setTimer(this._lead, APPLY_TIME);
+};
+
+LeaderElection.prototype._lead = function () {
+  var self = this;
+  self._applying = false;
+  self.isLeader = true;
+  self._post('leader');
+  self._heartbeat = setInterval(function () {
+    self._post('leader');
+  }, HEARTBEAT_INTERVAL);
+  self.emit('leader');
+};
+
+// someone else leads, so wait for them to go away
+LeaderElection.prototype._follow = function () {
+  this._applying = false;
+  this._setTimer(this.apply, LEADER_TIMEOUT);
+};
+
+LeaderElection.prototype._stepDown = function () {
+  this.isLeader = false;
+  clearInterval(this._heartbeat);
+  this._heartbeat = null;
+  this._follow();
+  this.emit('resign');
+};
+
+LeaderElection.prototype.handle = function (msg) {
+  if (this.closed || !msg || msg.token === this.token) {
+    return;
+  }
+  switch (msg.type) {
+    case 'apply':
+      if (this.isLeader) {
+        this._post('leader'); // tell them there's a leader already
+      } else if (this._applying && msg.token > this.token) {
+        this._follow();
+      } else if (this._applying) {
+        this._post('apply'); // tell them to give way
+      }
+      break;
+    case 'leader':
+      if (!this.isLeader) {
+        this._follow();
+      } else if (msg.token > this.token) {
+        // two tabs became leaders at the same time
+        this._stepDown();
+      }
+      break;
+    case 'resign':
+      if (!this.isLeader) {
+        this.apply();
+      }
+      break;
+  }
+};
+
+LeaderElection.prototype.close = function () {
+  if (this.closed) {
+    return;
+  }
+  this.closed = true;
+  clearTimeout(this._timer);
+  clearInterval(this._heartbeat);
+  if (this.isLeader) {
+    this.isLeader = false;
+    this._post('resign');
+  }
+  this.removeAllListeners();
+};
+
+module.exports = LeaderElection;
@@ -2,6 +2,7 @@
 
 var upsert = require('../deps/upsert');
 var Promise = require('../deps/promise');
+var errors = require('../deps/errors');
 var md5 = require('./md5');
 
 module.exports = function (opts) {
@@ -10,10 +11,16 @@ module.exports = function (opts) {
   var mapFun = opts.map;
   var reduceFun = opts.reduce;
   var temporary = opts.temporary;
+  var ddoc = opts.ddoc;
+  var lib = ddoc && ddoc.views && ddoc.views.lib;
 
   // the "undefined" part is for backwards compatibility
   var viewSignature = mapFun.toString() + (reduceFun && reduceFun.toString()) +
     'undefined';
+  if (lib) {
+    // the modules the map function can require() are part of the view
+    viewSignature += JSON.stringify(lib);
+  }
 
   if (!temporary && sourceDB._cachedViews) {
     var cachedView = sourceDB._cachedViews[viewSignature];
@@ -23,9 +30,18 @@ module.exports = function (opts) {
   }
 
   return sourceDB.info().then(function (info) {
+    // the keys are the ids of the view's docs, which aren't encrypted
+    if (sourceDB._crypto) {
+      throw errors.error(errors.BAD_REQUEST,
+        'Views are not supported by encrypted databases');
+    }
 
     var depDbName = info.db_name + '-mrview-' +
       (temporary ? 'temp' : md5(viewSignature));
+    // persisted reduce views also store their intermediate reduce values,
+    // one per emitted key, in a second dependent db
+    var reduceDbName = (reduceFun && !temporary) ?
+      depDbName + '-reduce' : null;
 
     // save the view name in the source db so it can be cleaned up if necessary
     // (e.g. when the _design doc is deleted, remove all associated view data)
@@ -37,40 +53,76 @@ module.exports = function (opts) {
       }
       var depDbs = doc.views[fullViewName] = doc.views[fullViewName] || {};
       /* istanbul ignore if */
-      if (depDbs[depDbName]) {
+      if (depDbs[depDbName] && (!reduceDbName || depDbs[reduceDbName])) {
         return; // no update necessary
       }
       depDbs[depDbName] = true;
+      if (reduceDbName) {
+        depDbs[reduceDbName] = true;
+      }
       return doc;
     }
+
+    function getLastSeq(db) {
+      if (!db) {
+        return Promise.resolve(0);
+      }
+      return db.get('_local/lastSeq').then(function (lastSeqDoc) {
+        return lastSeqDoc.seq;
+      }, function (err) {
+        /* istanbul ignore if */
+        if (err.status !== 404) {
+          throw err;
+        }
+        return 0;
+      });
+    }
+
+    function registerReduceDb() {
+      if (!reduceDbName) {
+        return Promise.resolve({});
+      }
+      return sourceDB.registerDependentDatabase(reduceDbName);
+    }
+
+    var db;
     return upsert(sourceDB, '_local/mrviews', diffFunction).then(function () {
-      return sourceDB.registerDependentDatabase(depDbName).then(function (res) {
-        var db = res.db;
-        db.auto_compaction = true;
-        var view = {
-          name: depDbName,
-          db: db,
-          sourceDB: sourceDB,
-          adapter: sourceDB.adapter,
-          mapFun: mapFun,
-          reduceFun: reduceFun
-        };
-        return view.db.get('_local/lastSeq').catch(function (err) {
-          /* istanbul ignore if */
-          if (err.status !== 404) {
-            throw err;
-          }
-        }).then(function (lastSeqDoc) {
-          view.seq = lastSeqDoc ? lastSeqDoc.seq : 0;
-          if (!temporary) {
-            sourceDB._cachedViews = sourceDB._cachedViews || {};
-            sourceDB._cachedViews[viewSignature] = view;
-            view.db.once('destroyed', function () {
-              delete sourceDB._cachedViews[viewSignature];
-            });
-          }
-          return view;
-        });
+      return sourceDB.registerDependentDatabase(depDbName);
+    }).then(function (res) {
+      db = res.db;
+      return registerReduceDb();
+    }).then(function (res) {
+      var reduceDb = res.db;
+      db.auto_compaction = true;
+      if (reduceDb) {
+        reduceDb.auto_compaction = true;
+      }
+      var view = {
+        name: depDbName,
+        db: db,
+        reduceDb: reduceDb,
+        sourceDB: sourceDB,
+        adapter: sourceDB.adapter,
+        mapFun: mapFun,
+        reduceFun: reduceFun,
+        ddoc: ddoc
+      };
+      return Promise.all([
+        getLastSeq(view.db),
+        getLastSeq(view.reduceDb)
+      ]).then(function (seqs) {
+        view.seq = seqs[0];
+        view.reduceSeq = seqs[1];
+        if (!temporary) {
+          sourceDB._cachedViews = sourceDB._cachedViews || {};
+          sourceDB._cachedViews[viewSignature] = view;
+          view.db.once('destroyed', function () {
+            delete sourceDB._cachedViews[viewSignature];
+            // the design docs that have this view need it created again
+            delete sourceDB._cachedDdocViews;
+          });
+        }
+        return view;
       });
     });
   });
@@ -1,6 +1,6 @@
 'use strict';
 
-module.exports = function (func, emit, sum, log, isArray, toJSON) {
+module.exports = function (func, emit, sum, log, isArray, toJSON, require) {
   /*jshint evil:true,unused:false */
   return eval("(" + func.replace(/;\s*$/, "") + ");");
 };
@@ -9,6 +9,8 @@ var normalizeKey = pouchCollate.normalizeKey;
 var parseIndexableString = pouchCollate.parseIndexableString;
 var createView = require('./createView');
 var evalFunc = require('./evalfunc');
+var ddocRequire = require('../ddocRequire');
+var queryMapFun = require('./queryMapFun');
 var log;
 /* istanbul ignore else */
 if ((typeof console !== 'undefined') && (typeof console.log === 'function')) {
@@ -20,9 +22,14 @@ var utils = require('./utils');
 var Promise = require('../deps/promise');
 var flatten = require('../deps/flatten');
 var inherits = require('inherits');
+var searchIndexes = require('../search/indexes');
+var expiry = require('../expiry');
+var purge = require('../purge');
+var upsert = require('../deps/upsert');
 var persistentQueues = {};
 var tempViewQueue = new TaskQueue();
 var CHANGES_BATCH_SIZE = 50;
+var REDUCE_REBUILD_BATCH_SIZE = 500;
 
 function parseViewName(name) {
   // can be either 'ddocname/viewname' or just 'viewname'
@@ -85,6 +92,30 @@ function rowToDocId(row) {
   return docId;
 }
 
+function parseViewRow(doc) {
+  // implicit migration - in older versions of PouchDB,
+  // we explicitly stored the doc as {id: ..., key: ..., value: ...}
+  // this is tested in a migration test
+  /* istanbul ignore next */
+  if ('value' in doc && typeof doc.value === 'object' &&
+      doc.value !== null) {
+    var keys = Object.keys(doc.value).sort();
+    // this detection method is not perfect, but it's unlikely the user
+    // emitted a value which was an object with these 3 exact keys
+    var expectedKeys = ['id', 'key', 'value'];
+    if (!(keys < expectedKeys || keys > expectedKeys)) {
+      return doc.value;
+    }
+  }
+
+  var parsedKeyAndDocId = parseIndexableString(doc._id);
+  return {
+    key: parsedKeyAndDocId[0],
+    id: parsedKeyAndDocId[1],
+    value: ('value' in doc ? doc.value : null)
+  };
+}
+
 function readAttachmentsAsBlobOrBuffer(res) {
   res.rows.forEach(function (row) {
     var atts = row.doc && row.doc._attachments;
@@ -149,13 +180,23 @@ var builtInReduce = {
     return sum(values);
   },
 
-  _count: function (keys, values) {
-    return values.length;
+  _count: function (keys, values, rereduce) {
+    return rereduce ? sum(values) : values.length;
   },
 
-  _stats: function (keys, values) {
-    // no need to implement rereduce=true, because Pouch
-    // will never call it
+  _stats: function (keys, values, rereduce) {
+    if (rereduce) {
+      // combine the stats of the persisted per-key reductions
+      return values.reduce(function (acc, stats) {
+        return {
+          sum     : acc.sum + stats.sum,
+          min     : Math.min(acc.min, stats.min),
+          max     : Math.max(acc.max, stats.max),
+          count   : acc.count + stats.count,
+          sumsqr : acc.sumsqr + stats.sumsqr
+        };
+      });
+    }
     function sumsqr(values) {
       var _sumsqr = 0;
       for (var i = 0, len = values.length; i < len; i++) {
@@ -234,6 +275,7 @@ function httpQuery(db, fun, opts) {
   addHttpParam('group_level', opts, params);
   addHttpParam('skip', opts, params);
   addHttpParam('stale', opts, params);
+  addHttpParam('update_seq', opts, params);
   addHttpParam('conflicts', opts, params);
   addHttpParam('startkey', opts, params, true);
   addHttpParam('start_key', opts, params, true);
@@ -424,11 +466,484 @@ function saveKeyValues(view, docIdsToChangesAndEmits, seq) {
       return getDocsToPersist(docId, view, docIdsToChangesAndEmits);
     })).then(function (listOfDocsToPersist) {
       var docsToPersist = flatten(listOfDocsToPersist);
+      var changedKeys = docsToPersist.filter(function (doc) {
+        return doc._id.substring(0, 7) !== '_local/';
+      }).map(function (doc) {
+        return parseIndexableString(doc._id)[0];
+      });
       lastSeqDoc.seq = seq;
       docsToPersist.push(lastSeqDoc);
       // write all docs in a single operation, update the seq once
-      return view.db.bulkDocs({docs : docsToPersist});
+      return view.db.bulkDocs({docs : docsToPersist}).then(function () {
+        return changedKeys;
+      });
+    });
+  });
+}
+
+function getReduceFun(view) {
+  if (!view.reduceFunction) {
+    view.reduceFunction = builtInReduce[view.reduceFun] || evalFunc(
+      view.reduceFun.toString(), null, sum, log, Array.isArray, JSON.parse);
+  }
+  return view.reduceFunction;
+}
+
+// The reduce nodes of a view are stored as a tree, somewhat like a skip
+// list. Each emitted key has a node on level 0 holding the reduction of its
+// rows, and a key also gets a node on each level up to its own, which is
+// picked by hashing the key, so that about one in REDUCE_FANOUT keys makes
+// it to the next level. A node on a level above 0 holds the rereduction of
+// the nodes on the level below, from its own key up to the next key that
+// reaches its level. The reduction of a range of keys is then made out of
+// a handful of nodes per level, whatever the number of keys in the range.
+var REDUCE_FANOUT = 8;
+var REDUCE_MAX_LEVEL = 9; // levels are a single digit in the node ids
+
+// the level a key reaches in the tree, given its indexable string
+function keyLevel(indexableKey) {
+  // 32 bit FNV-1a
+  var hash = 2166136261;
+  for (var i = 0, len = indexableKey.length; i < len; i++) {
+    hash ^= indexableKey.charCodeAt(i);
+    hash += (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) +
+      (hash << 24);
+    hash = hash >>> 0;
+  }
+  var level = 0;
+  while (level < REDUCE_MAX_LEVEL && hash % REDUCE_FANOUT === 0) {
+    hash = Math.floor(hash / REDUCE_FANOUT);
+    level++;
+  }
+  return level;
+}
+
+function nodeId(level, indexableKey) {
+  return level + ':' + indexableKey;
+}
+
+function nodeKey(id) {
+  return id.substring(2);
+}
+
+// reduces all map rows emitted for a single key into the reduce node
+// that is stored for that key on level 0
+function reduceNode(view, node, rows) {
+  var keys = rows.map(function (row) {
+    return [row.key, row.id];
+  });
+  var values = rows.map(function (row) {
+    return row.value;
+  });
+  var reduceTry = tryCode(view.sourceDB, getReduceFun(view),
+    [keys, values, false]);
+  delete node.error;
+  delete node.value;
+  if (reduceTry.error) {
+    // remember the error, so it can be surfaced at query time
+    node.error = {
+      builtIn: reduceTry.error instanceof BuiltInError,
+      message: reduceTry.error.message
+    };
+  } else {
+    node.value = reduceTry.output;
+  }
+  return node;
+}
+
+// rereduces the values of a list of nodes into the given node. errors of
+// the nodes are passed on, built-in ones first
+function rereduceNode(view, node, nodes) {
+  delete node.error;
+  delete node.value;
+  for (var i = 0, len = nodes.length; i < len; i++) {
+    var error = nodes[i].error;
+    if (error && (!node.error || error.builtIn)) {
+      node.error = error;
+    }
+  }
+  if (node.error) {
+    return node;
+  }
+  if (nodes.length === 1) {
+    node.value = nodes[0].value;
+    return node;
+  }
+  var values = nodes.map(function (node) {
+    return node.value;
+  });
+  var reduceTry = tryCode(view.sourceDB, getReduceFun(view),
+    [null, values, true]);
+  if (reduceTry.error) {
+    node.error = {
+      builtIn: reduceTry.error instanceof BuiltInError,
+      message: reduceTry.error.message
+    };
+  } else {
+    node.value = reduceTry.output;
+  }
+  return node;
+}
+
+function fetchRowsForKey(view, key) {
+  return view.db.allDocs({
+    startkey: toIndexableString([key]),
+    endkey: toIndexableString([key, {}]),
+    include_docs: true
+  }).then(function (res) {
+    return res.rows.map(function (row) {
+      return parseViewRow(row.doc);
+    });
+  });
+}
+
+function saveReduceSeq(view, docsToPersist, seq) {
+  var seqDocId = '_local/lastSeq';
+  return view.reduceDb.get(seqDocId)
+  .catch(defaultsTo({_id: seqDocId, seq: 0}))
+  .then(function (lastSeqDoc) {
+    lastSeqDoc.seq = seq;
+    docsToPersist.push(lastSeqDoc);
+    return view.reduceDb.bulkDocs({docs : docsToPersist});
+  }).then(function () {
+    view.reduceSeq = seq;
+  });
+}
+
+// reads the nodes of a level in order, a page at a time, starting from the
+// given key, until onRow returns true or the level runs out
+function scanLevel(view, level, startKey, descending, onRow) {
+  var prefix = nodeId(level, '');
+  var pageSize = REDUCE_FANOUT * 2;
+  function nextPage(startkey, skip) {
+    return view.reduceDb.allDocs({
+      startkey: startkey,
+      endkey: descending ? prefix : prefix + '\uffff',
+      descending: descending,
+      include_docs: true,
+      limit: pageSize,
+      skip: skip
+    }).then(function (res) {
+      for (var i = 0; i < res.rows.length; i++) {
+        if (onRow(res.rows[i])) {
+          return;
+        }
+      }
+      if (res.rows.length === pageSize) {
+        return nextPage(res.rows[res.rows.length - 1].id, 1);
+      }
+    });
+  }
+  if (typeof startKey === 'undefined') {
+    startKey = descending ? '\uffff' : '';
+  }
+  return nextPage(prefix + startKey, 0);
+}
+
+// finds the key of the node on the level that covers the given key, i.e.
+// the closest key before it, or the key itself unless it's excluded, that
+// reaches the level. the level below has to be up to date
+function findCoveringKey(view, level, indexableKey, inclusive) {
+  var coveringKey;
+  return scanLevel(view, level - 1, indexableKey, true, function (row) {
+    var key = nodeKey(row.id);
+    if (key === indexableKey && !inclusive) {
+      return false;
+    }
+    if (keyLevel(key) >= level) {
+      coveringKey = key;
+      return true;
+    }
+  }).then(function () {
+    return coveringKey;
+  });
+}
+
+// rereduces the node of a key on a level out of the nodes it covers on the
+// level below
+function buildNode(view, level, indexableKey) {
+  var nodes = [];
+  return scanLevel(view, level - 1, indexableKey, false, function (row) {
+    var key = nodeKey(row.id);
+    if (key !== indexableKey && keyLevel(key) >= level) {
+      return true;
+    }
+    nodes.push(row.doc);
+  }).then(function () {
+    return rereduceNode(view, {_id: nodeId(level, indexableKey)}, nodes);
+  });
+}
+
+// sets the revs of the nodes that are stored already, so they can be
+// updated, and drops deletions of nodes that aren't there
+function withCurrentRevs(view, nodes) {
+  if (!nodes.length) {
+    return Promise.resolve(nodes);
+  }
+  return view.reduceDb.allDocs({
+    keys: nodes.map(function (node) {
+      return node._id;
+    })
+  }).then(function (res) {
+    return nodes.filter(function (node, i) {
+      var value = res.rows[i].value;
+      if (value && !value.deleted) {
+        node._rev = value.rev;
+      }
+      return node._rev || !node._deleted;
+    });
+  });
+}
+
+// updates the nodes on a level that cover the changed keys of the level
+// below. returns the keys that changed on this level
+function updateLevel(view, level, changes) {
+  var coveringKeys = {};
+  var deletions = [];
+  return Promise.all(changes.map(function (change) {
+    var reachesLevel = keyLevel(change.key) >= level;
+    if (reachesLevel && change.deleted) {
+      deletions.push({_id: nodeId(level, change.key), _deleted: true});
+    }
+    var finds = [findCoveringKey(view, level, change.key, true)];
+    if (reachesLevel && !change.deleted) {
+      // the node before it covers less now
+      finds.push(findCoveringKey(view, level, change.key, false));
+    }
+    return Promise.all(finds).then(function (keys) {
+      keys.forEach(function (key) {
+        if (typeof key !== 'undefined') {
+          coveringKeys['$' + key] = true;
+        }
+      });
+    });
+  })).then(function () {
+    return Promise.all(Object.keys(coveringKeys).map(function (key) {
+      return buildNode(view, level, key.substring(1));
+    }));
+  }).then(function (nodes) {
+    return withCurrentRevs(view, nodes.concat(deletions));
+  }).then(function (nodes) {
+    var write = nodes.length ?
+      view.reduceDb.bulkDocs({docs: nodes}) : Promise.resolve();
+    return write.then(function () {
+      return nodes.map(function (node) {
+        return {key: nodeKey(node._id), deleted: !!node._deleted};
+      });
+    });
+  });
+}
+
+// re-reduces the rows of every key touched by a batch of changes, and then
+// the nodes above them, level by level
+function saveReductions(view, changedKeys, seq) {
+  var keys = utils.uniq(changedKeys.map(function (key) {
+    return toIndexableString(key);
+  }));
+  function updateLevels(level, changes) {
+    if (!changes.length || level > REDUCE_MAX_LEVEL) {
+      return Promise.resolve();
+    }
+    return updateLevel(view, level, changes).then(function (changes) {
+      return updateLevels(level + 1, changes);
+    });
+  }
+  return Promise.all(keys.map(function (key) {
+    return Promise.all([
+      fetchRowsForKey(view, parseIndexableString(key)),
+      view.reduceDb.get(nodeId(0, key)).catch(defaultsTo({_id: nodeId(0, key)}))
+    ]).then(function (res) {
+      var rows = res[0];
+      var node = res[1];
+      if (rows.length) {
+        return reduceNode(view, node, rows);
+      }
+      if (node._rev) { // key isn't emitted anymore
+        return {_id: node._id, _rev: node._rev, _deleted: true};
+      }
+    });
+  })).then(function (nodes) {
+    nodes = nodes.filter(Boolean);
+    var write = nodes.length ?
+      view.reduceDb.bulkDocs({docs: nodes}) : Promise.resolve();
+    return write.then(function () {
+      return updateLevels(1, nodes.map(function (node) {
+        return {key: nodeKey(node._id), deleted: !!node._deleted};
+      }));
     });
+  }).then(function () {
+    return saveReduceSeq(view, [], seq);
+  });
+}
+
+// builds the reduce tree from scratch out of the map rows, e.g. for views
+// that were built before reduce nodes were persisted
+function rebuildReductions(view) {
+  var oldRevs = {};
+
+  function withOldRev(node) {
+    if (oldRevs['$' + node._id]) {
+      node._rev = oldRevs['$' + node._id];
+      delete oldRevs['$' + node._id];
+    }
+    return node;
+  }
+
+  function writeNodes(nodes) {
+    return nodes.length ?
+      view.reduceDb.bulkDocs({docs: nodes.map(withOldRev)}) :
+      Promise.resolve();
+  }
+
+  // level 0 holds the reductions of the map rows of each key
+  function buildKeys() {
+    var pendingKey;
+    var pendingRows = [];
+
+    function nodeFor(key, rows) {
+      return reduceNode(view, {_id: nodeId(0, toIndexableString(key))}, rows);
+    }
+
+    function processPage(startkey) {
+      var viewOpts = {include_docs: true, limit: REDUCE_REBUILD_BATCH_SIZE};
+      if (typeof startkey !== 'undefined') {
+        viewOpts.startkey = startkey;
+        viewOpts.skip = 1;
+      }
+      return view.db.allDocs(viewOpts).then(function (res) {
+        var nodes = [];
+        res.rows.forEach(function (row) {
+          var viewRow = parseViewRow(row.doc);
+          if (pendingRows.length && collate(pendingKey, viewRow.key) !== 0) {
+            nodes.push(nodeFor(pendingKey, pendingRows));
+            pendingRows = [];
+          }
+          pendingKey = viewRow.key;
+          pendingRows.push(viewRow);
+        });
+        return writeNodes(nodes).then(function () {
+          if (res.rows.length === REDUCE_REBUILD_BATCH_SIZE) {
+            return processPage(res.rows[res.rows.length - 1].id);
+          }
+          return writeNodes(pendingRows.length ?
+            [nodeFor(pendingKey, pendingRows)] : []);
+        });
+      });
+    }
+
+    return processPage();
+  }
+
+  // the levels above are rereduced out of the level below, until no key
+  // reaches the next level
+  function buildLevel(level) {
+    var prefix = nodeId(level - 1, '');
+    var pendingKey;
+    var pendingNodes = [];
+    var built = 0;
+
+    function processPage(startkey, skip) {
+      return view.reduceDb.allDocs({
+        startkey: startkey,
+        endkey: prefix + '\uffff',
+        include_docs: true,
+        limit: REDUCE_REBUILD_BATCH_SIZE,
+        skip: skip
+      }).then(function (res) {
+        var nodes = [];
+        res.rows.forEach(function (row) {
+          var key = nodeKey(row.id);
+          if (keyLevel(key) >= level) {
+            if (pendingNodes.length) {
+              nodes.push(rereduceNode(view, {_id: nodeId(level, pendingKey)},
+                pendingNodes));
+            }
+            pendingKey = key;
+            pendingNodes = [];
+          }
+          if (typeof pendingKey !== 'undefined') {
+            pendingNodes.push(row.doc);
+          }
+        });
+        if (res.rows.length < REDUCE_REBUILD_BATCH_SIZE &&
+            pendingNodes.length) {
+          nodes.push(rereduceNode(view, {_id: nodeId(level, pendingKey)},
+            pendingNodes));
+        }
+        built += nodes.length;
+        return writeNodes(nodes).then(function () {
+          if (res.rows.length === REDUCE_REBUILD_BATCH_SIZE) {
+            return processPage(res.rows[res.rows.length - 1].id, 1);
+          }
+        });
+      });
+    }
+
+    return processPage(prefix, 0).then(function () {
+      if (built && level < REDUCE_MAX_LEVEL) {
+        return buildLevel(level + 1);
+      }
+    });
+  }
+
+  return view.reduceDb.allDocs().then(function (res) {
+    res.rows.forEach(function (row) {
+      oldRevs['$' + row.id] = row.value.rev;
+    });
+    return buildKeys();
+  }).then(function () {
+    return buildLevel(1);
+  }).then(function () {
+    // remove the nodes that aren't part of the tree anymore
+    var nodes = Object.keys(oldRevs).map(function (id) {
+      return {_id: id.substring(1), _rev: oldRevs[id], _deleted: true};
+    });
+    return saveReduceSeq(view, nodes, view.seq);
+  });
+}
+
+// finds the docs that were purged from the source db since the view was
+// last updated
+function getPurgedDocIds(view, seq) {
+  return Promise.all([
+    purge.getPurges(view.sourceDB),
+    view.db.get('_local/purgeSeq').catch(defaultsTo({purge_seq: 0}))
+  ]).then(function (res) {
+    var purges = res[0];
+    var viewPurgeSeq = res[1].purge_seq;
+    var result = {docIds: [], purgeSeq: purges.purge_seq};
+    if (!seq || viewPurgeSeq >= purges.purge_seq) {
+      // a new view is built from what's left, so it's up to date
+      return result;
+    }
+    var log = purges.log.filter(function (entry) {
+      return entry.seq > viewPurgeSeq;
+    });
+    result.docIds = utils.uniq(log.map(function (entry) {
+      return entry.id;
+    }));
+    if ((purges.truncated_seq || 0) <= viewPurgeSeq) {
+      return result;
+    }
+    // some of the purges fell off the log, so index all of the docs
+    // in the view again
+    return view.db.allDocs({include_docs: true}).then(function (res) {
+      result.docIds = utils.uniq(result.docIds.concat(res.rows.map(
+        function (row) {
+          return parseViewRow(row.doc).id;
+        })));
+      return result;
+    });
+  });
+}
+
+function savePurgeSeq(view, purgeSeq) {
+  return upsert(view.db, '_local/purgeSeq', function (doc) {
+    if ((doc.purge_seq || 0) === purgeSeq) {
+      return false;
+    }
+    doc.purge_seq = purgeSeq;
+    return doc;
   });
 }
 
@@ -443,11 +958,29 @@ function getQueue(view) {
 
 function updateView(view) {
   return utils.sequentialize(getQueue(view), function () {
-    return updateViewInQueue(view);
+    return updateViewsInQueue([view]);
   })();
 }
 
-function updateViewInQueue(view) {
+// runs fun once it has the queues of all of the views, which are taken in
+// the order of their names, so that two callers can't deadlock
+function withViewQueues(views, fun) {
+  var names = utils.uniq(views.map(function (view) {
+    return view.name;
+  })).sort();
+  function next(i) {
+    if (i === names.length) {
+      return fun();
+    }
+    return utils.sequentialize(getQueue(names[i]), function () {
+      return next(i + 1);
+    })();
+  }
+  return next(0);
+}
+
+// keeps track of the indexing of one view, while the changes are read
+function createIndexer(view) {
   // bind the emit function once
   var mapResults;
   var doc;
@@ -471,31 +1004,148 @@ function updateViewInQueue(view) {
     };
   } else {
     mapFun = evalFunc(view.mapFun.toString(), emit, sum, log, Array.isArray,
-      JSON.parse);
+      JSON.parse, view.ddoc && ddocRequire.forViews(view.ddoc));
   }
 
-  var currentSeq = view.seq || 0;
+  var startSeq = view.seq || 0;
+  var currentSeq = startSeq;
+
+  function mapDoc(docToMap) {
+    mapResults = [];
+    doc = docToMap;
+
+    if (!doc._deleted) {
+      tryCode(view.sourceDB, mapFun, [doc]);
+    }
+    mapResults.sort(sortByKeyThenValue);
+
+    var indexableKeysToKeyValues = {};
+    var lastKey;
+    for (var j = 0, jl = mapResults.length; j < jl; j++) {
+      var obj = mapResults[j];
+      var complexKey = [obj.key, obj.id];
+      if (collate(obj.key, lastKey) === 0) {
+        complexKey.push(j); // dup key+id, so make it unique
+      }
+      var indexableKey = toIndexableString(complexKey);
+      indexableKeysToKeyValues[indexableKey] = obj;
+      lastKey = obj.key;
+    }
+    return indexableKeysToKeyValues;
+  }
 
   function processChange(docIdsToChangesAndEmits, seq) {
     return function () {
-      return saveKeyValues(view, docIdsToChangesAndEmits, seq);
+      return saveKeyValues(view, docIdsToChangesAndEmits, seq)
+      .then(function (changedKeys) {
+        if (view.reduceDb) {
+          return saveReductions(view, changedKeys, seq);
+        }
+      });
     };
   }
 
   var queue = new TaskQueue();
   // TODO(neojski): https://github.com/daleharvey/pouchdb/issues/1521
 
+  if (view.reduceDb && view.reduceSeq !== view.seq) {
+    // the reduce nodes are out of sync with the map rows
+    queue.add(function () {
+      return rebuildReductions(view);
+    });
+  }
+
+  // purged docs aren't in the changes feed, so they're indexed again
+  // separately, which drops their rows if they're gone for good
+  function reindexDocs(docIds) {
+    return view.sourceDB.allDocs({
+      keys: docIds,
+      include_docs: true,
+      conflicts: true
+    }).then(function (res) {
+      var docIdsToChangesAndEmits = {};
+      res.rows.forEach(function (row) {
+        docIdsToChangesAndEmits[row.key] = {
+          indexableKeysToKeyValues: row.doc ? mapDoc(row.doc) : {},
+          changes: [] // so that the old rows are looked up
+        };
+      });
+      return processChange(docIdsToChangesAndEmits, currentSeq)();
+    });
+  }
+
+  queue.add(function () {
+    return getPurgedDocIds(view, currentSeq).then(function (res) {
+      var update = res.docIds.length ?
+        reindexDocs(res.docIds) : Promise.resolve();
+      return update.then(function () {
+        return savePurgeSeq(view, res.purgeSeq);
+      });
+    });
+  });
+
+  return {
+    seq: startSeq,
+    // indexes the changes of a batch that the view hasn't seen yet
+    indexBatch: function (results) {
+      var docIdsToChangesAndEmits = {};
+      var indexed = false;
+      for (var i = 0, l = results.length; i < l; i++) {
+        var change = results[i];
+        if (change.seq <= startSeq) {
+          continue;
+        }
+        if (change.doc._id[0] !== '_') {
+          docIdsToChangesAndEmits[change.doc._id] = {
+            indexableKeysToKeyValues: mapDoc(change.doc),
+            changes: change.changes
+          };
+        }
+        currentSeq = change.seq;
+        indexed = true;
+      }
+      if (indexed) {
+        queue.add(processChange(docIdsToChangesAndEmits, currentSeq));
+      }
+    },
+    finish: function () {
+      return queue.finish().then(function () {
+        view.seq = currentSeq;
+      });
+    }
+  };
+}
+
+// updates the views in a single pass over the changes of their source db,
+// starting from the one that's the furthest behind. the caller has to hold
+// the queues of the views
+function updateViewsInQueue(views) {
+  // expired docs that are due are purged first, so that their rows are
+  // dropped like those of any other purged doc
+  return expiry.sweepDue(views[0].sourceDB).then(function () {
+    return indexViews(views);
+  });
+}
+
+function indexViews(views) {
+  var indexers = views.map(createIndexer);
+  var currentSeq = Math.min.apply(null, indexers.map(function (indexer) {
+    return indexer.seq;
+  }));
+  var sourceDB = views[0].sourceDB;
+
   return new Promise(function (resolve, reject) {
 
     function complete() {
-      queue.finish().then(function () {
-        view.seq = currentSeq;
+      Promise.all(indexers.map(function (indexer) {
+        return indexer.finish();
+      })).then(function () {
         resolve();
-      });
+      }, reject);
     }
 
     function processNextBatch() {
-      view.sourceDB.changes({
+      sourceDB.changes({
         conflicts: true,
         include_docs: true,
         style: 'all_docs',
@@ -506,38 +1156,10 @@ function updateViewInQueue(view) {
         if (!results.length) {
           return complete();
         }
-        var docIdsToChangesAndEmits = {};
-        for (var i = 0, l = results.length; i < l; i++) {
-          var change = results[i];
-          if (change.doc._id[0] !== '_') {
-            mapResults = [];
-            doc = change.doc;
-
-            if (!doc._deleted) {
-              tryCode(view.sourceDB, mapFun, [doc]);
-            }
-            mapResults.sort(sortByKeyThenValue);
-
-            var indexableKeysToKeyValues = {};
-            var lastKey;
-            for (var j = 0, jl = mapResults.length; j < jl; j++) {
-              var obj = mapResults[j];
-              var complexKey = [obj.key, obj.id];
-              if (collate(obj.key, lastKey) === 0) {
-                complexKey.push(j); // dup key+id, so make it unique
-              }
-              var indexableKey = toIndexableString(complexKey);
-              indexableKeysToKeyValues[indexableKey] = obj;
-              lastKey = obj.key;
-            }
-            docIdsToChangesAndEmits[change.doc._id] = {
-              indexableKeysToKeyValues: indexableKeysToKeyValues,
-              changes: change.changes
-            };
-          }
-          currentSeq = change.seq;
-        }
-        queue.add(processChange(docIdsToChangesAndEmits, currentSeq));
+        indexers.forEach(function (indexer) {
+          indexer.indexBatch(results);
+        });
+        currentSeq = results[results.length - 1].seq;
         if (results.length < CHANGES_BATCH_SIZE) {
           return complete();
         }
@@ -553,31 +1175,276 @@ function updateViewInQueue(view) {
   });
 }
 
+function getGroupKey(key, options) {
+  var shouldGroup = options.group || options.group_level;
+  var lvl = options.group_level;
+  if (!shouldGroup) {
+    return null;
+  }
+  // only set group_level for array keys
+  if (Array.isArray(key) && typeof lvl === 'number') {
+    return key.length > lvl ? key.slice(0, lvl) : key;
+  }
+  return key;
+}
+
+function rereduceNodes(view, nodes) {
+  var node = rereduceNode(view, {}, nodes);
+  if (node.error && node.error.builtIn) {
+    // CouchDB returns an error if a built-in errors out
+    throw new BuiltInError(node.error.message);
+  }
+  // CouchDB just sets the value to null if a non-built-in errors out
+  return node.error ? null : node.value;
+}
+
+// combines the reduce nodes of single keys using rereduce, instead of
+// reducing every single map row
+function reduceNodes(view, nodes, options) {
+  var groups = [];
+  nodes.forEach(function (node) {
+    var last = groups[groups.length - 1];
+    var key = getGroupKey(parseIndexableString(nodeKey(node._id)), options);
+    if (last && collate(last.key, key) === 0) {
+      last.nodes.push(node);
+      return;
+    }
+    groups.push({key: key, nodes: [node]});
+  });
+  groups = sliceResults(groups, options.limit, options.skip);
+  // no total_rows/offset when reducing
+  return {
+    rows: groups.map(function (group) {
+      return {key: group.key, value: rereduceNodes(view, group.nodes)};
+    })
+  };
+}
+
+// the range of keys a query asks for, as indexable strings, in ascending
+// order. the start is always inclusive
+function queryRange(opts) {
+  var range = {inclusiveEnd: true};
+  if (typeof opts.key !== 'undefined') {
+    range.start = range.end = toIndexableString(opts.key);
+    return range;
+  }
+  var first = opts.descending ? opts.endkey : opts.startkey;
+  var last = opts.descending ? opts.startkey : opts.endkey;
+  if (typeof first !== 'undefined') {
+    range.start = toIndexableString(first);
+  }
+  if (typeof last !== 'undefined') {
+    range.end = toIndexableString(last);
+  }
+  if (opts.inclusive_end === false) {
+    if (!opts.descending) {
+      range.inclusiveEnd = false;
+    } else if (typeof range.start !== 'undefined') {
+      // the smallest string that comes after it
+      range.start += '\u0000';
+    }
+  }
+  return range;
+}
+
+// the part of a range that falls into another range
+function intersectRanges(range, other) {
+  var result = {start: range.start, end: range.end,
+    inclusiveEnd: range.inclusiveEnd};
+  if (typeof result.start === 'undefined' || result.start < other.start) {
+    result.start = other.start;
+  }
+  if (typeof result.end === 'undefined' || other.end < result.end) {
+    result.end = other.end;
+    result.inclusiveEnd = other.inclusiveEnd;
+  }
+  return result;
+}
+
+// reads the nodes of a level whose keys are in the range
+function readLevel(view, level, range, descending, limit) {
+  var prefix = nodeId(level, '');
+  var start = prefix + (typeof range.start === 'undefined' ? '' : range.start);
+  var end = prefix + (typeof range.end === 'undefined' ? '\uffff' : range.end);
+  var skipEnd = descending && range.inclusiveEnd === false;
+  var viewOpts = {
+    startkey: descending ? end : start,
+    endkey: descending ? start : end,
+    descending: !!descending,
+    include_docs: true
+  };
+  if (!descending) {
+    viewOpts.inclusive_end = range.inclusiveEnd !== false;
+  }
+  if (limit) {
+    viewOpts.limit = skipEnd ? limit + 1 : limit;
+  }
+  return view.reduceDb.allDocs(viewOpts).then(function (res) {
+    var docs = res.rows.filter(function (row) {
+      return !skipEnd || row.id !== end;
+    }).map(function (row) {
+      return row.doc;
+    });
+    return limit ? docs.slice(0, limit) : docs;
+  });
+}
+
+function getTreeHeight(view) {
+  return view.reduceDb.allDocs({descending: true, limit: 1})
+  .then(function (res) {
+    return res.rows.length ? parseInt(res.rows[0].id.charAt(0), 10) : -1;
+  });
+}
+
+// finds the nodes that together cover the keys of a range, going down the
+// tree from the top. the highest level with keys in the range gives the
+// nodes in the middle, and each level below narrows down the parts of the
+// range that are left on both sides
+function reduceRange(view, range) {
+  var nodes = [];
+  var leftKey;
+  var rightKey;
+
+  // the last node also covers keys past the range, unless it's on level 0,
+  // so it's left for the levels below
+  function takeRight(level, docs) {
+    var last = docs.length - 1;
+    nodes.push.apply(nodes, level ? docs.slice(0, last) : docs);
+    rightKey = nodeKey(docs[last]._id);
+  }
+
+  function readLevels(level) {
+    if (level < 0) {
+      return Promise.resolve(nodes);
+    }
+    var reading;
+    if (typeof leftKey === 'undefined') {
+      reading = readLevel(view, level, range).then(function (docs) {
+        if (docs.length) {
+          leftKey = nodeKey(docs[0]._id);
+          takeRight(level, docs);
+        }
+      });
+    } else {
+      reading = Promise.all([
+        readLevel(view, level,
+          {start: range.start, end: leftKey, inclusiveEnd: false}),
+        readLevel(view, level,
+          {start: rightKey, end: range.end, inclusiveEnd: range.inclusiveEnd})
+      ]).then(function (res) {
+        if (res[0].length) {
+          nodes.push.apply(nodes, res[0]);
+          leftKey = nodeKey(res[0][0]._id);
+        }
+        takeRight(level, res[1]);
+      });
+    }
+    return reading.then(function () {
+      return readLevels(level - 1);
+    });
+  }
+
+  return getTreeHeight(view).then(readLevels);
+}
+
+// reduces the groups of a group_level query one at a time, out of the
+// nodes that cover the range of keys of each group
+function reduceGroups(view, range, opts) {
+  var groups = [];
+  var wanted = typeof opts.limit === 'number' ?
+    (opts.skip || 0) + opts.limit : Infinity;
+
+  function nextGroup(range) {
+    if (groups.length >= wanted) {
+      return Promise.resolve();
+    }
+    return readLevel(view, 0, range, opts.descending, 1).then(function (docs) {
+      if (!docs.length) {
+        return;
+      }
+      var indexableKey = nodeKey(docs[0]._id);
+      var key = parseIndexableString(indexableKey);
+      var groupKey = getGroupKey(key, opts);
+      var groupRange;
+      var reducing;
+      if (!Array.isArray(key) || key.length < opts.group_level) {
+        // no other key falls into its group
+        groupRange = {start: indexableKey, end: indexableKey};
+        reducing = Promise.resolve(docs);
+      } else {
+        // the keys of the group are the arrays that start with the same
+        // elements, whose indexable strings share a prefix
+        var prefix = toIndexableString(groupKey).slice(0, -1);
+        groupRange = {start: prefix, end: prefix + '\uffff'};
+        reducing = reduceRange(view, intersectRanges(range,
+          {start: prefix, end: groupRange.end, inclusiveEnd: true}));
+      }
+      return reducing.then(function (nodes) {
+        groups.push({key: groupKey, value: rereduceNodes(view, nodes)});
+        return nextGroup(opts.descending ?
+          {start: range.start, end: groupRange.start, inclusiveEnd: false} :
+          {start: groupRange.end + '\u0000', end: range.end,
+            inclusiveEnd: range.inclusiveEnd});
+      });
+    });
+  }
+
+  return nextGroup(range).then(function () {
+    // no total_rows/offset when reducing
+    return {rows: sliceResults(groups, opts.limit, opts.skip)};
+  });
+}
+
+function queryReduceNodes(view, opts) {
+  if (opts.group_level === 0) {
+    delete opts.group_level;
+  }
+
+  if (typeof opts.keys !== 'undefined') {
+    return view.reduceDb.allDocs({
+      keys: opts.keys.map(function (key) {
+        return nodeId(0, toIndexableString(key));
+      }),
+      include_docs: true
+    }).then(function (res) {
+      var nodes = res.rows.filter(function (row) {
+        return row.doc;
+      }).map(function (row) {
+        return row.doc;
+      });
+      return reduceNodes(view, nodes, opts);
+    });
+  }
+
+  var range = queryRange(opts);
+  if (typeof opts.group_level === 'number') {
+    return reduceGroups(view, range, opts);
+  }
+  if (opts.group) {
+    // every key is a group of its own
+    return readLevel(view, 0, range, opts.descending).then(function (nodes) {
+      return reduceNodes(view, nodes, opts);
+    });
+  }
+  return reduceRange(view, range).then(function (nodes) {
+    var rows = nodes.length ?
+      [{key: null, value: rereduceNodes(view, nodes)}] : [];
+    // no total_rows/offset when reducing
+    return {rows: sliceResults(rows, opts.limit, opts.skip)};
+  });
+}
+
 function reduceView(view, results, options) {
   if (options.group_level === 0) {
     delete options.group_level;
   }
 
-  var shouldGroup = options.group || options.group_level;
-
-  var reduceFun;
-  if (builtInReduce[view.reduceFun]) {
-    reduceFun = builtInReduce[view.reduceFun];
-  } else {
-    reduceFun = evalFunc(
-      view.reduceFun.toString(), null, sum, log, Array.isArray, JSON.parse);
-  }
+  var reduceFun = getReduceFun(view);
 
   var groups = [];
-  var lvl = options.group_level;
   results.forEach(function (e) {
     var last = groups[groups.length - 1];
-    var key = shouldGroup ? e.key : null;
-
-    // only set group_level for array keys
-    if (shouldGroup && Array.isArray(key) && typeof lvl === 'number') {
-      key = key.length > lvl ? key.slice(0, lvl) : key;
-    }
+    var key = getGroupKey(e.key, options);
 
     if (last && collate(last.key[0][0], key) === 0) {
       last.key.push([key, e.id]);
@@ -605,7 +1472,13 @@ function reduceView(view, results, options) {
 
 function queryView(view, opts) {
   return utils.sequentialize(getQueue(view), function () {
-    return queryViewInQueue(view, opts);
+    return queryViewInQueue(view, opts).then(function (res) {
+      if (opts.update_seq) {
+        // the seq of the source db that the view is up to date with
+        res.update_seq = view.seq;
+      }
+      return res;
+    });
   })();
 }
 
@@ -618,34 +1491,23 @@ function queryViewInQueue(view, opts) {
     opts.limit = 0;
     delete opts.keys;
   }
+  if (opts.start_key) {
+    opts.startkey = opts.start_key;
+  }
+  if (opts.end_key) {
+    opts.endkey = opts.end_key;
+  }
+
+  if (shouldReduce && view.reduceDb && view.reduceSeq === view.seq) {
+    return queryReduceNodes(view, opts);
+  }
 
   function fetchFromView(viewOpts) {
     viewOpts.include_docs = true;
     return view.db.allDocs(viewOpts).then(function (res) {
       totalRows = res.total_rows;
       return res.rows.map(function (result) {
-
-        // implicit migration - in older versions of PouchDB,
-        // we explicitly stored the doc as {id: ..., key: ..., value: ...}
-        // this is tested in a migration test
-        /* istanbul ignore next */
-        if ('value' in result.doc && typeof result.doc.value === 'object' &&
-            result.doc.value !== null) {
-          var keys = Object.keys(result.doc.value).sort();
-          // this detection method is not perfect, but it's unlikely the user
-          // emitted a value which was an object with these 3 exact keys
-          var expectedKeys = ['id', 'key', 'value'];
-          if (!(keys < expectedKeys || keys > expectedKeys)) {
-            return result.doc.value;
-          }
-        }
-
-        var parsedKeyAndDocId = parseIndexableString(result.doc._id);
-        return {
-          key: parsedKeyAndDocId[0],
-          id: parsedKeyAndDocId[1],
-          value: ('value' in result.doc ? result.doc.value : null)
-        };
+        return parseViewRow(result.doc);
       });
     });
   }
@@ -705,12 +1567,6 @@ function queryViewInQueue(view, opts) {
     var viewOpts = {
       descending : opts.descending
     };
-    if (opts.start_key) {
-        opts.startkey = opts.start_key;
-    }
-    if (opts.end_key) {
-        opts.endkey = opts.end_key;
-    }
     if (typeof opts.startkey !== 'undefined') {
       viewOpts.startkey = opts.descending ?
         toIndexableString([opts.startkey, {}]) :
@@ -793,7 +1649,7 @@ function localViewCleanup(db) {
         function (viewDBName) { return !viewsToStatus[viewDBName]; });
       var destroyPromises = dbsToDelete.map(function (viewDBName) {
         return utils.sequentialize(getQueue(viewDBName), function () {
-          return new db.constructor(viewDBName, db.__opts).destroy();
+          return db._dependentDb(viewDBName).destroy();
         })();
       });
       return Promise.all(destroyPromises).then(function () {
@@ -812,9 +1668,127 @@ exports.viewCleanup = utils.callbackify(function () {
   if (typeof db._viewCleanup === 'function') {
     return customViewCleanup(db);
   }
-  return localViewCleanup(db);
+  return localViewCleanup(db).then(function (res) {
+    // full-text search indexes live in dependent databases as well
+    return searchIndexes.cleanup(db).then(function () {
+      return res;
+    });
+  });
 });
 
+// returns the map and reduce functions of a view of a design doc, if it
+// has a valid one
+function findViewFun(ddoc, viewName) {
+  if (viewName === 'lib') {
+    return; // the modules of the views, see ddocRequire.js
+  }
+  var fun = ddoc.views && ddoc.views[viewName];
+
+  if (fun && ddoc.language === 'query' && fun.map &&
+      typeof fun.map.fields === 'object') {
+    // mango index
+    fun = {map: queryMapFun(fun.map), reduce: fun.reduce};
+  }
+
+  if (fun && typeof fun.map === 'string') {
+    return fun;
+  }
+}
+
+function getViewFun(ddoc, viewName) {
+  var fun = findViewFun(ddoc, viewName);
+  if (!fun) {
+    throw new NotFoundError('ddoc ' + ddoc._id.substring(8) +
+    ' has no view named ' + viewName);
+  }
+  return fun;
+}
+
+function createDdocView(db, ddoc, viewName) {
+  var fun = getViewFun(ddoc, viewName);
+  return createView({
+    db: db,
+    viewName: ddoc._id.substring(8) + '/' + viewName,
+    map: fun.map,
+    reduce: fun.reduce,
+    ddoc: ddoc
+  });
+}
+
+// compiles the functions of a view, so that a view that doesn't compile
+// is found before it's indexed along with the other views of its ddoc
+function checkViewFuns(view) {
+  if (typeof view.mapFun !== 'function') {
+    evalFunc(view.mapFun.toString(), null, sum, log, Array.isArray,
+      JSON.parse, view.ddoc && ddocRequire.forViews(view.ddoc));
+  }
+  if (view.reduceFun) {
+    getReduceFun(view);
+  }
+}
+
+// Creates the views of a design doc, which get indexed together. Each one
+// still has its own dependent db. Returns the views by name, the list of
+// their distinct indexes, as views with the same functions share one, and
+// the errors of the views that don't compile, which are left out of that
+// list so that they don't break the others. They're cached per revision of
+// the design doc, until a view is destroyed.
+function createDdocViews(db, ddoc) {
+  var cache = db._cachedDdocViews = db._cachedDdocViews || {};
+  var cached = cache[ddoc._id];
+  if (cached && cached.rev === ddoc._rev) {
+    return cached.promise;
+  }
+  var viewNames = Object.keys(ddoc.views || {}).filter(function (viewName) {
+    return findViewFun(ddoc, viewName);
+  });
+  var promise = Promise.all(viewNames.map(function (viewName) {
+    return createDdocView(db, ddoc, viewName);
+  })).then(function (views) {
+    var byName = {};
+    var byIndex = {};
+    var errors = {};
+    views.forEach(function (view, i) {
+      // views created at the same time may be separate copies of an index
+      byIndex[view.name] = byIndex[view.name] || view;
+      byName[viewNames[i]] = byIndex[view.name];
+      try {
+        checkViewFuns(view);
+      } catch (err) {
+        errors[viewNames[i]] = err;
+      }
+    });
+    return {
+      byName: byName,
+      errors: errors,
+      views: Object.keys(byIndex).map(function (name) {
+        return byIndex[name];
+      }).filter(function (view) {
+        return !viewNames.some(function (viewName) {
+          return errors[viewName] && byName[viewName] === view;
+        });
+      })
+    };
+  });
+  cache[ddoc._id] = {rev: ddoc._rev, promise: promise};
+  promise.catch(function () {
+    if (cache[ddoc._id] && cache[ddoc._id].promise === promise) {
+      delete cache[ddoc._id];
+    }
+  });
+  return promise;
+}
+
+// updates the views in a single pass over the changes
+function updateViews(views) {
+  if (!views.length) {
+    return Promise.resolve();
+  }
+  return withViewQueues(views, function () {
+    return updateViewsInQueue(views);
+  });
+}
+
 function queryPromised(db, fun, opts) {
   if (db.type() === 'http') {
     return httpQuery(db, fun, opts);
@@ -854,30 +1828,29 @@ function queryPromised(db, fun, opts) {
     var designDocName = parts[0];
     var viewName = parts[1];
     return db.get('_design/' + designDocName).then(function (doc) {
-      var fun = doc.views && doc.views[viewName];
-
-      if (!fun || typeof fun.map !== 'string') {
-        throw new NotFoundError('ddoc ' + designDocName +
-        ' has no view named ' + viewName);
-      }
+      var fun = getViewFun(doc, viewName);
       checkQueryParseError(opts, fun);
 
-      var createViewOpts = {
-        db : db,
-        viewName : fullViewName,
-        map : fun.map,
-        reduce : fun.reduce
-      };
-      return createView(createViewOpts).then(function (view) {
-        if (opts.stale === 'ok' || opts.stale === 'update_after') {
-          if (opts.stale === 'update_after') {
-            process.nextTick(function () {
-              updateView(view);
-            });
-          }
+      if (opts.stale === 'ok') {
+        // nothing gets indexed, so the other views aren't needed
+        return createDdocView(db, doc, viewName).then(function (view) {
+          return queryView(view, opts);
+        });
+      }
+      // the other views of the design doc are indexed along with this one,
+      // so that the changes are only read once for all of them
+      return createDdocViews(db, doc).then(function (ddocViews) {
+        var view = ddocViews.byName[viewName];
+        if (ddocViews.errors[viewName]) {
+          throw ddocViews.errors[viewName];
+        }
+        if (opts.stale === 'update_after') {
+          process.nextTick(function () {
+            updateViews(ddocViews.views);
+          });
           return queryView(view, opts);
         } else { // stale not ok
-          return updateView(view).then(function () {
+          return updateViews(ddocViews.views).then(function () {
             return queryView(view, opts);
           });
         }
@@ -905,6 +1878,95 @@ exports.query = function (fun, opts, callback) {
   return promise;
 };
 
+function httpViewInfo(db, fullViewName) {
+  var parts = parseViewName(fullViewName);
+  return Promise.all([
+    db.request({
+      method: 'GET',
+      url: '_design/' + parts[0] + '/_info'
+    }),
+    httpQuery(db, fullViewName, {limit: 0, reduce: false, stale: 'ok'}),
+    db.info()
+  ]).then(function (res) {
+    var index = res[0].view_index;
+    return {
+      name: fullViewName,
+      update_seq: index.update_seq,
+      db_update_seq: res[2].update_seq,
+      total_rows: res[1].total_rows,
+      disk_size: index.sizes ? index.sizes.file : index.disk_size
+    };
+  });
+}
+
+function localViewInfo(db, fullViewName) {
+  var parts = parseViewName(fullViewName);
+  return db.get('_design/' + parts[0]).then(function (ddoc) {
+    return createDdocView(db, ddoc, parts[1]);
+  }).then(function (view) {
+    return utils.sequentialize(getQueue(view), function () {
+      return Promise.all([
+        view.db.info(),
+        db.info(),
+        view.reduceDb ? view.reduceDb.info() : {data_size: 0}
+      ]).then(function (res) {
+        return {
+          name: fullViewName,
+          update_seq: view.seq,
+          db_update_seq: res[1].update_seq,
+          total_rows: res[0].doc_count,
+          // an estimate, from the size of the docs in the view's dbs
+          disk_size: res[0].data_size + res[2].data_size
+        };
+      });
+    })();
+  });
+}
+
+// tells how far a view has been indexed, without updating it
+exports.viewInfo = function (fullViewName, callback) {
+  var db = this;
+  var promise = Promise.resolve().then(function () {
+    if (db.type() === 'http') {
+      return httpViewInfo(db, fullViewName);
+    }
+    return localViewInfo(db, fullViewName);
+  });
+  utils.promisedCallback(promise, callback);
+  return promise;
+};
+
+// brings all the views of a design doc up to date, in a single pass over
+// the changes
+exports.buildViews = function (ddocId, callback) {
+  var db = this;
+  if (ddocId.indexOf('_design/') !== 0) {
+    ddocId = '_design/' + ddocId;
+  }
+  var ddocName = ddocId.substring(8);
+  var promise = db.get(ddocId).then(function (ddoc) {
+    if (db.type() === 'http') {
+      // CouchDB builds all the views of a design doc at once anyway
+      var viewNames = Object.keys(ddoc.views || {});
+      return viewNames.length && httpQuery(db, ddocName + '/' + viewNames[0],
+        {limit: 0, reduce: false});
+    }
+    return createDdocViews(db, ddoc).then(function (ddocViews) {
+      return updateViews(ddocViews.views).then(function () {
+        // the views that compile are built anyway
+        var viewName = Object.keys(ddocViews.errors)[0];
+        if (viewName) {
+          throw ddocViews.errors[viewName];
+        }
+      });
+    });
+  }).then(function () {
+    return {ok: true};
+  });
+  utils.promisedCallback(promise, callback);
+  return promise;
+};
+
 function QueryParseError(message) {
   this.status = 400;
   this.name = 'query_parse_error';
@@ -0,0 +1,29 @@
+'use strict';
+
+// Mango indexes are stored in design docs with `language: 'query'`, which
+// just list the fields to index. CouchDB builds those indexes natively, so
+// locally we translate them into the equivalent JavaScript map function,
+// which emits the values of all indexed fields as an array key. Docs that
+// are missing any of the fields are not indexed, same as in CouchDB.
+module.exports = function (map) {
+  var fields = Object.keys(map.fields);
+  return [
+    'function (doc) {',
+    '  var fields = ' + JSON.stringify(fields) + ';',
+    '  var key = [];',
+    '  for (var i = 0; i < fields.length; i++) {',
+    '    var value = doc;',
+    '    var parts = fields[i].split(".");',
+    '    for (var j = 0; j < parts.length; j++) {',
+    '      if (value === null || typeof value !== "object" ||',
+    '          !(parts[j] in value)) {',
+    '        return;',
+    '      }',
+    '      value = value[parts[j]];',
+    '    }',
+    '    key.push(value);',
+    '  }',
+    '  emit(key);',
+    '}'
+  ].join('\n');
+};
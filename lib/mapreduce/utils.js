@@ -2,20 +2,7 @@
 
 var argsarray = require('argsarray');
 
-exports.promisedCallback = function (promise, callback) {
-  if (callback) {
-    promise.then(function (res) {
-      process.nextTick(function () {
-        callback(null, res);
-      });
-    }, function (reason) {
-      process.nextTick(function () {
-        callback(reason);
-      });
-    });
-  }
-  return promise;
-};
+exports.promisedCallback = require('../deps/promisedCallback');
 
 exports.callbackify = function (fun) {
   return argsarray(function (args) {
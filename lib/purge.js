@@ -0,0 +1,101 @@
+'use strict';
+
+var utils = require('./utils');
+var errors = require('./deps/errors');
+var upsert = require('./deps/upsert');
+var Promise = utils.Promise;
+
+// Purged docs don't show up in the changes feed, so the ids of the docs
+// that were purged are logged in a local doc, along with a purge_seq that
+// goes up with every purge. Views compare it with the purge_seq they were
+// last updated at, to find the docs they need to index again. Only the
+// last PURGE_LOG_LIMIT purged ids are kept; views that fell further behind
+// than truncated_seq index all of their docs again.
+var PURGES_ID = '_local/purges';
+var PURGE_LOG_LIMIT = 1000;
+
+// checks that docsRevs is a map of doc ids to lists of revisions
+exports.validate = function (docsRevs) {
+  if (!docsRevs || typeof docsRevs !== 'object' || Array.isArray(docsRevs)) {
+    return errors.error(errors.BAD_REQUEST,
+      'purge() expects an object mapping doc ids to lists of revisions');
+  }
+  var invalidId = Object.keys(docsRevs).filter(function (docId) {
+    var revs = docsRevs[docId];
+    return !Array.isArray(revs) || !revs.every(function (rev) {
+      return typeof rev === 'string' && /^\d+-/.test(rev);
+    });
+  })[0];
+  if (typeof invalidId !== 'undefined') {
+    return errors.error(errors.BAD_REQUEST,
+      'invalid list of revisions for doc ' + invalidId);
+  }
+};
+
+function purgeDoc(db, docId, revs) {
+  return new Promise(function (resolve, reject) {
+    db._purge(docId, revs, function (err, res) {
+      if (err) {
+        // like CouchDB, nothing is purged from docs that don't exist
+        return err.status === 404 ? resolve([]) : reject(err);
+      }
+      resolve(res.purged);
+    });
+  });
+}
+
+function logPurges(db, docIds) {
+  var purgeSeq;
+  return upsert(db, PURGES_ID, function (doc) {
+    purgeSeq = doc.purge_seq = (doc.purge_seq || 0) + 1;
+    var log = (doc.log || []).concat(docIds.map(function (docId) {
+      return {seq: purgeSeq, id: docId};
+    }));
+    if (log.length > PURGE_LOG_LIMIT) {
+      // remember how far the log is incomplete
+      doc.truncated_seq = log[log.length - PURGE_LOG_LIMIT - 1].seq;
+      log = log.slice(-PURGE_LOG_LIMIT);
+    }
+    doc.log = log;
+    return doc;
+  }).then(function () {
+    return purgeSeq;
+  });
+}
+
+// removes the given leaf revisions from the docs, one doc at a time
+exports.purgeDocs = function (db, docsRevs) {
+  var purged = {};
+  var chain = Promise.resolve();
+  Object.keys(docsRevs).forEach(function (docId) {
+    chain = chain.then(function () {
+      return purgeDoc(db, docId, docsRevs[docId]);
+    }).then(function (revs) {
+      purged[docId] = revs;
+    });
+  });
+  return chain.then(function () {
+    var purgedIds = Object.keys(purged).filter(function (docId) {
+      return purged[docId].length;
+    });
+    if (!purgedIds.length) {
+      return exports.getPurges(db).then(function (doc) {
+        return doc.purge_seq;
+      });
+    }
+    return logPurges(db, purgedIds);
+  }).then(function (purgeSeq) {
+    return {purge_seq: purgeSeq, purged: purged};
+  });
+};
+
+// returns the purge log of the db
+exports.getPurges = function (db) {
+  return db.get(PURGES_ID).catch(function (err) {
+    /* istanbul ignore if */
+    if (err.status !== 404) {
+      throw err;
+    }
+    return {purge_seq: 0, log: []};
+  });
+};
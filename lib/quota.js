@@ -0,0 +1,211 @@
+'use strict';
+
+var utils = require('./utils');
+var errors = require('./deps/errors');
+var isLocalId = require('./deps/docs/isLocalId');
+var collectLeaves = require('./deps/merge/collectLeaves');
+var purge = require('./purge');
+var Promise = utils.Promise;
+
+// The local adapters keep an estimate of the size of their docs in their
+// meta stores, which info() reports as data_size. A database with the
+// max_size option emits a quota event once a write takes it past that size.
+// With the eviction option set to 'lru', the docs that were least recently
+// read or written are purged first, until the database fits again. When
+// each doc was last used is only kept in memory, not persisted, so it's lost
+// when the database is closed. Docs that haven't been used since it was
+// opened go first, in the order they were last written. Design docs are
+// never evicted.
+var EVICTION_POLICIES = ['lru'];
+
+// validates the max_size and eviction options of a database
+exports.validate = function (opts) {
+  var maxSize = opts.max_size;
+  if ('max_size' in opts && !(typeof maxSize === 'number' && maxSize > 0 &&
+      isFinite(maxSize))) {
+    return errors.error(errors.BAD_REQUEST,
+      'max_size should be a positive number of bytes');
+  }
+  if ('eviction' in opts && EVICTION_POLICIES.indexOf(opts.eviction) === -1) {
+    return errors.error(errors.BAD_REQUEST,
+      'eviction should be one of: ' + EVICTION_POLICIES.join(', '));
+  }
+};
+
+exports.init = function (db) {
+  var maxSize = db.__opts.max_size;
+  if (!maxSize || db.type() === 'http' ||
+      typeof db._getSizes !== 'function') {
+    return;
+  }
+  db._quota = {
+    maxSize: maxSize,
+    eviction: db.__opts.eviction,
+    // the ids of the docs that were used, and when. a counter stands in
+    // for the time, as many docs get used within the same millisecond
+    lastUsed: new utils.Map(),
+    clock: 0,
+    checking: null,
+    recheck: false
+  };
+};
+
+function getDataSize(db) {
+  return new Promise(function (resolve, reject) {
+    db._info(function (err, info) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(info.data_size);
+    });
+  });
+}
+
+function getSizes(db) {
+  return new Promise(function (resolve, reject) {
+    db._getSizes(function (err, sizes) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(sizes);
+    });
+  });
+}
+
+function getLeafRevs(db, docId) {
+  return new Promise(function (resolve, reject) {
+    db._getRevisionTree(docId, function (err, revTree) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(collectLeaves(revTree).map(function (leaf) {
+        return leaf.rev;
+      }));
+    });
+  });
+}
+
+// docs that haven't been used while the db was open come first, oldest
+// writes first. the others follow in the order they were last used
+function leastRecentlyUsedFirst(lastUsed) {
+  return function (a, b) {
+    var aUsed = lastUsed.get(a.id);
+    var bUsed = lastUsed.get(b.id);
+    if (typeof aUsed === 'undefined' && typeof bUsed === 'undefined') {
+      return a.seq - b.seq;
+    }
+    if (typeof aUsed === 'undefined') {
+      return -1;
+    }
+    if (typeof bUsed === 'undefined') {
+      return 1;
+    }
+    return aUsed - bUsed;
+  };
+}
+
+// purges the least recently used docs until the db fits in its max_size.
+// returns the ids of the docs that were evicted
+function evict(db, dataSize) {
+  var state = db._quota;
+  return getSizes(db).then(function (sizes) {
+    var candidates = sizes.filter(function (doc) {
+      return !/^_design\//.test(doc.id);
+    }).sort(leastRecentlyUsedFirst(state.lastUsed));
+    var docIds = [];
+    for (var i = 0; i < candidates.length && dataSize > state.maxSize; i++) {
+      docIds.push(candidates[i].id);
+      dataSize -= candidates[i].size;
+    }
+    var docsRevs = {};
+    var chain = Promise.resolve();
+    docIds.forEach(function (docId) {
+      chain = chain.then(function () {
+        return getLeafRevs(db, docId);
+      }).then(function (revs) {
+        docsRevs[docId] = revs;
+      }, function (err) {
+        // it might have been purged by someone else already
+        if (err.status !== 404) {
+          throw err;
+        }
+      });
+    });
+    return chain.then(function () {
+      return purge.purgeDocs(db, docsRevs);
+    }).then(function () {
+      docIds.forEach(function (docId) {
+        state.lastUsed.delete(docId);
+      });
+      return Object.keys(docsRevs);
+    });
+  });
+}
+
+// emits a quota event if the db has outgrown its max_size, after evicting
+// docs if it's set up to. only one check runs at a time; writes made in the
+// meantime are checked once it's done
+function check(db) {
+  var state = db._quota;
+  if (state.checking) {
+    state.recheck = true;
+    return state.checking;
+  }
+  state.checking = getDataSize(db).then(function (dataSize) {
+    if (dataSize <= state.maxSize) {
+      return;
+    }
+    var evicting = state.eviction === 'lru' ?
+      evict(db, dataSize) : Promise.resolve([]);
+    return evicting.then(function (evicted) {
+      db.emit('quota', {
+        data_size: dataSize,
+        max_size: state.maxSize,
+        evicted: evicted
+      });
+    });
+  });
+  function done() {
+    state.checking = null;
+    if (state.recheck && !db._closed) {
+      state.recheck = false;
+      check(db).catch(function () {
+        // the db might have been closed or destroyed in the meantime
+      });
+    }
+  }
+  state.checking.then(done, done);
+  return state.checking;
+}
+
+// notes that a doc was just read
+exports.touch = function (db, docId) {
+  var state = db._quota;
+  if (state) {
+    state.lastUsed.set(docId, ++state.clock);
+  }
+};
+
+// notes that the docs were just written, and checks the size of the db
+//  - docs: the docs that were written
+//  - results: the results of writing them, which have the ids of new docs
+exports.afterWrite = function (db, docs, results) {
+  var state = db._quota;
+  if (!state) {
+    return;
+  }
+  var docIds = docs.map(function (doc, i) {
+    return doc._id || (results[i] && results[i].id);
+  }).filter(function (docId) {
+    return docId && !isLocalId(docId);
+  });
+  if (!docIds.length) {
+    return;
+  }
+  docIds.forEach(function (docId) {
+    exports.touch(db, docId);
+  });
+  check(db).catch(function () {
+    // the db might have been closed or destroyed in the meantime
+  });
+};
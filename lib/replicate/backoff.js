@@ -1,28 +1,8 @@
 'use strict';
 
-var STARTING_BACK_OFF = 0;
-
-function randomNumber(min, max) {
-  min = parseInt(min, 10) || 0;
-  max = parseInt(max, 10);
-  if (max !== max || max <= min) {
-    max = (min || 1) << 1; //doubling
-  } else {
-    max = max + 1;
-  }
-  var ratio = Math.random();
-  var range = max - min;
-
-  return ~~(range * ratio + min); // ~~ coerces to an int, but fast.
-}
+var defaultBackOff = require('../deps/defaultBackOff');
 
-function defaultBackOff(min) {
-  var max = 0;
-  if (!min) {
-    max = 2000;
-  }
-  return randomNumber(min, max);
-}
+var STARTING_BACK_OFF = 0;
 
 function backOff(opts, returnValue, error, callback) {
   if (opts.retry === false) {
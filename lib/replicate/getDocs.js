@@ -8,7 +8,7 @@ function isGenOne(rev) {
   return /^1-/.test(rev);
 }
 
-function createBulkGetOpts(diffs) {
+function createBulkGetOpts(diffs, attachments) {
   var requests = [];
   Object.keys(diffs).forEach(function (id) {
     var missingRevs = diffs[id].missing;
@@ -23,38 +23,136 @@ function createBulkGetOpts(diffs) {
   return {
     docs: requests,
     revs: true,
-    attachments: true,
+    attachments: attachments,
     binary: true
   };
 }
 
+function callbackToPromise(fun) {
+  return new Promise(function (resolve, reject) {
+    fun(function (err, res) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(res);
+    });
+  });
+}
+
+function getStubDigests(docs) {
+  var digests = {};
+  docs.forEach(function (doc) {
+    var atts = doc._attachments || {};
+    Object.keys(atts).forEach(function (name) {
+      if (atts[name].stub) {
+        digests[atts[name].digest] = true;
+      }
+    });
+  });
+  return Object.keys(digests);
+}
+
 //
 // Fetch all the documents from the src as described in the "diffs",
 // which is a mapping of docs IDs to revisions. If the state ever
 // changes to "cancelled", then the returned promise will be rejected.
 // Else it will be resolved with a list of fetched documents.
 //
-function getDocs(src, diffs, state) {
+// If the target can tell us which attachments it already has, the docs
+// are fetched with attachment stubs, and only the data of the attachments
+// that the target is missing is fetched. With opts.lazy_attachments, LevelDB
+// targets keep the missing attachments as stubs, and their data is fetched
+// when they're first read from the target.
+//
+// transfer(field, bytes), if given, counts the bytes that the requests to
+// the src send and receive.
+//
+function getDocs(src, target, diffs, state, opts, transfer) {
   diffs = clone(diffs); // we do not need to modify this
 
+  function withTransfer(reqOpts) {
+    if (transfer) {
+      reqOpts.transfer = transfer;
+    }
+    return reqOpts;
+  }
+
   var resultDocs = [];
+  var dedupe = typeof target._getMissingAttachments === 'function';
+  // only LevelDB targets can store attachments without their data
+  var lazy = opts.lazy_attachments &&
+    typeof target._reserveAttachments === 'function';
+
+  function fetchAttachments(docs, missing) {
+    var fetched = {}; // each attachment is only fetched once per batch
+    var promises = [];
+    docs.forEach(function (doc) {
+      var atts = doc._attachments || {};
+      Object.keys(atts).forEach(function (name) {
+        var att = atts[name];
+        if (!att.stub || missing.indexOf(att.digest) === -1) {
+          return;
+        }
+        if (!fetched[att.digest]) {
+          fetched[att.digest] = src.getAttachment(doc._id, name,
+            withTransfer({rev: doc._rev}));
+        }
+        promises.push(fetched[att.digest].then(function (data) {
+          att.data = data;
+          delete att.stub;
+          delete att.length;
+        }));
+      });
+    });
+    return Promise.all(promises);
+  }
+
+  function getMissingAttachments(docs) {
+    var digests = getStubDigests(docs);
+    if (!digests.length) {
+      return;
+    }
+    return callbackToPromise(function (callback) {
+      target._getMissingAttachments(digests, callback);
+    }).then(function (missing) {
+      if (!missing.length) {
+        return;
+      }
+      if (lazy) {
+        return callbackToPromise(function (callback) {
+          target._reserveAttachments(missing, callback);
+        });
+      }
+      return fetchAttachments(docs, missing);
+    }).then(function () {
+      /* istanbul ignore if */
+      if (state.cancelled) {
+        throw new Error('cancelled');
+      }
+    });
+  }
 
   function getAllDocs() {
 
-    var bulkGetOpts = createBulkGetOpts(diffs);
+    var bulkGetOpts = withTransfer(createBulkGetOpts(diffs, !dedupe));
 
     return src.bulkGet(bulkGetOpts).then(function (bulkGetResponse) {
       /* istanbul ignore if */
       if (state.cancelled) {
         throw new Error('cancelled');
       }
+      var docs = [];
       bulkGetResponse.results.forEach(function (bulkGetInfo) {
         bulkGetInfo.docs.forEach(function (doc) {
           if (doc.ok) {
-            resultDocs.push(doc.ok);
+            docs.push(doc.ok);
           }
         });
       });
+      resultDocs = resultDocs.concat(docs);
+      if (dedupe) {
+        return getMissingAttachments(docs);
+      }
     });
   }
 
@@ -65,10 +163,10 @@ function getDocs(src, diffs, state) {
   function fetchRevisionOneDocs(ids) {
     // Optimization: fetch gen-1 docs and attachments in
     // a single request using _all_docs
-    return src.allDocs({
+    return src.allDocs(withTransfer({
       keys: ids,
       include_docs: true
-    }).then(function (res) {
+    })).then(function (res) {
       if (state.cancelled) {
         throw new Error('cancelled');
       }
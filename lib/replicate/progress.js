@@ -0,0 +1,161 @@
+'use strict';
+
+var utils = require('./../utils');
+
+// CouchDB 2.x seqs are strings like "42-g1AAAA...", where the number is
+// a rough estimate of the position in the changes feed
+function seqToNumber(seq) {
+  var num = typeof seq === 'number' ? seq : parseInt(seq, 10);
+  return isNaN(num) ? undefined : num;
+}
+
+function attachmentSize(att) {
+  var data = att.data;
+  if (!data) { // stub
+    return 0;
+  }
+  if (typeof data === 'string') { // base64
+    return Math.floor(data.length * 3 / 4);
+  }
+  if (typeof data.size === 'number') { // Blob
+    return data.size;
+  }
+  return data.length || 0; // Buffer
+}
+
+// approximates the number of bytes the doc took to transfer
+function docSize(doc) {
+  var size = 0;
+  var json = doc;
+  if (doc._attachments) {
+    json = utils.extend({}, doc);
+    json._attachments = {};
+    Object.keys(doc._attachments).forEach(function (name) {
+      var att = doc._attachments[name];
+      size += attachmentSize(att);
+      json._attachments[name] = utils.extend({}, att);
+      delete json._attachments[name].data;
+    });
+  }
+  return size + JSON.stringify(json).length;
+}
+
+//
+// Keeps track of how far along a replication is. The number of pending
+// changes comes from the `pending` field in the source's changes feed
+// (CouchDB 2.x) if there is one, or else it's estimated from the source's
+// update_seq.
+//
+function Progress(startTime) {
+  this.startTime = startTime;
+  this.updateSeq = undefined;   // the source's update_seq, as a number
+  this.reportedPending = undefined; // the last pending count of the source
+  this.received = 0;            // changes received from the source
+  this.processed = 0;           // changes written to the target
+  this.bytes = 0;
+  this.transferred = null;      // what went over the wire, if it's counted
+  this.transfer = undefined;    // counts it, see countTransfers()
+}
+
+var TRANSFER_FIELDS = ['bytes_sent', 'bytes_sent_uncompressed',
+  'bytes_received', 'bytes_received_uncompressed'];
+
+// counts what goes over the wire if any of the dbs is a remote one.
+// this.transfer(field, bytes) is then passed along in the options of the
+// replication's requests, so that only they are counted
+Progress.prototype.countTransfers = function (dbs) {
+  var isRemote = dbs.some(function (db) {
+    return db.type() === 'http';
+  });
+  if (!isRemote) {
+    return;
+  }
+  var transferred = this.transferred = {};
+  TRANSFER_FIELDS.forEach(function (field) {
+    transferred[field] = 0;
+  });
+  this.transfer = function (field, bytes) {
+    transferred[field] += bytes;
+  };
+};
+
+Progress.prototype.setUpdateSeq = function (seq) {
+  var num = seqToNumber(seq);
+  if (typeof num !== 'undefined' &&
+      (typeof this.updateSeq === 'undefined' || num > this.updateSeq)) {
+    this.updateSeq = num;
+  }
+};
+
+Progress.prototype.onChange = function (change) {
+  this.received++;
+  // in live replications, the source keeps on growing
+  this.setUpdateSeq(change.seq);
+};
+
+Progress.prototype.onChangesComplete = function (changes) {
+  if (typeof changes.pending === 'number') {
+    this.reportedPending = changes.pending;
+  }
+};
+
+Progress.prototype.onDocs = function (docs) {
+  var self = this;
+  docs.forEach(function (doc) {
+    self.bytes += docSize(doc);
+  });
+};
+
+Progress.prototype.onBatchComplete = function (batch) {
+  this.processed += batch.changes.length;
+};
+
+// there's nothing left to replicate, until the source changes again
+Progress.prototype.onCaughtUp = function () {
+  this.reportedPending = 0;
+  this.received = this.processed;
+};
+
+Progress.prototype.getPending = function (lastSeq) {
+  var unprocessed = this.received - this.processed;
+  if (typeof this.reportedPending !== 'undefined') {
+    return this.reportedPending + unprocessed;
+  }
+  var seq = seqToNumber(lastSeq);
+  if (typeof this.updateSeq === 'undefined' || typeof seq === 'undefined') {
+    return undefined;
+  }
+  return Math.max(this.updateSeq - seq, unprocessed);
+};
+
+Progress.prototype.getStatus = function (result, lastSeq) {
+  var pending = this.getPending(lastSeq);
+  var elapsed = Date.now() - this.startTime.getTime();
+  var status = {
+    docs_read: result.docs_read,
+    docs_written: result.docs_written,
+    doc_write_failures: result.doc_write_failures,
+    last_seq: lastSeq,
+    start_time: result.start_time,
+    pending: pending,
+    bytes_transferred: this.bytes,
+    // changes per second
+    throughput: elapsed > 0 ? this.processed * 1000 / elapsed : 0
+  };
+  if (this.transferred) {
+    utils.extend(status, this.transferred);
+  }
+  if (typeof pending !== 'undefined') {
+    var total = this.processed + pending;
+    status.percent = total ? Math.floor(this.processed * 100 / total) : 100;
+    if (!pending) {
+      status.eta = 0;
+    } else if (this.processed) {
+      // milliseconds left, assuming the pace stays the same
+      status.eta = Math.round(pending * elapsed / this.processed);
+    }
+  }
+  return status;
+};
+
+module.exports = Progress;
@@ -5,6 +5,10 @@ var Checkpointer = require('./checkpointer');
 var backOff = require('./backoff');
 var generateReplicationId = require('./generateReplicationId');
 var getDocs = require('./getDocs');
+var resolveConflicts = require('./resolveConflicts');
+var Progress = require('./progress');
+var lazyAttachments = require('./../lazyAttachments');
+var errors = require('./../deps/errors');
 
 function replicate(src, target, opts, returnValue, result) {
   var batches = [];               // list of batches to be processed
@@ -27,6 +31,7 @@ function replicate(src, target, opts, returnValue, result) {
   var checkpointer;
   var allErrors = [];
   var changedDocs = [];
+  var lazySourceAdded;
   // Like couchdb, every replication gets a unique session id
   var session = utils.uuid();
 
@@ -39,9 +44,23 @@ function replicate(src, target, opts, returnValue, result) {
     errors: []
   };
 
+  var progress = new Progress(result.start_time);
+  progress.countTransfers([src, target]);
+  // the options of the requests that move the docs, so that their bytes
+  // are counted
+  var transferOpts = progress.transfer ? {transfer: progress.transfer} : {};
   var changesOpts = {};
   returnValue.ready(src, target);
 
+  function updateStatus() {
+    returnValue._status = progress.getStatus(result, last_seq);
+  }
+
+  function emitProgress() {
+    updateStatus();
+    returnValue.emit('progress', utils.clone(returnValue._status));
+  }
+
   function initCheckpointer() {
     if (checkpointer) {
       return utils.Promise.resolve();
@@ -57,7 +76,8 @@ function replicate(src, target, opts, returnValue, result) {
       return;
     }
     var docs = currentBatch.docs;
-    return target.bulkDocs({docs: docs, new_edits: false}).then(function (res) {
+    var req = {docs: docs, new_edits: false};
+    return target.bulkDocs(req, transferOpts).then(function (res) {
       if (returnValue.cancelled) {
         completeReplication();
         throw new Error('cancelled');
@@ -99,13 +119,43 @@ function replicate(src, target, opts, returnValue, result) {
     });
   }
 
+  function resolveBatchConflicts() {
+    if (!opts.conflictResolver || !changedDocs.length) {
+      return;
+    }
+    var ids = {};
+    changedDocs.forEach(function (doc) {
+      ids[doc._id] = true;
+    });
+    return utils.Promise.all(Object.keys(ids).map(function (id) {
+      return resolveConflicts(target, id, opts.conflictResolver)
+        .then(function (resolution) {
+          if (resolution) {
+            returnValue.emit('resolved', resolution);
+          }
+        }, function (err) {
+          // the winning revision is deleted, so there's nothing to resolve
+          if (err.status !== 404) {
+            throw err;
+          }
+        });
+    })).then(function () {
+      if (returnValue.cancelled) {
+        completeReplication();
+        throw new Error('cancelled');
+      }
+    });
+  }
+
   function finishBatch() {
     result.last_seq = last_seq = currentBatch.seq;
+    progress.onBatchComplete(currentBatch);
     var outResult = utils.clone(result);
     if (changedDocs.length) {
       outResult.docs = changedDocs;
       returnValue.emit('change', outResult);
     }
+    emitProgress();
     writingCheckpoint = true;
     return checkpointer.writeCheckpoint(currentBatch.seq,
         session).then(function () {
@@ -134,7 +184,7 @@ function replicate(src, target, opts, returnValue, result) {
         return x.rev;
       });
     });
-    return target.revsDiff(diff).then(function (diffs) {
+    return target.revsDiff(diff, transferOpts).then(function (diffs) {
       if (returnValue.cancelled) {
         completeReplication();
         throw new Error('cancelled');
@@ -144,13 +194,29 @@ function replicate(src, target, opts, returnValue, result) {
     });
   }
 
+  // remember where lazy attachments came from, so that their data can be
+  // fetched later on
+  function addLazyAttachmentSource() {
+    if (!opts.lazy_attachments) {
+      return;
+    }
+    lazySourceAdded = lazySourceAdded ||
+      lazyAttachments.addSource(target, src);
+    return lazySourceAdded;
+  }
+
   function getBatchDocs() {
-    return getDocs(src, currentBatch.diffs, returnValue).then(function (docs) {
+    var diffs = currentBatch.diffs;
+    return utils.Promise.resolve(addLazyAttachmentSource()).then(function () {
+      return getDocs(src, target, diffs, returnValue, opts,
+        progress.transfer);
+    }).then(function (docs) {
       docs.forEach(function (doc) {
         delete currentBatch.diffs[doc._id];
         result.docs_read++;
         currentBatch.docs.push(doc);
       });
+      progress.onDocs(docs);
     });
   }
 
@@ -166,6 +232,7 @@ function replicate(src, target, opts, returnValue, result) {
     getDiffs()
       .then(getBatchDocs)
       .then(writeDocs)
+      .then(resolveBatchConflicts)
       .then(finishBatch)
       .then(startNextBatch)
       .catch(function (err) {
@@ -178,6 +245,8 @@ function replicate(src, target, opts, returnValue, result) {
     if (pendingBatch.changes.length === 0) {
       if (batches.length === 0 && !currentBatch) {
         if ((continuous && changesOpts.live) || changesCompleted) {
+          progress.onCaughtUp();
+          emitProgress();
           returnValue.state = 'pending';
           returnValue.emit('paused');
         }
@@ -242,6 +311,7 @@ function replicate(src, target, opts, returnValue, result) {
     result.end_time = new Date();
     result.last_seq = last_seq;
     replicationCompleted = true;
+    updateStatus();
     var non403s = allErrors.filter(function (error) {
       return error.name !== 'unauthorized' && error.name !== 'forbidden';
     });
@@ -270,6 +340,7 @@ function replicate(src, target, opts, returnValue, result) {
     if (!filter) {
       return;
     }
+    progress.onChange(change);
     pendingBatch.seq = change.seq;
     pendingBatch.changes.push(change);
     processPendingBatch(batches.length === 0);
@@ -281,6 +352,7 @@ function replicate(src, target, opts, returnValue, result) {
     if (returnValue.cancelled) {
       return completeReplication();
     }
+    progress.onChangesComplete(changes);
 
     // if no results were returned then we're done,
     // else fetch more
@@ -351,15 +423,32 @@ function replicate(src, target, opts, returnValue, result) {
         completeReplication();
         return;
       }
-      return checkpointer.getCheckpoint().then(function (checkpoint) {
+      return utils.Promise.all([
+        checkpointer.getCheckpoint(),
+        // only used to estimate the progress, so errors aren't fatal
+        src.info().catch(function () {})
+      ]).then(function (res) {
+        // the target is set up by now, so we know if it's encrypted
+        if (opts.lazy_attachments && !lazyAttachments.supported(target)) {
+          // trying again won't help
+          opts.retry = false;
+          throw errors.error(errors.BAD_REQUEST, 'lazy_attachments is ' +
+            'only supported by unencrypted LevelDB-based targets');
+        }
+        var checkpoint = res[0];
+        if (res[1]) {
+          progress.setUpdateSeq(res[1].update_seq);
+        }
         last_seq = checkpoint;
+        emitProgress();
         changesOpts = {
           since: last_seq,
           limit: batch_size,
           batch_size: batch_size,
           style: 'all_docs',
           doc_ids: doc_ids,
-          returnDocs: true // required so we know when we're done
+          returnDocs: true, // required so we know when we're done
+          transfer: progress.transfer
         };
         if (opts.filter) {
           if (typeof opts.filter !== 'string') {
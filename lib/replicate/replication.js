@@ -33,6 +33,11 @@ Replication.prototype.cancel = function () {
   this.emit('cancel');
 };
 
+// Returns the state and progress of the replication, see Progress
+Replication.prototype.getStatus = function () {
+  return utils.extend({state: this.state}, this._status);
+};
+
 Replication.prototype.ready = function (src, target) {
   var self = this;
   if (self._readyCalled) {
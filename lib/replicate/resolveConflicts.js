@@ -0,0 +1,146 @@
+'use strict';
+
+var utils = require('./../utils');
+var errors = require('../deps/errors');
+var md5 = require('../mapreduce/md5');
+var Promise = utils.Promise;
+
+// the doc's timestamp as a number, or -Infinity if it doesn't have one
+function getTimestamp(doc) {
+  var timestamp = doc.timestamp;
+  if (typeof timestamp === 'string') {
+    timestamp = Date.parse(timestamp);
+  }
+  if (typeof timestamp !== 'number' || isNaN(timestamp)) {
+    return -Infinity;
+  }
+  return timestamp;
+}
+
+// Built-in strategies. Each gets the conflicting revisions, with the winning
+// revision first, and returns the doc to keep.
+var strategies = {
+  'keep-winner': function (docs) {
+    return docs[0];
+  },
+  'latest-timestamp': function (docs) {
+    return docs.reduce(function (latest, doc) {
+      return getTimestamp(doc) > getTimestamp(latest) ? doc : latest;
+    });
+  },
+  'merge-fields': function (docs) {
+    // the winner's fields take precedence, the others fill in the gaps
+    var merged = utils.clone(docs[0]);
+    docs.slice(1).forEach(function (doc) {
+      Object.keys(doc).forEach(function (key) {
+        if (key[0] !== '_' && !(key in merged)) {
+          merged[key] = doc[key];
+        }
+      });
+    });
+    return merged;
+  }
+};
+
+function getBody(doc) {
+  var body = utils.clone(doc);
+  delete body._id;
+  delete body._rev;
+  delete body._revisions;
+  delete body._conflicts;
+  return body;
+}
+
+// Creates a child of the given revision. The rev id is derived from the
+// parent and the body, so that resolving the same conflict on both sides
+// of a sync gives the same revision, rather than a new conflict.
+function createChild(id, parentRev, body) {
+  var pos = parseInt(parentRev.split('-')[0], 10) + 1;
+  var revId = md5(parentRev + JSON.stringify(body));
+  var doc = utils.clone(body);
+  doc._id = id;
+  doc._rev = pos + '-' + revId;
+  doc._revisions = {start: pos, ids: [revId, parentRev.split('-')[1]]};
+  return doc;
+}
+
+function getConflictingDocs(db, docId) {
+  return db.get(docId, {conflicts: true}).then(function (winner) {
+    var conflicts = winner._conflicts;
+    if (!conflicts) {
+      return [winner];
+    }
+    delete winner._conflicts;
+    return db.get(docId, {open_revs: conflicts}).then(function (res) {
+      return [winner].concat(res.filter(function (row) {
+        return row.ok;
+      }).map(function (row) {
+        return row.ok;
+      }));
+    });
+  });
+}
+
+// Keeps the chosen doc and deletes all other leaves, by writing a tombstone
+// on top of them. If the resolver modified the doc (or made a new one), it's
+// written as a child of the leaf it was based on, or the winner.
+function writeResolution(db, docId, docs, chosen) {
+  var leaf = docs.filter(function (doc) {
+    return doc._rev === chosen._rev;
+  })[0] || docs[0];
+  var discarded = docs.filter(function (doc) {
+    return doc !== leaf;
+  }).map(function (doc) {
+    return doc._rev;
+  });
+  var writes = discarded.map(function (rev) {
+    return createChild(docId, rev, {_deleted: true});
+  });
+  var body = getBody(chosen);
+  var rev = leaf._rev;
+  if (JSON.stringify(body) !== JSON.stringify(getBody(leaf))) {
+    var child = createChild(docId, leaf._rev, body);
+    rev = child._rev;
+    writes.push(child);
+  }
+  return db.bulkDocs({docs: writes, new_edits: false}).then(function (res) {
+    var error = res.filter(function (row) {
+      return row.error;
+    })[0];
+    if (error) {
+      throw error;
+    }
+    return {
+      id: docId,
+      rev: rev,
+      chosen: leaf._rev,
+      discarded: discarded
+    };
+  });
+}
+
+// Resolves the conflicts of a doc with the given resolver, which is either
+// the name of a built-in strategy or a function that gets the conflicting
+// revisions and returns the doc to keep (or a promise for it). Returns a
+// promise for the resolution, or for null if there was nothing to resolve.
+function resolveConflicts(db, docId, resolver) {
+  var resolve = typeof resolver === 'function' ? resolver :
+    strategies.hasOwnProperty(resolver) && strategies[resolver];
+  if (!resolve) {
+    return Promise.reject(errors.error(errors.BAD_REQUEST,
+      'Unknown conflict resolver: ' + resolver));
+  }
+  return getConflictingDocs(db, docId).then(function (docs) {
+    if (docs.length < 2) {
+      return null;
+    }
+    return Promise.resolve(resolve(utils.clone(docs))).then(function (doc) {
+      if (!doc) { // leave the conflict alone
+        return null;
+      }
+      return writeResolution(db, docId, docs, doc);
+    });
+  });
+}
+
+module.exports = resolveConflicts;
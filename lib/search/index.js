@@ -0,0 +1,457 @@
+'use strict';
+
+var pouchCollate = require('pouchdb-collate');
+var toIndexableString = pouchCollate.toIndexableString;
+var parseIndexableString = pouchCollate.parseIndexableString;
+var Promise = require('../deps/promise');
+var toPromise = require('../deps/toPromise');
+var flatten = require('../deps/flatten');
+var errors = require('../deps/errors');
+var TaskQueue = require('../mapreduce/taskqueue');
+var utils = require('../mapreduce/utils');
+var upsert = require('../deps/upsert');
+var purge = require('../purge');
+var expiry = require('../expiry');
+var tokenize = require('./tokenize');
+var indexes = require('./indexes');
+
+var CHANGES_BATCH_SIZE = 50;
+
+// BM25 parameters, see https://en.wikipedia.org/wiki/Okapi_BM25
+var K1 = 1.2;
+var B = 0.75;
+
+function isGenOne(changes) {
+  // only return true if the current change is 1-
+  // and there are no other leafs
+  return changes.length === 1 && /^1-/.test(changes[0].rev);
+}
+
+function defaultsTo(value) {
+  return function (reason) {
+    /* istanbul ignore else */
+    if (reason.status === 404) {
+      return value;
+    } else {
+      throw reason;
+    }
+  };
+}
+
+// fields can be given as ['title', 'text'] or with boosts,
+// e.g. {title: 2, text: 1}
+function normalizeFields(fields) {
+  if (Array.isArray(fields)) {
+    var boosts = {};
+    fields.forEach(function (field) {
+      boosts[field] = 1;
+    });
+    return boosts;
+  }
+  return fields;
+}
+
+function getText(doc, field) {
+  var value = doc;
+  var parts = field.split('.');
+  for (var i = 0, len = parts.length; i < len; i++) {
+    if (!value || typeof value !== 'object') {
+      return '';
+    }
+    value = value[parts[i]];
+  }
+  if (Array.isArray(value)) {
+    return value.filter(function (item) {
+      return typeof item === 'string';
+    }).join(' ');
+  }
+  return typeof value === 'string' ? value : '';
+}
+
+// counts how often each term appears in each of the doc's fields
+function analyzeDoc(index, doc) {
+  var termFrequencies = {};
+  var length = 0;
+  if (!doc._deleted) {
+    index.fields.forEach(function (field) {
+      tokenize(getText(doc, field)).forEach(function (token) {
+        var tf = termFrequencies['$' + token.term] =
+          termFrequencies['$' + token.term] || {};
+        tf[field] = (tf[field] || 0) + 1;
+        length++;
+      });
+    });
+  }
+  return {termFrequencies: termFrequencies, length: length};
+}
+
+// returns a promise for the postings to update for a single doc, along
+// with the resulting change in the index's doc count and total length
+function getDocsToPersist(index, docId, docData) {
+  var metaDocId = '_local/doc_' + docId;
+  var defaultMetaDoc = {_id: metaDocId, keys: [], length: 0};
+  var analysis = docData.analysis;
+
+  function getMetaDoc() {
+    if (isGenOne(docData.changes)) {
+      // generation 1, so we can safely assume initial state
+      // for performance reasons (avoids unnecessary GETs)
+      return Promise.resolve(defaultMetaDoc);
+    }
+    return index.db.get(metaDocId).catch(defaultsTo(defaultMetaDoc));
+  }
+
+  function getOldRevs(metaDoc) {
+    if (!metaDoc.keys.length) {
+      return Promise.resolve({rows: []});
+    }
+    return index.db.allDocs({keys: metaDoc.keys});
+  }
+
+  return getMetaDoc().then(function (metaDoc) {
+    return getOldRevs(metaDoc).then(function (res) {
+      var oldRevs = {};
+      res.rows.forEach(function (row) {
+        if (row.value && !row.value.deleted) {
+          oldRevs['$' + row.id] = row.value.rev;
+        }
+      });
+      var docs = [];
+      var newKeys = Object.keys(analysis.termFrequencies).map(function (key) {
+        var posting = {
+          _id: toIndexableString([key.substring(1), docId]),
+          tf: analysis.termFrequencies[key],
+          len: analysis.length
+        };
+        if (oldRevs['$' + posting._id]) {
+          posting._rev = oldRevs['$' + posting._id];
+          delete oldRevs['$' + posting._id];
+        }
+        docs.push(posting);
+        return posting._id;
+      });
+      // terms that aren't in the doc anymore
+      Object.keys(oldRevs).forEach(function (key) {
+        docs.push({_id: key.substring(1), _rev: oldRevs[key], _deleted: true});
+      });
+      var oldLength = metaDoc.length;
+      metaDoc.keys = newKeys;
+      metaDoc.length = analysis.length;
+      docs.push(metaDoc);
+      return {
+        docs: docs,
+        docCountDelta: (analysis.length ? 1 : 0) - (oldLength ? 1 : 0),
+        lengthDelta: analysis.length - oldLength
+      };
+    });
+  });
+}
+
+// updates the postings and metaDocs in the search database
+// for the given batch of documents from the source database
+function saveBatch(index, docIdsToData, seq) {
+  var seqDocId = '_local/lastSeq';
+  return index.db.get(seqDocId)
+  .catch(defaultsTo({_id: seqDocId, seq: 0, docCount: 0, totalLength: 0}))
+  .then(function (lastSeqDoc) {
+    var docIds = Object.keys(docIdsToData);
+    return Promise.all(docIds.map(function (docId) {
+      return getDocsToPersist(index, docId, docIdsToData[docId]);
+    })).then(function (results) {
+      var docsToPersist = flatten(results.map(function (result) {
+        lastSeqDoc.docCount += result.docCountDelta;
+        lastSeqDoc.totalLength += result.lengthDelta;
+        return result.docs;
+      }));
+      lastSeqDoc.seq = seq;
+      docsToPersist.push(lastSeqDoc);
+      // write all docs in a single operation, update the seq once
+      return index.db.bulkDocs({docs: docsToPersist}).then(function () {
+        index.docCount = lastSeqDoc.docCount;
+        index.totalLength = lastSeqDoc.totalLength;
+      });
+    });
+  });
+}
+
+// finds the docs that were purged from the source db since the index was
+// last updated, like the views do
+function getPurgedDocIds(index, seq) {
+  return Promise.all([
+    purge.getPurges(index.sourceDB),
+    index.db.get('_local/purgeSeq').catch(defaultsTo({purge_seq: 0}))
+  ]).then(function (res) {
+    var purges = res[0];
+    var indexPurgeSeq = res[1].purge_seq;
+    var result = {docIds: [], purgeSeq: purges.purge_seq};
+    if (!seq || indexPurgeSeq >= purges.purge_seq) {
+      // a new index is built from what's left, so it's up to date
+      return result;
+    }
+    result.docIds = utils.uniq(purges.log.filter(function (entry) {
+      return entry.seq > indexPurgeSeq;
+    }).map(function (entry) {
+      return entry.id;
+    }));
+    if ((purges.truncated_seq || 0) <= indexPurgeSeq) {
+      return result;
+    }
+    // some of the purges fell off the log, so analyze all of the docs
+    // in the index again
+    return index.db.allDocs().then(function (res) {
+      result.docIds = utils.uniq(result.docIds.concat(res.rows.map(
+        function (row) {
+          return parseIndexableString(row.id)[1];
+        })));
+      return result;
+    });
+  });
+}
+
+function savePurgeSeq(index, purgeSeq) {
+  return upsert(index.db, '_local/purgeSeq', function (doc) {
+    if ((doc.purge_seq || 0) === purgeSeq) {
+      return false;
+    }
+    doc.purge_seq = purgeSeq;
+    return doc;
+  });
+}
+
+// purged docs aren't in the changes feed, so they're analyzed again
+// separately, which drops their postings if they're gone for good
+function reindexPurgedDocs(index, seq) {
+  return getPurgedDocIds(index, seq).then(function (res) {
+    if (!res.docIds.length) {
+      return res.purgeSeq;
+    }
+    return index.sourceDB.allDocs({
+      keys: res.docIds,
+      include_docs: true
+    }).then(function (allDocsRes) {
+      var docIdsToData = {};
+      allDocsRes.rows.forEach(function (row) {
+        docIdsToData[row.key] = {
+          analysis: analyzeDoc(index, row.doc || {_deleted: true}),
+          changes: [] // so that the old postings are looked up
+        };
+      });
+      return saveBatch(index, docIdsToData, seq);
+    }).then(function () {
+      return res.purgeSeq;
+    });
+  }).then(function (purgeSeq) {
+    return savePurgeSeq(index, purgeSeq);
+  });
+}
+
+function updateIndex(index) {
+  return utils.sequentialize(index.queue, function () {
+    // expired docs that are due are purged first, so that they're dropped
+    // from the index along with the other purged docs
+    return expiry.sweepDue(index.sourceDB).then(function () {
+      return updateIndexInQueue(index);
+    });
+  })();
+}
+
+function updateIndexInQueue(index) {
+  var currentSeq = index.seq || 0;
+  var queue = new TaskQueue();
+
+  function processChange(docIdsToData, seq) {
+    return function () {
+      return saveBatch(index, docIdsToData, seq);
+    };
+  }
+
+  queue.add(function () {
+    return reindexPurgedDocs(index, currentSeq);
+  });
+
+  return new Promise(function (resolve, reject) {
+
+    function complete() {
+      queue.finish().then(function () {
+        index.seq = currentSeq;
+        resolve();
+      });
+    }
+
+    function processNextBatch() {
+      index.sourceDB.changes({
+        include_docs: true,
+        style: 'all_docs',
+        since: currentSeq,
+        limit: CHANGES_BATCH_SIZE
+      }).on('complete', function (response) {
+        var results = response.results;
+        if (!results.length) {
+          return complete();
+        }
+        var docIdsToData = {};
+        for (var i = 0, l = results.length; i < l; i++) {
+          var change = results[i];
+          if (change.doc._id[0] !== '_') {
+            docIdsToData[change.doc._id] = {
+              analysis: analyzeDoc(index, change.doc),
+              changes: change.changes
+            };
+          }
+          currentSeq = change.seq;
+        }
+        queue.add(processChange(docIdsToData, currentSeq));
+        if (results.length < CHANGES_BATCH_SIZE) {
+          return complete();
+        }
+        return processNextBatch();
+      }).on('error', onError);
+      /* istanbul ignore next */
+      function onError(err) {
+        reject(err);
+      }
+    }
+
+    processNextBatch();
+  });
+}
+
+function highlight(text, queryTerms, opts) {
+  var pre = opts.highlighting_pre || '<strong>';
+  var post = opts.highlighting_post || '</strong>';
+  var result = '';
+  var lastEnd = 0;
+  tokenize(text).forEach(function (token) {
+    if (!queryTerms['$' + token.term]) {
+      return;
+    }
+    result += text.substring(lastEnd, token.start) + pre +
+      text.substring(token.start, token.end) + post;
+    lastEnd = token.end;
+  });
+  return lastEnd ? result + text.substring(lastEnd) : null;
+}
+
+function addDocs(index, rows, queryTerms, opts) {
+  return index.sourceDB.allDocs({
+    keys: rows.map(function (row) {
+      return row.id;
+    }),
+    include_docs: true
+  }).then(function (res) {
+    res.rows.forEach(function (docRow, i) {
+      var row = rows[i];
+      if (opts.include_docs) {
+        row.doc = docRow.doc;
+      }
+      if (opts.highlighting) {
+        row.highlighting = {};
+        index.fields.forEach(function (field) {
+          var highlighted = highlight(getText(docRow.doc, field), queryTerms,
+            opts);
+          if (highlighted) {
+            row.highlighting[field] = highlighted;
+          }
+        });
+      }
+    });
+  });
+}
+
+function queryIndex(index, boosts, opts) {
+  var queryTerms = {};
+  tokenize(opts.query).forEach(function (token) {
+    queryTerms['$' + token.term] = true;
+  });
+  var terms = Object.keys(queryTerms).map(function (key) {
+    return key.substring(1);
+  });
+
+  return Promise.all(terms.map(function (term) {
+    return index.db.allDocs({
+      startkey: toIndexableString([term]),
+      endkey: toIndexableString([term, {}]),
+      include_docs: true
+    });
+  })).then(function (results) {
+    var docCount = index.docCount;
+    var avgLength = docCount ? index.totalLength / docCount : 0;
+    var scores = {};
+    results.forEach(function (res) {
+      var docFrequency = res.rows.length;
+      var idf = Math.log(1 +
+        (docCount - docFrequency + 0.5) / (docFrequency + 0.5));
+      res.rows.forEach(function (row) {
+        var posting = row.doc;
+        var docId = parseIndexableString(posting._id)[1];
+        var tf = 0;
+        Object.keys(posting.tf).forEach(function (field) {
+          tf += posting.tf[field] * boosts[field];
+        });
+        var lengthRatio = avgLength ? posting.len / avgLength : 1;
+        var score = idf * tf * (K1 + 1) /
+          (tf + K1 * (1 - B + B * lengthRatio));
+        scores['$' + docId] = (scores['$' + docId] || 0) + score;
+      });
+    });
+
+    var rows = Object.keys(scores).map(function (key) {
+      return {id: key.substring(1), score: scores[key]};
+    }).sort(function (a, b) {
+      return (b.score - a.score) || pouchCollate.collate(a.id, b.id);
+    });
+    var totalRows = rows.length;
+    var skip = opts.skip || 0;
+    var limit = typeof opts.limit === 'number' ? opts.limit : rows.length;
+    rows = rows.slice(skip, skip + limit);
+
+    var res = {total_rows: totalRows, rows: rows};
+    if (!rows.length || !(opts.include_docs || opts.highlighting)) {
+      return res;
+    }
+    return addDocs(index, rows, queryTerms, opts).then(function () {
+      return res;
+    });
+  });
+}
+
+function searchPromised(db, opts) {
+  if (db.type() === 'http') {
+    throw errors.error(errors.BAD_REQUEST,
+      'search() is only supported for local databases');
+  }
+  if (!opts || !opts.fields || typeof opts.fields !== 'object' ||
+      !Object.keys(opts.fields).length) {
+    throw errors.error(errors.BAD_REQUEST, 'fields must be a non-empty ' +
+      'array or an object mapping field names to boosts');
+  }
+  if (!opts.destroy && typeof opts.query !== 'string') {
+    throw errors.error(errors.BAD_REQUEST, 'query must be a string');
+  }
+  var boosts = normalizeFields(opts.fields);
+  var fieldNames = Object.keys(boosts).sort();
+
+  return indexes.getIndex(db, fieldNames).then(function (index) {
+    if (opts.destroy) {
+      return indexes.destroyIndex(index).then(function () {
+        return {ok: true};
+      });
+    }
+    if (opts.stale === 'ok' || opts.stale === 'update_after') {
+      if (opts.stale === 'update_after') {
+        process.nextTick(function () {
+          updateIndex(index);
+        });
+      }
+      return queryIndex(index, boosts, opts);
+    }
+    return updateIndex(index).then(function () {
+      return queryIndex(index, boosts, opts);
+    });
+  });
+}
+
+exports.search = toPromise(function (opts) {
+  var db = this;
+  return searchPromised(db, opts);
+});
@@ -0,0 +1,178 @@
+'use strict';
+
+var upsert = require('../deps/upsert');
+var Promise = require('../deps/promise');
+var errors = require('../deps/errors');
+var md5 = require('../mapreduce/md5');
+var TaskQueue = require('../mapreduce/taskqueue');
+var utils = require('../mapreduce/utils');
+
+// bump this whenever the tokenizer or the index format changes, so that
+// old indexes are rebuilt and the stale ones are removed by viewCleanup()
+var INDEX_VERSION = 1;
+
+// Unlike views, search indexes aren't declared anywhere, so the ones in use
+// are the ones that were searched lately. _local/search counts the calls to
+// viewCleanup() in its `generation`, and each index notes the generation it
+// was last searched in, as `usedIn`. viewCleanup() removes the indexes that
+// weren't searched since it last ran.
+
+var persistentQueues = {};
+
+function getQueue(indexName) {
+  var queue = persistentQueues[indexName];
+  if (!queue) {
+    queue = persistentQueues[indexName] = new TaskQueue();
+  }
+  return queue;
+}
+
+function defaultsTo(value) {
+  return function (reason) {
+    /* istanbul ignore else */
+    if (reason.status === 404) {
+      return value;
+    } else {
+      throw reason;
+    }
+  };
+}
+
+// Returns the search index for the given list of field names, creating the
+// dependent database that holds it if necessary.
+exports.getIndex = function (sourceDB, fieldNames) {
+  var signature = INDEX_VERSION + JSON.stringify(fieldNames);
+
+  if (sourceDB._cachedSearchIndexes) {
+    var cachedIndex = sourceDB._cachedSearchIndexes[signature];
+    if (cachedIndex) {
+      return markUsed(cachedIndex);
+    }
+  }
+
+  return sourceDB.info().then(function (info) {
+    // the terms are the ids of the index's docs, which aren't encrypted
+    if (sourceDB._crypto) {
+      throw errors.error(errors.BAD_REQUEST,
+        'Search is not supported by encrypted databases');
+    }
+    var depDbName = info.db_name + '-search-' + md5(signature);
+
+    // save the index in the source db so it can be cleaned up if necessary
+    function diffFunction(doc) {
+      doc.indexes = doc.indexes || {};
+      var entry = doc.indexes[depDbName];
+      if (entry) {
+        if (entry.usedIn === (doc.generation || 0)) {
+          return; // no update necessary
+        }
+        entry.usedIn = doc.generation || 0;
+        return doc;
+      }
+      doc.indexes[depDbName] = {
+        fields: fieldNames,
+        version: INDEX_VERSION,
+        usedIn: doc.generation || 0
+      };
+      return doc;
+    }
+
+    return upsert(sourceDB, '_local/search', diffFunction).then(function () {
+      return sourceDB.registerDependentDatabase(depDbName);
+    }).then(function (res) {
+      var db = res.db;
+      db.auto_compaction = true;
+      var index = {
+        name: depDbName,
+        db: db,
+        sourceDB: sourceDB,
+        fields: fieldNames,
+        queue: getQueue(depDbName),
+        used: true // in the current generation
+      };
+      return db.get('_local/lastSeq')
+      .catch(defaultsTo({seq: 0, docCount: 0, totalLength: 0}))
+      .then(function (lastSeqDoc) {
+        index.seq = lastSeqDoc.seq;
+        index.docCount = lastSeqDoc.docCount;
+        index.totalLength = lastSeqDoc.totalLength;
+        sourceDB._cachedSearchIndexes = sourceDB._cachedSearchIndexes || {};
+        sourceDB._cachedSearchIndexes[signature] = index;
+        db.once('destroyed', function () {
+          delete sourceDB._cachedSearchIndexes[signature];
+        });
+        return index;
+      });
+    });
+  });
+};
+
+// notes that the index was searched, once per generation
+function markUsed(index) {
+  if (index.used) {
+    return Promise.resolve(index);
+  }
+  return upsert(index.sourceDB, '_local/search', function (doc) {
+    var generation = doc.generation || 0;
+    var entry = doc.indexes && doc.indexes[index.name];
+    if (!entry || entry.usedIn === generation) {
+      return false;
+    }
+    entry.usedIn = generation;
+    return doc;
+  }).then(function () {
+    index.used = true;
+    return index;
+  });
+}
+
+function destroyIndexes(db, indexNames) {
+  return Promise.all(indexNames.map(function (indexName) {
+    return utils.sequentialize(getQueue(indexName), function () {
+      return db._dependentDb(indexName).destroy();
+    })();
+  })).then(function () {
+    return upsert(db, '_local/search', function (doc) {
+      doc.indexes = doc.indexes || {};
+      indexNames.forEach(function (indexName) {
+        delete doc.indexes[indexName];
+      });
+      return doc;
+    });
+  });
+}
+
+exports.destroyIndex = function (index) {
+  return destroyIndexes(index.sourceDB, [index.name]);
+};
+
+// removes the search indexes that weren't searched since the last cleanup,
+// and the ones that were built by an older version of the tokenizer, since
+// they will never be used again. Then starts a new generation.
+exports.cleanup = function (db) {
+  return db.get('_local/search').then(function (doc) {
+    var generation = doc.generation || 0;
+    var unusedIndexNames = Object.keys(doc.indexes).filter(function (name) {
+      var entry = doc.indexes[name];
+      return entry.version !== INDEX_VERSION || entry.usedIn !== generation;
+    });
+    var destroyed = unusedIndexNames.length ?
+      destroyIndexes(db, unusedIndexNames) : Promise.resolve();
+    return destroyed.then(function () {
+      return upsert(db, '_local/search', function (doc) {
+        doc.generation = (doc.generation || 0) + 1;
+        return doc;
+      });
+    }).then(function () {
+      var cachedIndexes = db._cachedSearchIndexes || {};
+      Object.keys(cachedIndexes).forEach(function (signature) {
+        var index = cachedIndexes[signature];
+        if (unusedIndexNames.indexOf(index.name) !== -1) {
+          delete cachedIndexes[signature];
+        } else {
+          index.used = false;
+        }
+      });
+    });
+  }, defaultsTo());
+};
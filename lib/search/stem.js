@@ -0,0 +1,170 @@
+'use strict';
+
+// Porter stemmer for English, see http://tartarus.org/martin/PorterStemmer/
+
+var step2list = {
+  ational: 'ate',
+  tional: 'tion',
+  enci: 'ence',
+  anci: 'ance',
+  izer: 'ize',
+  bli: 'ble',
+  alli: 'al',
+  entli: 'ent',
+  eli: 'e',
+  ousli: 'ous',
+  ization: 'ize',
+  ation: 'ate',
+  ator: 'ate',
+  alism: 'al',
+  iveness: 'ive',
+  fulness: 'ful',
+  ousness: 'ous',
+  aliti: 'al',
+  iviti: 'ive',
+  biliti: 'ble',
+  logi: 'log'
+};
+
+var step3list = {
+  icate: 'ic',
+  ative: '',
+  alize: 'al',
+  iciti: 'ic',
+  ical: 'ic',
+  ful: '',
+  ness: ''
+};
+
+var c = '[^aeiou]';          // consonant
+var v = '[aeiouy]';          // vowel
+var C = c + '[^aeiouy]*';    // consonant sequence
+var V = v + '[aeiou]*';      // vowel sequence
+
+var mgr0 = new RegExp('^(' + C + ')?' + V + C);               // [C]VC... is m>0
+var meq1 = new RegExp('^(' + C + ')?' + V + C + '(' + V + ')?$'); // m=1
+var mgr1 = new RegExp('^(' + C + ')?' + V + C + V + C);       // m>1
+var sV = new RegExp('^(' + C + ')?' + v);                     // vowel in stem
+
+module.exports = function stem(w) {
+  var stemmed, suffix, firstch, re, re2, re3, re4, fp;
+
+  if (w.length < 3) {
+    return w;
+  }
+
+  firstch = w.substr(0, 1);
+  if (firstch === 'y') {
+    w = firstch.toUpperCase() + w.substr(1);
+  }
+
+  // Step 1a
+  re = /^(.+?)(ss|i)es$/;
+  re2 = /^(.+?)([^s])s$/;
+  if (re.test(w)) {
+    w = w.replace(re, '$1$2');
+  } else if (re2.test(w)) {
+    w = w.replace(re2, '$1$2');
+  }
+
+  // Step 1b
+  re = /^(.+?)eed$/;
+  re2 = /^(.+?)(ed|ing)$/;
+  if (re.test(w)) {
+    fp = re.exec(w);
+    if (mgr0.test(fp[1])) {
+      w = w.replace(/.$/, '');
+    }
+  } else if (re2.test(w)) {
+    fp = re2.exec(w);
+    stemmed = fp[1];
+    if (sV.test(stemmed)) {
+      w = stemmed;
+      re2 = /(at|bl|iz)$/;
+      re3 = new RegExp('([^aeiouylsz])\\1$');
+      re4 = new RegExp('^' + C + v + '[^aeiouwxy]$');
+      if (re2.test(w)) {
+        w = w + 'e';
+      } else if (re3.test(w)) {
+        w = w.replace(/.$/, '');
+      } else if (re4.test(w)) {
+        w = w + 'e';
+      }
+    }
+  }
+
+  // Step 1c
+  re = /^(.+?)y$/;
+  if (re.test(w)) {
+    fp = re.exec(w);
+    stemmed = fp[1];
+    if (sV.test(stemmed)) {
+      w = stemmed + 'i';
+    }
+  }
+
+  // Step 2
+  re = new RegExp('^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|' +
+    'ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|' +
+    'biliti|logi)$');
+  if (re.test(w)) {
+    fp = re.exec(w);
+    stemmed = fp[1];
+    suffix = fp[2];
+    if (mgr0.test(stemmed)) {
+      w = stemmed + step2list[suffix];
+    }
+  }
+
+  // Step 3
+  re = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/;
+  if (re.test(w)) {
+    fp = re.exec(w);
+    stemmed = fp[1];
+    suffix = fp[2];
+    if (mgr0.test(stemmed)) {
+      w = stemmed + step3list[suffix];
+    }
+  }
+
+  // Step 4
+  re = new RegExp('^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|' +
+    'ou|ism|ate|iti|ous|ive|ize)$');
+  re2 = /^(.+?)(s|t)(ion)$/;
+  if (re.test(w)) {
+    fp = re.exec(w);
+    stemmed = fp[1];
+    if (mgr1.test(stemmed)) {
+      w = stemmed;
+    }
+  } else if (re2.test(w)) {
+    fp = re2.exec(w);
+    stemmed = fp[1] + fp[2];
+    if (mgr1.test(stemmed)) {
+      w = stemmed;
+    }
+  }
+
+  // Step 5
+  re = /^(.+?)e$/;
+  if (re.test(w)) {
+    fp = re.exec(w);
+    stemmed = fp[1];
+    re2 = new RegExp('^' + C + v + '[^aeiouwxy]$');
+    if (mgr1.test(stemmed) || (meq1.test(stemmed) && !re2.test(stemmed))) {
+      w = stemmed;
+    }
+  }
+
+  re = /ll$/;
+  if (re.test(w) && mgr1.test(w)) {
+    w = w.replace(/.$/, '');
+  }
+
+  // and turn initial Y back to y
+  if (firstch === 'y') {
+    w = firstch.toLowerCase() + w.substr(1);
+  }
+
+  return w;
+};
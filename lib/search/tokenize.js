@@ -0,0 +1,35 @@
+'use strict';
+
+var stem = require('./stem');
+
+// common English words that aren't worth indexing
+var STOP_WORDS = {};
+['a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in',
+  'into', 'is', 'it', 'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the',
+  'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'will',
+  'with'].forEach(function (word) {
+  STOP_WORDS[word] = true;
+});
+
+var WORD_REGEX = /[0-9a-z\u00c0-\u024f\u0370-\u1fff\u3040-\uffef]+/g;
+
+// Splits text into words, and returns the stemmed term for each of them
+// along with the word's position in the text (for highlighting).
+module.exports = function tokenize(text) {
+  var tokens = [];
+  var lowerCased = text.toLowerCase();
+  var match;
+  WORD_REGEX.lastIndex = 0;
+  while ((match = WORD_REGEX.exec(lowerCased))) {
+    var word = match[0];
+    if (STOP_WORDS[word]) {
+      continue;
+    }
+    tokens.push({
+      term: stem(word),
+      start: match.index,
+      end: match.index + word.length
+    });
+  }
+  return tokens;
+};
@@ -4,6 +4,8 @@ var PouchDB = require("./constructor");
 var utils = require('./utils');
 var EE = require('events').EventEmitter;
 var hasLocalStorage = require('./deps/env/hasLocalStorage');
+var allDbs = require('./allDbs');
+var DbUpdates = require('./dbUpdates');
 
 PouchDB.adapters = {};
 PouchDB.preferredAdapters = [];
@@ -31,6 +33,9 @@ function setUpEventEmitter(Pouch) {
     });
     destructionListeners.delete(name);
   });
+
+  // the registries of local dbs, see allDbs.js
+  Pouch._allDbs = {registries: {}, names: {}, listening: {}};
 }
 
 setUpEventEmitter(PouchDB);
@@ -104,6 +109,24 @@ PouchDB.plugin = function (obj) {
   return PouchDB;
 };
 
+PouchDB.allDbs = utils.toPromise(function (opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  }
+  allDbs.allDbs(this, opts || {}).then(function (names) {
+    callback(null, names);
+  }, callback);
+});
+
+PouchDB.dbUpdates = function (opts, callback) {
+  if (typeof opts === 'function') {
+    callback = opts;
+    opts = {};
+  }
+  return new DbUpdates(this, opts, callback);
+};
+
 PouchDB.defaults = function (defaultOpts) {
   function PouchAlt(name, opts, callback) {
     if (!(this instanceof PouchAlt)) {
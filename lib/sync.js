@@ -3,6 +3,7 @@
 var utils = require('./utils');
 var replication = require('./replicate');
 var replicate = replication.replicate;
+var CoordinatedSync = require('./coordinatedSync');
 var EE = require('events').EventEmitter;
 
 utils.inherits(Sync, EE);
@@ -20,6 +21,16 @@ function sync(src, target, opts, callback) {
   opts.PouchConstructor = opts.PouchConstructor || this;
   src = replication.toPouch(src, opts);
   target = replication.toPouch(target, opts);
+  /* global BroadcastChannel */
+  var Channel = opts.BroadcastChannel ||
+    (typeof BroadcastChannel !== 'undefined' ? BroadcastChannel : null);
+  // without a BroadcastChannel, every tab syncs on its own
+  if (opts.leader_election && opts.live && Channel) {
+    opts.BroadcastChannel = Channel;
+    return new CoordinatedSync(src, target, opts, callback, function (opts) {
+      return new Sync(src, target, opts);
+    });
+  }
   return new Sync(src, target, opts, callback);
 }
 
@@ -60,6 +71,30 @@ function Sync(src, target, opts, callback) {
       doc: doc
     });
   }
+  function pushResolved(resolution) {
+    self.emit('resolved', {
+      direction: 'push',
+      resolution: resolution
+    });
+  }
+  function pullResolved(resolution) {
+    self.emit('resolved', {
+      direction: 'pull',
+      resolution: resolution
+    });
+  }
+  function pushProgress(progress) {
+    self.emit('progress', {
+      direction: 'push',
+      progress: progress
+    });
+  }
+  function pullProgress(progress) {
+    self.emit('progress', {
+      direction: 'pull',
+      progress: progress
+    });
+  }
   function pushPaused() {
     self.pushPaused = true;
     if (self.pullPaused) {
@@ -97,12 +132,17 @@ function Sync(src, target, opts, callback) {
         (func === pullChange || func === pushChange);
       var isDenied = event === 'denied' &&
         (func === pullDenied || func === pushDenied);
+      var isResolved = event === 'resolved' &&
+        (func === pullResolved || func === pushResolved);
+      var isProgress = event === 'progress' &&
+        (func === pullProgress || func === pushProgress);
       var isPaused = event === 'paused' &&
         (func === pullPaused || func === pushPaused);
       var isActive = event === 'active' &&
         (func === pullActive || func === pushActive);
 
-      if (isChange || isDenied || isPaused || isActive) {
+      if (isChange || isDenied || isResolved || isProgress || isPaused ||
+          isActive) {
         if (!(event in removed)) {
           removed[event] = {};
         }
@@ -127,6 +167,12 @@ function Sync(src, target, opts, callback) {
     } else if (event === 'denied') {
       self.pull.on('denied', pullDenied);
       self.push.on('denied', pushDenied);
+    } else if (event === 'resolved') {
+      self.pull.on('resolved', pullResolved);
+      self.push.on('resolved', pushResolved);
+    } else if (event === 'progress') {
+      self.pull.on('progress', pullProgress);
+      self.push.on('progress', pushProgress);
     } else if (event === 'active') {
       self.pull.on('active', pullActive);
       self.push.on('active', pushActive);
@@ -143,6 +189,12 @@ function Sync(src, target, opts, callback) {
     } else if (event === 'denied') {
       self.pull.removeListener('denied', pullDenied);
       self.push.removeListener('denied', pushDenied);
+    } else if (event === 'resolved') {
+      self.pull.removeListener('resolved', pullResolved);
+      self.push.removeListener('resolved', pushResolved);
+    } else if (event === 'progress') {
+      self.pull.removeListener('progress', pullProgress);
+      self.push.removeListener('progress', pushProgress);
     } else if (event === 'active') {
       self.pull.removeListener('active', pullActive);
       self.push.removeListener('active', pushActive);
@@ -204,3 +256,10 @@ Sync.prototype.cancel = function () {
     this.pull.cancel();
   }
 };
+
+Sync.prototype.getStatus = function () {
+  return {
+    push: this.push.getStatus(),
+    pull: this.pull.getStatus()
+  };
+};
@@ -90,6 +90,8 @@ exports.once = require('./deps/once');
 
 exports.toPromise = require('./deps/toPromise');
 
+exports.promisedCallback = require('./deps/promisedCallback');
+
 exports.adapterFun = function (name, callback) {
   var log = require('debug')('pouchdb:api');
 
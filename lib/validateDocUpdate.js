@@ -0,0 +1,204 @@
+'use strict';
+
+var Promise = require('./deps/promise');
+var errors = require('./deps/errors');
+var clone = require('./deps/clone');
+var isLocalId = require('./deps/docs/isLocalId');
+var evalFilter = require('./evalFilter');
+var ddocRequire = require('./ddocRequire');
+var validateJsonSchema = require('./deps/jsonSchema');
+
+// what CouchDB uses when the database has no security object
+var DEFAULT_SEC_OBJ = {
+  admins: {names: [], roles: []},
+  members: {names: [], roles: []}
+};
+
+function isDesignDocId(id) {
+  return (/^_design\//).test(id);
+}
+
+// like CouchDB, we're an admin locally, so design docs aren't validated
+function needsValidation(doc) {
+  return !isLocalId(doc._id) && !isDesignDocId(doc._id);
+}
+
+function defaultsTo(value) {
+  return function (reason) {
+    /* istanbul ignore else */
+    if (reason.status === 404) {
+      return value;
+    } else {
+      throw reason;
+    }
+  };
+}
+
+function compileValidator(ddoc) {
+  var validator = {schema: ddoc.validate_doc_schema};
+  if (ddoc.validate_doc_update) {
+    try {
+      validator.fun = evalFilter(ddoc.validate_doc_update,
+        ddocRequire.forDdoc(ddoc));
+    } catch (e) {
+      throw errors.error(errors.BAD_REQUEST, 'Invalid validate_doc_update ' +
+        'function in ' + ddoc._id + ': ' + e.message);
+    }
+  }
+  return validator;
+}
+
+// The compiled validators of each database, by adapter and name, so that
+// all the PouchDB objects of a database share them, along with the revs of
+// the design docs they were compiled from. The design docs can change
+// without going through this PouchDB object (e.g. in another tab or
+// process), so their revs are checked before the validators are used.
+var validatorCache = {};
+
+function cacheKey(db) {
+  return db.type() + ':' + db._db_name;
+}
+
+function getDesignDocs(db, includeDocs) {
+  return new Promise(function (resolve, reject) {
+    db._allDocs({
+      startkey: '_design/',
+      endkey: '_design0',
+      include_docs: includeDocs,
+      skip: 0
+    }, function (err, res) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(res.rows);
+    });
+  });
+}
+
+function loadValidators(db) {
+  return getDesignDocs(db, true).then(function (rows) {
+    return rows.filter(function (row) {
+      return row.doc.validate_doc_update || row.doc.validate_doc_schema;
+    }).map(function (row) {
+      return compileValidator(row.doc);
+    });
+  });
+}
+
+// returns the validators of all design docs, compiled once and cached
+// until a design doc changes
+function getValidators(db) {
+  var key = cacheKey(db);
+  return getDesignDocs(db, false).then(function (rows) {
+    if (!rows.length) {
+      return [];
+    }
+    var revs = rows.map(function (row) {
+      return row.id + '@' + row.value.rev;
+    }).join(',');
+    var cached = validatorCache[key];
+    if (cached && cached.revs === revs) {
+      return cached.validators;
+    }
+    var validators = loadValidators(db);
+    validatorCache[key] = {revs: revs, validators: validators};
+    validators.catch(function () {
+      // try again on the next write
+      var entry = validatorCache[key];
+      if (entry && entry.validators === validators) {
+        delete validatorCache[key];
+      }
+    });
+    return validators;
+  });
+}
+
+// the doc the new revision replaces, as far as validation is concerned
+function getOldDoc(db, doc, newEdits) {
+  if (newEdits && !doc._rev) {
+    return Promise.resolve(null);
+  }
+  var opts = newEdits ? {rev: doc._rev} : {};
+  return db.get(doc._id, opts).catch(defaultsTo(null));
+}
+
+// fields starting with an underscore aren't part of the schema
+function getSchemaFields(doc) {
+  var fields = {};
+  Object.keys(doc).forEach(function (key) {
+    if (key[0] !== '_') {
+      fields[key] = doc[key];
+    }
+  });
+  return fields;
+}
+
+function toError(docId, thrown) {
+  var error;
+  if (thrown && thrown.unauthorized) {
+    error = errors.error(errors.UNAUTHORIZED, thrown.unauthorized);
+  } else {
+    error = errors.error(errors.FORBIDDEN, (thrown && thrown.forbidden) ||
+      (thrown && (thrown.reason || thrown.message)) || String(thrown));
+  }
+  error.id = docId;
+  return error;
+}
+
+function validateDoc(validators, doc, oldDoc, userCtx, secObj) {
+  for (var i = 0; i < validators.length; i++) {
+    var validator = validators[i];
+    try {
+      if (validator.schema && !doc._deleted) {
+        var schemaError = validateJsonSchema(validator.schema,
+          getSchemaFields(doc));
+        if (schemaError) {
+          throw {forbidden: 'Schema validation failed: ' + schemaError};
+        }
+      }
+      if (validator.fun) {
+        validator.fun(clone(doc), clone(oldDoc), clone(userCtx),
+          clone(secObj));
+      }
+    } catch (e) {
+      return toError(doc._id, e);
+    }
+  }
+  return null;
+}
+
+// Runs the validate_doc_update functions and schemas of all design docs
+// against the docs, like CouchDB does on every write. Returns a promise for
+// a list of errors, with a (falsy) entry for each doc.
+module.exports = function validateDocUpdate(db, docs, opts) {
+  if (!docs.some(needsValidation)) {
+    return Promise.resolve([]);
+  }
+  return getValidators(db).then(function (validators) {
+    if (!validators.length) {
+      return [];
+    }
+    // only validate_doc_update functions get to see the old doc
+    var needsOldDoc = validators.some(function (validator) {
+      return validator.fun;
+    });
+    var userCtx = opts.userCtx || db.__opts.userCtx ||
+      {db: db._db_name, name: null, roles: []};
+    var secObj = opts.secObj || db.__opts.secObj || DEFAULT_SEC_OBJ;
+    return Promise.all(docs.map(function (doc) {
+      if (!needsValidation(doc)) {
+        return null;
+      }
+      var gettingOldDoc = needsOldDoc ?
+        getOldDoc(db, doc, opts.new_edits) : Promise.resolve(null);
+      return gettingOldDoc.then(function (oldDoc) {
+        return validateDoc(validators, doc, oldDoc, userCtx, secObj);
+      });
+    }));
+  });
+};
+
+// drops the cached validators of a destroyed database
+module.exports.invalidate = function (db) {
+  delete validatorCache[cacheKey(db)];
+};
@@ -39,3 +39,190 @@ describe('test.auth.js', function () {
   });
 
 });
+
+describe('test.auth.js-sessions', function () {
+
+  var server;
+  var requests;
+  var users;
+  var validToken;
+  var PORT = 9616;
+  var url = 'http://127.0.0.1:' + PORT + '/db';
+
+  function respond(res, status, body, headers) {
+    headers = headers || {};
+    headers['Content-Type'] = 'application/json';
+    res.writeHead(status, headers);
+    res.end(JSON.stringify(body));
+  }
+
+  // a CouchDB that only lets alice in, with a cookie or a token
+  function handle(req, body, res) {
+    var loggedIn = req.headers.cookie === 'AuthSession=alice-cookie' ||
+      (validToken && req.headers.authorization === 'Bearer ' + validToken);
+    if (req.url === '/_session' && req.method === 'POST') {
+      if (body.name !== 'alice' || body.password !== 'secret') {
+        return respond(res, 401, {error: 'unauthorized',
+          reason: 'Name or password is incorrect.'});
+      }
+      return respond(res, 200, {ok: true, name: 'alice', roles: []},
+        {'Set-Cookie': 'AuthSession=alice-cookie; Path=/; HttpOnly'});
+    }
+    if (req.url === '/_session' && req.method === 'DELETE') {
+      return respond(res, 200, {ok: true},
+        {'Set-Cookie': 'AuthSession=; Path=/; HttpOnly'});
+    }
+    if (req.url === '/_session') {
+      return respond(res, 200, {ok: true, userCtx: {
+        name: loggedIn ? 'alice' : null, roles: []
+      }});
+    }
+    if (/^\/_users\//.test(req.url)) {
+      users.push(body);
+      return respond(res, 201, {ok: true, id: body._id, rev: '1-a'});
+    }
+    if (!loggedIn) {
+      return respond(res, 401, {error: 'unauthorized',
+        reason: 'You are not authorized to access this db.'});
+    }
+    respond(res, 200, {db_name: 'db'});
+  }
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      var body = '';
+      req.on('data', function (chunk) {
+        body += chunk;
+      });
+      req.on('end', function () {
+        body = body ? JSON.parse(body) : null;
+        requests.push({method: req.method, url: req.url,
+          headers: req.headers});
+        handle(req, body, res);
+      });
+    });
+    server.listen(PORT, done);
+  });
+
+  beforeEach(function () {
+    requests = [];
+    users = [];
+    validToken = null;
+  });
+
+  after(function () {
+    return server.close();
+  });
+
+  it('Test logIn() starts a cookie session', function () {
+    var db = new PouchDB(url);
+    return db.info().then(function () {
+      throw new Error('expected an error');
+    }, function (err) {
+      err.status.should.equal(401);
+      return db.logIn('alice', 'secret');
+    }).then(function (res) {
+      res.should.deep.equal({ok: true, name: 'alice', roles: []});
+      return db.getSession();
+    }).then(function (res) {
+      res.userCtx.name.should.equal('alice');
+      return db.info();
+    }).then(function (info) {
+      info.db_name.should.equal('db');
+    });
+  });
+
+  it('Test logIn() with the wrong password', function () {
+    var db = new PouchDB(url, {skip_setup: true});
+    return db.logIn('alice', 'wrong').then(function () {
+      throw new Error('expected an error');
+    }, function (err) {
+      err.status.should.equal(401);
+      return db.logIn('alice', '');
+    }).then(function () {
+      throw new Error('expected an error');
+    }, function (err) {
+      err.status.should.equal(400);
+    });
+  });
+
+  it('Test logOut() ends the session', function () {
+    var db = new PouchDB(url);
+    return db.logIn('alice', 'secret').then(function () {
+      return db.info();
+    }).then(function () {
+      return db.logOut();
+    }).then(function (res) {
+      res.ok.should.equal(true);
+      return db.getSession();
+    }).then(function (res) {
+      should.equal(res.userCtx.name, null);
+      return db.info();
+    }).then(function () {
+      throw new Error('expected an error');
+    }, function (err) {
+      err.status.should.equal(401);
+    });
+  });
+
+  it('Test signUp() creates a user', function () {
+    var db = new PouchDB(url, {skip_setup: true});
+    return db.signUp('bob', 'pass', {
+      roles: ['editor'],
+      metadata: {email: 'bob@example.com'}
+    }).then(function (res) {
+      res.id.should.equal('org.couchdb.user:bob');
+      requests[0].method.should.equal('PUT');
+      requests[0].url.should.equal('/_users/org.couchdb.user%3Abob');
+      users.should.deep.equal([{
+        email: 'bob@example.com',
+        _id: 'org.couchdb.user:bob',
+        name: 'bob',
+        password: 'pass',
+        roles: ['editor'],
+        type: 'user'
+      }]);
+    });
+  });
+
+  it('Test bearer tokens are sent and refreshed', function () {
+    var fetched = 0;
+    validToken = 'token-1';
+    var db = new PouchDB(url, {auth: {
+      type: 'bearer',
+      getToken: function () {
+        fetched++;
+        return PouchDB.utils.Promise.resolve('token-' + fetched);
+      }
+    }});
+    return db.info().then(function () {
+      fetched.should.equal(1);
+      requests.forEach(function (req) {
+        req.headers.authorization.should.equal('Bearer token-1');
+      });
+      // the token expires
+      validToken = 'token-2';
+      return db.info();
+    }).then(function (info) {
+      info.db_name.should.equal('db');
+      fetched.should.equal(2);
+      requests[requests.length - 1].headers.authorization
+        .should.equal('Bearer token-2');
+    });
+  });
+
+  it('Test requests fail when there\'s no token', function () {
+    var db = new PouchDB(url, {auth: {
+      type: 'bearer',
+      getToken: function () {
+        throw new Error('no token');
+      }
+    }});
+    return db.info().then(function () {
+      throw new Error('expected an error');
+    }, function (err) {
+      err.message.should.equal('no token');
+      requests.should.have.length(0);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+'use strict';
+
+var http = require('http');
+var url = require('url');
+
+var PouchDB = require('../../lib');
+require("chai").should();
+
+describe('test.changes_feed.js', function () {
+
+  var server;
+  var requests;
+  var handler;
+  var PORT = 9615;
+  var dbUrl = 'http://127.0.0.1:' + PORT + '/db';
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      var parsed = url.parse(req.url, true);
+      if (!/\/_changes$/.test(parsed.pathname)) {
+        res.writeHead(200, {'Content-Type': 'application/json'});
+        res.end('{"db_name": "db"}');
+        return;
+      }
+      requests.push(parsed.query);
+      handler(parsed.query, res, requests.length);
+    });
+    server.listen(PORT, done);
+  });
+
+  beforeEach(function () {
+    requests = [];
+  });
+
+  after(function () {
+    return server.close();
+  });
+
+  function row(seq, id) {
+    return JSON.stringify({seq: seq, id: id, changes: [{rev: '1-a'}]});
+  }
+
+  function collect(opts, count) {
+    return new PouchDB.utils.Promise(function (resolve, reject) {
+      var ids = [];
+      var changes = new PouchDB(dbUrl).changes(opts).on('change', function (c) {
+        ids.push(c.id);
+        if (ids.length === count) {
+          changes.cancel();
+          resolve(ids);
+        }
+      }).on('error', reject);
+    });
+  }
+
+  it('streams a continuous feed', function () {
+    handler = function (query, res) {
+      res.writeHead(200, {'Content-Type': 'application/json'});
+      var data = row(1, 'a') + '\n\n' + row(2, 'b') + '\n' + row(3, 'ü');
+      // split a row and a multibyte character over several writes
+      var buf = new Buffer(data + '\n');
+      var split = buf.length - 6;
+      res.write('\n'); // heartbeat
+      res.write(buf.slice(0, 20));
+      setTimeout(function () {
+        res.write(buf.slice(20, split));
+      }, 10);
+      setTimeout(function () {
+        res.write(buf.slice(split));
+      }, 20);
+    };
+    return collect({live: true, feed: 'continuous'}, 3).then(function (ids) {
+      ids.should.deep.equal(['a', 'b', 'ü']);
+      requests.should.have.length(1);
+      requests[0].feed.should.equal('continuous');
+    });
+  });
+
+  it('streams an eventsource feed', function () {
+    handler = function (query, res) {
+      res.writeHead(200, {'Content-Type': 'text/event-stream'});
+      res.write('data: ' + row(1, 'a') + '\nid: 1\n\n');
+      res.write('event: heartbeat\ndata: \n\n');
+      res.write(': comment\ndata: ' + row(2, 'b') + '\n\n');
+    };
+    return collect({live: true, feed: 'eventsource'}, 2).then(function (ids) {
+      ids.should.deep.equal(['a', 'b']);
+      requests[0].feed.should.equal('eventsource');
+    });
+  });
+
+  it('resumes from the last seq when the feed closes', function () {
+    handler = function (query, res, count) {
+      res.writeHead(200, {'Content-Type': 'application/json'});
+      if (count === 1) {
+        res.end(row(1, 'a') + '\n{"last_seq": 5}\n');
+      } else {
+        res.write(row(6, 'b') + '\n');
+      }
+    };
+    return collect({live: true, feed: 'continuous'}, 2).then(function (ids) {
+      ids.should.deep.equal(['a', 'b']);
+      requests[1].since.should.equal('5');
+    });
+  });
+
+  it('backs off when the feed keeps closing without changes', function () {
+    handler = function (query, res) {
+      res.writeHead(200, {'Content-Type': 'application/json'});
+      res.end('\n'); // just a heartbeat
+    };
+    var random = Math.random;
+    Math.random = function () {
+      return 0.5; // a delay of about a second
+    };
+    var changes = new PouchDB(dbUrl).changes({
+      live: true,
+      feed: 'continuous'
+    }).on('error', function () {});
+    return new PouchDB.utils.Promise(function (resolve) {
+      setTimeout(resolve, 300);
+    }).then(function () {
+      Math.random = random;
+      changes.cancel();
+      requests.should.have.length(1);
+    });
+  });
+
+  it('stops at the limit', function () {
+    handler = function (query, res) {
+      res.writeHead(200, {'Content-Type': 'application/json'});
+      res.write([row(1, 'a'), row(2, 'b'), row(3, 'c')].join('\n') + '\n');
+    };
+    var ids = [];
+    return new PouchDB(dbUrl).changes({
+      live: true,
+      feed: 'continuous',
+      limit: 2
+    }).on('change', function (change) {
+      ids.push(change.id);
+    }).then(function (res) {
+      ids.should.deep.equal(['a', 'b']);
+      res.last_seq.should.equal(2);
+      (typeof requests[0].limit).should.equal('undefined');
+    });
+  });
+
+  it('falls back to longpoll if the feed is not supported', function () {
+    handler = function (query, res) {
+      if (query.feed === 'eventsource') {
+        res.writeHead(400, {'Content-Type': 'application/json'});
+        res.end('{"error": "bad_request", "reason": "unknown feed"}');
+        return;
+      }
+      res.writeHead(200, {'Content-Type': 'application/json'});
+      res.end(JSON.stringify({
+        results: [{seq: 1, id: 'a', changes: [{rev: '1-a'}]}],
+        last_seq: 1
+      }));
+    };
+    return collect({live: true, feed: 'eventsource'}, 1).then(function (ids) {
+      ids.should.deep.equal(['a']);
+      requests[1].feed.should.equal('longpoll');
+    });
+  });
+
+  it('falls back to longpoll if the feed is ignored', function () {
+    handler = function (query, res) {
+      res.writeHead(200, {'Content-Type': 'application/json'});
+      res.end(JSON.stringify({
+        results: [{seq: 1, id: 'a', changes: [{rev: '1-a'}]}],
+        last_seq: 1
+      }));
+    };
+    return collect({live: true, feed: 'continuous'}, 1).then(function (ids) {
+      ids.should.deep.equal(['a']);
+      requests[0].feed.should.equal('continuous');
+      requests[1].feed.should.equal('longpoll');
+    });
+  });
+});
@@ -0,0 +1,226 @@
+'use strict';
+
+var http = require('http');
+var url = require('url');
+var zlib = require('zlib');
+
+var PouchDB = require('../../lib');
+var should = require("chai").should();
+
+describe('test.compression.js', function () {
+
+  var server;
+  var requests;
+  var PORT = 9618;
+  var dbUrl = 'http://127.0.0.1:' + PORT + '/db';
+
+  // compresses well
+  var filler = new Array(200).join('all work and no play ');
+
+  var doc = {
+    _id: 'a',
+    _rev: '1-a',
+    _revisions: {start: 1, ids: ['a']},
+    text: filler
+  };
+
+  function respond(req, res, status, body) {
+    var json = JSON.stringify(body);
+    var headers = {'Content-Type': 'application/json'};
+    if (/gzip/.test(req.headers['accept-encoding'])) {
+      headers['Content-Encoding'] = 'gzip';
+      json = zlib.gzipSync(json);
+    }
+    res.writeHead(status, headers);
+    res.end(json);
+  }
+
+  // just enough of CouchDB to replicate a doc from it
+  function handle(req, body, res) {
+    var path = url.parse(req.url).pathname;
+    if (path === '/') {
+      return respond(req, res, 200, {couchdb: 'Welcome', uuid: 'abc'});
+    }
+    if (path === '/db/') {
+      return respond(req, res, 200, {db_name: 'db', update_seq: 1});
+    }
+    if (/^\/db\/_local\//.test(path)) {
+      if (req.method === 'PUT') {
+        return respond(req, res, 201, {ok: true, id: body._id, rev: '0-1'});
+      }
+      return respond(req, res, 404, {error: 'not_found', reason: 'missing'});
+    }
+    if (path === '/db/_changes') {
+      var since = url.parse(req.url, true).query.since;
+      return respond(req, res, 200, {
+        results: since === '0' ?
+          [{seq: 1, id: 'a', changes: [{rev: '1-a'}]}] : [],
+        last_seq: 1
+      });
+    }
+    if (path === '/db/_all_docs') {
+      return respond(req, res, 200, {
+        rows: [{id: 'a', key: 'a', value: {rev: '1-a'}, doc: doc}]
+      });
+    }
+    if (path === '/db/_bulk_get') {
+      return respond(req, res, 200, {
+        results: [{id: 'a', docs: [{ok: doc}]}]
+      });
+    }
+    if (path === '/db/_revs_diff') {
+      var diffs = {};
+      Object.keys(body).forEach(function (id) {
+        diffs[id] = {missing: body[id]};
+      });
+      return respond(req, res, 200, diffs);
+    }
+    if (path === '/db/_bulk_docs') {
+      return respond(req, res, 201, body.docs.map(function (doc) {
+        return {ok: true, id: doc._id, rev: '1-a'};
+      }));
+    }
+    respond(req, res, 200, doc);
+  }
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      var chunks = [];
+      req.on('data', function (chunk) {
+        chunks.push(chunk);
+      });
+      req.on('end', function () {
+        var body = Buffer.concat(chunks);
+        var encoding = req.headers['content-encoding'];
+        if (encoding === 'gzip') {
+          body = zlib.gunzipSync(body);
+        }
+        requests.push({
+          path: url.parse(req.url).pathname,
+          headers: req.headers,
+          length: chunks.reduce(function (sum, chunk) {
+            return sum + chunk.length;
+          }, 0)
+        });
+        handle(req, body.length ? JSON.parse(body) : null, res);
+      });
+    });
+    server.listen(PORT, done);
+  });
+
+  beforeEach(function () {
+    requests = [];
+  });
+
+  after(function () {
+    return server.close();
+  });
+
+  // counts the bytes of the requests that it's passed to, like the one of a
+  // replication does
+  function transferCounter() {
+    var counts = {
+      bytes_sent: 0,
+      bytes_sent_uncompressed: 0,
+      bytes_received: 0,
+      bytes_received_uncompressed: 0
+    };
+    return {
+      counts: counts,
+      transfer: function (field, bytes) {
+        counts[field] += bytes;
+      }
+    };
+  }
+
+  function bigDocs(count) {
+    var docs = [];
+    for (var i = 0; i < count; i++) {
+      docs.push({_id: 'doc' + i, text: filler});
+    }
+    return docs;
+  }
+
+  it('Test compressed responses are asked for and decoded', function () {
+    var db = new PouchDB(dbUrl, {skip_setup: true});
+    var counter = transferCounter();
+    return db.get('a', {transfer: counter.transfer}).then(function (res) {
+      requests[0].headers['accept-encoding'].should.match(/gzip/);
+      res.text.should.equal(filler);
+      var stats = counter.counts;
+      stats.bytes_received.should.be.above(0);
+      stats.bytes_received_uncompressed.should.be.above(
+        stats.bytes_received * 5);
+    });
+  });
+
+  it('Test gzip_requests compresses large _bulk_docs bodies', function () {
+    var db = new PouchDB(dbUrl, {skip_setup: true, gzip_requests: true});
+    var counter = transferCounter();
+    return db.bulkDocs(bigDocs(10), {transfer: counter.transfer})
+    .then(function (res) {
+      res.should.have.length(10);
+      var req = requests[0];
+      req.path.should.equal('/db/_bulk_docs');
+      req.headers['content-encoding'].should.equal('gzip');
+      var stats = counter.counts;
+      stats.bytes_sent.should.equal(req.length);
+      stats.bytes_sent_uncompressed.should.be.above(req.length * 5);
+    });
+  });
+
+  it('Test small _bulk_docs bodies aren\'t compressed', function () {
+    var db = new PouchDB(dbUrl, {skip_setup: true, gzip_requests: true});
+    var counter = transferCounter();
+    return db.bulkDocs([{_id: 'small'}], {transfer: counter.transfer})
+    .then(function () {
+      should.not.exist(requests[0].headers['content-encoding']);
+      var stats = counter.counts;
+      stats.bytes_sent.should.equal(stats.bytes_sent_uncompressed);
+    });
+  });
+
+  it('Test request bodies aren\'t compressed by default', function () {
+    var db = new PouchDB(dbUrl, {skip_setup: true});
+    return db.bulkDocs(bigDocs(10)).then(function () {
+      should.not.exist(requests[0].headers['content-encoding']);
+    });
+  });
+
+  it('Test replications report compressed and uncompressed bytes',
+      function () {
+    var remote = new PouchDB(dbUrl);
+    var local = new PouchDB('compressiontest', {db: require('memdown')});
+    var rep = local.replicate.from(remote);
+    return rep.then(function () {
+      return local.get('a');
+    }).then(function (res) {
+      res.text.should.equal(filler);
+      var status = rep.getStatus();
+      status.bytes_received.should.be.above(0);
+      status.bytes_received_uncompressed.should.be.above(
+        status.bytes_received);
+      status.bytes_sent_uncompressed.should.be.at.least(status.bytes_sent);
+      return local.destroy();
+    });
+  });
+
+  it('Test the replications of a sync count their own bytes', function () {
+    var remote = new PouchDB(dbUrl);
+    var local = new PouchDB('compressiontest', {db: require('memdown')});
+    var sync;
+    return local.put({_id: 'b', text: filler}).then(function () {
+      sync = local.sync(remote);
+      return sync;
+    }).then(function () {
+      var push = sync.push.getStatus();
+      var pull = sync.pull.getStatus();
+      // the doc is only sent by the push, and received by the pull
+      push.bytes_sent_uncompressed.should.be.above(filler.length);
+      pull.bytes_sent_uncompressed.should.be.below(filler.length);
+      pull.bytes_received_uncompressed.should.be.above(filler.length);
+      push.bytes_received_uncompressed.should.be.below(filler.length);
+      return local.destroy();
+    });
+  });
+});
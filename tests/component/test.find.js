@@ -0,0 +1,96 @@
+'use strict';
+
+var http = require('http');
+
+var PouchDB = require('../../lib');
+var should = require("chai").should();
+
+describe('test.find.js', function () {
+
+  var server;
+  var request;
+  var response;
+  var PORT = 9615;
+  var url = 'http://127.0.0.1:' + PORT + '/db';
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      var body = '';
+      req.on('data', function (chunk) {
+        body += chunk;
+      });
+      req.on('end', function () {
+        request = {method: req.method, url: req.url, body: body};
+        res.writeHead(200, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify(response));
+      });
+    });
+    server.listen(PORT, done);
+  });
+
+  beforeEach(function () {
+    request = null;
+  });
+
+  after(function () {
+    return server.close();
+  });
+
+  it('Test createIndex() posts to _index', function () {
+    var db = new PouchDB(url, {skip_setup: true});
+    var index = {index: {fields: ['rank']}, name: 'rank-index'};
+    response = {result: 'created', id: '_design/abc', name: 'rank-index'};
+    return db.createIndex(index).then(function (res) {
+      should.equal(request.method, 'POST');
+      should.equal(request.url, '/db/_index');
+      JSON.parse(request.body).should.deep.equal(index);
+      res.should.deep.equal(response);
+    });
+  });
+
+  it('Test getIndexes() gets _index', function () {
+    var db = new PouchDB(url, {skip_setup: true});
+    response = {indexes: []};
+    return db.getIndexes().then(function (res) {
+      should.equal(request.method, 'GET');
+      should.equal(request.url, '/db/_index');
+      res.should.deep.equal(response);
+    });
+  });
+
+  it('Test deleteIndex() deletes the json index', function () {
+    var db = new PouchDB(url, {skip_setup: true});
+    response = {ok: true};
+    return db.deleteIndex({
+      ddoc: '_design/my ddoc',
+      name: 'rank-index'
+    }).then(function (res) {
+      should.equal(request.method, 'DELETE');
+      should.equal(request.url, '/db/_index/my%20ddoc/json/rank-index');
+      res.should.deep.equal(response);
+    });
+  });
+
+  it('Test deleteIndex() rejects an index without a name', function () {
+    var db = new PouchDB(url, {skip_setup: true});
+    return db.deleteIndex({ddoc: 'my-ddoc'}).then(function () {
+      throw new Error('expected an error');
+    }, function (err) {
+      should.equal(err.status, 400);
+      should.equal(request, null);
+    });
+  });
+
+  it('Test find() posts to _find', function () {
+    var db = new PouchDB(url, {skip_setup: true});
+    var requestDef = {selector: {rank: {$in: [1, 2]}}, limit: 1};
+    response = {docs: [{_id: 'mario', rank: 1}]};
+    return db.find(requestDef).then(function (res) {
+      should.equal(request.method, 'POST');
+      should.equal(request.url, '/db/_find');
+      JSON.parse(request.body).should.deep.equal(requestDef);
+      res.should.deep.equal(response);
+    });
+  });
+
+});
@@ -0,0 +1,186 @@
+'use strict';
+
+var http = require('http');
+var url = require('url');
+
+var PouchDB = require('../../lib');
+require("chai").should();
+
+describe('test.interceptors.js', function () {
+
+  var server;
+  var requests;
+  var failures;
+  var PORT = 9615;
+  var dbUrl = 'http://127.0.0.1:' + PORT + '/db';
+
+  function respond(res, status, body) {
+    res.writeHead(status, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(body));
+  }
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      var path = url.parse(req.url).pathname;
+      requests.push({method: req.method, path: path, headers: req.headers});
+      if (failures[path]) {
+        failures[path]--;
+        return respond(res, 503, {error: 'unavailable'});
+      }
+      if (/\/_changes$/.test(path)) {
+        return respond(res, 200, {results: [], last_seq: 0});
+      }
+      if (/\/_bulk_get$/.test(path)) {
+        return respond(res, 200, {results: []});
+      }
+      if (/\/doc$/.test(path)) {
+        return respond(res, 200, {_id: 'doc', _rev: '1-a'});
+      }
+      respond(res, 200, {db_name: 'db'});
+    });
+    server.listen(PORT, done);
+  });
+
+  beforeEach(function () {
+    requests = [];
+    failures = {};
+  });
+
+  after(function () {
+    return server.close();
+  });
+
+  it('Test beforeRequest() can change every request', function () {
+    var db = new PouchDB('http://127.0.0.1:' + PORT + '/public/db', {
+      interceptors: [{
+        beforeRequest: function (req) {
+          // a reverse proxy serves /public from the root
+          req.url = req.url.replace('/public/', '/');
+          req.headers['X-Trace-Id'] = 'trace-1';
+        }
+      }]
+    });
+    return db.get('doc').then(function () {
+      return db.changes();
+    }).then(function () {
+      return db.bulkGet({docs: [{id: 'doc'}]});
+    }).then(function () {
+      var paths = requests.map(function (req) {
+        return req.path;
+      });
+      // the first one is setup()'s check
+      paths.should.deep.equal(['/db/', '/db/doc', '/db/_changes',
+        '/db/_bulk_get']);
+      requests.forEach(function (req) {
+        req.headers['x-trace-id'].should.equal('trace-1');
+      });
+    });
+  });
+
+  it('Test interceptors run in order and can be async', function () {
+    var calls = [];
+    function interceptor(name) {
+      return {
+        beforeRequest: function (req) {
+          calls.push('before ' + name);
+          return new PouchDB.utils.Promise(function (resolve) {
+            setTimeout(function () {
+              resolve(req);
+            }, 5);
+          });
+        },
+        afterResponse: function (res) {
+          calls.push('after ' + name + ' ' + res.status);
+        }
+      };
+    }
+    var db = new PouchDB(dbUrl, {
+      skip_setup: true,
+      interceptors: [interceptor('a'), interceptor('b')]
+    });
+    return db.get('doc').then(function (doc) {
+      doc._id.should.equal('doc');
+      calls.should.deep.equal(['before a', 'before b', 'after b 200',
+        'after a 200']);
+    });
+  });
+
+  it('Test beforeRequest() can short-circuit a request', function () {
+    var seen = [];
+    var db = new PouchDB(dbUrl, {
+      skip_setup: true,
+      interceptors: [{
+        afterResponse: function (res) {
+          seen.push(res.body._id);
+        }
+      }, {
+        beforeRequest: function () {
+          return {response: {status: 200, body: {_id: 'cached'}}};
+        },
+        afterResponse: function () {
+          throw new Error('should not see its own response');
+        }
+      }]
+    });
+    return db.get('doc').then(function (doc) {
+      doc._id.should.equal('cached');
+      seen.should.deep.equal(['cached']);
+      requests.should.have.length(0);
+    });
+  });
+
+  it('Test afterResponse() can retry a request', function () {
+    failures['/db/doc'] = 2;
+    var attempts = [];
+    var db = new PouchDB(dbUrl, {
+      skip_setup: true,
+      interceptors: [{
+        afterResponse: function (res) {
+          attempts.push(res.attempt);
+          if (res.status === 503 && res.attempt < 3) {
+            return {retry: true};
+          }
+        }
+      }]
+    });
+    return db.get('doc').then(function (doc) {
+      doc._id.should.equal('doc');
+      attempts.should.deep.equal([1, 2, 3]);
+      requests.should.have.length(3);
+    });
+  });
+
+  it('Test afterResponse() can change the response', function () {
+    failures['/db/doc'] = 1;
+    var db = new PouchDB(dbUrl, {
+      skip_setup: true,
+      interceptors: [{
+        afterResponse: function (res) {
+          if (res.error) {
+            return {status: 200, body: {_id: 'fallback'}};
+          }
+        }
+      }]
+    });
+    return db.get('doc').then(function (doc) {
+      doc._id.should.equal('fallback');
+    });
+  });
+
+  it('Test a failing interceptor fails the request', function () {
+    var db = new PouchDB(dbUrl, {
+      skip_setup: true,
+      interceptors: [{
+        beforeRequest: function () {
+          return PouchDB.utils.Promise.reject(new Error('not signed'));
+        }
+      }]
+    });
+    return db.get('doc').then(function () {
+      throw new Error('expected an error');
+    }, function (err) {
+      err.message.should.equal('not signed');
+      requests.should.have.length(0);
+    });
+  });
+});
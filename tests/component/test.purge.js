@@ -0,0 +1,56 @@
+'use strict';
+
+var http = require('http');
+
+var PouchDB = require('../../lib');
+var should = require("chai").should();
+
+describe('test.purge.js', function () {
+
+  var server;
+  var request;
+  var PORT = 9615;
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      var body = '';
+      req.on('data', function (chunk) {
+        body += chunk;
+      });
+      req.on('end', function () {
+        request = {method: req.method, url: req.url, body: body};
+        res.writeHead(200, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify({purge_seq: 1, purged: {foo: ['1-a']}}));
+      });
+    });
+    server.listen(PORT, done);
+  });
+
+  after(function () {
+    return server.close();
+  });
+
+  it('Test purge() posts to _purge', function () {
+    var url = 'http://127.0.0.1:' + PORT + '/db';
+    var db = new PouchDB(url, {skip_setup: true});
+    return db.purge({foo: ['1-a']}).then(function (res) {
+      should.equal(request.method, 'POST');
+      should.equal(request.url, '/db/_purge');
+      JSON.parse(request.body).should.deep.equal({foo: ['1-a']});
+      res.purged.should.deep.equal({foo: ['1-a']});
+    });
+  });
+
+  it('Test purge() rejects invalid revisions', function () {
+    var url = 'http://127.0.0.1:' + PORT + '/db';
+    var db = new PouchDB(url, {skip_setup: true});
+    request = null;
+    return db.purge({foo: 'bar'}).then(function () {
+      throw new Error('expected an error');
+    }, function (err) {
+      should.equal(err.status, 400);
+      should.equal(request, null);
+    });
+  });
+
+});
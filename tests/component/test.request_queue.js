@@ -0,0 +1,243 @@
+'use strict';
+
+var http = require('http');
+var url = require('url');
+
+var PouchDB = require('../../lib');
+require("chai").should();
+
+describe('test.request_queue.js', function () {
+
+  var server;
+  var requests;
+  var running;
+  var maxRunning;
+  var busy;
+  var longpolls;
+  var PORT = 9617;
+  var dbUrl = 'http://127.0.0.1:' + PORT + '/db';
+
+  function respond(res, status, body, headers) {
+    headers = headers || {};
+    headers['Content-Type'] = 'application/json';
+    res.writeHead(status, headers);
+    res.end(JSON.stringify(body));
+  }
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      var parsed = url.parse(req.url, true);
+      requests.push({path: parsed.pathname, port: req.socket.remotePort});
+      if (parsed.query.feed === 'longpoll') {
+        return longpolls.push(res);
+      }
+      if (busy.length) {
+        var retry = busy.shift();
+        return respond(res, retry.status, {error: 'busy'}, retry.headers);
+      }
+      running++;
+      maxRunning = Math.max(running, maxRunning);
+      setTimeout(function () {
+        running--;
+        respond(res, 200, {_id: 'doc', _rev: '1-a'});
+      }, 20);
+    });
+    server.listen(PORT, done);
+  });
+
+  beforeEach(function () {
+    requests = [];
+    running = 0;
+    maxRunning = 0;
+    busy = [];
+    longpolls = [];
+  });
+
+  after(function () {
+    return server.close();
+  });
+
+  function getAll(db, count) {
+    var gets = [];
+    for (var i = 0; i < count; i++) {
+      gets.push(db.get('doc'));
+    }
+    return PouchDB.utils.Promise.all(gets);
+  }
+
+  function closeAll(dbs) {
+    return PouchDB.utils.Promise.all(dbs.map(function (db) {
+      return db.close();
+    }));
+  }
+
+  it('Test max_concurrent_requests limits the requests', function () {
+    var db = new PouchDB(dbUrl, {
+      skip_setup: true,
+      max_concurrent_requests: 2
+    });
+    return getAll(db, 8).then(function (docs) {
+      docs.should.have.length(8);
+      maxRunning.should.equal(2);
+      return db.close();
+    });
+  });
+
+  it('Test databases on the same host share its limit', function () {
+    var db = new PouchDB(dbUrl, {
+      skip_setup: true,
+      max_concurrent_requests: 1
+    });
+    var other = new PouchDB(dbUrl.replace('/db', '/other'), {
+      skip_setup: true,
+      max_concurrent_requests: 3
+    });
+    // another host, as far as the queues go
+    var otherHost = new PouchDB(dbUrl.replace('127.0.0.1', 'localhost'), {
+      skip_setup: true,
+      max_concurrent_requests: 1
+    });
+    var unlimited = new PouchDB(dbUrl, {skip_setup: true});
+    return PouchDB.utils.Promise.all([
+      getAll(db, 3), getAll(other, 3)
+    ]).then(function () {
+      // the lowest limit of the host applies
+      maxRunning.should.equal(1);
+      maxRunning = 0;
+      return PouchDB.utils.Promise.all([
+        getAll(db, 3), getAll(otherHost, 3)
+      ]);
+    }).then(function () {
+      maxRunning.should.equal(2);
+      maxRunning = 0;
+      return getAll(unlimited, 3);
+    }).then(function () {
+      maxRunning.should.equal(3);
+      maxRunning = 0;
+      return db.close();
+    }).then(function () {
+      // once it's closed, the others don't wait for its limit
+      return getAll(other, 6);
+    }).then(function () {
+      maxRunning.should.equal(3);
+      return closeAll([other, otherHost, unlimited]);
+    });
+  });
+
+  it('Test live changes don\'t hold up the queue', function () {
+    var db = new PouchDB(dbUrl, {
+      skip_setup: true,
+      max_concurrent_requests: 1
+    });
+    var changes = db.changes({live: true});
+    return new PouchDB.utils.Promise(function (resolve) {
+      function waitForLongpoll() {
+        if (longpolls.length) {
+          return resolve();
+        }
+        setTimeout(waitForLongpoll, 5);
+      }
+      waitForLongpoll();
+    }).then(function () {
+      return db.get('doc');
+    }).then(function (doc) {
+      doc._id.should.equal('doc');
+      changes.cancel();
+      longpolls.forEach(function (res) {
+        respond(res, 200, {results: [], last_seq: 0});
+      });
+      return db.close();
+    });
+  });
+
+  it('Test busy responses are retried after Retry-After', function () {
+    busy.push({status: 429, headers: {'Retry-After': '0'}});
+    busy.push({status: 503, headers: {'Retry-After': '0'}});
+    var db = new PouchDB(dbUrl, {skip_setup: true});
+    return db.get('doc').then(function (doc) {
+      doc._id.should.equal('doc');
+      requests.should.have.length(3);
+    });
+  });
+
+  it('Test interceptors see the busy responses that are retried',
+      function () {
+    busy.push({status: 429, headers: {'Retry-After': '0'}});
+    busy.push({status: 503, headers: {'Retry-After': '0'}});
+    var seen = [];
+    var db = new PouchDB(dbUrl, {
+      skip_setup: true,
+      interceptors: [{
+        afterResponse: function (res) {
+          seen.push([res.attempt, res.status]);
+        }
+      }]
+    });
+    return db.get('doc').then(function (doc) {
+      doc._id.should.equal('doc');
+      seen.should.deep.equal([[1, 429], [2, 503], [3, 200]]);
+      requests.should.have.length(3);
+    });
+  });
+
+  it('Test interceptors can handle busy responses themselves', function () {
+    busy.push({status: 503, headers: {'Retry-After': '0'}});
+    var db = new PouchDB(dbUrl, {
+      skip_setup: true,
+      interceptors: [{
+        afterResponse: function (res) {
+          if (res.status === 503) {
+            return {status: 200, body: {_id: 'cached'}};
+          }
+        }
+      }]
+    });
+    return db.get('doc').then(function (doc) {
+      doc._id.should.equal('cached');
+      requests.should.have.length(1);
+    });
+  });
+
+  it('Test requests fail when Retry-After is too far off', function () {
+    busy.push({status: 429, headers: {'Retry-After': '3600'}});
+    var db = new PouchDB(dbUrl, {skip_setup: true});
+    return db.get('doc').then(function () {
+      throw new Error('expected an error');
+    }, function (err) {
+      err.status.should.equal(429);
+      requests.should.have.length(1);
+    });
+  });
+
+  it('Test connections are kept alive', function () {
+    var db = new PouchDB(dbUrl, {skip_setup: true});
+    return db.get('doc').then(function () {
+      return db.get('doc');
+    }).then(function () {
+      requests[0].port.should.equal(requests[1].port);
+    });
+  });
+
+  it('Test keeping connections alive can be turned off', function () {
+    var forever = [];
+    var interceptors = [{
+      beforeRequest: function (request) {
+        forever.push(request.forever);
+      }
+    }];
+    var db = new PouchDB(dbUrl, {
+      skip_setup: true,
+      interceptors: interceptors
+    });
+    var other = new PouchDB(dbUrl, {
+      skip_setup: true,
+      interceptors: interceptors,
+      ajax: {forever: false}
+    });
+    return db.get('doc').then(function () {
+      return other.get('doc');
+    }).then(function () {
+      forever.should.deep.equal([true, false]);
+    });
+  });
+});
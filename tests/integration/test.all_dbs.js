@@ -0,0 +1,144 @@
+'use strict';
+
+var adapters = ['local'];
+
+adapters.forEach(function (adapter) {
+  describe('test.all_dbs.js-' + adapter, function () {
+
+    var dbs = {};
+
+    beforeEach(function (done) {
+      dbs.name = testUtils.adapterUrl(adapter, 'test_all_dbs');
+      dbs.other = testUtils.adapterUrl(adapter, 'test_all_dbs_other');
+      testUtils.cleanup([dbs.name, dbs.other], done);
+    });
+
+    after(function (done) {
+      testUtils.cleanup([dbs.name, dbs.other], done);
+    });
+
+    function contains(names, name) {
+      return names.indexOf(name) !== -1;
+    }
+
+    it('lists the local databases', function () {
+      var db = new PouchDB(dbs.name);
+      var other = new PouchDB(dbs.other);
+      return db.info().then(function () {
+        return other.info();
+      }).then(function () {
+        return PouchDB.allDbs();
+      }).then(function (names) {
+        contains(names, dbs.name).should.equal(true);
+        contains(names, dbs.other).should.equal(true);
+        contains(names, 'pouch__all_dbs__').should.equal(false);
+        names.should.deep.equal(names.slice().sort());
+      });
+    });
+
+    it('leaves out destroyed databases', function () {
+      var db = new PouchDB(dbs.name);
+      return db.info().then(function () {
+        return db.destroy();
+      }).then(function () {
+        return PouchDB.allDbs();
+      }).then(function (names) {
+        contains(names, dbs.name).should.equal(false);
+      });
+    });
+
+    function isDependent(name) {
+      return /-mrview-|-search-/.test(name);
+    }
+
+    it('leaves out the databases of views and search indexes', function () {
+      var db = new PouchDB(dbs.name);
+      return db.put({_id: 'a', name: 'a'}).then(function () {
+        return db.query(function (doc) {
+          emit(doc.name);
+        });
+      }).then(function () {
+        return db.search({query: 'a', fields: ['name']});
+      }).then(function () {
+        return PouchDB.allDbs();
+      }).then(function (names) {
+        names.filter(isDependent).should.deep.equal([]);
+      });
+    });
+
+    it('doesn\'t emit db updates for views and search indexes', function () {
+      var updates = [];
+      var feed = PouchDB.dbUpdates({live: true}).on('change', function (u) {
+        updates.push(u.db_name);
+      });
+      var db = new PouchDB(dbs.name);
+      return db.put({_id: 'a', name: 'a'}).then(function () {
+        return db.query(function (doc) {
+          emit(doc.name);
+        });
+      }).then(function () {
+        return db.search({query: 'a', fields: ['name']});
+      }).then(function () {
+        return db.destroy();
+      }).then(function () {
+        updates.filter(isDependent).should.deep.equal([]);
+        updates.should.contain(dbs.name);
+        feed.cancel();
+      });
+    });
+
+    it('stores the list in a database', function () {
+      var db = new PouchDB(dbs.name);
+      return db.info().then(function () {
+        return PouchDB.allDbs();
+      }).then(function () {
+        return new PouchDB('pouch__all_dbs__').get('db_' + dbs.name);
+      }).then(function (doc) {
+        doc.name.should.equal(dbs.name);
+      });
+    });
+
+    it('works with callbacks', function (done) {
+      var db = new PouchDB(dbs.name);
+      db.info(function () {
+        PouchDB.allDbs(function (err, names) {
+          should.not.exist(err);
+          contains(names, dbs.name).should.equal(true);
+          done();
+        });
+      });
+    });
+
+    it('emits db updates', function () {
+      var updates = [];
+      var feed = PouchDB.dbUpdates({live: true}).on('change', function (u) {
+        if (u.db_name === dbs.name) {
+          updates.push(u.type);
+        }
+      });
+      var db = new PouchDB(dbs.name);
+      return db.put({_id: 'a'}).then(function () {
+        return db.destroy();
+      }).then(function () {
+        updates.should.deep.equal(['created', 'updated', 'deleted']);
+        feed.cancel();
+        return feed;
+      }).then(function (res) {
+        res.status.should.equal('cancelled');
+      });
+    });
+
+    it('only emits the first update without live', function () {
+      var db = new PouchDB(dbs.name);
+      return db.info().then(function () {
+        var feed = PouchDB.dbUpdates();
+        db.put({_id: 'a'});
+        return feed;
+      }).then(function (res) {
+        res.results.should.have.length(1);
+        res.results[0].db_name.should.equal(dbs.name);
+        res.results[0].type.should.equal('updated');
+      });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+var adapters = ['local'];
+
+adapters.forEach(function (adapter) {
+  describe('test.all_or_nothing.js-' + adapter, function () {
+
+    var dbs = {};
+
+    beforeEach(function (done) {
+      dbs.name = testUtils.adapterUrl(adapter, 'testdb');
+      testUtils.cleanup([dbs.name], done);
+    });
+
+    after(function (done) {
+      testUtils.cleanup([dbs.name], done);
+    });
+
+    it('writes all of the docs if they can all be written', function () {
+      var db = new PouchDB(dbs.name);
+      return db.bulkDocs([
+        {_id: 'a', balance: 10},
+        {_id: 'b', balance: 20}
+      ], {all_or_nothing: true}).then(function (res) {
+        res.should.have.length(2);
+        res[0].ok.should.equal(true);
+        res[1].ok.should.equal(true);
+        return db.info();
+      }).then(function (info) {
+        info.doc_count.should.equal(2);
+      });
+    });
+
+    it('writes nothing if a doc conflicts', function () {
+      var db = new PouchDB(dbs.name);
+      var a;
+      var updateSeq;
+      return db.bulkDocs([
+        {_id: 'a', balance: 10},
+        {_id: 'b', balance: 20}
+      ]).then(function (res) {
+        a = {_id: 'a', _rev: res[0].rev, balance: 5};
+        return db.info();
+      }).then(function (info) {
+        updateSeq = info.update_seq;
+        return db.bulkDocs([
+          a,
+          {_id: 'b', balance: 25} // no _rev, so it conflicts
+        ], {all_or_nothing: true});
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(417);
+        err.errors.should.have.length(1);
+        err.errors[0].id.should.equal('b');
+        err.errors[0].status.should.equal(409);
+        return db.changes({since: updateSeq});
+      }).then(function (res) {
+        res.results.should.have.length(0);
+        return db.get('a');
+      }).then(function (doc) {
+        doc.balance.should.equal(10);
+      });
+    });
+
+    it('writes nothing if a doc fails validation', function () {
+      var db = new PouchDB(dbs.name);
+      return db.put({
+        _id: '_design/validate',
+        validate_doc_update: function (newDoc) {
+          if (newDoc.balance < 0) {
+            throw {forbidden: 'balance can\'t be negative'};
+          }
+        }.toString()
+      }).then(function () {
+        return db.bulkDocs([
+          {_id: 'a', balance: 10},
+          {_id: 'b', balance: -10}
+        ], {all_or_nothing: true});
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(417);
+        err.errors.should.have.length(1);
+        err.errors[0].id.should.equal('b');
+        err.errors[0].status.should.equal(403);
+        return db.allDocs({startkey: 'a', endkey: 'b'});
+      }).then(function (res) {
+        res.rows.should.have.length(0);
+      });
+    });
+
+    it('rolls back _local docs too', function () {
+      var db = new PouchDB(dbs.name);
+      return db.put({_id: 'a'}).then(function () {
+        return db.bulkDocs([
+          {_id: '_local/foo'},
+          {_id: 'a'}
+        ], {all_or_nothing: true});
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(417);
+        return db.get('_local/foo').then(function () {
+          throw new Error('expected an error');
+        }, function (err) {
+          err.status.should.equal(404);
+        });
+      });
+    });
+  });
+});
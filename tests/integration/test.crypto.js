@@ -0,0 +1,271 @@
+'use strict';
+
+// encryption is only supported by the local adapters
+var adapters = ['local'];
+
+adapters.forEach(function (adapter) {
+  describe('test.crypto.js-' + adapter, function () {
+
+    var dbs = {};
+
+    beforeEach(function (done) {
+      dbs.name = testUtils.adapterUrl(adapter, 'testdb');
+      dbs.remote = testUtils.adapterUrl(adapter, 'test_repl_remote');
+      testUtils.cleanup([dbs.name, dbs.remote], done);
+    });
+
+    after(function (done) {
+      testUtils.cleanup([dbs.name, dbs.remote], done);
+    });
+
+    // keep the tests fast, the default is much slower on purpose
+    function cryptoOpts(password) {
+      return {crypto: {password: password || 'secret', iterations: 10}};
+    }
+
+    it('encrypts docs at rest', function () {
+      var db = new PouchDB(dbs.name, cryptoOpts());
+      var plain = new PouchDB(dbs.name);
+      return db.put({_id: 'foo', secret: 'hunter2'}).then(function () {
+        return plain.get('foo');
+      }).then(function (doc) {
+        should.not.exist(doc.secret);
+        doc._encrypted.should.be.a('string');
+        doc._encrypted.should.not.contain('hunter2');
+        return db.get('foo');
+      }).then(function (doc) {
+        doc.secret.should.equal('hunter2');
+        doc._id.should.equal('foo');
+        doc._rev.should.match(/^1-/);
+      });
+    });
+
+    it('stores user fields named like the ciphertext', function () {
+      var db = new PouchDB(dbs.name, cryptoOpts());
+      return db.put({_id: 'foo', encrypted: 'yes'}).then(function () {
+        return db.get('foo');
+      }).then(function (doc) {
+        doc.encrypted.should.equal('yes');
+        return db.put({_id: 'bar', _encrypted: 'yes'});
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.name.should.equal('doc_validation');
+      });
+    });
+
+    it('decrypts docs in allDocs() and changes()', function () {
+      var db = new PouchDB(dbs.name, cryptoOpts());
+      return db.bulkDocs([
+        {_id: 'a', n: 1},
+        {_id: 'b', n: 2},
+        {_id: 'c', n: 3}
+      ]).then(function () {
+        return db.allDocs({include_docs: true});
+      }).then(function (res) {
+        res.rows.map(function (row) {
+          return row.doc.n;
+        }).should.deep.equal([1, 2, 3]);
+        return db.changes({include_docs: true});
+      }).then(function (res) {
+        res.results.map(function (change) {
+          return change.doc.n;
+        }).should.deep.equal([1, 2, 3]);
+      });
+    });
+
+    it('filters changes on the decrypted docs', function () {
+      var db = new PouchDB(dbs.name, cryptoOpts());
+      return db.bulkDocs([
+        {_id: 'a', n: 1},
+        {_id: 'b', n: 2},
+        {_id: 'c', n: 3},
+        {_id: 'd', n: 4}
+      ]).then(function () {
+        return db.changes({
+          filter: function (doc) {
+            return doc.n % 2 === 0;
+          },
+          limit: 1
+        });
+      }).then(function (res) {
+        res.results.map(function (change) {
+          return change.id;
+        }).should.deep.equal(['b']);
+        should.not.exist(res.results[0].doc);
+      });
+    });
+
+    it('emits decrypted live changes', function (done) {
+      var db = new PouchDB(dbs.name, cryptoOpts());
+      var changes = db.changes({
+        live: true,
+        include_docs: true
+      }).on('change', function (change) {
+        change.doc.secret.should.equal('hunter2');
+        changes.cancel();
+      }).on('complete', function () {
+        done();
+      }).on('error', done);
+      db.put({_id: 'foo', secret: 'hunter2'}).catch(done);
+    });
+
+    it('encrypts attachments at rest', function () {
+      var db = new PouchDB(dbs.name, cryptoOpts());
+      var plain = new PouchDB(dbs.name);
+      var data = testUtils.btoa('top secret');
+      return db.put({
+        _id: 'foo',
+        _attachments: {
+          'secret.txt': {content_type: 'text/plain', data: data}
+        }
+      }).then(function () {
+        return plain.get('foo', {attachments: true});
+      }).then(function (doc) {
+        doc._attachments['secret.txt'].data.should.not.equal(data);
+        return db.get('foo', {attachments: true});
+      }).then(function (doc) {
+        doc._attachments['secret.txt'].data.should.equal(data);
+        return db.getAttachment('foo', 'secret.txt');
+      }).then(function (blob) {
+        return testUtils.readBlobPromise(blob);
+      }).then(function (text) {
+        text.should.equal('top secret');
+        return db.allDocs({include_docs: true, attachments: true});
+      }).then(function (res) {
+        res.rows[0].doc._attachments['secret.txt'].data.should.equal(data);
+        return db.changes({include_docs: true, attachments: true});
+      }).then(function (res) {
+        res.results[0].doc._attachments['secret.txt'].data.should.equal(data);
+      });
+    });
+
+    it('keeps working after reopening the db', function () {
+      var db = new PouchDB(dbs.name, cryptoOpts());
+      return db.put({_id: 'foo', secret: 'hunter2'}).then(function () {
+        return db.close();
+      }).then(function () {
+        db = new PouchDB(dbs.name, cryptoOpts());
+        return db.get('foo');
+      }).then(function (doc) {
+        doc.secret.should.equal('hunter2');
+      });
+    });
+
+    it('rejects the wrong password', function () {
+      var db = new PouchDB(dbs.name, cryptoOpts());
+      return db.put({_id: 'foo'}).then(function () {
+        return new PouchDB(dbs.name, cryptoOpts('wrong')).info();
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(401);
+      });
+    });
+
+    it('only encrypts new databases', function () {
+      var plain = new PouchDB(dbs.name);
+      return plain.put({_id: 'foo'}).then(function () {
+        return new PouchDB(dbs.name, cryptoOpts()).info();
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(400);
+      });
+    });
+
+    it('rotates keys', function () {
+      var db = new PouchDB(dbs.name, cryptoOpts());
+      return db.put({_id: 'old', secret: 'a'}).then(function () {
+        return db.rotateKey('new secret');
+      }).then(function (res) {
+        res.should.deep.equal({ok: true});
+        return db.put({_id: 'new', secret: 'b'});
+      }).then(function () {
+        return db.allDocs({include_docs: true});
+      }).then(function (res) {
+        res.rows.map(function (row) {
+          return row.doc.secret;
+        }).should.deep.equal(['b', 'a']);
+        return db.close();
+      }).then(function () {
+        return new PouchDB(dbs.name, cryptoOpts()).info();
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(401);
+        db = new PouchDB(dbs.name, cryptoOpts('new secret'));
+        return db.get('old');
+      }).then(function (doc) {
+        doc.secret.should.equal('a');
+        return db.rotateKey();
+      }).then(function () {
+        return db.get('new');
+      }).then(function (doc) {
+        doc.secret.should.equal('b');
+      });
+    });
+
+    it('refuses views and search, which would store keys in plaintext',
+        function () {
+      var db = new PouchDB(dbs.name, cryptoOpts());
+      var plain = new PouchDB(dbs.name);
+      function expectBadRequest(promise) {
+        return promise.then(function () {
+          throw new Error('expected an error');
+        }, function (err) {
+          err.status.should.equal(400);
+        });
+      }
+      function expectMissing(id) {
+        return plain.get(id).then(function () {
+          throw new Error('expected an error');
+        }, function (err) {
+          err.status.should.equal(404);
+        });
+      }
+      return db.bulkDocs([
+        {_id: '_design/test', views: {
+          secrets: {map: 'function (doc) { emit(doc.secret); }'}
+        }},
+        {_id: 'a', secret: 'hunter2'}
+      ]).then(function () {
+        return expectBadRequest(db.query('test/secrets'));
+      }).then(function () {
+        return expectBadRequest(db.query(function (doc) {
+          emit(doc.secret);
+        }));
+      }).then(function () {
+        return expectBadRequest(db.search({
+          query: 'hunter2',
+          fields: ['secret']
+        }));
+      }).then(function () {
+        // no view or search dbs were created, as the source db would list
+        // them in these local docs
+        return expectMissing('_local/mrviews');
+      }).then(function () {
+        return expectMissing('_local/search');
+      });
+    });
+
+    it('replicates decrypted docs', function () {
+      var db = new PouchDB(dbs.name, cryptoOpts());
+      var remote = new PouchDB(dbs.remote);
+      return db.put({_id: 'foo', secret: 'hunter2'}).then(function () {
+        return db.replicate.to(remote);
+      }).then(function () {
+        return remote.get('foo');
+      }).then(function (doc) {
+        doc.secret.should.equal('hunter2');
+        return remote.put({_id: 'bar', secret: 'swordfish'});
+      }).then(function () {
+        return db.replicate.from(remote);
+      }).then(function () {
+        return db.get('bar');
+      }).then(function (doc) {
+        doc.secret.should.equal('swordfish');
+      });
+    });
+  });
+});
@@ -0,0 +1,191 @@
+'use strict';
+
+var adapters = ['local'];
+
+adapters.forEach(function (adapter) {
+  describe('test.ddoc_require.js-' + adapter, function () {
+
+    var dbs = {};
+
+    beforeEach(function (done) {
+      dbs.name = testUtils.adapterUrl(adapter, 'testdb');
+      testUtils.cleanup([dbs.name], done);
+    });
+
+    after(function (done) {
+      testUtils.cleanup([dbs.name], done);
+    });
+
+    it('map functions can require views.lib modules', function () {
+      var db = new PouchDB(dbs.name);
+      var ddoc = {
+        _id: '_design/app',
+        views: {
+          lib: {
+            util: 'exports.key = function (doc) { ' +
+              'return require("./prefix").prefix + doc.name; };',
+            prefix: 'exports.prefix = "name:";'
+          },
+          byName: {
+            map: 'function (doc) { ' +
+              'emit(require("views/lib/util").key(doc)); }'
+          }
+        }
+      };
+      return db.bulkDocs([ddoc, {_id: 'a', name: 'a'}]).then(function () {
+        return db.query('app/byName');
+      }).then(function (res) {
+        res.rows.map(function (row) {
+          return row.key;
+        }).should.deep.equal(['name:a']);
+      });
+    });
+
+    it('rebuilds views when views.lib changes', function () {
+      var db = new PouchDB(dbs.name);
+      var ddoc = {
+        _id: '_design/app',
+        views: {
+          lib: {
+            key: 'exports.key = "one";'
+          },
+          byKey: {
+            map: 'function (doc) { emit(require("views/lib/key").key); }'
+          }
+        }
+      };
+      return db.bulkDocs([ddoc, {_id: 'a'}]).then(function (res) {
+        ddoc._rev = res[0].rev;
+        return db.query('app/byKey');
+      }).then(function (res) {
+        res.rows[0].key.should.equal('one');
+        ddoc.views.lib.key = 'exports.key = "two";';
+        return db.put(ddoc);
+      }).then(function () {
+        return db.query('app/byKey');
+      }).then(function (res) {
+        res.rows.should.have.length(1);
+        res.rows[0].key.should.equal('two');
+      });
+    });
+
+    it('filters can require modules', function () {
+      var db = new PouchDB(dbs.name);
+      var ddoc = {
+        _id: '_design/app',
+        lib: {
+          even: 'module.exports = function (n) { return n % 2 === 0; };'
+        },
+        filters: {
+          even: 'function (doc) { return require("lib/even")(doc.n); }'
+        }
+      };
+      return db.bulkDocs([ddoc, {_id: 'a', n: 1}, {_id: 'b', n: 2}])
+      .then(function () {
+        return db.changes({filter: 'app/even'});
+      }).then(function (res) {
+        res.results.map(function (change) {
+          return change.id;
+        }).should.deep.equal(['b']);
+      });
+    });
+
+    it('validate_doc_update can require modules', function () {
+      var db = new PouchDB(dbs.name);
+      var ddoc = {
+        _id: '_design/app',
+        lib: {
+          validate: 'exports.check = function (doc) { if (!doc.type) { ' +
+            'throw {forbidden: "doc needs a type"}; } };'
+        },
+        validate_doc_update: 'function (newDoc) { ' +
+          'if (newDoc._id.indexOf("_design/") !== 0) { ' +
+          'require("lib/validate").check(newDoc); } }'
+      };
+      return db.put(ddoc).then(function () {
+        return db.put({_id: 'a', type: 'thing'});
+      }).then(function () {
+        return db.put({_id: 'b'});
+      }).then(function () {
+        throw new Error('should have been forbidden');
+      }, function (err) {
+        err.status.should.equal(403);
+        err.reason.should.equal('doc needs a type');
+      });
+    });
+
+    it('rejects require paths that don\'t point to modules', function () {
+      var db = new PouchDB(dbs.name);
+      var ddoc = {
+        _id: '_design/app',
+        lib: {
+          up: 'require("../../outside");'
+        },
+        validate_doc_update: 'function (newDoc) { ' +
+          'if (newDoc._id === "missing") { require("lib/missing"); } ' +
+          'if (newDoc._id === "up") { require("lib/up"); } }'
+      };
+      function reasonFor(id) {
+        return db.put({_id: id}).then(function () {
+          throw new Error('should have failed');
+        }, function (err) {
+          return err.reason;
+        });
+      }
+      return db.put(ddoc).then(function () {
+        return reasonFor('missing');
+      }).then(function (reason) {
+        reason.should.equal('No module at require path: lib/missing');
+        return reasonFor('up');
+      }).then(function (reason) {
+        reason.should.equal('No module at require path: ../../outside');
+      });
+    });
+
+    it('map functions can\'t require modules outside views.lib',
+        function () {
+      var db = new PouchDB(dbs.name);
+      var ddoc = {
+        _id: '_design/app',
+        lib: {
+          key: 'exports.key = "outside";'
+        },
+        views: {
+          byKey: {
+            map: 'function (doc) { emit(require("lib/key").key); }'
+          }
+        }
+      };
+      return db.bulkDocs([ddoc, {_id: 'a'}]).then(function () {
+        return db.query('app/byKey');
+      }).then(function (res) {
+        // like any other doc whose map function throws
+        res.rows.should.have.length(0);
+      });
+    });
+
+    it('shares module state within a design doc rev', function () {
+      var db = new PouchDB(dbs.name);
+      var ddoc = {
+        _id: '_design/app',
+        views: {
+          lib: {
+            counter: 'var count = 0; ' +
+              'exports.next = function () { return ++count; };'
+          },
+          counted: {
+            map: 'function (doc) { ' +
+              'emit(require("views/lib/counter").next()); }'
+          }
+        }
+      };
+      return db.bulkDocs([ddoc, {_id: 'a'}, {_id: 'b'}]).then(function () {
+        return db.query('app/counted');
+      }).then(function (res) {
+        res.rows.map(function (row) {
+          return row.key;
+        }).should.deep.equal([1, 2]);
+      });
+    });
+  });
+});
@@ -0,0 +1,244 @@
+'use strict';
+
+var adapters = [
+  ['local', 'http'],
+  ['http', 'http'],
+  ['http', 'local'],
+  ['local', 'local']
+];
+
+adapters.forEach(function (adapters) {
+  describe('test.dump.js-' + adapters[0] + '-' + adapters[1], function () {
+
+    var dbs = {};
+
+    beforeEach(function (done) {
+      dbs.name = testUtils.adapterUrl(adapters[0], 'testdb');
+      dbs.remote = testUtils.adapterUrl(adapters[1], 'test_repl_remote');
+      testUtils.cleanup([dbs.name, dbs.remote], done);
+    });
+
+    after(function (done) {
+      testUtils.cleanup([dbs.name, dbs.remote], done);
+    });
+
+    // a minimal writable stream, so that this works in browsers too
+    function createStream() {
+      var stream = {
+        data: '',
+        ended: false,
+        write: function (chunk) {
+          stream.data += chunk;
+          return true;
+        },
+        end: function () {
+          stream.ended = true;
+        },
+        once: function () {}
+      };
+      return stream;
+    }
+
+    function parseDump(data) {
+      return data.trim().split('\n').map(function (line) {
+        return JSON.parse(line);
+      });
+    }
+
+    it('dumps all docs as newline-delimited JSON', function () {
+      var remote = new PouchDB(dbs.remote);
+      var stream = createStream();
+      return remote.bulkDocs([
+        {_id: 'a', n: 1},
+        {_id: 'b', n: 2},
+        {_id: 'c', n: 3}
+      ]).then(function () {
+        return remote.dump(stream, {batch_size: 2});
+      }).then(function (res) {
+        res.ok.should.equal(true);
+        res.docs_written.should.equal(3);
+        stream.ended.should.equal(true);
+        var lines = parseDump(stream.data);
+        lines.should.have.length(5);
+        lines[0].version.should.equal(1);
+        lines[0].db_info.doc_count.should.equal(3);
+        lines[1].docs.should.have.length(2);
+        lines[2].should.have.property('seq');
+        lines[3].docs.should.have.length(1);
+        lines[4].seq.should.equal(res.last_seq);
+        var doc = lines[1].docs[0];
+        doc._id.should.equal('a');
+        doc._revisions.start.should.equal(1);
+      });
+    });
+
+    it('dumps and loads conflicts, deletions and attachments', function () {
+      var db = new PouchDB(dbs.name);
+      var remote = new PouchDB(dbs.remote);
+      var stream = createStream();
+      var data = testUtils.btoa('hello');
+      return remote.bulkDocs([
+        {_id: 'conflicted', _rev: '1-a', n: 1},
+        {_id: 'conflicted', _rev: '1-b', n: 2}
+      ], {new_edits: false}).then(function () {
+        return remote.put({_id: 'deleted'});
+      }).then(function (res) {
+        return remote.remove('deleted', res.rev);
+      }).then(function () {
+        return remote.put({
+          _id: 'attached',
+          _attachments: {
+            'foo.txt': {content_type: 'text/plain', data: data}
+          }
+        });
+      }).then(function (res) {
+        return remote.put({_id: 'attached', _rev: res.rev, edited: true,
+          _attachments: {
+            'foo.txt': {content_type: 'text/plain', data: data}
+          }
+        });
+      }).then(function () {
+        return remote.dump(stream);
+      }).then(function () {
+        return db.load(stream.data);
+      }).then(function (res) {
+        res.ok.should.equal(true);
+        res.docs_written.should.equal(4);
+        return db.get('conflicted', {conflicts: true});
+      }).then(function (doc) {
+        doc._rev.should.equal('1-b');
+        doc._conflicts.should.deep.equal(['1-a']);
+        return db.get('deleted').then(function () {
+          throw new Error('expected an error');
+        }, function (err) {
+          err.status.should.equal(404);
+          return db.get('attached', {revs: true, attachments: true});
+        });
+      }).then(function (doc) {
+        doc.edited.should.equal(true);
+        doc._revisions.ids.should.have.length(2);
+        doc._attachments['foo.txt'].data.should.equal(data);
+      });
+    });
+
+    it('writes a checkpoint for later replications', function () {
+      var db = new PouchDB(dbs.name);
+      var remote = new PouchDB(dbs.remote);
+      var stream = createStream();
+      return remote.bulkDocs([{_id: 'a'}, {_id: 'b'}]).then(function () {
+        return remote.dump(stream);
+      }).then(function () {
+        return remote.put({_id: 'c'});
+      }).then(function () {
+        return db.load(stream.data, {proxy: remote});
+      }).then(function () {
+        return db.replicate.from(remote);
+      }).then(function (res) {
+        res.docs_read.should.equal(1); // only the doc written after the dump
+        return db.allDocs();
+      }).then(function (res) {
+        res.rows.map(function (row) {
+          return row.id;
+        }).should.deep.equal(['a', 'b', 'c']);
+      });
+    });
+
+    it('rejects invalid dumps', function () {
+      var db = new PouchDB(dbs.name);
+      return db.load('{"docs": []}\n').then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(400);
+        return db.load('not json');
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(400);
+        return db.dump(null);
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(400);
+      });
+    });
+
+    if (typeof process !== 'undefined' && !process.browser) {
+      it('dumps to and loads from node streams', function () {
+        var stream = require('stream');
+        var db = new PouchDB(dbs.name);
+        var remote = new PouchDB(dbs.remote);
+        var chunks = [];
+        var writable = new stream.Writable({
+          highWaterMark: 16,
+          write: function (chunk, encoding, callback) {
+            chunks.push(chunk);
+            setTimeout(callback, 1);
+          }
+        });
+        var docs = [];
+        for (var i = 0; i < 20; i++) {
+          docs.push({_id: 'doc_' + i, text: 'héllo wörld'});
+        }
+        return remote.bulkDocs(docs).then(function () {
+          return remote.dump(writable, {batch_size: 3});
+        }).then(function () {
+          var data = Buffer.concat(chunks);
+          var readable = new stream.Readable({read: function () {}});
+          // split in small chunks, to test lines and characters that span
+          // multiple chunks
+          for (var i = 0; i < data.length; i += 7) {
+            readable.push(data.slice(i, i + 7));
+          }
+          readable.push(null);
+          return db.load(readable);
+        }).then(function (res) {
+          res.docs_written.should.equal(20);
+          return db.allDocs({include_docs: true});
+        }).then(function (res) {
+          res.rows.should.have.length(20);
+          res.rows[0].doc.text.should.equal('héllo wörld');
+        });
+      });
+
+      it('fails if the stream errors or closes while dumping', function () {
+        var stream = require('stream');
+        var remote = new PouchDB(dbs.remote);
+        var docs = [];
+        for (var i = 0; i < 20; i++) {
+          docs.push({_id: 'doc_' + i});
+        }
+        var failing = new stream.Writable({
+          highWaterMark: 16,
+          write: function (chunk, encoding, callback) {
+            setTimeout(function () {
+              callback(new Error('disk full'));
+            }, 1);
+          }
+        });
+        // never drains, and gets closed half way
+        var stuck = new stream.Writable({
+          highWaterMark: 16,
+          write: function () {
+            setTimeout(function () {
+              stuck.destroy();
+            }, 10);
+          }
+        });
+        return remote.bulkDocs(docs).then(function () {
+          return remote.dump(failing, {batch_size: 3});
+        }).then(function () {
+          throw new Error('expected an error');
+        }, function (err) {
+          err.message.should.equal('disk full');
+          return remote.dump(stuck, {batch_size: 3});
+        }).then(function () {
+          throw new Error('expected an error');
+        }, function (err) {
+          err.status.should.equal(500);
+          stuck.listenerCount('drain').should.equal(0);
+          stuck.listenerCount('close').should.equal(0);
+        });
+      });
+    }
+  });
+});
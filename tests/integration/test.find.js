@@ -0,0 +1,243 @@
+'use strict';
+
+// _find and _index need CouchDB 2.x, so only local dbs are tested here.
+// tests/component/test.find.js checks the requests for http dbs.
+var adapters = ['local'];
+
+adapters.forEach(function (adapter) {
+  describe('test.find.js-' + adapter, function () {
+
+    var dbs = {};
+
+    beforeEach(function (done) {
+      dbs.name = testUtils.adapterUrl(adapter, 'testdb');
+      testUtils.cleanup([dbs.name], done);
+    });
+
+    after(function (done) {
+      testUtils.cleanup([dbs.name], done);
+    });
+
+    function getIds(res) {
+      return res.docs.map(function (doc) {
+        return doc._id;
+      });
+    }
+
+    function createDocs(db) {
+      return db.bulkDocs([
+        {_id: 'mario', name: 'Mario', rank: 5, series: 'mario',
+          tags: ['plumber', 'hero'], stats: {speed: 3}},
+        {_id: 'luigi', name: 'Luigi', rank: 11, series: 'mario',
+          tags: ['plumber'], stats: {speed: 2}},
+        {_id: 'peach', name: 'Peach', rank: 8, series: 'mario',
+          tags: ['princess']},
+        {_id: 'link', name: 'Link', rank: 10, series: 'zelda',
+          tags: ['hero'], stats: {speed: 4}},
+        {_id: 'samus', name: 'Samus', rank: 1, series: 'metroid',
+          tags: ['hero', 'bounty hunter']}
+      ]);
+    }
+
+    it('creates an index, then reports it exists', function () {
+      var db = new PouchDB(dbs.name);
+      var index = {index: {fields: ['rank']}, name: 'rank-index'};
+      return db.createIndex(index).then(function (res) {
+        res.result.should.equal('created');
+        res.name.should.equal('rank-index');
+        return db.createIndex(index);
+      }).then(function (res) {
+        res.result.should.equal('exists');
+      });
+    });
+
+    it('lists and deletes indexes', function () {
+      var db = new PouchDB(dbs.name);
+      return db.createIndex({
+        index: {fields: ['series', 'rank']},
+        ddoc: 'my-ddoc',
+        name: 'series-rank'
+      }).then(function () {
+        return db.getIndexes();
+      }).then(function (res) {
+        res.indexes.should.deep.equal([
+          {
+            ddoc: null,
+            name: '_all_docs',
+            type: 'special',
+            def: {fields: [{_id: 'asc'}]}
+          },
+          {
+            ddoc: '_design/my-ddoc',
+            name: 'series-rank',
+            type: 'json',
+            def: {fields: [{series: 'asc'}, {rank: 'asc'}]}
+          }
+        ]);
+        return db.deleteIndex(res.indexes[1]);
+      }).then(function (res) {
+        res.ok.should.equal(true);
+        return db.getIndexes();
+      }).then(function (res) {
+        res.indexes.should.have.length(1);
+        return db.get('_design/my-ddoc').then(function () {
+          throw new Error('expected a 404');
+        }, function (err) {
+          err.status.should.equal(404);
+        });
+      });
+    });
+
+    it('finds docs using an index', function () {
+      var db = new PouchDB(dbs.name);
+      return createDocs(db).then(function () {
+        return db.createIndex({index: {fields: ['rank']}});
+      }).then(function () {
+        return db.find({selector: {rank: {$gt: 5, $lte: 10}}});
+      }).then(function (res) {
+        should.not.exist(res.warning);
+        getIds(res).should.deep.equal(['peach', 'link']);
+        return db.find({
+          selector: {rank: {$gte: 1}},
+          sort: [{rank: 'desc'}],
+          skip: 1,
+          limit: 2
+        });
+      }).then(function (res) {
+        getIds(res).should.deep.equal(['link', 'peach']);
+      });
+    });
+
+    it('finds docs using a compound index', function () {
+      var db = new PouchDB(dbs.name);
+      return createDocs(db).then(function () {
+        return db.createIndex({index: {fields: ['series', 'rank']}});
+      }).then(function () {
+        return db.find({
+          selector: {series: 'mario', rank: {$lt: 10}},
+          fields: ['_id', 'stats.speed']
+        });
+      }).then(function (res) {
+        should.not.exist(res.warning);
+        res.docs.should.deep.equal([
+          {_id: 'mario', stats: {speed: 3}},
+          {_id: 'peach'}
+        ]);
+      });
+    });
+
+    it('finds docs with $in using an index', function () {
+      var db = new PouchDB(dbs.name);
+      return createDocs(db).then(function () {
+        return db.bulkDocs([{_id: 'toad', series: ['mario', 'zelda']}]);
+      }).then(function () {
+        return db.createIndex({index: {fields: ['series']}});
+      }).then(function () {
+        return db.find({
+          selector: {series: {$in: ['zelda', 'metroid', 'zelda']}}
+        });
+      }).then(function (res) {
+        should.not.exist(res.warning);
+        // array fields match if any of their elements is in the list
+        getIds(res).should.deep.equal(['samus', 'link', 'toad']);
+        return db.createIndex({index: {fields: ['series', 'rank']}});
+      }).then(function () {
+        return db.find({
+          selector: {series: {$in: ['zelda', 'mario']}, rank: {$in: [10, 11]}}
+        });
+      }).then(function (res) {
+        should.not.exist(res.warning);
+        getIds(res).should.deep.equal(['luigi', 'link']);
+        return db.find({selector: {series: {$in: []}}});
+      }).then(function (res) {
+        should.not.exist(res.warning);
+        res.docs.should.deep.equal([]);
+      });
+    });
+
+    it('falls back to memory when no index matches', function () {
+      var db = new PouchDB(dbs.name);
+      return createDocs(db).then(function () {
+        return db.createIndex({index: {fields: ['rank']}});
+      }).then(function () {
+        return db.find({selector: {series: 'zelda'}});
+      }).then(function (res) {
+        should.exist(res.warning);
+        getIds(res).should.deep.equal(['link']);
+      });
+    });
+
+    it('supports $in, $regex and $elemMatch', function () {
+      var db = new PouchDB(dbs.name);
+      return createDocs(db).then(function () {
+        return db.find({
+          selector: {series: {$in: ['zelda', 'metroid']}},
+          sort: ['name']
+        });
+      }).then(function (res) {
+        getIds(res).should.deep.equal(['link', 'samus']);
+        return db.find({selector: {name: {$regex: '^L'}}});
+      }).then(function (res) {
+        getIds(res).should.deep.equal(['link', 'luigi']);
+        return db.find({
+          selector: {tags: {$elemMatch: {$eq: 'princess'}}}
+        });
+      }).then(function (res) {
+        getIds(res).should.deep.equal(['peach']);
+      });
+    });
+
+    it('supports $or, $and and nested fields', function () {
+      var db = new PouchDB(dbs.name);
+      return createDocs(db).then(function () {
+        return db.find({
+          selector: {
+            $or: [{rank: 1}, {'stats.speed': {$gte: 4}}]
+          }
+        });
+      }).then(function (res) {
+        getIds(res).should.deep.equal(['link', 'samus']);
+        return db.find({
+          selector: {
+            $and: [{series: 'mario'}, {stats: {speed: {$lt: 3}}}]
+          }
+        });
+      }).then(function (res) {
+        getIds(res).should.deep.equal(['luigi']);
+      });
+    });
+
+    it('returns no docs for an impossible range', function () {
+      var db = new PouchDB(dbs.name);
+      return createDocs(db).then(function () {
+        return db.createIndex({index: {fields: ['rank']}});
+      }).then(function () {
+        return db.find({selector: {rank: {$gt: 10, $lt: 5}}});
+      }).then(function (res) {
+        res.docs.should.deep.equal([]);
+      });
+    });
+
+    it('rejects invalid operators', function () {
+      var db = new PouchDB(dbs.name);
+      return db.find({selector: {rank: {$foo: 1}}}).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(400);
+        err.name.should.equal('bad_request');
+      });
+    });
+
+    it('works with callbacks', function (done) {
+      var db = new PouchDB(dbs.name);
+      db.createIndex({index: {fields: ['rank']}}, function (err) {
+        should.not.exist(err);
+        db.find({selector: {rank: 1}}, function (err, res) {
+          should.not.exist(err);
+          res.docs.should.deep.equal([]);
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+var adapters = [['local', 'local']];
+
+adapters.forEach(function (adapters) {
+  var title = 'test.leader_election.js-' + adapters[0] + '-' + adapters[1];
+  describe(title, function () {
+
+    var dbs = {};
+
+    beforeEach(function (done) {
+      dbs.name = testUtils.adapterUrl(adapters[0], 'testdb');
+      dbs.remote = testUtils.adapterUrl(adapters[1], 'test_leader_remote');
+      testUtils.cleanup([dbs.name, dbs.remote], done);
+    });
+
+    after(function (done) {
+      testUtils.cleanup([dbs.name, dbs.remote], done);
+    });
+
+    // each tab has its own PouchDB for the same database
+    function openTabs(count) {
+      var tabs = [];
+      for (var i = 0; i < count; i++) {
+        var db = new PouchDB(dbs.name);
+        tabs.push({
+          db: db,
+          sync: db.sync(dbs.remote, {
+            live: true,
+            leader_election: true,
+            BroadcastChannel: testUtils.BroadcastChannel
+          })
+        });
+      }
+      return tabs;
+    }
+
+    function leaders(tabs) {
+      return tabs.filter(function (tab) {
+        return tab.sync.isLeader;
+      });
+    }
+
+    // resolves with the leader once the election has settled, i.e. once
+    // the same tab has been the only leader for longer than it takes the
+    // others to apply
+    function waitForLeader(tabs) {
+      return new PouchDB.utils.Promise(function (resolve) {
+        var leader = null;
+        var since;
+        function check() {
+          var found = leaders(tabs);
+          var current = found.length === 1 ? found[0] : null;
+          if (current !== leader) {
+            leader = current;
+            since = Date.now();
+          } else if (leader && Date.now() - since >= 300) {
+            return resolve(leader);
+          }
+          setTimeout(check, 20);
+        }
+        check();
+      });
+    }
+
+    function cancelAll(tabs) {
+      return PouchDB.utils.Promise.all(tabs.map(function (tab) {
+        tab.sync.cancel();
+        return tab.sync;
+      }));
+    }
+
+    it('only syncs in one tab', function () {
+      var tabs = openTabs(3);
+      var remote = new PouchDB(dbs.remote);
+      var follower;
+      return waitForLeader(tabs).then(function (leader) {
+        leaders(tabs).should.have.length(1);
+        follower = tabs[tabs.indexOf(leader) === 0 ? 1 : 0];
+        return new PouchDB.utils.Promise(function (resolve) {
+          // the follower gets the leader's sync events
+          follower.sync.on('change', function (info) {
+            if (info.direction === 'push') {
+              resolve(info);
+            }
+          });
+          follower.db.put({_id: 'a'});
+        });
+      }).then(function (info) {
+        info.change.docs[0]._id.should.equal('a');
+        return remote.get('a');
+      }).then(function () {
+        return cancelAll(tabs);
+      }).then(function (res) {
+        res.forEach(function (resp) {
+          resp.status.should.equal('cancelled');
+        });
+      });
+    });
+
+    it('hands over to another tab when the leader leaves', function () {
+      var tabs = openTabs(2);
+      var first;
+      return waitForLeader(tabs).then(function (leader) {
+        first = leader;
+        first.sync.cancel();
+        return first.sync;
+      }).then(function () {
+        var others = tabs.filter(function (tab) {
+          return tab !== first;
+        });
+        return waitForLeader(others);
+      }).then(function (leader) {
+        leader.should.not.equal(first);
+        return cancelAll(tabs);
+      });
+    });
+
+    it('syncs on its own without leader_election', function () {
+      var db = new PouchDB(dbs.name);
+      var sync = db.sync(dbs.remote, {
+        live: true,
+        BroadcastChannel: testUtils.BroadcastChannel
+      });
+      should.not.exist(sync.isLeader);
+      sync.cancel();
+      return sync;
+    });
+  });
+});
@@ -157,4 +157,27 @@ if (!process.env.LEVEL_ADAPTER &&
       });
     });
   });
+
+  describe('data_size of docs written before sizes were tracked',
+      function () {
+    beforeEach(function (done) {
+      ncp('./tests/integration/leveldb/laterStyle',
+        './tmp/_pouch_laterStyle', done);
+    });
+    it('should work', function () {
+      var db = new PouchDB('laterStyle');
+      var dataSize;
+      return db.info().then(function (info) {
+        dataSize = info.data_size;
+        dataSize.should.be.above(0);
+        return db.purge({foo: ['1-x']});
+      }).then(function () {
+        return db.info();
+      }).then(function (info) {
+        info.data_size.should.be.above(0);
+        info.data_size.should.be.below(dataSize);
+        return db.destroy();
+      });
+    });
+  });
 }
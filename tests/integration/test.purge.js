@@ -0,0 +1,226 @@
+'use strict';
+
+var adapters = ['local'];
+
+adapters.forEach(function (adapter) {
+  describe('test.purge.js-' + adapter, function () {
+
+    var dbs = {};
+
+    beforeEach(function (done) {
+      dbs.name = testUtils.adapterUrl(adapter, 'testdb');
+      dbs.remote = testUtils.adapterUrl(adapter, 'test_purge_remote');
+      testUtils.cleanup([dbs.name, dbs.remote], done);
+    });
+
+    after(function (done) {
+      testUtils.cleanup([dbs.name, dbs.remote], done);
+    });
+
+    function shouldBeMissing(promise) {
+      return promise.then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(404);
+      });
+    }
+
+    it('purges a doc without leaving a tombstone', function () {
+      var db = new PouchDB(dbs.name);
+      var rev;
+      return db.bulkDocs([{_id: 'a'}, {_id: 'b'}]).then(function (res) {
+        rev = res[0].rev;
+        return db.purge({a: [rev]});
+      }).then(function (res) {
+        res.purge_seq.should.equal(1);
+        res.purged.should.deep.equal({a: [rev]});
+        return shouldBeMissing(db.get('a', {open_revs: 'all'}));
+      }).then(function () {
+        return db.info();
+      }).then(function (info) {
+        info.doc_count.should.equal(1);
+        return db.changes();
+      }).then(function (res) {
+        res.results.map(function (change) {
+          return change.id;
+        }).should.deep.equal(['b']);
+        return db.put({_id: 'a'});
+      }).then(function (res) {
+        res.rev.should.match(/^1-/);
+      });
+    });
+
+    it('purges a conflicting leaf', function () {
+      var db = new PouchDB(dbs.name);
+      return db.bulkDocs([
+        {_id: 'a', _rev: '1-a', value: 'a'},
+        {_id: 'a', _rev: '1-b', value: 'b'}
+      ], {new_edits: false}).then(function () {
+        return db.get('a', {conflicts: true});
+      }).then(function (doc) {
+        doc._rev.should.equal('1-b');
+        doc._conflicts.should.deep.equal(['1-a']);
+        return db.purge({a: ['1-b']});
+      }).then(function (res) {
+        res.purged.should.deep.equal({a: ['1-b']});
+        return db.get('a', {conflicts: true});
+      }).then(function (doc) {
+        doc._rev.should.equal('1-a');
+        doc.value.should.equal('a');
+        should.not.exist(doc._conflicts);
+        return shouldBeMissing(db.get('a', {rev: '1-b'}));
+      });
+    });
+
+    it('only purges leaf revisions', function () {
+      var db = new PouchDB(dbs.name);
+      var firstRev;
+      return db.put({_id: 'a'}).then(function (res) {
+        firstRev = res.rev;
+        return db.put({_id: 'a', _rev: res.rev});
+      }).then(function () {
+        return db.purge({a: [firstRev], missing: ['1-a']});
+      }).then(function (res) {
+        res.purge_seq.should.equal(0);
+        res.purged.should.deep.equal({a: [], missing: []});
+        return db.get('a');
+      }).then(function (doc) {
+        doc._rev.should.match(/^2-/);
+      });
+    });
+
+    it('rejects invalid requests', function () {
+      var db = new PouchDB(dbs.name);
+      return db.purge(['a']).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(400);
+        return db.purge({a: 'not-a-list'});
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(400);
+      });
+    });
+
+    it('removes the attachments of purged docs', function () {
+      var db = new PouchDB(dbs.name);
+      return db.put({
+        _id: 'a',
+        _attachments: {
+          'foo.txt': {
+            content_type: 'text/plain',
+            data: testUtils.btoa('foo')
+          }
+        }
+      }).then(function (res) {
+        return db.purge({a: [res.rev]});
+      }).then(function () {
+        return shouldBeMissing(db.getAttachment('a', 'foo.txt'));
+      });
+    });
+
+    it('drops the view rows of purged docs', function () {
+      var db = new PouchDB(dbs.name);
+      var rev;
+      return db.bulkDocs([
+        {_id: '_design/test', views: {
+          byName: {
+            map: function (doc) {
+              emit(doc.name);
+            }.toString(),
+            reduce: '_count'
+          }
+        }},
+        {_id: 'a', name: 'a'},
+        {_id: 'b', name: 'b'}
+      ]).then(function (res) {
+        rev = res[1].rev;
+        return db.query('test/byName', {reduce: false});
+      }).then(function (res) {
+        res.rows.should.have.length(2);
+        return db.purge({a: [rev]});
+      }).then(function () {
+        return db.query('test/byName', {reduce: false});
+      }).then(function (res) {
+        res.rows.map(function (row) {
+          return row.id;
+        }).should.deep.equal(['b']);
+        return db.query('test/byName');
+      }).then(function (res) {
+        res.rows[0].value.should.equal(1);
+      });
+    });
+
+    it('indexes the new winner of a partially purged doc', function () {
+      var db = new PouchDB(dbs.name);
+      var mapFun = function (doc) {
+        emit(doc.value);
+      };
+      return db.put({
+        _id: '_design/test',
+        views: {byValue: {map: mapFun.toString()}}
+      }).then(function () {
+        return db.bulkDocs([
+          {_id: 'a', _rev: '1-a', value: 'a'},
+          {_id: 'a', _rev: '1-b', value: 'b'}
+        ], {new_edits: false});
+      }).then(function () {
+        return db.query('test/byValue');
+      }).then(function (res) {
+        res.rows.map(function (row) {
+          return row.key;
+        }).should.deep.equal(['b']);
+        return db.purge({a: ['1-b']});
+      }).then(function () {
+        return db.query('test/byValue');
+      }).then(function (res) {
+        res.rows.map(function (row) {
+          return row.key;
+        }).should.deep.equal(['a']);
+      });
+    });
+
+    it('doesn\'t replicate purges', function () {
+      var db = new PouchDB(dbs.name);
+      var remote = new PouchDB(dbs.remote);
+      return db.put({_id: 'a'}).then(function (res) {
+        return db.replicate.to(remote).then(function () {
+          return db.purge({a: [res.rev]});
+        });
+      }).then(function () {
+        return db.replicate.to(remote);
+      }).then(function () {
+        return remote.get('a');
+      }).then(function (doc) {
+        should.not.exist(doc._deleted);
+      });
+    });
+
+    it('skips docs that are purged while changes are read', function () {
+      var db = new PouchDB(dbs.name);
+      var docs = [];
+      for (var i = 0; i < 300; i++) {
+        docs.push({_id: 'doc_' + i});
+      }
+      return db.bulkDocs(docs).then(function (res) {
+        var purging;
+        return new PouchDB.utils.Promise(function (resolve, reject) {
+          db.changes({include_docs: true}).on('change', function () {
+            // purge the last doc before the feed gets to it
+            purging = purging || db.purge({doc_299: [res[299].rev]});
+          }).on('complete', resolve).on('error', reject);
+        }).then(function (changes) {
+          return purging.then(function () {
+            return changes;
+          });
+        });
+      }).then(function (res) {
+        res.results.should.have.length(299);
+        res.results.forEach(function (change) {
+          change.doc._id.should.equal(change.id);
+        });
+      });
+    });
+  });
+});
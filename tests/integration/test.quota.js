@@ -0,0 +1,249 @@
+'use strict';
+
+var adapters = ['local'];
+
+adapters.forEach(function (adapter) {
+  describe('test.quota.js-' + adapter, function () {
+
+    var dbs = {};
+
+    beforeEach(function (done) {
+      dbs.name = testUtils.adapterUrl(adapter, 'testdb');
+      testUtils.cleanup([dbs.name], done);
+    });
+
+    after(function (done) {
+      testUtils.cleanup([dbs.name], done);
+    });
+
+    // about 1000 bytes per doc
+    var filler = new Array(101).join('0123456789');
+
+    function bigDoc(id) {
+      return {_id: id, text: filler};
+    }
+
+    function waitForQuota(db) {
+      return new PouchDB.utils.Promise(function (resolve) {
+        db.once('quota', resolve);
+      });
+    }
+
+    function ids(res) {
+      return res.rows.map(function (row) {
+        return row.id;
+      });
+    }
+
+    it('info() reports the size of the docs', function () {
+      var db = new PouchDB(dbs.name);
+      var sizes = [];
+      return db.info().then(function (info) {
+        info.data_size.should.equal(0);
+        return db.bulkDocs([bigDoc('a'), bigDoc('b')]);
+      }).then(function () {
+        return db.info();
+      }).then(function (info) {
+        sizes.push(info.data_size);
+        info.data_size.should.be.above(2000);
+        return db.get('a');
+      }).then(function (doc) {
+        doc.text = 'small';
+        return db.put(doc);
+      }).then(function () {
+        return db.info();
+      }).then(function (info) {
+        sizes.push(info.data_size);
+        info.data_size.should.be.below(sizes[0] - 900);
+        // local docs aren't counted
+        return db.put({_id: '_local/a', text: filler});
+      }).then(function () {
+        return db.info();
+      }).then(function (info) {
+        info.data_size.should.equal(sizes[1]);
+        return db.close();
+      }).then(function () {
+        db = new PouchDB(dbs.name);
+        return db.info();
+      }).then(function (info) {
+        info.data_size.should.equal(sizes[1]);
+      });
+    });
+
+    it('counts attachments and forgets purged docs', function () {
+      var db = new PouchDB(dbs.name);
+      var withoutAttachment;
+      return db.put({_id: 'a'}).then(function () {
+        return db.info();
+      }).then(function (info) {
+        withoutAttachment = info.data_size;
+        return db.bulkDocs([{
+          _id: 'b',
+          _attachments: {
+            'att.txt': {
+              content_type: 'text/plain',
+              data: PouchDB.utils.btoa(filler + filler)
+            }
+          }
+        }]);
+      }).then(function () {
+        return db.info();
+      }).then(function (info) {
+        info.data_size.should.be.above(withoutAttachment + 2000);
+        return db.get('b');
+      }).then(function (doc) {
+        return db.purge({b: [doc._rev]});
+      }).then(function () {
+        return db.info();
+      }).then(function (info) {
+        info.data_size.should.equal(withoutAttachment);
+      });
+    });
+
+    it('emits a quota event past max_size', function () {
+      var db = new PouchDB(dbs.name, {max_size: 2500});
+      var quota = waitForQuota(db);
+      return db.bulkDocs([bigDoc('a'), bigDoc('b')]).then(function () {
+        return db.put(bigDoc('c'));
+      }).then(function () {
+        return quota;
+      }).then(function (event) {
+        event.max_size.should.equal(2500);
+        event.data_size.should.be.above(2500);
+        event.evicted.should.deep.equal([]);
+        return db.allDocs();
+      }).then(function (res) {
+        // nothing is evicted without the eviction option
+        ids(res).should.deep.equal(['a', 'b', 'c']);
+      });
+    });
+
+    it('evicts the least recently used docs', function () {
+      var db = new PouchDB(dbs.name, {max_size: 3500, eviction: 'lru'});
+      var quota = waitForQuota(db);
+      return db.bulkDocs([bigDoc('a'), bigDoc('b'), bigDoc('c')])
+      .then(function () {
+        return db.getAttachment('a', 'missing').catch(function () {
+          // a doc is used even if it hasn't got the attachment
+        });
+      }).then(function () {
+        return db.get('b');
+      }).then(function () {
+        return db.bulkDocs([bigDoc('d'), bigDoc('e')]);
+      }).then(function () {
+        return quota;
+      }).then(function (event) {
+        event.evicted.should.deep.equal(['c', 'a']);
+        return db.allDocs();
+      }).then(function (res) {
+        ids(res).should.deep.equal(['b', 'd', 'e']);
+        return db.info();
+      }).then(function (info) {
+        info.data_size.should.be.at.most(3500);
+        // evicted docs are purged, so they don't come back on a sync
+        return db.changes();
+      }).then(function (res) {
+        res.results.map(function (change) {
+          return change.id;
+        }).should.deep.equal(['b', 'd', 'e']);
+      });
+    });
+
+    it('counts docs read with include_docs as used', function () {
+      var db = new PouchDB(dbs.name, {max_size: 3500, eviction: 'lru'});
+      var quota = waitForQuota(db);
+      return db.bulkDocs([bigDoc('a'), bigDoc('b'), bigDoc('c')])
+      .then(function () {
+        return db.allDocs({keys: ['a'], include_docs: true});
+      }).then(function () {
+        // the ids alone don't count
+        return db.allDocs();
+      }).then(function () {
+        return db.query(function (doc) {
+          if (doc._id === 'b') {
+            emit(doc._id);
+          }
+        }, {include_docs: true});
+      }).then(function () {
+        return db.bulkDocs([bigDoc('d'), bigDoc('e')]);
+      }).then(function () {
+        return quota;
+      }).then(function (event) {
+        event.evicted.should.deep.equal(['c', 'a']);
+      });
+    });
+
+    it('evicts docs that weren\'t used since the db was opened first',
+        function () {
+      var db = new PouchDB(dbs.name);
+      return db.bulkDocs([bigDoc('a'), bigDoc('b'), bigDoc('c')])
+      .then(function () {
+        return db.close();
+      }).then(function () {
+        db = new PouchDB(dbs.name, {max_size: 3500, eviction: 'lru'});
+        return db.get('a');
+      }).then(function () {
+        var quota = waitForQuota(db);
+        return db.put(bigDoc('d')).then(function () {
+          return quota;
+        });
+      }).then(function (event) {
+        event.evicted.should.deep.equal(['b']);
+      });
+    });
+
+    it('forgets when docs were read once the db is closed', function () {
+      var db = new PouchDB(dbs.name, {max_size: 5000, eviction: 'lru'});
+      return db.bulkDocs([bigDoc('a'), bigDoc('b'), bigDoc('c')])
+      .then(function () {
+        return db.get('a');
+      }).then(function (doc) {
+        // only the last write of a doc counts after a restart
+        return db.put(doc);
+      }).then(function () {
+        return db.get('b');
+      }).then(function () {
+        return db.close();
+      }).then(function () {
+        db = new PouchDB(dbs.name, {max_size: 3500, eviction: 'lru'});
+        var quota = waitForQuota(db);
+        return db.put(bigDoc('d')).then(function () {
+          return quota;
+        });
+      }).then(function (event) {
+        event.evicted.should.deep.equal(['b']);
+      });
+    });
+
+    it('never evicts design docs', function () {
+      var db = new PouchDB(dbs.name, {max_size: 1500, eviction: 'lru'});
+      var quota = waitForQuota(db);
+      var ddoc = {
+        _id: '_design/big',
+        views: {big: {map: 'function (doc) { emit(doc._id); }'}},
+        filler: filler
+      };
+      return db.put(ddoc).then(function () {
+        return db.put(bigDoc('a'));
+      }).then(function () {
+        return quota;
+      }).then(function (event) {
+        event.evicted.should.deep.equal(['a']);
+        return db.get('_design/big');
+      });
+    });
+
+    it('rejects invalid options', function () {
+      return new PouchDB(dbs.name, {max_size: -1}).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(400);
+        return new PouchDB(dbs.name, {max_size: 1000, eviction: 'fifo'});
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(400);
+      });
+    });
+  });
+});
@@ -0,0 +1,204 @@
+'use strict';
+
+var adapters = [
+  ['http', 'local'],
+  ['local', 'local']
+];
+
+adapters.forEach(function (adapters) {
+  var suiteName = 'test.replication_attachments.js-' + adapters[0] + '-' +
+    adapters[1];
+  describe(suiteName, function () {
+
+    var dbs = {};
+
+    beforeEach(function (done) {
+      dbs.name = testUtils.adapterUrl(adapters[0], 'testdb');
+      dbs.remote = testUtils.adapterUrl(adapters[1], 'test_repl_remote');
+      testUtils.cleanup([dbs.name, dbs.remote], done);
+    });
+
+    after(function (done) {
+      testUtils.cleanup([dbs.name, dbs.remote], done);
+    });
+
+    function attachment(text) {
+      return {
+        'foo.txt': {
+          content_type: 'text/plain',
+          data: testUtils.btoa(text)
+        }
+      };
+    }
+
+    // counts the attachments that are fetched from db
+    function spyOnAttachments(db) {
+      var spy = {count: 0};
+      var getAttachment = db.getAttachment;
+      db.getAttachment = function () {
+        spy.count++;
+        return getAttachment.apply(db, arguments);
+      };
+      return spy;
+    }
+
+    function readText(db, id) {
+      return db.get(id, {attachments: true}).then(function (doc) {
+        return testUtils.atob(doc._attachments['foo.txt'].data);
+      });
+    }
+
+    it('only fetches the attachments the target is missing', function () {
+      var db = new PouchDB(dbs.name);
+      var remote = new PouchDB(dbs.remote);
+      var spy = spyOnAttachments(db);
+      return remote.put({_id: 'a', _attachments: attachment('hello')})
+      .then(function () {
+        return db.bulkDocs([
+          {_id: 'b', _attachments: attachment('hello')},
+          {_id: 'c', _attachments: attachment('world')},
+          {_id: 'd', _attachments: attachment('world')}
+        ]);
+      }).then(function () {
+        return db.replicate.to(remote);
+      }).then(function (res) {
+        res.docs_written.should.equal(3);
+        spy.count.should.equal(1); // 'world' only, and only once
+        return PouchDB.utils.Promise.all([
+          readText(remote, 'b'),
+          readText(remote, 'c'),
+          readText(remote, 'd')
+        ]);
+      }).then(function (texts) {
+        texts.should.deep.equal(['hello', 'world', 'world']);
+      });
+    });
+
+    it('replicates attachments lazily', function () {
+      var db = new PouchDB(dbs.name);
+      var remote = new PouchDB(dbs.remote);
+      if (remote.adapter !== 'leveldb') {
+        return; // only LevelDB targets support lazy attachments
+      }
+      var spy = spyOnAttachments(db);
+      return db.put({
+        _id: 'a',
+        _attachments: attachment('hello')
+      }).then(function () {
+        return db.replicate.to(remote, {lazy_attachments: true});
+      }).then(function () {
+        spy.count.should.equal(0);
+        return remote.allDocs({include_docs: true});
+      }).then(function (res) {
+        var att = res.rows[0].doc._attachments['foo.txt'];
+        att.stub.should.equal(true);
+        att.length.should.equal(5);
+        // the data isn't there yet
+        return remote.allDocs({include_docs: true, attachments: true})
+        .then(function () {
+          throw new Error('expected an error');
+        }, function (err) {
+          err.status.should.equal(412);
+          return new PouchDB.utils.Promise(function (resolve, reject) {
+            remote.changes({include_docs: true, attachments: true})
+            .on('complete', function () {
+              reject(new Error('expected an error'));
+            }).on('error', resolve);
+          });
+        }).then(function (err) {
+          err.status.should.equal(412);
+          return remote.getAttachment('a', 'foo.txt');
+        });
+      }).then(function () {
+        spy.count.should.equal(1);
+        return readText(remote, 'a');
+      }).then(function (text) {
+        text.should.equal('hello');
+        spy.count.should.equal(1); // it's only fetched once
+        return remote.get('_local/lazy_attachments');
+      }).then(function (doc) {
+        doc.sources.should.deep.equal([db._db_name]);
+      });
+    });
+
+    it('fails to read lazy attachments that cannot be fetched', function () {
+      var db = new PouchDB(dbs.name);
+      var remote = new PouchDB(dbs.remote);
+      if (remote.adapter !== 'leveldb') {
+        return;
+      }
+      return db.put({
+        _id: 'a',
+        _attachments: attachment('hello')
+      }).then(function () {
+        return db.replicate.to(remote, {lazy_attachments: true});
+      }).then(function () {
+        return db.destroy();
+      }).then(function () {
+        return remote.get('a', {attachments: true});
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(412);
+        return remote.getAttachment('a', 'foo.txt');
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(412);
+      });
+    });
+
+    it('rejects lazy_attachments for other targets', function () {
+      var db = new PouchDB(dbs.name);
+      var remote = new PouchDB(dbs.remote);
+      if (remote.adapter === 'leveldb') {
+        return;
+      }
+      var spy = spyOnAttachments(db);
+      return db.put({
+        _id: 'a',
+        _attachments: attachment('hello')
+      }).then(function () {
+        return db.replicate.to(remote, {lazy_attachments: true});
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(400);
+        spy.count.should.equal(0);
+        return remote.allDocs();
+      }).then(function (res) {
+        res.rows.should.have.length(0);
+      });
+    });
+
+    it('rejects lazy_attachments for encrypted targets', function () {
+      if (adapters[1] !== 'local') {
+        return;
+      }
+      var db = new PouchDB(dbs.name);
+      var remote = new PouchDB(dbs.remote,
+        {crypto: {password: 'secret', iterations: 10}});
+      return db.put({
+        _id: 'a',
+        _attachments: attachment('hello')
+      }).then(function () {
+        return db.replicate.to(remote, {lazy_attachments: true, retry: true});
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(400);
+        return remote.allDocs();
+      }).then(function (res) {
+        res.rows.should.have.length(0);
+        // it works without the option
+        return db.replicate.to(remote);
+      }).then(function () {
+        return db.destroy();
+      }).then(function () {
+        return readText(remote, 'a');
+      }).then(function (text) {
+        text.should.equal('hello');
+      });
+    });
+  });
+});
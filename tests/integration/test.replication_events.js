@@ -170,5 +170,72 @@ adapters.forEach(function (adapters) {
       }).catch(done);
     });
 
+    it('reports progress', function () {
+      var db = new PouchDB(dbs.name);
+      var docs = [];
+      for (var i = 0; i < 10; i++) {
+        docs.push({_id: 'doc_' + i});
+      }
+      docs[0]._attachments = {
+        'foo.txt': {
+          content_type: 'text/plain',
+          data: testUtils.btoa('0123456789')
+        }
+      };
+      var events = [];
+      var repl;
+      return db.bulkDocs(docs).then(function () {
+        repl = db.replicate.to(dbs.remote, {batch_size: 4});
+        repl.getStatus().state.should.equal('pending');
+        repl.on('progress', function (progress) {
+          events.push(progress);
+        });
+        return repl;
+      }).then(function () {
+        events.length.should.be.above(3);
+        events[0].pending.should.equal(10);
+        events[0].percent.should.equal(0);
+        events[0].bytes_transferred.should.equal(0);
+        should.not.exist(events[0].eta);
+        events.slice(1, -1).forEach(function (progress) {
+          (progress.docs_written + progress.pending).should.equal(10);
+          progress.percent.should.equal(progress.docs_written * 10);
+          progress.eta.should.be.at.least(0);
+        });
+        // the attachment is in the first batch
+        events[1].bytes_transferred.should.be.above(10);
+        var last = events[events.length - 1];
+        last.pending.should.equal(0);
+        last.percent.should.equal(100);
+        last.eta.should.equal(0);
+        var status = repl.getStatus();
+        status.docs_written.should.equal(10);
+        status.pending.should.equal(0);
+        status.bytes_transferred.should.equal(last.bytes_transferred);
+      });
+    });
+
+    it('reports the progress of syncs', function () {
+      var db = new PouchDB(dbs.name);
+      var remote = new PouchDB(dbs.remote);
+      var directions = {};
+      return db.put({_id: 'a'}).then(function () {
+        return remote.put({_id: 'b'});
+      }).then(function () {
+        var sync = db.sync(remote);
+        sync.on('progress', function (event) {
+          directions[event.direction] = event.progress;
+        });
+        return sync.then(function () {
+          return sync.getStatus();
+        });
+      }).then(function (status) {
+        directions.push.pending.should.equal(0);
+        directions.pull.pending.should.equal(0);
+        status.push.docs_written.should.equal(1);
+        status.pull.docs_written.should.equal(1);
+      });
+    });
+
   });
 });
@@ -0,0 +1,207 @@
+'use strict';
+
+var adapters = [
+  ['local', 'http'],
+  ['http', 'http'],
+  ['http', 'local'],
+  ['local', 'local']
+];
+
+adapters.forEach(function (adapters) {
+  var suiteName = 'test.resolve_conflicts.js-' + adapters[0] + '-' +
+    adapters[1];
+  describe(suiteName, function () {
+
+    var dbs = {};
+
+    beforeEach(function (done) {
+      dbs.name = testUtils.adapterUrl(adapters[0], 'testdb');
+      dbs.remote = testUtils.adapterUrl(adapters[1], 'test_repl_remote');
+      testUtils.cleanup([dbs.name, dbs.remote], done);
+    });
+
+    after(function (done) {
+      testUtils.cleanup([dbs.name, dbs.remote], done);
+    });
+
+    // '1-b' wins, because it sorts after '1-a'
+    function createConflict(db, a, b) {
+      a._id = b._id = 'foo';
+      a._rev = '1-a';
+      b._rev = '1-b';
+      return db.bulkDocs([a, b], {new_edits: false});
+    }
+
+    function getConflicts(db) {
+      return db.get('foo', {conflicts: true}).then(function (doc) {
+        return doc._conflicts || [];
+      });
+    }
+
+    it('keeps the winner', function () {
+      var db = new PouchDB(dbs.name);
+      return createConflict(db, {n: 1}, {n: 2}).then(function () {
+        return db.resolveConflicts('foo', 'keep-winner');
+      }).then(function (res) {
+        res.should.deep.equal({
+          id: 'foo',
+          rev: '1-b',
+          chosen: '1-b',
+          discarded: ['1-a']
+        });
+        return db.get('foo', {conflicts: true});
+      }).then(function (doc) {
+        should.not.exist(doc._conflicts);
+        doc._rev.should.equal('1-b');
+        doc.n.should.equal(2);
+      });
+    });
+
+    it('keeps the latest timestamp', function () {
+      var db = new PouchDB(dbs.name);
+      return createConflict(db,
+        {timestamp: '2015-06-01T12:00:00.000Z', n: 1},
+        {timestamp: '2015-05-01T12:00:00.000Z', n: 2}
+      ).then(function () {
+        return db.resolveConflicts('foo', 'latest-timestamp');
+      }).then(function (res) {
+        res.chosen.should.equal('1-a');
+        res.rev.should.equal('1-a');
+        res.discarded.should.deep.equal(['1-b']);
+        return db.get('foo', {conflicts: true});
+      }).then(function (doc) {
+        should.not.exist(doc._conflicts);
+        doc.n.should.equal(1);
+      });
+    });
+
+    it('merges fields', function () {
+      var db = new PouchDB(dbs.name);
+      var rev;
+      return createConflict(db,
+        {name: 'a', color: 'red'},
+        {name: 'b', size: 'large'}
+      ).then(function () {
+        return db.resolveConflicts('foo', 'merge-fields');
+      }).then(function (res) {
+        res.chosen.should.equal('1-b');
+        res.rev.should.match(/^2-/);
+        res.discarded.should.deep.equal(['1-a']);
+        rev = res.rev;
+        return db.get('foo', {conflicts: true});
+      }).then(function (doc) {
+        should.not.exist(doc._conflicts);
+        doc._rev.should.equal(rev);
+        doc.name.should.equal('b');
+        doc.color.should.equal('red');
+        doc.size.should.equal('large');
+      });
+    });
+
+    it('uses a custom resolver', function () {
+      var db = new PouchDB(dbs.name);
+      var conflicting;
+      return createConflict(db, {n: 1}, {n: 2}).then(function () {
+        return db.resolveConflicts('foo', function (docs) {
+          conflicting = docs;
+          var sum = docs[0].n + docs[1].n;
+          return PouchDB.utils.Promise.resolve({n: sum});
+        });
+      }).then(function (res) {
+        conflicting.map(function (doc) {
+          return doc._rev;
+        }).should.deep.equal(['1-b', '1-a']);
+        res.chosen.should.equal('1-b');
+        return db.get('foo', {conflicts: true});
+      }).then(function (doc) {
+        should.not.exist(doc._conflicts);
+        doc.n.should.equal(3);
+      });
+    });
+
+    it('leaves conflicts alone if the resolver returns nothing', function () {
+      var db = new PouchDB(dbs.name);
+      return createConflict(db, {n: 1}, {n: 2}).then(function () {
+        return db.resolveConflicts('foo', function () {});
+      }).then(function (res) {
+        should.not.exist(res);
+        return getConflicts(db);
+      }).then(function (conflicts) {
+        conflicts.should.deep.equal(['1-a']);
+      });
+    });
+
+    it('does nothing without conflicts', function () {
+      var db = new PouchDB(dbs.name);
+      return db.put({_id: 'foo'}).then(function () {
+        return db.resolveConflicts('foo', 'keep-winner');
+      }).then(function (res) {
+        should.not.exist(res);
+      });
+    });
+
+    it('rejects unknown strategies', function () {
+      var db = new PouchDB(dbs.name);
+      return db.resolveConflicts('foo', 'flip-a-coin').then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(400);
+      });
+    });
+
+    it('resolves conflicts during replication', function () {
+      var db = new PouchDB(dbs.name);
+      var remote = new PouchDB(dbs.remote);
+      var resolved = [];
+      return db.put({_id: 'foo', _rev: '1-a', n: 1}, {new_edits: false})
+      .then(function () {
+        return remote.put({_id: 'foo', _rev: '1-b', n: 2},
+          {new_edits: false});
+      }).then(function () {
+        return db.replicate.to(remote, {
+          conflictResolver: 'keep-winner'
+        }).on('resolved', function (resolution) {
+          resolved.push(resolution);
+        });
+      }).then(function () {
+        resolved.should.have.length(1);
+        resolved[0].chosen.should.equal('1-b');
+        resolved[0].discarded.should.deep.equal(['1-a']);
+        return getConflicts(remote);
+      }).then(function (conflicts) {
+        conflicts.should.have.length(0);
+      });
+    });
+
+    it('converges when syncing', function () {
+      var db = new PouchDB(dbs.name);
+      var remote = new PouchDB(dbs.remote);
+      var resolved = [];
+      var opts = {conflictResolver: 'merge-fields'};
+      return db.put({_id: 'foo', _rev: '1-a', color: 'red'},
+        {new_edits: false}).then(function () {
+        return remote.put({_id: 'foo', _rev: '1-b', size: 'large'},
+          {new_edits: false});
+      }).then(function () {
+        return db.sync(remote, opts).on('resolved', function (res) {
+          resolved.push(res);
+        });
+      }).then(function () {
+        resolved.length.should.be.above(0);
+        resolved[0].direction.should.match(/^(push|pull)$/);
+        return db.sync(remote, opts);
+      }).then(function () {
+        return PouchDB.utils.Promise.all([
+          db.get('foo', {conflicts: true}),
+          remote.get('foo', {conflicts: true})
+        ]);
+      }).then(function (docs) {
+        should.not.exist(docs[0]._conflicts);
+        should.not.exist(docs[1]._conflicts);
+        docs[0]._rev.should.equal(docs[1]._rev);
+        docs[0].color.should.equal('red');
+        docs[0].size.should.equal('large');
+      });
+    });
+  });
+});
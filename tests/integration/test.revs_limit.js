@@ -0,0 +1,120 @@
+'use strict';
+
+var adapters = ['local'];
+
+adapters.forEach(function (adapter) {
+  describe('test.revs_limit.js-' + adapter, function () {
+
+    var dbs = {};
+
+    beforeEach(function (done) {
+      dbs.name = testUtils.adapterUrl(adapter, 'testdb');
+      testUtils.cleanup([dbs.name], done);
+    });
+
+    after(function (done) {
+      testUtils.cleanup([dbs.name], done);
+    });
+
+    // writes num revisions of doc id
+    function edit(db, id, num) {
+      var chain = PouchDB.utils.Promise.resolve({});
+      for (var i = 0; i < num; i++) {
+        /* jshint loopfunc: true */
+        chain = chain.then(function (res) {
+          return db.put({_id: id, _rev: res.rev});
+        });
+      }
+      return chain;
+    }
+
+    function getRevIds(db, id) {
+      return db.get(id, {revs: true}).then(function (doc) {
+        return doc._revisions.ids;
+      });
+    }
+
+    it('defaults to 1000', function () {
+      var db = new PouchDB(dbs.name);
+      return db.getRevsLimit().then(function (limit) {
+        limit.should.equal(1000);
+        return db.info();
+      }).then(function (info) {
+        info.revs_limit.should.equal(1000);
+      });
+    });
+
+    it('persists the revs_limit option', function () {
+      var db = new PouchDB(dbs.name, {revs_limit: 5});
+      return db.getRevsLimit().then(function (limit) {
+        limit.should.equal(5);
+        return db.close();
+      }).then(function () {
+        db = new PouchDB(dbs.name);
+        return db.info();
+      }).then(function (info) {
+        info.revs_limit.should.equal(5);
+      });
+    });
+
+    it('setRevsLimit() rejects invalid limits', function () {
+      var db = new PouchDB(dbs.name);
+      return db.setRevsLimit(0).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(400);
+        return db.getRevsLimit();
+      }).then(function (limit) {
+        limit.should.equal(1000);
+      });
+    });
+
+    it('stems revision trees on write', function () {
+      var db = new PouchDB(dbs.name);
+      return db.setRevsLimit(3).then(function (res) {
+        res.ok.should.equal(true);
+        return edit(db, 'foo', 5);
+      }).then(function () {
+        return getRevIds(db, 'foo');
+      }).then(function (ids) {
+        ids.should.have.length(3);
+      });
+    });
+
+    it('stems new_edits=false writes', function () {
+      var db = new PouchDB(dbs.name, {revs_limit: 2});
+      return db.bulkDocs([{
+        _id: 'foo',
+        _rev: '4-d',
+        _revisions: {start: 4, ids: ['d', 'c', 'b', 'a']}
+      }], {new_edits: false}).then(function () {
+        return getRevIds(db, 'foo');
+      }).then(function (ids) {
+        ids.should.deep.equal(['d', 'c']);
+      });
+    });
+
+    it('compact() stems trees that were written with a higher limit',
+        function () {
+      var db = new PouchDB(dbs.name);
+      var firstRev;
+      return edit(db, 'foo', 5).then(function () {
+        return getRevIds(db, 'foo');
+      }).then(function (ids) {
+        firstRev = '1-' + ids[4];
+        return db.setRevsLimit(2);
+      }).then(function () {
+        return db.compact();
+      }).then(function () {
+        return getRevIds(db, 'foo');
+      }).then(function (ids) {
+        ids.should.have.length(2);
+        return db.get('foo', {rev: firstRev}).then(function () {
+          throw new Error('expected an error');
+        }, function (err) {
+          err.status.should.equal(404);
+        });
+      });
+    });
+  });
+});
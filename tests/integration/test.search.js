@@ -0,0 +1,321 @@
+'use strict';
+
+// search() is implemented on top of local dependent databases only
+var adapters = ['local'];
+
+adapters.forEach(function (adapter) {
+  describe('test.search.js-' + adapter, function () {
+
+    var dbs = {};
+
+    beforeEach(function (done) {
+      dbs.name = testUtils.adapterUrl(adapter, 'testdb');
+      testUtils.cleanup([dbs.name], done);
+    });
+
+    after(function (done) {
+      testUtils.cleanup([dbs.name], done);
+    });
+
+    function getIds(res) {
+      return res.rows.map(function (row) {
+        return row.id;
+      });
+    }
+
+    function createDocs(db) {
+      return db.bulkDocs([
+        {_id: 'a', title: 'Running shoes',
+          text: 'Shoes for runners who like running in the rain'},
+        {_id: 'b', title: 'Rain jacket',
+          text: 'A jacket that keeps the rain out'},
+        {_id: 'c', title: 'Hiking boots',
+          text: 'Boots for long walks in the mountains'},
+        {_id: 'd', title: 'Notes', tags: ['rain', 'weather'],
+          meta: {summary: 'A note about running'}}
+      ]);
+    }
+
+    it('finds docs containing the query terms', function () {
+      var db = new PouchDB(dbs.name);
+      return createDocs(db).then(function () {
+        return db.search({query: 'boots', fields: ['title', 'text']});
+      }).then(function (res) {
+        res.total_rows.should.equal(1);
+        getIds(res).should.deep.equal(['c']);
+        res.rows[0].score.should.be.above(0);
+      });
+    });
+
+    it('stems the query and the indexed text', function () {
+      var db = new PouchDB(dbs.name);
+      return createDocs(db).then(function () {
+        return db.search({query: 'run', fields: ['title', 'text']});
+      }).then(function (res) {
+        getIds(res).should.deep.equal(['a']);
+      });
+    });
+
+    it('ranks docs by relevance', function () {
+      var db = new PouchDB(dbs.name);
+      return createDocs(db).then(function () {
+        return db.search({query: 'rain jacket', fields: ['title', 'text']});
+      }).then(function (res) {
+        getIds(res).should.deep.equal(['b', 'a']);
+        res.rows[0].score.should.be.above(res.rows[1].score);
+      });
+    });
+
+    it('boosts fields', function () {
+      var db = new PouchDB(dbs.name);
+      return db.bulkDocs([
+        {_id: 'x', title: 'apple', text: 'banana'},
+        {_id: 'y', title: 'banana', text: 'apple'}
+      ]).then(function () {
+        return db.search({query: 'apple', fields: {title: 1, text: 5}});
+      }).then(function (res) {
+        getIds(res).should.deep.equal(['y', 'x']);
+        return db.search({query: 'apple', fields: {title: 5, text: 1}});
+      }).then(function (res) {
+        getIds(res).should.deep.equal(['x', 'y']);
+      });
+    });
+
+    it('indexes arrays and nested fields', function () {
+      var db = new PouchDB(dbs.name);
+      return createDocs(db).then(function () {
+        return db.search({query: 'weather running',
+          fields: ['tags', 'meta.summary']});
+      }).then(function (res) {
+        getIds(res).should.deep.equal(['d']);
+      });
+    });
+
+    it('supports include_docs, limit and skip', function () {
+      var db = new PouchDB(dbs.name);
+      return createDocs(db).then(function () {
+        return db.search({query: 'rain', fields: ['title', 'text', 'tags'],
+          include_docs: true, limit: 1});
+      }).then(function (res) {
+        res.total_rows.should.equal(3);
+        res.rows.should.have.length(1);
+        res.rows[0].doc._id.should.equal(res.rows[0].id);
+        return db.search({query: 'rain', fields: ['title', 'text', 'tags'],
+          skip: 1});
+      }).then(function (res) {
+        res.rows.should.have.length(2);
+        should.not.exist(res.rows[0].doc);
+      });
+    });
+
+    it('highlights matches', function () {
+      var db = new PouchDB(dbs.name);
+      return createDocs(db).then(function () {
+        return db.search({query: 'boot', fields: ['title', 'text'],
+          highlighting: true});
+      }).then(function (res) {
+        res.rows[0].highlighting.should.deep.equal({
+          title: 'Hiking <strong>boots</strong>',
+          text: '<strong>Boots</strong> for long walks in the mountains'
+        });
+        return db.search({query: 'mountain', fields: ['title', 'text'],
+          highlighting: true, highlighting_pre: '<em>',
+          highlighting_post: '</em>'});
+      }).then(function (res) {
+        res.rows[0].highlighting.should.deep.equal({
+          text: 'Boots for long walks in the <em>mountains</em>'
+        });
+      });
+    });
+
+    it('updates the index incrementally', function () {
+      var db = new PouchDB(dbs.name);
+      var fields = ['title', 'text'];
+      return createDocs(db).then(function () {
+        return db.search({query: 'boots', fields: fields});
+      }).then(function (res) {
+        getIds(res).should.deep.equal(['c']);
+        return db.get('c');
+      }).then(function (doc) {
+        doc.title = 'Hiking sandals';
+        doc.text = 'Sandals for short walks';
+        return db.put(doc);
+      }).then(function () {
+        return db.put({_id: 'e', title: 'Ski boots'});
+      }).then(function () {
+        return db.get('a');
+      }).then(function (doc) {
+        return db.remove(doc);
+      }).then(function () {
+        return db.search({query: 'boots', fields: fields});
+      }).then(function (res) {
+        getIds(res).should.deep.equal(['e']);
+        return db.search({query: 'sandals', fields: fields});
+      }).then(function (res) {
+        getIds(res).should.deep.equal(['c']);
+        return db.search({query: 'running', fields: fields});
+      }).then(function (res) {
+        getIds(res).should.deep.equal([]);
+      });
+    });
+
+    it('drops purged docs from the index', function () {
+      var db = new PouchDB(dbs.name);
+      var fields = ['title', 'text'];
+      return createDocs(db).then(function () {
+        return db.search({query: 'boots', fields: fields});
+      }).then(function (res) {
+        getIds(res).should.deep.equal(['c']);
+        return db.get('c');
+      }).then(function (doc) {
+        return db.purge({c: [doc._rev]});
+      }).then(function () {
+        return db.search({query: 'boots', fields: fields});
+      }).then(function (res) {
+        res.total_rows.should.equal(0);
+        getIds(res).should.deep.equal([]);
+        return db.search({query: 'rain', fields: fields});
+      }).then(function (res) {
+        getIds(res).should.have.members(['a', 'b']);
+      });
+    });
+
+    it('supports stale=ok', function () {
+      var db = new PouchDB(dbs.name);
+      var fields = ['title'];
+      return createDocs(db).then(function () {
+        return db.search({query: 'boots', fields: fields});
+      }).then(function () {
+        return db.put({_id: 'e', title: 'Ski boots'});
+      }).then(function () {
+        return db.search({query: 'boots', fields: fields, stale: 'ok'});
+      }).then(function (res) {
+        getIds(res).should.deep.equal(['c']);
+        return db.search({query: 'boots', fields: fields});
+      }).then(function (res) {
+        getIds(res).should.have.length(2);
+      });
+    });
+
+    it('destroys an index', function () {
+      var db = new PouchDB(dbs.name);
+      var fields = ['title'];
+      return createDocs(db).then(function () {
+        return db.search({query: 'boots', fields: fields});
+      }).then(function () {
+        return db.get('_local/search');
+      }).then(function (doc) {
+        Object.keys(doc.indexes).should.have.length(1);
+        return db.search({fields: fields, destroy: true});
+      }).then(function (res) {
+        res.should.deep.equal({ok: true});
+        return db.get('_local/search');
+      }).then(function (doc) {
+        Object.keys(doc.indexes).should.have.length(0);
+        return db.search({query: 'boots', fields: fields});
+      }).then(function (res) {
+        getIds(res).should.deep.equal(['c']);
+      });
+    });
+
+    it('removes stale indexes on viewCleanup()', function () {
+      var db = new PouchDB(dbs.name);
+      var fields = ['title'];
+      var indexName;
+      return createDocs(db).then(function () {
+        return db.search({query: 'boots', fields: fields});
+      }).then(function () {
+        return db.viewCleanup();
+      }).then(function () {
+        return db.get('_local/search');
+      }).then(function (doc) {
+        // still current, so it's kept
+        indexName = Object.keys(doc.indexes)[0];
+        doc.indexes[indexName].version = 0;
+        return db.put(doc);
+      }).then(function () {
+        // in use, but stale
+        return db.search({query: 'boots', fields: fields});
+      }).then(function () {
+        return db.viewCleanup();
+      }).then(function (res) {
+        res.should.deep.equal({ok: true});
+        return db.get('_local/search');
+      }).then(function (doc) {
+        Object.keys(doc.indexes).should.have.length(0);
+      });
+    });
+
+    it('removes the indexes not searched since the last viewCleanup()',
+        function () {
+      var db = new PouchDB(dbs.name);
+      var indexNames;
+      function search(fields) {
+        return db.search({query: 'boots', fields: fields});
+      }
+      function getIndexNames() {
+        return db.get('_local/search').then(function (doc) {
+          return Object.keys(doc.indexes).sort();
+        });
+      }
+      return createDocs(db).then(function () {
+        return search(['title']);
+      }).then(function () {
+        return search(['text']);
+      }).then(function () {
+        return db.viewCleanup();
+      }).then(getIndexNames).then(function (names) {
+        names.should.have.length(2);
+        indexNames = names;
+        return search(['title']);
+      }).then(function () {
+        return db.close();
+      }).then(function () {
+        // it's the same for a db that was reopened
+        db = new PouchDB(dbs.name);
+        return search(['text']);
+      }).then(function () {
+        return db.viewCleanup();
+      }).then(getIndexNames).then(function (names) {
+        names.should.deep.equal(indexNames);
+        return search(['title']);
+      }).then(function () {
+        return db.viewCleanup();
+      }).then(getIndexNames).then(function (names) {
+        names.should.have.length(1);
+        // a removed index is built again when it's searched
+        return search(['text']);
+      }).then(function (res) {
+        getIds(res).should.have.length.above(0);
+        return getIndexNames();
+      }).then(function (names) {
+        names.should.deep.equal(indexNames);
+      });
+    });
+
+    it('rejects invalid options', function () {
+      var db = new PouchDB(dbs.name);
+      return db.search({query: 'foo'}).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(400);
+        return db.search({fields: ['title']});
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(400);
+      });
+    });
+
+    it('supports callbacks', function (done) {
+      var db = new PouchDB(dbs.name);
+      createDocs(db).then(function () {
+        db.search({query: 'jacket', fields: ['title']}, function (err, res) {
+          should.not.exist(err);
+          getIds(res).should.deep.equal(['b']);
+          done();
+        });
+      }, done);
+    });
+  });
+});
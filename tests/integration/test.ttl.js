@@ -0,0 +1,341 @@
+'use strict';
+
+var adapters = ['local'];
+
+adapters.forEach(function (adapter) {
+  describe('test.ttl.js-' + adapter, function () {
+
+    var dbs = {};
+
+    beforeEach(function (done) {
+      dbs.name = testUtils.adapterUrl(adapter, 'testdb');
+      dbs.remote = testUtils.adapterUrl(adapter, 'test_ttl_remote');
+      testUtils.cleanup([dbs.name, dbs.remote], done);
+    });
+
+    after(function (done) {
+      testUtils.cleanup([dbs.name, dbs.remote], done);
+    });
+
+    function wait(ms) {
+      return new PouchDB.utils.Promise(function (resolve) {
+        setTimeout(resolve, ms);
+      });
+    }
+
+    function shouldBeMissing(db, id) {
+      return db.get(id).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(404);
+      });
+    }
+
+    it('hides docs once their _ttl is up', function () {
+      var db = new PouchDB(dbs.name);
+      return db.bulkDocs([
+        {_id: 'a', _ttl: 50},
+        {_id: 'b'}
+      ]).then(function () {
+        return db.get('a');
+      }).then(function (doc) {
+        should.not.exist(doc._ttl);
+        should.not.exist(doc._expires_at);
+        return wait(100);
+      }).then(function () {
+        return shouldBeMissing(db, 'a');
+      }).then(function () {
+        return db.allDocs();
+      }).then(function (res) {
+        res.rows.map(function (row) {
+          return row.id;
+        }).should.deep.equal(['b']);
+        return db.allDocs({keys: ['a']});
+      }).then(function (res) {
+        res.rows[0].error.should.equal('not_found');
+        return db.changes();
+      }).then(function (res) {
+        res.results.map(function (change) {
+          return change.id;
+        }).should.deep.equal(['b']);
+      });
+    });
+
+    it('accepts _expires_at as a date or a timestamp', function () {
+      var db = new PouchDB(dbs.name);
+      var past = new Date(Date.now() - 1000);
+      return db.bulkDocs([
+        {_id: 'a', _expires_at: past.toISOString()},
+        {_id: 'b', _expires_at: past.getTime()},
+        {_id: 'c', _expires_at: Date.now() + 60000}
+      ]).then(function (res) {
+        res.forEach(function (row) {
+          row.ok.should.equal(true);
+        });
+        return db.allDocs();
+      }).then(function (res) {
+        res.rows.should.have.length(1);
+        res.rows[0].id.should.equal('c');
+      });
+    });
+
+    it('rejects invalid expiries', function () {
+      var db = new PouchDB(dbs.name);
+      return db.put({_id: 'a', _ttl: -1}).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(400);
+        return db.put({_id: 'a', _expires_at: 'not a date'});
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(400);
+        return new PouchDB(dbs.name, {ttl: 'forever'});
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(400);
+      });
+    });
+
+    it('gives new docs the ttl of the database', function () {
+      var db = new PouchDB(dbs.name, {ttl: 50});
+      return db.bulkDocs([
+        {_id: 'a'},
+        {_id: 'b', _ttl: 60000},
+        {_id: '_design/foo'},
+        {_id: '_local/foo'}
+      ]).then(function () {
+        return wait(100);
+      }).then(function () {
+        return db.allDocs();
+      }).then(function (res) {
+        res.rows.map(function (row) {
+          return row.id;
+        }).should.deep.equal(['_design/foo', 'b']);
+        return db.get('_local/foo');
+      });
+    });
+
+    it('hides expired docs from queries', function () {
+      var db = new PouchDB(dbs.name);
+      var mapFun = function (doc) {
+        emit(doc.name);
+      };
+      return db.bulkDocs([
+        {_id: 'a', name: 'a', _ttl: 50},
+        {_id: 'b', name: 'b'}
+      ]).then(function () {
+        return db.query(mapFun);
+      }).then(function (res) {
+        res.rows.should.have.length(2);
+        return wait(100);
+      }).then(function () {
+        return db.query(mapFun);
+      }).then(function (res) {
+        res.rows.map(function (row) {
+          return row.id;
+        }).should.deep.equal(['b']);
+      });
+    });
+
+    describe('docs that expired but weren\'t swept yet', function () {
+
+      var realNow = Date.now;
+
+      // pretends that an hour has passed, without the sweep timer firing
+      function skipAnHour() {
+        Date.now = function () {
+          return realNow() + 3600000;
+        };
+      }
+
+      afterEach(function () {
+        Date.now = realNow;
+      });
+
+      function createDocs(db) {
+        var docs = [{
+          _id: '_design/t',
+          views: {v: {
+            map: function (doc) {
+              emit(doc.n);
+            }.toString(),
+            reduce: '_count'
+          }}
+        }];
+        for (var i = 1; i <= 6; i++) {
+          docs.push(i % 2 ?
+            {_id: 'doc_' + i, n: i, _ttl: 1800000} :
+            {_id: 'doc_' + i, n: i});
+        }
+        return db.bulkDocs(docs).then(function () {
+          // the view has all of the docs
+          return db.query('t/v', {reduce: false});
+        }).then(function (res) {
+          res.rows.should.have.length(6);
+          skipAnHour();
+        });
+      }
+
+      function getIds(res) {
+        return res.rows.map(function (row) {
+          return row.id;
+        });
+      }
+
+      it('leaves them out before limit and skip', function () {
+        var db = new PouchDB(dbs.name);
+        return createDocs(db).then(function () {
+          return db.query('t/v', {reduce: false, limit: 2});
+        }).then(function (res) {
+          getIds(res).should.deep.equal(['doc_2', 'doc_4']);
+          res.total_rows.should.equal(3);
+          return db.query('t/v', {reduce: false, skip: 1, limit: 3});
+        }).then(function (res) {
+          getIds(res).should.deep.equal(['doc_4', 'doc_6']);
+        });
+      });
+
+      it('leaves them out of reductions', function () {
+        var db = new PouchDB(dbs.name);
+        return createDocs(db).then(function () {
+          return db.query('t/v');
+        }).then(function (res) {
+          res.rows[0].value.should.equal(3);
+          return db.query('t/v', {group: true});
+        }).then(function (res) {
+          res.rows.map(function (row) {
+            return row.key;
+          }).should.deep.equal([2, 4, 6]);
+        });
+      });
+
+      it('doesn\'t count them', function () {
+        var db = new PouchDB(dbs.name);
+        return createDocs(db).then(function () {
+          return db.allDocs();
+        }).then(function (res) {
+          res.total_rows.should.equal(4);
+          res.rows.should.have.length(4);
+          return db.info();
+        }).then(function (info) {
+          info.doc_count.should.equal(4);
+        });
+      });
+    });
+
+    it('compact() purges expired docs', function () {
+      var db = new PouchDB(dbs.name);
+      return db.put({_id: 'a', _ttl: 3600000}).then(function () {
+        // expire it without waiting for the sweeper
+        return db.put({_id: 'b', _expires_at: Date.now() + 50});
+      }).then(function () {
+        return wait(100);
+      }).then(function () {
+        return db.compact();
+      }).then(function () {
+        return db.info();
+      }).then(function (info) {
+        info.doc_count.should.equal(1);
+        return db.get('b', {open_revs: 'all'});
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(404);
+      });
+    });
+
+    it('sweeps expired docs in the background', function () {
+      var db = new PouchDB(dbs.name);
+      return db.put({_id: 'a', _ttl: 50}).then(function () {
+        return wait(300);
+      }).then(function () {
+        return db.info();
+      }).then(function (info) {
+        info.doc_count.should.equal(0);
+        return db.get('_local/expiry');
+      }).then(function (doc) {
+        should.not.exist(doc.next);
+      });
+    });
+
+    it('follows expiries that are changed or removed', function () {
+      var db = new PouchDB(dbs.name);
+      var later = Date.now() + 3600000;
+      return db.bulkDocs([
+        {_id: 'a', _ttl: 50},
+        {_id: 'b', _expires_at: later},
+        {_id: 'c', _expires_at: later + 1000}
+      ]).then(function (res) {
+        return db.bulkDocs([
+          {_id: 'a', _rev: res[0].rev},
+          {_id: 'b', _rev: res[1].rev, _ttl: 50}
+        ]);
+      }).then(function () {
+        return wait(300);
+      }).then(function () {
+        return db.allDocs();
+      }).then(function (res) {
+        res.rows.map(function (row) {
+          return row.id;
+        }).should.deep.equal(['a', 'c']);
+        return db.get('_local/expiry');
+      }).then(function (doc) {
+        doc.next.should.equal(later + 1000);
+      });
+    });
+
+    it('lets expired docs be recreated without a _rev', function () {
+      var db = new PouchDB(dbs.name);
+      return db.put({_id: 'a', _expires_at: Date.now() + 50}).then(function () {
+        return wait(100);
+      }).then(function () {
+        return db.put({_id: 'a', foo: 'bar'});
+      }).then(function (res) {
+        res.rev.should.match(/^1-/);
+        return db.get('a');
+      }).then(function (doc) {
+        doc.foo.should.equal('bar');
+      });
+    });
+
+    it('doesn\'t replicate expiries or purges', function () {
+      var db = new PouchDB(dbs.name);
+      var remote = new PouchDB(dbs.remote);
+      return db.put({_id: 'a', _ttl: 100}).then(function () {
+        return db.replicate.to(remote);
+      }).then(function () {
+        return wait(150);
+      }).then(function () {
+        return db.compact();
+      }).then(function () {
+        return db.replicate.to(remote);
+      }).then(function () {
+        return remote.get('a');
+      }).then(function (doc) {
+        should.not.exist(doc._deleted);
+      });
+    });
+
+    it('replicates deletions with the ttl_tombstones option', function () {
+      var db = new PouchDB(dbs.name, {ttl_tombstones: true});
+      var remote = new PouchDB(dbs.remote);
+      return db.put({_id: 'a', _ttl: 100}).then(function () {
+        return db.replicate.to(remote);
+      }).then(function () {
+        return wait(150);
+      }).then(function () {
+        return db.compact();
+      }).then(function () {
+        return db.replicate.to(remote);
+      }).then(function () {
+        return shouldBeMissing(remote, 'a');
+      }).then(function () {
+        return remote.get('a', {open_revs: 'all'});
+      }).then(function (res) {
+        res[0].ok._deleted.should.equal(true);
+      });
+    });
+  });
+});
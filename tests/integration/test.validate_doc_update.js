@@ -0,0 +1,261 @@
+'use strict';
+
+// CouchDB enforces validate_doc_update itself, this tests
+// that local databases behave the same way
+var adapters = ['local'];
+
+adapters.forEach(function (adapter) {
+  describe('test.validate_doc_update.js-' + adapter, function () {
+
+    var dbs = {};
+
+    beforeEach(function (done) {
+      dbs.name = testUtils.adapterUrl(adapter, 'testdb');
+      dbs.remote = testUtils.adapterUrl(adapter, 'test_repl_remote');
+      testUtils.cleanup([dbs.name, dbs.remote], done);
+    });
+
+    after(function (done) {
+      testUtils.cleanup([dbs.name, dbs.remote], done);
+    });
+
+    var ddoc = {
+      _id: '_design/validate',
+      validate_doc_update: function (newDoc, oldDoc, userCtx, secObj) {
+        if (newDoc._deleted) {
+          if (oldDoc.locked) {
+            throw {unauthorized: 'Document is locked.'};
+          }
+          return;
+        }
+        if (newDoc.foo === undefined) {
+          throw {forbidden: 'Document must have a foo.'};
+        }
+        if (oldDoc && oldDoc.locked) {
+          throw {unauthorized: 'Document is locked.'};
+        }
+        if (newDoc.owner && newDoc.owner !== userCtx.name) {
+          throw {forbidden: 'Only ' + newDoc.owner + ' can write this.'};
+        }
+        if (newDoc.admin_only && secObj.admins.names.length === 0) {
+          throw {forbidden: 'No admins configured.'};
+        }
+      }.toString()
+    };
+
+    it('rejects invalid docs in bulkDocs()', function () {
+      var db = new PouchDB(dbs.name);
+      return db.put(ddoc).then(function () {
+        return db.bulkDocs([
+          {_id: 'a', foo: 'bar'},
+          {_id: 'b'},
+          {_id: 'c', foo: 'baz'}
+        ]);
+      }).then(function (res) {
+        res.should.have.length(3);
+        res[0].ok.should.equal(true);
+        res[1].status.should.equal(403);
+        res[1].name.should.equal('forbidden');
+        res[1].reason.should.equal('Document must have a foo.');
+        res[1].id.should.equal('b');
+        res[2].ok.should.equal(true);
+        res[2].id.should.equal('c');
+        return db.allDocs();
+      }).then(function (res) {
+        res.rows.map(function (row) {
+          return row.id;
+        }).should.deep.equal(['_design/validate', 'a', 'c']);
+      });
+    });
+
+    it('rejects invalid docs in put()', function () {
+      var db = new PouchDB(dbs.name);
+      return db.put(ddoc).then(function () {
+        return db.put({_id: 'a'});
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(403);
+        err.name.should.equal('forbidden');
+        return db.post({foo: 'bar'});
+      }).then(function (res) {
+        res.ok.should.equal(true);
+      });
+    });
+
+    it('passes the old doc', function () {
+      var db = new PouchDB(dbs.name);
+      var rev;
+      return db.put(ddoc).then(function () {
+        return db.put({_id: 'a', foo: 'bar', locked: true});
+      }).then(function (res) {
+        rev = res.rev;
+        return db.put({_id: 'a', _rev: rev, foo: 'baz'});
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(401);
+        err.name.should.equal('unauthorized');
+        err.reason.should.equal('Document is locked.');
+        return db.remove('a', rev);
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.status.should.equal(401);
+      });
+    });
+
+    it('passes the userCtx and secObj', function () {
+      var db = new PouchDB(dbs.name, {
+        userCtx: {name: 'alice', roles: []},
+        secObj: {admins: {names: ['alice'], roles: []}}
+      });
+      return db.put(ddoc).then(function () {
+        return db.bulkDocs([
+          {_id: 'a', foo: 'bar', owner: 'alice', admin_only: true},
+          {_id: 'b', foo: 'bar', owner: 'bob'}
+        ]);
+      }).then(function (res) {
+        res[0].ok.should.equal(true);
+        res[1].reason.should.equal('Only bob can write this.');
+        return db.bulkDocs([{_id: 'b', foo: 'bar', owner: 'bob'}],
+          {userCtx: {name: 'bob', roles: []}});
+      }).then(function (res) {
+        res[0].ok.should.equal(true);
+        return new PouchDB(dbs.name).put({_id: 'c', foo: 'bar',
+          admin_only: true});
+      }).then(function () {
+        throw new Error('expected an error');
+      }, function (err) {
+        err.reason.should.equal('No admins configured.');
+      });
+    });
+
+    it('picks up changes to the design doc', function () {
+      var db = new PouchDB(dbs.name);
+      return db.put(ddoc).then(function () {
+        return db.put({_id: 'a'}).then(function () {
+          throw new Error('expected an error');
+        }, function (err) {
+          err.status.should.equal(403);
+          return db.get(ddoc._id);
+        });
+      }).then(function (doc) {
+        return db.remove(doc);
+      }).then(function () {
+        return db.put({_id: 'a'});
+      }).then(function (res) {
+        res.ok.should.equal(true);
+      });
+    });
+
+    it('picks up design docs changed by someone else', function () {
+      var db = new PouchDB(dbs.name);
+      return db.put(ddoc).then(function () {
+        return db.put({_id: 'a', foo: 'bar'});
+      }).then(function () {
+        return db.get(ddoc._id);
+      }).then(function (doc) {
+        doc._deleted = true;
+        // like another tab or process would, without this PouchDB object
+        // knowing about it
+        return new PouchDB.utils.Promise(function (resolve, reject) {
+          db._bulkDocs({docs: [doc]}, {new_edits: true}, function (err) {
+            if (err) {
+              return reject(err);
+            }
+            resolve();
+          });
+        });
+      }).then(function () {
+        return db.put({_id: 'b'});
+      }).then(function (res) {
+        res.ok.should.equal(true);
+      });
+    });
+
+    it('does not validate design docs or local docs', function () {
+      var db = new PouchDB(dbs.name);
+      return db.put(ddoc).then(function () {
+        return db.bulkDocs([
+          {_id: '_design/other'},
+          {_id: '_local/other'}
+        ]);
+      }).then(function (res) {
+        res[0].ok.should.equal(true);
+        res[1].ok.should.equal(true);
+      });
+    });
+
+    it('counts rejected docs as replication failures', function () {
+      var db = new PouchDB(dbs.name);
+      var remote = new PouchDB(dbs.remote);
+      return db.put(ddoc).then(function () {
+        return remote.bulkDocs([{_id: 'a', foo: 'bar'}, {_id: 'b'}]);
+      }).then(function () {
+        return db.replicate.from(remote);
+      }).then(function (res) {
+        res.docs_written.should.equal(1);
+        res.doc_write_failures.should.equal(1);
+        res.errors.should.have.length(1);
+        return db.allDocs();
+      }).then(function (res) {
+        res.rows.should.have.length(2); // a plus the validate doc
+      });
+    });
+
+    it('validates docs against a JSON schema', function () {
+      var db = new PouchDB(dbs.name);
+      return db.put({
+        _id: '_design/schema',
+        validate_doc_schema: {
+          type: 'object',
+          required: ['name', 'age'],
+          additionalProperties: false,
+          properties: {
+            name: {type: 'string', minLength: 1},
+            age: {type: 'integer', minimum: 0},
+            tags: {type: 'array', items: {type: 'string'}, uniqueItems: true},
+            address: {$ref: '#/definitions/address'}
+          },
+          definitions: {
+            address: {
+              type: 'object',
+              properties: {zip: {type: 'string', pattern: '^[0-9]{5}$'}}
+            }
+          }
+        }
+      }).then(function () {
+        return db.bulkDocs([
+          {_id: 'valid', name: 'Alice', age: 30, tags: ['a', 'b'],
+            address: {zip: '12345'}},
+          {_id: 'missing', name: 'Bob'},
+          {_id: 'type', name: 'Carol', age: 'old'},
+          {_id: 'extra', name: 'Dave', age: 40, nickname: 'D'},
+          {_id: 'nested', name: 'Eve', age: 20, address: {zip: 'abc'}},
+          {_id: 'unique', name: 'Frank', age: 20, tags: ['a', 'a']}
+        ]);
+      }).then(function (res) {
+        res[0].ok.should.equal(true);
+        res.slice(1).map(function (error) {
+          error.status.should.equal(403);
+          return error.reason;
+        }).should.deep.equal([
+          'Schema validation failed: /: should have required property age',
+          'Schema validation failed: /age: should be integer',
+          'Schema validation failed: /: should not have additional ' +
+            'property nickname',
+          'Schema validation failed: /address/zip: should match pattern ' +
+            '^[0-9]{5}$',
+          'Schema validation failed: /tags: should not have duplicate items'
+        ]);
+        return db.get('valid');
+      }).then(function (doc) {
+        // deleting doesn't need to match the schema
+        return db.remove(doc);
+      }).then(function (res) {
+        res.ok.should.equal(true);
+      });
+    });
+  });
+});
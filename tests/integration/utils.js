@@ -298,6 +298,37 @@ testUtils.promisify = function (fun, context) {
   };
 };
 
+// an in-memory BroadcastChannel, for the tests that simulate several tabs
+testUtils.BroadcastChannel = (function () {
+  var channels = [];
+  function BroadcastChannel(name) {
+    this.name = name;
+    this.onmessage = null;
+    channels.push(this);
+  }
+  BroadcastChannel.prototype.postMessage = function (data) {
+    var self = this;
+    var json = JSON.stringify(data);
+    channels.forEach(function (channel) {
+      if (channel === self || channel.name !== self.name) {
+        return;
+      }
+      setTimeout(function () {
+        if (channel.onmessage && channels.indexOf(channel) !== -1) {
+          channel.onmessage({data: JSON.parse(json)});
+        }
+      }, 0);
+    });
+  };
+  BroadcastChannel.prototype.close = function () {
+    var i = channels.indexOf(this);
+    if (i !== -1) {
+      channels.splice(i, 1);
+    }
+  };
+  return BroadcastChannel;
+})();
+
 var testDir;
 if (typeof module !== 'undefined' && module.exports) {
   global.PouchDB = require('../../lib');
@@ -1,3 +1,4 @@
+/* global sum */
 'use strict';
 
 var adapters = ['local', 'http'];
@@ -570,6 +571,225 @@ function tests(suiteName, dbName, dbType) {
       });
     });
 
+    it('updates persisted reductions incrementally', function () {
+      var db = new PouchDB(dbName);
+      return createView(db, {
+        map: function (doc) {
+          emit([doc.type, doc.year], doc.amount);
+        },
+        reduce: '_sum'
+      }).then(function (queryFun) {
+        return db.bulkDocs([
+          {_id: 'a', type: 'food', year: 2014, amount: 1},
+          {_id: 'b', type: 'food', year: 2015, amount: 2},
+          {_id: 'c', type: 'rent', year: 2015, amount: 4}
+        ]).then(function () {
+          return db.query(queryFun, {group_level: 1});
+        }).then(function (res) {
+          res.rows.should.deep.equal([
+            {key: ['food'], value: 3},
+            {key: ['rent'], value: 4}
+          ]);
+          return db.get('a');
+        }).then(function (doc) {
+          doc.amount = 10;
+          return db.put(doc);
+        }).then(function () {
+          return db.get('c');
+        }).then(function (doc) {
+          return db.remove(doc);
+        }).then(function () {
+          return db.query(queryFun, {group_level: 1});
+        }).then(function (res) {
+          res.rows.should.deep.equal([
+            {key: ['food'], value: 12}
+          ]);
+          return db.query(queryFun, {group: true});
+        }).then(function (res) {
+          res.rows.should.deep.equal([
+            {key: ['food', 2014], value: 10},
+            {key: ['food', 2015], value: 2}
+          ]);
+          return db.query(queryFun);
+        }).then(function (res) {
+          res.rows.should.deep.equal([
+            {key: null, value: 12}
+          ]);
+        });
+      });
+    });
+
+    it('rereduces persisted _count and _stats reductions', function () {
+      var db = new PouchDB(dbName);
+      return db.bulkDocs([
+        {
+          _id: '_design/stats',
+          views: {
+            count: {
+              map: function (doc) {
+                emit(doc.name, doc.score);
+              }.toString(),
+              reduce: '_count'
+            },
+            stats: {
+              map: function (doc) {
+                emit(doc.name, doc.score);
+              }.toString(),
+              reduce: '_stats'
+            }
+          }
+        },
+        {name: 'bar', score: 3},
+        {name: 'bar', score: 1},
+        {name: 'baz', score: 2},
+        {name: 'foo', score: 4}
+      ]).then(function () {
+        return db.query('stats/count');
+      }).then(function (res) {
+        res.rows.should.deep.equal([{key: null, value: 4}]);
+        return db.query('stats/count', {startkey: 'bar', endkey: 'baz'});
+      }).then(function (res) {
+        res.rows.should.deep.equal([{key: null, value: 3}]);
+        return db.query('stats/count', {
+          startkey: 'bar',
+          endkey: 'foo',
+          inclusive_end: false
+        });
+      }).then(function (res) {
+        res.rows.should.deep.equal([{key: null, value: 3}]);
+        return db.query('stats/stats');
+      }).then(function (res) {
+        res.rows.should.deep.equal([{
+          key: null,
+          value: {sum: 10, min: 1, max: 4, count: 4, sumsqr: 30}
+        }]);
+      });
+    });
+
+    it('reduces ranges of many keys', function () {
+      var db = new PouchDB(dbName);
+      var docs = [];
+      for (var i = 0; i < 300; i++) {
+        docs.push({_id: 'doc' + i, group: i % 7, num: i});
+      }
+
+      // what a reduce query should give, out of the map rows
+      function expected(queryFun, opts) {
+        var mapOpts = PouchDB.utils.extend({}, opts, {reduce: false});
+        delete mapOpts.group_level;
+        delete mapOpts.limit;
+        delete mapOpts.skip;
+        return db.query(queryFun, mapOpts).then(function (res) {
+          var groups = [];
+          res.rows.forEach(function (row) {
+            var key = opts.group_level ? row.key.slice(0, 1) : null;
+            var last = groups[groups.length - 1];
+            if (last && JSON.stringify(last.key) === JSON.stringify(key)) {
+              last.value += row.value;
+              return;
+            }
+            groups.push({key: key, value: row.value});
+          });
+          var skip = opts.skip || 0;
+          return groups.slice(skip, typeof opts.limit === 'number' ?
+            skip + opts.limit : undefined);
+        });
+      }
+
+      function check(queryFun, opts) {
+        return Promise.all([
+          db.query(queryFun, opts),
+          expected(queryFun, opts)
+        ]).then(function (res) {
+          res[0].rows.should.deep.equal(res[1], JSON.stringify(opts));
+        });
+      }
+
+      function checkAll(queryFun) {
+        return [
+          {},
+          {startkey: [2, 50], endkey: [5, 200]},
+          {startkey: [2, 50], endkey: [5, 201], inclusive_end: false},
+          {startkey: [5, 201], endkey: [2, 50], descending: true},
+          {startkey: [5, 201], endkey: [2, 51], descending: true,
+            inclusive_end: false},
+          {startkey: [3], endkey: [3, {}]},
+          {key: [4, 60]},
+          {group_level: 1},
+          {group_level: 1, startkey: [1, 100], endkey: [4, 100]},
+          {group_level: 1, descending: true, skip: 1, limit: 3}
+        ].reduce(function (promise, opts) {
+          return promise.then(function () {
+            return check(queryFun, opts);
+          });
+        }, Promise.resolve());
+      }
+
+      return createView(db, {
+        map: function (doc) {
+          emit([doc.group, doc.num], doc.num);
+        },
+        reduce: '_sum'
+      }).then(function (queryFun) {
+        return db.bulkDocs(docs).then(function () {
+          return checkAll(queryFun);
+        }).then(function () {
+          return db.allDocs({include_docs: true, limit: 100});
+        }).then(function (res) {
+          // move some docs to other keys, and remove some others
+          return db.bulkDocs(res.rows.map(function (row, i) {
+            var doc = row.doc;
+            if (i % 2) {
+              doc._deleted = true;
+            } else {
+              doc.num += 1000;
+            }
+            return doc;
+          }));
+        }).then(function () {
+          return checkAll(queryFun);
+        });
+      });
+    });
+
+    if (dbType === 'local') {
+      // CouchDB decides on its own when to call rereduce
+      it('calls rereduce on the persisted reductions', function () {
+        var db = new PouchDB(dbName);
+        return createView(db, {
+          map: function (doc) {
+            emit(doc.name);
+          },
+          reduce: function (keys, values, rereduce) {
+            if (rereduce) {
+              return {rereduced: true, count: sum(values.map(function (value) {
+                return value.count;
+              }))};
+            }
+            return {rereduced: false, count: values.length};
+          }
+        }).then(function (queryFun) {
+          return db.bulkDocs([
+            {name: 'bar'},
+            {name: 'bar'},
+            {name: 'foo'}
+          ]).then(function () {
+            return db.query(queryFun, {group: true});
+          }).then(function (res) {
+            res.rows.should.deep.equal([
+              {key: 'bar', value: {rereduced: false, count: 2}},
+              {key: 'foo', value: {rereduced: false, count: 1}}
+            ]);
+            return db.query(queryFun);
+          }).then(function (res) {
+            res.rows.should.deep.equal([
+              {key: null, value: {rereduced: true, count: 3}}
+            ]);
+          });
+        });
+      });
+    }
+
     var isNode = typeof window === 'undefined';
     if (dbType === 'local' && isNode) {
       it('#239 test memdown db', function () {
@@ -670,5 +890,257 @@ function tests(suiteName, dbName, dbType) {
       });
     }
 
+    it('returns the update_seq of the view when asked to', function () {
+      var db = new PouchDB(dbName);
+      return createView(db, {
+        map: function (doc) {
+          emit(doc.name);
+        }
+      }).then(function (queryFun) {
+        return db.bulkDocs([{name: 'a'}, {name: 'b'}]).then(function () {
+          return db.query(queryFun, {update_seq: true});
+        }).then(function (res) {
+          should.exist(res.update_seq);
+          return db.query(queryFun);
+        }).then(function (res) {
+          should.not.exist(res.update_seq);
+        });
+      });
+    });
+
+    if (dbType === 'local') {
+      it('reports how far a view has been indexed', function () {
+        var db = new PouchDB(dbName);
+        return createView(db, {
+          map: function (doc) {
+            emit(doc.name);
+          }
+        }).then(function (queryFun) {
+          return db.bulkDocs([{name: 'a'}, {name: 'b'}]).then(function () {
+            return db.viewInfo(queryFun);
+          }).then(function (info) {
+            info.name.should.equal(queryFun);
+            info.update_seq.should.equal(0);
+            info.db_update_seq.should.equal(3);
+            info.total_rows.should.equal(0);
+            info.disk_size.should.equal(0);
+            return db.query(queryFun, {stale: 'ok', update_seq: true});
+          }).then(function (res) {
+            res.rows.should.have.length(0);
+            res.update_seq.should.equal(0);
+            return db.query(queryFun, {update_seq: true});
+          }).then(function (res) {
+            res.update_seq.should.equal(3);
+            return db.viewInfo(queryFun);
+          }).then(function (info) {
+            info.update_seq.should.equal(3);
+            info.total_rows.should.equal(2);
+            info.disk_size.should.be.above(0);
+          });
+        });
+      });
+
+      it('builds all the views of a ddoc in one pass', function () {
+        var db = new PouchDB(dbName);
+        var changesCalls = 0;
+        var changes = db.changes;
+        db.changes = function () {
+          changesCalls++;
+          return changes.apply(db, arguments);
+        };
+        return db.bulkDocs([
+          {
+            _id: '_design/both',
+            views: {
+              byName: {
+                map: function (doc) {
+                  emit(doc.name);
+                }.toString()
+              },
+              byScore: {
+                map: function (doc) {
+                  emit(doc.name, doc.score);
+                }.toString(),
+                reduce: '_sum'
+              },
+              sameAsByName: {
+                map: function (doc) {
+                  emit(doc.name);
+                }.toString()
+              }
+            }
+          },
+          {name: 'a', score: 1},
+          {name: 'b', score: 2}
+        ]).then(function () {
+          return db.buildViews('both');
+        }).then(function (res) {
+          res.ok.should.equal(true);
+          changesCalls.should.equal(1);
+          return db.viewInfo('both/byScore');
+        }).then(function (info) {
+          info.update_seq.should.equal(3);
+          return db.query('both/byScore', {stale: 'ok'});
+        }).then(function (res) {
+          res.rows.should.deep.equal([{key: null, value: 3}]);
+          return db.query('both/byName', {stale: 'ok'});
+        }).then(function (res) {
+          res.rows.should.have.length(2);
+        });
+      });
+
+      it('indexes the other views of the ddoc along with one', function () {
+        var db = new PouchDB(dbName);
+        var changesCalls = 0;
+        var changes = db.changes;
+        db.changes = function () {
+          changesCalls++;
+          return changes.apply(db, arguments);
+        };
+        return db.bulkDocs([
+          {
+            _id: '_design/both',
+            views: {
+              byName: {
+                map: function (doc) {
+                  emit(doc.name);
+                }.toString()
+              },
+              byScore: {
+                map: function (doc) {
+                  emit(doc.score);
+                }.toString()
+              },
+              broken: {}
+            }
+          },
+          {name: 'a', score: 1},
+          {name: 'b', score: 2}
+        ]).then(function () {
+          return db.query('both/byName');
+        }).then(function (res) {
+          res.rows.should.have.length(2);
+          changesCalls.should.equal(1);
+          return db.query('both/byScore', {stale: 'ok'});
+        }).then(function (res) {
+          res.rows.map(function (row) {
+            return row.key;
+          }).should.deep.equal([1, 2]);
+          return db.get('_design/both');
+        }).then(function (ddoc) {
+          delete ddoc.views.byScore;
+          return db.put(ddoc);
+        }).then(function () {
+          return db.viewCleanup();
+        }).then(function () {
+          return db.get('_local/mrviews');
+        }).then(function (metaDoc) {
+          var depDbs = Object.keys(metaDoc.views['both/byScore']);
+          var depDb = new PouchDB(depDbs[0]);
+          return depDb.info().then(function (info) {
+            info.doc_count.should.equal(0);
+            return depDb.destroy();
+          });
+        });
+      });
+
+      it('doesn\'t let a broken view break the others', function () {
+        var db = new PouchDB(dbName);
+        return db.bulkDocs([
+          {
+            _id: '_design/both',
+            views: {
+              good: {
+                map: function (doc) {
+                  emit(doc.name);
+                }.toString()
+              },
+              badMap: {
+                map: 'function (doc) { emit(doc.name }'
+              },
+              badReduce: {
+                map: function (doc) {
+                  emit(doc.name);
+                }.toString(),
+                reduce: 'function (keys, values) { return }}'
+              }
+            }
+          },
+          {name: 'a'},
+          {name: 'b'}
+        ]).then(function () {
+          return db.query('both/good');
+        }).then(function (res) {
+          res.rows.should.have.length(2);
+          return db.query('both/badMap').then(function () {
+            throw new Error('expected an error');
+          }, function (err) {
+            err.name.should.equal('SyntaxError');
+          });
+        }).then(function () {
+          return db.put({_id: 'c', name: 'c'});
+        }).then(function () {
+          return db.buildViews('both').then(function () {
+            throw new Error('expected an error');
+          }, function (err) {
+            err.name.should.equal('SyntaxError');
+          });
+        }).then(function () {
+          // the views that compile are built anyway
+          return db.query('both/good', {stale: 'ok'});
+        }).then(function (res) {
+          res.rows.should.have.length(3);
+        });
+      });
+
+      it('only creates the other views of the ddoc when indexing',
+          function () {
+        var db = new PouchDB(dbName);
+        function viewNames() {
+          return db.get('_local/mrviews').then(function (metaDoc) {
+            return Object.keys(metaDoc.views).sort();
+          });
+        }
+        var ddoc = {
+          _id: '_design/both',
+          views: {
+            byName: {
+              map: function (doc) {
+                emit(doc.name);
+              }.toString()
+            }
+          }
+        };
+        return db.bulkDocs([ddoc, {name: 'a', score: 1}]).then(function () {
+          return db.query('both/byName');
+        }).then(function () {
+          return db.get('_design/both');
+        }).then(function (ddoc) {
+          ddoc.views.byScore = {
+            map: function (doc) {
+              emit(doc.score);
+            }.toString()
+          };
+          return db.put(ddoc);
+        }).then(function () {
+          return db.query('both/byName', {stale: 'ok'});
+        }).then(function (res) {
+          res.rows.should.have.length(1);
+          return viewNames();
+        }).then(function (names) {
+          names.should.deep.equal(['both/byName']);
+          // the new revision of the ddoc has got another view to index
+          return db.query('both/byName');
+        }).then(function () {
+          return viewNames();
+        }).then(function (names) {
+          names.should.deep.equal(['both/byName', 'both/byScore']);
+          return db.viewInfo('both/byScore');
+        }).then(function (info) {
+          info.update_seq.should.equal(3);
+        });
+      });
+    }
+
   });
 }
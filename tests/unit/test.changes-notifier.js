@@ -0,0 +1,212 @@
+'use strict';
+
+var should = require('chai').should();
+var os = require('os');
+var path = require('path');
+var childProcess = require('child_process');
+var Promise = require('../../lib/deps/promise');
+var Changes = require('../../lib/changesHandler');
+var ChangesNotifier = require('../../lib/changesNotifier');
+
+describe('test.changes-notifier.js', function () {
+
+  function FakeNotifier() {
+    this.calls = [];
+    this.watchers = {};
+  }
+  FakeNotifier.prototype.notify = function (dbName) {
+    this.calls.push(['notify', dbName]);
+  };
+  FakeNotifier.prototype.watch = function (dbName, onChange) {
+    this.calls.push(['watch', dbName]);
+    this.watchers[dbName] = onChange;
+  };
+  FakeNotifier.prototype.unwatch = function (dbName) {
+    this.calls.push(['unwatch', dbName]);
+    delete this.watchers[dbName];
+  };
+
+  function fakeDb(onChanges) {
+    return {
+      changes: function () {
+        onChanges();
+        var feed = {
+          on: function () {
+            return feed;
+          }
+        };
+        return feed;
+      }
+    };
+  }
+
+  it('watches dbs while they have listeners', function () {
+    var changes = new Changes();
+    var notifier = new FakeNotifier();
+    changes.setNotifier(notifier);
+    var db = fakeDb(function () {});
+    changes.addListener('mydb', 'a', db, {});
+    changes.addListener('mydb', 'b', db, {});
+    changes.removeListener('mydb', 'a');
+    changes.removeListener('mydb', 'b');
+    notifier.calls.should.deep.equal([
+      ['watch', 'mydb'],
+      ['unwatch', 'mydb']
+    ]);
+  });
+
+  it('passes writes on to the notifier', function () {
+    var changes = new Changes();
+    var notifier = new FakeNotifier();
+    changes.setNotifier(notifier);
+    changes.notify('mydb');
+    notifier.calls.should.deep.equal([['notify', 'mydb']]);
+  });
+
+  it('runs the listeners on writes made elsewhere', function (done) {
+    var changes = new Changes();
+    var notifier = new FakeNotifier();
+    changes.setNotifier(notifier);
+    changes.addListener('mydb', 'a', fakeDb(done), {});
+    notifier.watchers.mydb();
+  });
+
+  it('moves the watched dbs to a new notifier', function () {
+    var changes = new Changes();
+    var first = new FakeNotifier();
+    var second = new FakeNotifier();
+    changes.setNotifier(first);
+    changes.addListener('mydb', 'a', fakeDb(function () {}), {});
+    changes.setNotifier(second);
+    first.calls.should.deep.equal([['watch', 'mydb'], ['unwatch', 'mydb']]);
+    second.calls.should.deep.equal([['watch', 'mydb']]);
+    changes.removeAllListeners('mydb');
+    second.calls.should.deep.equal([['watch', 'mydb'], ['unwatch', 'mydb']]);
+  });
+
+  var dbCount = 0;
+
+  function dbName() {
+    return path.join(os.tmpdir(), 'pouch-notifier-' + process.pid + '-' +
+      (++dbCount));
+  }
+
+  // a notifier of its own stands in for another process
+  function waitUntilConnected(notifier, name) {
+    return new Promise(function (resolve) {
+      (function check() {
+        var channel = notifier._channels[name];
+        if (channel && (channel.hub || channel.socket)) {
+          return resolve();
+        }
+        setTimeout(check, 5);
+      })();
+    });
+  }
+
+  it('tells the processes that watch a db about writes', function (done) {
+    var name = dbName();
+    var watcher = new ChangesNotifier();
+    var writer = new ChangesNotifier();
+    watcher.watch(name, function () {
+      watcher.unwatch(name);
+      writer.unwatch(name);
+      done();
+    });
+    waitUntilConnected(watcher, name).then(function () {
+      writer.notify(name);
+    });
+  });
+
+  it('doesn\'t tell a process about its own writes', function (done) {
+    var name = dbName();
+    var first = new ChangesNotifier();
+    var second = new ChangesNotifier();
+    var heard = [];
+    first.watch(name, function () {
+      heard.push('first');
+    });
+    waitUntilConnected(first, name).then(function () {
+      second.watch(name, function () {
+        heard.push('second');
+      });
+      return waitUntilConnected(second, name);
+    }).then(function () {
+      first.notify(name);
+      second.notify(name);
+      setTimeout(function () {
+        heard.sort().should.deep.equal(['first', 'second']);
+        first.unwatch(name);
+        second.unwatch(name);
+        done();
+      }, 100);
+    });
+  });
+
+  it('hands the hub over when it stops watching', function (done) {
+    var name = dbName();
+    var first = new ChangesNotifier();
+    var second = new ChangesNotifier();
+    var writer = new ChangesNotifier();
+    first.watch(name, function () {
+      done(new Error('it stopped watching'));
+    });
+    waitUntilConnected(first, name).then(function () {
+      second.watch(name, function () {
+        second.unwatch(name);
+        writer.unwatch(name);
+        done();
+      });
+      return waitUntilConnected(second, name);
+    }).then(function () {
+      first.unwatch(name);
+      // the second one takes over as the hub
+      return waitUntilConnected(second, name);
+    }).then(function () {
+      (function notifyOnceHub() {
+        if (!second._channels[name].hub) {
+          return setTimeout(notifyOnceHub, 5);
+        }
+        writer.notify(name);
+      })();
+    });
+  });
+
+  it('drops writes that nobody watches', function (done) {
+    var name = dbName();
+    var writer = new ChangesNotifier();
+    writer.notify(name);
+    setTimeout(function () {
+      writer._channels.should.deep.equal({});
+      done();
+    }, 100);
+  });
+
+  it('passes on the writes of another process to live changes',
+      function (done) {
+    var PouchDB = require('../../lib');
+    var memdown = require('memdown');
+    var name = dbName();
+    var db = new PouchDB(name, {db: memdown});
+    var Changes = PouchDB.adapters.leveldb.Changes;
+    var feed = db.changes({live: true});
+    function onWrite() {
+      Changes.removeListener(name, onWrite);
+      feed.cancel();
+      done();
+    }
+    waitUntilConnected(Changes._notifier, name).then(function () {
+      Changes.on(name, onWrite);
+      childProcess.execFile(process.execPath, ['-e',
+        'var PouchDB = require(' +
+          JSON.stringify(path.resolve(__dirname, '../../lib')) + ');' +
+        'var db = new PouchDB(' + JSON.stringify(name) +
+          ', {db: require("memdown")});' +
+        // it exits once it's done, having told the other process
+        'db.put({_id: "a"});'
+      ], {cwd: path.resolve(__dirname, '../..')}, function (err) {
+        should.not.exist(err);
+      });
+    });
+  });
+});
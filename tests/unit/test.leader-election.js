@@ -0,0 +1,96 @@
+'use strict';
+
+var should = require('chai').should();
+var LeaderElection = require('../../lib/leaderElection');
+var Promise = require('../../lib/utils').Promise;
+
+describe('test.leader-election.js', function () {
+
+  var elections;
+
+  // a channel that delivers its messages to the other elections after a
+  // delay, like a busy tab would
+  function createElection(delay) {
+    var election = new LeaderElection({
+      postMessage: function (msg) {
+        elections.forEach(function (other) {
+          if (other === election) {
+            return;
+          }
+          setTimeout(function () {
+            other.handle(JSON.parse(JSON.stringify(msg)));
+          }, delay);
+        });
+      }
+    });
+    elections.push(election);
+    return election;
+  }
+
+  function wait(ms) {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, ms);
+    });
+  }
+
+  beforeEach(function () {
+    elections = [];
+  });
+
+  afterEach(function () {
+    elections.forEach(function (election) {
+      election.close();
+    });
+  });
+
+  it('elects a single leader', function () {
+    var leaders = 0;
+    [createElection(0), createElection(0), createElection(0)].forEach(
+        function (election) {
+      election.on('leader', function () {
+        leaders++;
+      });
+      election.apply();
+    });
+    return wait(400).then(function () {
+      leaders.should.equal(1);
+      elections.filter(function (election) {
+        return election.isLeader;
+      }).should.have.length(1);
+    });
+  });
+
+  it('elects a single leader when messages are slow to arrive', function () {
+    var leaders = 0;
+    // each one's application only reaches the other after it's waited for
+    // objections once
+    var first = createElection(120);
+    var second = createElection(120);
+    [first, second].forEach(function (election) {
+      election.on('leader', function () {
+        leaders++;
+      });
+      election.apply();
+    });
+    return wait(500).then(function () {
+      leaders.should.equal(1);
+      first.isLeader.should.not.equal(second.isLeader);
+    });
+  });
+
+  it('gives way to a leader that is already there', function () {
+    var leader = createElection(0);
+    leader.apply();
+    return wait(300).then(function () {
+      leader.isLeader.should.equal(true);
+      var late = createElection(0);
+      late.on('leader', function () {
+        should.fail('the late one became leader');
+      });
+      late.apply();
+      return wait(300).then(function () {
+        late.isLeader.should.equal(false);
+      });
+    });
+  });
+});